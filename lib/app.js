@@ -400,6 +400,7 @@ export class MarkdownUp {
             this.window.console.log(text);
         };
         const scriptOptions = {
+            'darkMode': this.paramsLocal.darkMode ?? this.darkMode,
             'debug': 'debug' in this.paramsSession,
             // eslint-disable-next-line require-await
             'fetchFn': async (fetchURL, options) => this.window.fetch(fetchURL, options),
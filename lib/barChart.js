@@ -0,0 +1,443 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/barChart */
+
+import {
+    annotationLineWidth, axisAnnotationElements, axisAnnotationValues, axisLineWidth, axisLinesElement, axisTickGap, axisTickValues,
+    axisValueRange, bottomAxisLabelElements, bottomAxisTickElements, bottomAxisTitleElement, chartBackgroundElement, chartFontFamily,
+    chartTitleElement, chartTypes, colorLegendElements, defaultChartHeight, defaultChartWidth, getAnnotationLabelSize, getBottomAxisY,
+    getChartAreaRight, getChartAreaTop, getChartFontSize, getColorLegendX, getLeftAxisX, leftAxisLabelElements, leftAxisTickElements,
+    leftAxisTitleElement, maxTextWidth, sortColorValues, svgValue, validateAxisTicks
+} from './chartUtil.js';
+import {formatValue, parameterValue, validateTimeZone, valueParameter} from './dataUtil.js';
+import {getTheme} from './theme.js';
+import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {validateType} from 'schema-markdown/lib/schema.js';
+import {valueCompare} from 'bare-script/lib/value.js';
+
+
+// The bar chart model's Schema Markdown
+export const barChartTypes = parseSchemaMarkdown(`\
+group "Bar Chart"
+
+
+# A bar chart model
+struct BarChart
+
+    # The chart title
+    optional string title
+
+    # The chart width
+    optional int width
+
+    # The chart height
+    optional int height
+
+    # The numeric formatting precision (default is 2)
+    optional int(>= 0) precision
+
+    # The datetime format
+    optional DatetimeFormat datetime
+
+    # The datetime display time zone (e.g. "UTC" or "America/New_York"). Default is the local time zone.
+    optional string timeZone
+
+    # The bar chart's category field
+    string x
+
+    # The bar chart's value fields
+    string[len > 0] y
+
+    # The color encoding field
+    optional string color
+
+    # The color encoding value order
+    optional string[len > 0] colorOrder
+
+    # The category order. Categories not in the category order follow, sorted by the category sort.
+    optional string[len > 0] xOrder
+
+    # The category sort (default is "category")
+    optional BarChartSort sort
+
+    # If true, sort the categories in descending order
+    optional bool descending
+
+    # The bar layout (default is "grouped")
+    optional BarChartLayout layout
+
+    # If true, draw horizontal bars
+    optional bool horizontal
+
+    # If true, draw the bar value labels
+    optional bool labels
+
+    # The value axis tick marks. The tick mark number format also formats the bar value labels.
+    optional ChartAxisTicks yTicks
+
+    # The value axis annotations
+    optional ChartAxisAnnotation[len > 0] yLines
+
+
+# A bar chart category sort
+enum BarChartSort
+
+    # Sort by category value
+    category
+
+    # Sort by the category's total value
+    value
+
+
+# A bar chart layout
+enum BarChartLayout
+
+    # Side-by-side bars for each category
+    grouped
+
+    # Stacked bars for each category - positive and negative values are stacked separately
+    stacked
+`, {'types': {...chartTypes}});
+
+
+/**
+ * Validate a bar chart model
+ *
+ * @param {Object} barChart - The
+ *     [bar chart model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='BarChart'}
+ * @returns {Object}
+ * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
+ */
+export function validateBarChart(barChart) {
+    const barChartValid = validateType(barChartTypes, 'BarChart', barChart);
+    validateTimeZone(barChartValid.timeZone ?? null, 'timeZone');
+    validateAxisTicks(barChartValid, ['yTicks']);
+    return barChartValid;
+}
+
+
+// Bar chart constants (all numbers in pixels)
+const barCategoryPadding = 0.1;
+
+
+/**
+ * The bar chart options object
+ *
+ * @typedef {Object} BarChartOptions
+ * @property {number} [fontSize] - The font size, in points
+ * @property {boolean} [darkMode] - If true, the default theme is the dark mode theme
+ * @property {?Object} [theme] - The custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ */
+
+
+/**
+ * Render a bar chart
+ *
+ * @param {Object[]} data - The data array
+ * @param {Object} barChart - The
+ *     [bar chart model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='BarChart'}
+ * @param {?Object} [options = null] - The [bar chart options]{@link module:lib/barChart~BarChartOptions}
+ * @returns {Object} The bar chart [element model]{@link https://github.com/craigahobbs/element-model#readme}
+ */
+export function barChartElements(data, barChart, options = null) {
+    const chartFontSize = getChartFontSize(options);
+    const theme = getTheme(options);
+    const xField = barChart.x;
+    const yFields = barChart.y;
+    const colorField = barChart.color ?? null;
+    const colorOrder = barChart.colorOrder ?? null;
+    const xOrder = barChart.xOrder ?? null;
+    const sort = barChart.sort ?? 'category';
+    const descending = barChart.descending ?? false;
+    const isStacked = barChart.layout === 'stacked';
+    const isHorizontal = barChart.horizontal ?? false;
+    const hasLabels = barChart.labels ?? false;
+    const barChartFormat = {'timeZone': barChart.timeZone ?? null};
+    const valueFormat = {
+        ...barChartFormat,
+        'number': ('yTicks' in barChart ? (barChart.yTicks.number ?? null) : null)
+    };
+
+    // Compute the category values - each category's values are summed by series
+    const categoryMap = new Map();
+    const seriesSet = new Set();
+    for (const row of data) {
+        const xRow = row[xField] ?? null;
+        if (xRow === null) {
+            continue;
+        }
+        const xLabel = formatValue(xRow, barChart.precision, barChart.datetime, null, barChartFormat);
+        if (!categoryMap.has(xLabel)) {
+            categoryMap.set(xLabel, {'label': xLabel, 'value': xRow, 'total': 0, 'values': new Map()});
+        }
+        const category = categoryMap.get(xLabel);
+        for (const yField of yFields) {
+            const yRow = row[yField] ?? null;
+            if (typeof yRow !== 'number') {
+                continue;
+            }
+            let seriesLabel = yField;
+            if (colorField !== null) {
+                const colorValue = formatValue(row[colorField] ?? null, barChart.precision, barChart.datetime, null, barChartFormat);
+                seriesLabel = (yFields.length === 1 ? colorValue : `${yField}, ${colorValue}`);
+            }
+            seriesSet.add(seriesLabel);
+            category.values.set(seriesLabel, (category.values.get(seriesLabel) ?? 0) + yRow);
+            category.total += yRow;
+        }
+    }
+
+    // No data?
+    if (seriesSet.size === 0) {
+        throw new Error('No data');
+    }
+
+    // Compute the series - [(label, color), ...]
+    const seriesLabels = (colorField === null ? yFields : sortColorValues(seriesSet.values(), colorOrder));
+    const series = seriesLabels.map((label, ixSeries) => ({label, 'color': theme.palette[ixSeries % theme.palette.length]}));
+
+    // Sort the categories
+    const categories = Array.from(categoryMap.values()).sort((category1, category2) => {
+        const ix1 = (xOrder !== null ? xOrder.indexOf(category1.label) : -1);
+        const ix2 = (xOrder !== null ? xOrder.indexOf(category2.label) : -1);
+        if (ix1 !== -1 || ix2 !== -1) {
+            if (ix1 !== -1 && ix2 !== -1) {
+                return ix1 - ix2;
+            }
+            return ix1 !== -1 ? -1 : 1;
+        }
+        const result = (sort === 'value' ? category1.total - category2.total : valueCompare(category1.value, category2.value));
+        return descending ? -result : result;
+    });
+
+    // Compute the bars - [(ixCategory, ixSeries, value, valueStart, valueEnd), ...]
+    const bars = [];
+    let valueMin = 0;
+    let valueMax = 0;
+    for (const [ixCategory, category] of categories.entries()) {
+        let stackPositive = 0;
+        let stackNegative = 0;
+        for (const [ixSeries, {label}] of series.entries()) {
+            const value = category.values.get(label) ?? null;
+            if (value === null) {
+                continue;
+            }
+            let valueStart = 0;
+            if (isStacked && value < 0) {
+                valueStart = stackNegative;
+                stackNegative += value;
+            } else if (isStacked) {
+                valueStart = stackPositive;
+                stackPositive += value;
+            }
+            const valueEnd = valueStart + value;
+            bars.push({ixCategory, ixSeries, value, valueStart, valueEnd});
+            valueMin = (valueEnd < valueMin ? valueEnd : valueMin);
+            valueMax = (valueEnd > valueMax ? valueEnd : valueMax);
+        }
+    }
+
+    // Compute the chart title, width, and height
+    const chartTitle = barChart.title ?? null;
+    const chartWidth = barChart.width ?? defaultChartWidth;
+    const chartHeight = barChart.height ?? defaultChartHeight;
+
+    // Compute value axis tick values and annotations
+    const valueFormatFn = (value) => formatValue(value, barChart.precision, null, null, valueFormat);
+    const valueAxisTicks = axisTickValues(barChart.yTicks ?? null, valueMin, valueMax, valueFormatFn);
+    const valueAxisAnnotations = axisAnnotationValues(barChart.yLines ?? [], valueFormatFn);
+    [valueMin, valueMax] = axisValueRange(valueMin, valueMax, [...valueAxisTicks, ...valueAxisAnnotations]);
+
+    // Compute the bar value labels
+    const barLabels = (hasLabels ? bars.map(({value}) => valueFormatFn(value)) : null);
+
+    // Axis calculations - the left axis is the value axis for vertical bars and the category axis for horizontal bars
+    const axisLabelFontSize = chartFontSize;
+    const valueAxisTitle = (yFields.length === 1 ? yFields[0] : null);
+    const categoryLabels = categories.map(({label}) => label);
+    const valueLabels = valueAxisTicks.map(([, label]) => label);
+    const leftAxisTitle = (isHorizontal ? xField : valueAxisTitle);
+    const leftAxisLabels = (isHorizontal ? categoryLabels : valueLabels);
+    const bottomAxisTitle = (isHorizontal ? valueAxisTitle : xField);
+    const bottomAxisLabels = (isHorizontal ? valueLabels : categoryLabels);
+
+    // Axis position calculations
+    const leftAxisX = getLeftAxisX(chartWidth, chartFontSize, leftAxisTitle, leftAxisLabels);
+    const bottomAxisY = getBottomAxisY(chartHeight, chartFontSize, bottomAxisTitle, bottomAxisLabels.length !== 0);
+
+    // Annotation calculations
+    const annotationLabelOffset = 0.2 * axisLabelFontSize;
+
+    // Bar value label calculations
+    const barLabelFontSize = axisLabelFontSize;
+    const barLabelGap = 0.35 * barLabelFontSize;
+    const barLabelWidth = (barLabels !== null ? maxTextWidth(barLabels, barLabelFontSize) : 0);
+    const barLabelMargin = (barLabels === null || isStacked ? 0 : barLabelGap + (isHorizontal ? barLabelWidth : barLabelFontSize));
+    const barLabelMarginNegative = (bars.some(({value}) => value < 0) ? barLabelMargin : 0);
+
+    // Color legend calculations
+    const colorLegendX = (yFields.length === 1 && colorField === null ? null : getColorLegendX(chartWidth, chartFontSize, series));
+
+    // Chart area calculations
+    const chartTop = getChartAreaTop(chartTitle, chartFontSize);
+    const chartLeft = leftAxisX + 0.5 * axisLineWidth;
+    const chartBottom = bottomAxisY - 0.5 * axisLineWidth;
+    const chartRight = getChartAreaRight(chartWidth, chartFontSize, colorLegendX);
+
+    // Helper functions to compute chart coordinate points
+    const valuePoint = (value) => (isHorizontal
+        ? parameterValue(valueParameter(value, valueMin, valueMax), chartLeft + barLabelMarginNegative, chartRight - barLabelMargin)
+        : parameterValue(valueParameter(value, valueMin, valueMax), chartBottom - barLabelMarginNegative, chartTop + barLabelMargin));
+    const categoryPoint = (categoryParam) => (isHorizontal
+        ? parameterValue(categoryParam, chartTop, chartBottom)
+        : parameterValue(categoryParam, chartLeft, chartRight));
+    const categoryCenter = (ixCategory) => categoryPoint((ixCategory + 0.5) / categories.length);
+
+    // Helper function to compute a bar's rectangle - [x, y, width, height]
+    const barRect = ({ixCategory, ixSeries, valueStart, valueEnd}) => {
+        const barGroupStart = ixCategory + barCategoryPadding;
+        const barGroupWidth = 1 - 2 * barCategoryPadding;
+        const barStart = (isStacked ? barGroupStart : barGroupStart + ixSeries * barGroupWidth / series.length);
+        const barWidth = (isStacked ? barGroupWidth : barGroupWidth / series.length);
+        const categoryStart = categoryPoint(barStart / categories.length);
+        const categoryEnd = categoryPoint((barStart + barWidth) / categories.length);
+        const valuePointStart = valuePoint(valueStart);
+        const valuePointEnd = valuePoint(valueEnd);
+        const valueRectStart = Math.min(valuePointStart, valuePointEnd);
+        const valueRectSize = Math.abs(valuePointEnd - valuePointStart);
+        return isHorizontal
+            ? [valueRectStart, categoryStart, valueRectSize, categoryEnd - categoryStart]
+            : [categoryStart, valueRectStart, categoryEnd - categoryStart, valueRectSize];
+    };
+
+    // Render the chart
+    return {
+        'svg': 'svg',
+        'attr': {
+            'width': chartWidth,
+            'height': chartHeight
+        },
+        'elem': [
+            // Background
+            chartBackgroundElement(chartWidth, chartHeight, theme),
+
+            // Chart title
+            chartTitleElement(chartTitle, 0.5 * (chartLeft + chartRight), chartFontSize, theme),
+
+            // Left axis title
+            leftAxisTitleElement(leftAxisTitle, 0.5 * (chartTop + chartBottom), chartFontSize, theme),
+
+            // Value axis ticks
+            isHorizontal
+                ? bottomAxisTickElements(valueAxisTicks, valuePoint, bottomAxisY, chartTop, theme)
+                : leftAxisTickElements(valueAxisTicks, valuePoint, leftAxisX, chartRight, theme),
+
+            // Value axis labels
+            isHorizontal
+                ? bottomAxisLabelElements(valueAxisTicks, valuePoint, bottomAxisY, chartLeft, chartRight, chartFontSize, theme)
+                : leftAxisLabelElements(valueAxisTicks, valuePoint, leftAxisX, chartTop, chartBottom, chartFontSize, theme),
+
+            // Category axis labels
+            categoryLabels.map((label, ixCategory) => ({
+                'svg': 'text',
+                'attr': {
+                    'font-family': chartFontFamily,
+                    'font-size': `${svgValue(axisLabelFontSize)}px`,
+                    'fill': theme.text,
+                    'x': svgValue(isHorizontal ? leftAxisX - axisTickGap : categoryCenter(ixCategory)),
+                    'y': svgValue(isHorizontal ? categoryCenter(ixCategory) : bottomAxisY + axisTickGap),
+                    'text-anchor': (isHorizontal ? 'end' : 'middle'),
+                    'dominant-baseline': (isHorizontal ? 'middle' : 'hanging')
+                },
+                'elem': {'text': label}
+            })),
+
+            // Bottom axis title
+            bottomAxisTitleElement(bottomAxisTitle, 0.5 * (chartLeft + chartRight), chartHeight, chartFontSize, theme),
+
+            // Bars
+            bars.map((bar) => {
+                const [barX, barY, barWidth, barHeight] = barRect(bar);
+                return {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': svgValue(barX),
+                        'y': svgValue(barY),
+                        'width': svgValue(barWidth),
+                        'height': svgValue(barHeight),
+                        'stroke': 'none',
+                        'fill': series[bar.ixSeries].color
+                    }
+                };
+            }),
+
+            // Bar value labels
+            barLabels === null ? null : bars.map((bar, ixBar) => {
+                const [barX, barY, barWidth, barHeight] = barRect(bar);
+                const isNegative = bar.value < 0;
+                let labelX;
+                let labelY;
+                let textAnchor = 'middle';
+                let dominantBaseline = 'middle';
+                if (isStacked) {
+                    labelX = barX + 0.5 * barWidth;
+                    labelY = barY + 0.5 * barHeight;
+                } else if (isHorizontal) {
+                    labelX = (isNegative ? barX - barLabelGap : barX + barWidth + barLabelGap);
+                    labelY = barY + 0.5 * barHeight;
+                    textAnchor = (isNegative ? 'end' : 'start');
+                } else {
+                    labelX = barX + 0.5 * barWidth;
+                    labelY = (isNegative ? barY + barHeight + barLabelGap : barY - barLabelGap);
+                    dominantBaseline = (isNegative ? 'hanging' : 'auto');
+                }
+                return {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': chartFontFamily,
+                        'font-size': `${svgValue(barLabelFontSize)}px`,
+                        'fill': theme.text,
+                        'x': svgValue(labelX),
+                        'y': svgValue(labelY),
+                        'text-anchor': textAnchor,
+                        'dominant-baseline': dominantBaseline
+                    },
+                    'elem': {'text': barLabels[ixBar]}
+                };
+            }),
+
+            // Axis lines
+            axisLinesElement(leftAxisX, bottomAxisY, chartTop, chartRight, theme),
+
+            // Value axis annotations
+            valueAxisAnnotations.map(([value, label]) => {
+                const point = valuePoint(value);
+                const [labelWidth, labelHeight] = getAnnotationLabelSize(label, chartFontSize);
+                let labelX;
+                let labelY;
+                if (isHorizontal) {
+                    const isLeft = point > 0.5 * (chartLeft + chartRight);
+                    labelX = (isLeft
+                        ? point - 0.5 * annotationLineWidth - annotationLabelOffset - labelWidth
+                        : point + 0.5 * annotationLineWidth + annotationLabelOffset);
+                    labelY = chartTop + annotationLabelOffset;
+                } else {
+                    const isUnder = point < 0.5 * (chartTop + chartBottom);
+                    labelX = chartRight - annotationLabelOffset - labelWidth;
+                    labelY = (isUnder
+                        ? point + annotationLineWidth + annotationLabelOffset
+                        : point - annotationLineWidth - annotationLabelOffset - labelHeight);
+                }
+                const linePath = (isHorizontal
+                    ? `M ${svgValue(point)} ${svgValue(bottomAxisY)} V ${svgValue(chartTop)}`
+                    : `M ${svgValue(leftAxisX)} ${svgValue(point)} H ${svgValue(chartRight)}`);
+                return axisAnnotationElements(label, labelX, labelY, linePath, chartFontSize, theme);
+            }),
+
+            // Color legend
+            colorLegendElements(series, colorLegendX, chartTop, chartFontSize, theme)
+        ]
+    };
+}
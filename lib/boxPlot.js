@@ -0,0 +1,328 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/boxPlot */
+
+import {
+    axisLineWidth, axisLinesElement, axisTickGap, axisTickValues, axisValueRange, bottomAxisTitleElement, chartBackgroundElement,
+    chartFontFamily, chartTitleElement, chartTypes, defaultChartHeight, defaultChartWidth, getBottomAxisY, getChartAreaTop,
+    getChartFontSize, getLeftAxisX, leftAxisLabelElements, leftAxisTickElements, leftAxisTitleElement, svgValue, validateAxisTicks
+} from './chartUtil.js';
+import {formatValue, parameterValue, valueParameter} from './dataUtil.js';
+import {getTheme} from './theme.js';
+import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {validateType} from 'schema-markdown/lib/schema.js';
+import {valueCompare} from 'bare-script/lib/value.js';
+
+
+// The box plot model's Schema Markdown
+export const boxPlotTypes = parseSchemaMarkdown(`\
+group "Box Plot"
+
+
+# A box plot model
+struct BoxPlot
+
+    # The chart title
+    optional string title
+
+    # The chart width
+    optional int width
+
+    # The chart height
+    optional int height
+
+    # The numeric formatting precision (default is 2)
+    optional int(>= 0) precision
+
+    # The box plot's category field. If not set, there is one box for all values.
+    optional string x
+
+    # The box plot's value field
+    string y
+
+    # The category order. Categories not in the category order follow, sorted by category value.
+    optional string[len > 0] xOrder
+
+    # The whisker length, as a multiple of the interquartile range (default is 1.5). Values beyond the whiskers are outliers.
+    optional float(>= 0) whisker
+
+    # If true, draw the outliers (default is true)
+    optional bool outliers
+
+    # The Y-axis tick marks
+    optional ChartAxisTicks yTicks
+`, {'types': {...chartTypes}});
+
+
+/**
+ * Validate a box plot model
+ *
+ * @param {Object} boxPlot - The
+ *     [box plot model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='BoxPlot'}
+ * @returns {Object}
+ * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
+ */
+export function validateBoxPlot(boxPlot) {
+    const boxPlotValid = validateType(boxPlotTypes, 'BoxPlot', boxPlot);
+    validateAxisTicks(boxPlotValid, ['yTicks']);
+    return boxPlotValid;
+}
+
+
+// Box plot defaults
+const defaultWhisker = 1.5;
+
+
+// Box plot constants (all numbers in pixels)
+const boxOpacity = 0.4;
+const boxLineWidth = 1.5;
+const boxMedianWidth = 3;
+const boxCategoryPadding = 0.2;
+const boxWhiskerCapRatio = 0.5;
+const outlierRadius = 3;
+
+
+/**
+ * The box plot options object
+ *
+ * @typedef {Object} BoxPlotOptions
+ * @property {number} [fontSize] - The font size, in points
+ * @property {boolean} [darkMode] - If true, the default theme is the dark mode theme
+ * @property {?Object} [theme] - The custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ */
+
+
+/**
+ * Render a box plot
+ *
+ * @param {Object[]} data - The data array
+ * @param {Object} boxPlot - The
+ *     [box plot model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='BoxPlot'}
+ * @param {?Object} [options = null] - The [box plot options]{@link module:lib/boxPlot~BoxPlotOptions}
+ * @returns {Object} The box plot [element model]{@link https://github.com/craigahobbs/element-model#readme}
+ */
+export function boxPlotElements(data, boxPlot, options = null) {
+    const chartFontSize = getChartFontSize(options);
+    const theme = getTheme(options);
+    const xField = boxPlot.x ?? null;
+    const yField = boxPlot.y;
+    const xOrder = boxPlot.xOrder ?? null;
+    const whisker = boxPlot.whisker ?? defaultWhisker;
+    const hasOutliers = boxPlot.outliers ?? true;
+    const yValueFormat = {'number': ('yTicks' in boxPlot ? (boxPlot.yTicks.number ?? null) : null)};
+
+    // Compute the category values
+    const categoryMap = new Map();
+    for (const row of data) {
+        const yRow = row[yField] ?? null;
+        const xRow = (xField !== null ? (row[xField] ?? null) : yField);
+        if (typeof yRow !== 'number' || xRow === null) {
+            continue;
+        }
+        const xLabel = formatValue(xRow, boxPlot.precision);
+        if (!categoryMap.has(xLabel)) {
+            categoryMap.set(xLabel, {'label': xLabel, 'value': xRow, 'values': []});
+        }
+        categoryMap.get(xLabel).values.push(yRow);
+    }
+
+    // No data?
+    if (categoryMap.size === 0) {
+        throw new Error('No data');
+    }
+
+    // Sort the categories and compute their statistics
+    let yMin = null;
+    let yMax = null;
+    const categories = Array.from(categoryMap.values()).sort((category1, category2) => {
+        const ix1 = (xOrder !== null ? xOrder.indexOf(category1.label) : -1);
+        const ix2 = (xOrder !== null ? xOrder.indexOf(category2.label) : -1);
+        if (ix1 !== -1 || ix2 !== -1) {
+            if (ix1 !== -1 && ix2 !== -1) {
+                return ix1 - ix2;
+            }
+            return ix1 !== -1 ? -1 : 1;
+        }
+        return valueCompare(category1.value, category2.value);
+    }).map(({label, values}) => {
+        const stats = boxPlotStatistics(values, whisker);
+        const statsMin = (hasOutliers ? Math.min(stats.whiskerLow, ...stats.outliers) : stats.whiskerLow);
+        const statsMax = (hasOutliers ? Math.max(stats.whiskerHigh, ...stats.outliers) : stats.whiskerHigh);
+        yMin = (yMin === null || statsMin < yMin ? statsMin : yMin);
+        yMax = (yMax === null || statsMax > yMax ? statsMax : yMax);
+        return {label, ...stats};
+    });
+
+    // Compute the chart title, width, and height
+    const chartTitle = boxPlot.title ?? null;
+    const chartWidth = boxPlot.width ?? defaultChartWidth;
+    const chartHeight = boxPlot.height ?? defaultChartHeight;
+
+    // Compute Y-axis tick values
+    const yFormatFn = (value) => formatValue(value, boxPlot.precision, null, null, yValueFormat);
+    const yAxisTicks = axisTickValues(boxPlot.yTicks ?? null, yMin, yMax, yFormatFn);
+    [yMin, yMax] = axisValueRange(yMin, yMax, yAxisTicks);
+
+    // Axis calculations - the category axis always has labels
+    const yAxisX = getLeftAxisX(chartWidth, chartFontSize, yField, yAxisTicks.map(([, label]) => label));
+    const xAxisY = getBottomAxisY(chartHeight, chartFontSize, xField, true);
+
+    // Chart area calculations - the chart area is inset by the outlier radius
+    const chartBorderSize = chartFontSize;
+    const chartTop = getChartAreaTop(chartTitle, chartFontSize) + outlierRadius;
+    const chartLeft = yAxisX + 0.5 * axisLineWidth;
+    const chartBottom = xAxisY - 0.5 * axisLineWidth - outlierRadius;
+    const chartRight = chartWidth - chartBorderSize;
+
+    // Helper functions to compute chart coordinate points
+    const chartPointY = (yCoord) => parameterValue(valueParameter(yCoord, yMin, yMax), chartBottom, chartTop);
+    const categoryPoint = (categoryParam) => parameterValue(categoryParam, chartLeft, chartRight);
+    const categoryCenter = (ixCategory) => categoryPoint((ixCategory + 0.5) / categories.length);
+
+    // Render the chart
+    return {
+        'svg': 'svg',
+        'attr': {
+            'width': chartWidth,
+            'height': chartHeight
+        },
+        'elem': [
+            // Background
+            chartBackgroundElement(chartWidth, chartHeight, theme),
+
+            // Chart title
+            chartTitleElement(chartTitle, 0.5 * (chartLeft + chartRight), chartFontSize, theme),
+
+            // Y-Axis title
+            leftAxisTitleElement(yField, 0.5 * (chartTop + chartBottom), chartFontSize, theme),
+
+            // Y-axis ticks
+            leftAxisTickElements(yAxisTicks, chartPointY, yAxisX, chartRight, theme),
+
+            // Y-axis labels
+            leftAxisLabelElements(yAxisTicks, chartPointY, yAxisX, chartTop, chartBottom, chartFontSize, theme),
+
+            // Category labels
+            categories.map(({label}, ixCategory) => ({
+                'svg': 'text',
+                'attr': {
+                    'font-family': chartFontFamily,
+                    'font-size': `${svgValue(chartFontSize)}px`,
+                    'fill': theme.text,
+                    'x': svgValue(categoryCenter(ixCategory)),
+                    'y': svgValue(xAxisY + axisTickGap),
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {'text': label}
+            })),
+
+            // X-Axis title
+            bottomAxisTitleElement(xField, 0.5 * (chartLeft + chartRight), chartHeight, chartFontSize, theme),
+
+            // Boxes
+            categories.map(({q1, median, q3, whiskerLow, whiskerHigh}, ixCategory) => {
+                const boxLeft = categoryPoint((ixCategory + boxCategoryPadding) / categories.length);
+                const boxRight = categoryPoint((ixCategory + 1 - boxCategoryPadding) / categories.length);
+                const boxCenter = categoryCenter(ixCategory);
+                const capHalfWidth = 0.5 * boxWhiskerCapRatio * (boxRight - boxLeft);
+                const q1Point = chartPointY(q1);
+                const q3Point = chartPointY(q3);
+                const lowPoint = chartPointY(whiskerLow);
+                const highPoint = chartPointY(whiskerHigh);
+                return [
+                    // Whiskers
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': theme.axis,
+                            'stroke-width': svgValue(boxLineWidth),
+                            'fill': 'none',
+                            'd': `M ${svgValue(boxCenter)} ${svgValue(q1Point)} V ${svgValue(lowPoint)} ` +
+                                `M ${svgValue(boxCenter - capHalfWidth)} ${svgValue(lowPoint)} H ${svgValue(boxCenter + capHalfWidth)} ` +
+                                `M ${svgValue(boxCenter)} ${svgValue(q3Point)} V ${svgValue(highPoint)} ` +
+                                `M ${svgValue(boxCenter - capHalfWidth)} ${svgValue(highPoint)} H ${svgValue(boxCenter + capHalfWidth)}`
+                        }
+                    },
+
+                    // Box
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': svgValue(boxLeft),
+                            'y': svgValue(q3Point),
+                            'width': svgValue(boxRight - boxLeft),
+                            'height': svgValue(q1Point - q3Point),
+                            'stroke': theme.axis,
+                            'stroke-width': svgValue(boxLineWidth),
+                            'fill': theme.palette[0],
+                            'fill-opacity': boxOpacity
+                        }
+                    },
+
+                    // Median
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': theme.axis,
+                            'stroke-width': svgValue(boxMedianWidth),
+                            'fill': 'none',
+                            'd': `M ${svgValue(boxLeft)} ${svgValue(chartPointY(median))} H ${svgValue(boxRight)}`
+                        }
+                    }
+                ];
+            }),
+
+            // Outliers
+            !hasOutliers ? null : categories.map(({outliers}, ixCategory) => outliers.map((outlier) => ({
+                'svg': 'circle',
+                'attr': {
+                    'cx': svgValue(categoryCenter(ixCategory)),
+                    'cy': svgValue(chartPointY(outlier)),
+                    'r': svgValue(outlierRadius),
+                    'stroke': theme.axis,
+                    'stroke-width': svgValue(axisLineWidth),
+                    'fill': 'none'
+                }
+            }))),
+
+            // Axis lines
+            axisLinesElement(yAxisX, xAxisY, chartTop - outlierRadius, chartRight, theme)
+        ]
+    };
+}
+
+
+/**
+ * Compute the box plot statistics of a set of values. Quartiles are computed with linear interpolation between
+ * the closest ranks.
+ *
+ * @param {number[]} values - The values
+ * @param {number} [whisker = 1.5] - The whisker length, as a multiple of the interquartile range
+ * @returns {Object} The statistics object with "q1", "median", "q3", "whiskerLow", "whiskerHigh", and "outliers" members
+ */
+export function boxPlotStatistics(values, whisker = defaultWhisker) {
+    const sorted = [...values].sort((value1, value2) => value1 - value2);
+    const quantile = (fraction) => {
+        const position = fraction * (sorted.length - 1);
+        const ixLow = Math.floor(position);
+        const ixHigh = Math.min(ixLow + 1, sorted.length - 1);
+        return parameterValue(position - ixLow, sorted[ixLow], sorted[ixHigh]);
+    };
+    const q1 = quantile(0.25);
+    const median = quantile(0.5);
+    const q3 = quantile(0.75);
+    const fenceLow = q1 - whisker * (q3 - q1);
+    const fenceHigh = q3 + whisker * (q3 - q1);
+    const inliers = sorted.filter((value) => value >= fenceLow && value <= fenceHigh);
+    return {
+        q1,
+        median,
+        q3,
+        'whiskerLow': Math.min(q1, inliers[0] ?? q1),
+        'whiskerHigh': Math.max(q3, inliers[inliers.length - 1] ?? q3),
+        'outliers': sorted.filter((value) => value < fenceLow || value > fenceHigh)
+    };
+}
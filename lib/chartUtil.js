@@ -0,0 +1,486 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {formatTypes, parameterValue, validateNumberFormat} from './dataUtil.js';
+import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+
+
+// The shared chart models' Schema Markdown - the bar, scatter, histogram, and box plot chart models reference these types
+export const chartTypes = parseSchemaMarkdown(`\
+group "Chart"
+
+
+# The axis tick mark model
+struct ChartAxisTicks
+
+    # The count of evenly-spaced tick marks. The default is 3.
+    optional int(>= 0) count
+
+    # The value of the first tick mark. Default is the minimum axis value.
+    optional float start
+
+    # The value of the last tick mark. Default is the maximum axis value.
+    optional float end
+
+    # The number of tick mark labels to skip after a rendered label
+    optional int(> 0) skip
+
+    # The tick mark and annotation label number format
+    optional NumberFormat number
+
+
+# An axis annotation
+struct ChartAxisAnnotation
+
+    # The axis value
+    float value
+
+    # The annotation label
+    optional string label
+`, {'types': {...formatTypes}});
+
+
+// Helper function to validate a chart model's axis tick mark number formats (e.g. ChartAxisTicks)
+export function validateAxisTicks(chart, axisTicksKeys) {
+    for (const axisTicksKey of axisTicksKeys) {
+        const axisTicks = chart[axisTicksKey] ?? null;
+        validateNumberFormat(axisTicks !== null ? (axisTicks.number ?? null) : null, `${axisTicksKey}.number`);
+    }
+}
+
+
+// Chart defaults
+export const defaultChartWidth = 640;
+export const defaultChartHeight = 320;
+export const defaultAxisTickCount = 3;
+
+
+// Chart constants (all numbers in pixels)
+const pixelsPerPoint = 4 / 3;
+const svgPrecision = 3;
+export const chartFontFamily = 'Arial, Helvetica, sans-serif';
+export const chartFontWidthRatio = 0.6;
+const chartFontDefaultSize = 12;
+export const axisLineWidth = 1;
+export const axisTickWidth = 1;
+export const axisTickLength = 5;
+export const axisTickGap = 0.75 * axisTickLength;
+export const annotationLineWidth = 2;
+
+
+// Helper function to compute a chart's font size, in pixels, from the chart options' font size, in points
+export function getChartFontSize(options) {
+    return pixelsPerPoint * (options !== null && 'fontSize' in options ? options.fontSize : chartFontDefaultSize);
+}
+
+
+// Helper function to format an SVG coordinate or size attribute value
+export function svgValue(value) {
+    return value.toFixed(svgPrecision);
+}
+
+
+// Helper function to compute a text's approximate rendered width
+export function textWidth(text, fontSize) {
+    return text.length * chartFontWidthRatio * fontSize;
+}
+
+
+// Helper function to compute the maximum approximate rendered width of an array of texts
+export function maxTextWidth(texts, fontSize) {
+    return texts.reduce((widthMax, text) => {
+        const width = textWidth(text, fontSize);
+        return width > widthMax ? width : widthMax;
+    }, 0);
+}
+
+
+// Helper function to sort color encoding values - values in the color order are first, followed by the remaining
+// values, sorted
+export function sortColorValues(colorValues, colorOrder) {
+    if (colorOrder === null) {
+        return [...colorValues].sort();
+    }
+    return [...colorValues].sort((cv1, cv2) => {
+        const ix1 = colorOrder.indexOf(cv1);
+        const ix2 = colorOrder.indexOf(cv2);
+        if (ix1 !== -1 && ix2 !== -1) {
+            return ix1 < ix2 ? -1 : 1;
+        } else if (ix1 === -1 && ix2 === -1) {
+            return cv1 < cv2 ? -1 : 1;
+        }
+        return ix1 !== -1 ? -1 : 1;
+    });
+}
+
+
+// Helper function to compute an axis's evenly-spaced tick values (e.g. ChartAxisTicks) - [(value, label), ...]
+export function axisTickValues(axisTicks, valueMin, valueMax, formatFn) {
+    const tickCount = (axisTicks !== null ? (axisTicks.count ?? defaultAxisTickCount) : defaultAxisTickCount);
+    const tickSkip = (axisTicks !== null && 'skip' in axisTicks ? axisTicks.skip + 1 : 1);
+    const tickStart = (axisTicks !== null ? (axisTicks.start ?? valueMin) : valueMin);
+    const tickEnd = (axisTicks !== null ? (axisTicks.end ?? valueMax) : valueMax);
+    const tickValues = [];
+    for (let ixTick = 0; ixTick < tickCount; ixTick++) {
+        const tickParam = tickCount === 1 ? 0 : ixTick / (tickCount - 1);
+        const tickValue = parameterValue(tickParam, tickStart, tickEnd);
+        tickValues.push([tickValue, (ixTick % tickSkip) !== 0 ? '' : formatFn(tickValue)]);
+    }
+    return tickValues;
+}
+
+
+// Helper function to compute an axis's annotation values (e.g. ChartAxisAnnotation) - [(value, label), ...]
+export function axisAnnotationValues(annotations, formatFn) {
+    return annotations.map((annotation) => [annotation.value, annotation.label ?? formatFn(annotation.value)]);
+}
+
+
+// Helper function to extend an axis's value range to include axis tick or annotation values - [min, max]
+export function axisValueRange(valueMin, valueMax, axisValues) {
+    let rangeMin = valueMin;
+    let rangeMax = valueMax;
+    for (const [value] of axisValues) {
+        rangeMin = (value < rangeMin ? value : rangeMin);
+        rangeMax = (value > rangeMax ? value : rangeMax);
+    }
+    return [rangeMin, rangeMax];
+}
+
+
+// Helper function to compute the chart area's top Y coordinate - the chart title is above the chart area
+export function getChartAreaTop(chartTitle, chartFontSize) {
+    const chartBorderSize = chartFontSize;
+    const chartTitleFontSize = 1.1 * chartFontSize;
+    const chartTitleHeight = (chartTitle !== null ? 1.5 * chartTitleFontSize : 0);
+    return chartBorderSize + chartTitleHeight;
+}
+
+
+// Helper function to compute the left axis X coordinate - the left axis title and labels are left of the axis
+export function getLeftAxisX(chartWidth, chartFontSize, axisTitle, axisLabels) {
+    const chartBorderSize = chartFontSize;
+    const axisTitleFontSize = 1 * chartFontSize;
+    const axisLabelFontSize = chartFontSize;
+    const axisTitleWidth = (axisTitle !== null ? 1.8 * axisTitleFontSize : 0);
+    const axisLabelWidth = maxTextWidth(axisLabels, axisLabelFontSize);
+    return Math.min(
+        chartBorderSize + axisTitleWidth + (axisLabels.length === 0 ? 0 : axisLabelWidth + axisTickGap + axisTickLength),
+        0.4 * chartWidth
+    );
+}
+
+
+// Helper function to compute the bottom axis Y coordinate - the bottom axis labels and title are below the axis
+export function getBottomAxisY(chartHeight, chartFontSize, axisTitle, hasLabels) {
+    const chartBorderSize = chartFontSize;
+    const axisTitleFontSize = 1 * chartFontSize;
+    const axisLabelFontSize = chartFontSize;
+    const axisTitleHeight = (axisTitle !== null ? 1.8 * axisTitleFontSize : 0);
+    return chartHeight - chartBorderSize - axisTitleHeight - (!hasLabels ? 0 : axisLabelFontSize - axisTickGap + axisTickLength);
+}
+
+
+// Helper function to compute the color legend X coordinate - the color legend is right of the chart area. Color legend
+// title entries have no color sample.
+export function getColorLegendX(chartWidth, chartFontSize, colorLegend) {
+    const chartBorderSize = chartFontSize;
+    const colorLegendFontSize = chartFontSize;
+    const colorLegendSampleWidth = 1.35 * colorLegendFontSize;
+    const colorLegendLabelWidth = colorLegend.reduce((labelMax, {label, isTitle}) => {
+        const labelWidth = ((isTitle ?? false) ? -colorLegendSampleWidth : 0) + textWidth(label, colorLegendFontSize);
+        return labelWidth > labelMax ? labelWidth : labelMax;
+    }, 0);
+    return Math.max(chartWidth - chartBorderSize - colorLegendLabelWidth - colorLegendSampleWidth, 0.6 * chartWidth);
+}
+
+
+// Helper function to compute the chart area's right edge X coordinate - a null color legend X coordinate is no legend
+export function getChartAreaRight(chartWidth, chartFontSize, legendX) {
+    const chartBorderSize = chartFontSize;
+    const colorLegendGap = 0.5 * chartFontSize;
+    return (legendX !== null ? legendX - colorLegendGap : chartWidth - chartBorderSize);
+}
+
+
+// Helper function to create a chart's background element
+export function chartBackgroundElement(chartWidth, chartHeight, theme) {
+    return {
+        'svg': 'rect',
+        'attr': {
+            'width': chartWidth,
+            'height': chartHeight,
+            'fill': theme.background
+        }
+    };
+}
+
+
+// Helper function to create a chart's title element - a null chart title has no element
+export function chartTitleElement(chartTitle, titleX, chartFontSize, theme) {
+    const chartBorderSize = chartFontSize;
+    const chartTitleFontSize = 1.1 * chartFontSize;
+    return chartTitle === null ? null : {
+        'svg': 'text',
+        'attr': {
+            'font-family': chartFontFamily,
+            'font-size': `${svgValue(chartTitleFontSize)}px`,
+            'fill': theme.text,
+            'style': 'font-weight: bold',
+            'x': svgValue(titleX),
+            'y': svgValue(chartBorderSize),
+            'text-anchor': 'middle',
+            'dominant-baseline': 'hanging'
+        },
+        'elem': {'text': chartTitle}
+    };
+}
+
+
+// Helper function to create the left axis title element - a null axis title has no element
+export function leftAxisTitleElement(axisTitle, titleY, chartFontSize, theme) {
+    const chartBorderSize = chartFontSize;
+    const axisTitleFontSize = 1 * chartFontSize;
+    return axisTitle === null ? null : {
+        'svg': 'text',
+        'attr': {
+            'font-family': chartFontFamily,
+            'font-size': `${svgValue(axisTitleFontSize)}px`,
+            'fill': theme.text,
+            'style': 'font-weight: bold',
+            'x': svgValue(chartBorderSize),
+            'y': svgValue(titleY),
+            'transform': `rotate(-90 ${svgValue(chartBorderSize)}, ${svgValue(titleY)})`,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'hanging'
+        },
+        'elem': {'text': axisTitle}
+    };
+}
+
+
+// Helper function to create the bottom axis title element - a null axis title has no element
+export function bottomAxisTitleElement(axisTitle, titleX, chartHeight, chartFontSize, theme) {
+    const chartBorderSize = chartFontSize;
+    const axisTitleFontSize = 1 * chartFontSize;
+    return axisTitle === null ? null : {
+        'svg': 'text',
+        'attr': {
+            'font-family': chartFontFamily,
+            'font-size': `${svgValue(axisTitleFontSize)}px`,
+            'fill': theme.text,
+            'style': 'font-weight: bold',
+            'x': svgValue(titleX),
+            'y': svgValue(chartHeight - chartBorderSize),
+            'text-anchor': 'middle',
+            'dominant-baseline': 'auto'
+        },
+        'elem': {'text': axisTitle}
+    };
+}
+
+
+// Helper function to create a line path element
+export function linePathElement(stroke, strokeWidth, path) {
+    return {
+        'svg': 'path',
+        'attr': {
+            'stroke': stroke,
+            'stroke-width': svgValue(strokeWidth),
+            'fill': 'none',
+            'd': path
+        }
+    };
+}
+
+
+// Helper function to create the left axis tick mark and grid line elements - ticks without a label have no tick mark
+export function leftAxisTickElements(axisTicks, pointFn, axisX, gridRight, theme) {
+    return axisTicks.map(([value, label]) => {
+        const point = pointFn(value);
+        return [
+            label === '' ? null : linePathElement(
+                theme.axis, axisTickWidth, `M ${svgValue(axisX)} ${svgValue(point)} H ${svgValue(axisX - axisTickLength)}`
+            ),
+            linePathElement(theme.grid, axisTickWidth, `M ${svgValue(axisX)} ${svgValue(point)} H ${svgValue(gridRight)}`)
+        ];
+    });
+}
+
+
+// Helper function to create the left axis label elements - labels are kept within the chart area's vertical extent
+export function leftAxisLabelElements(axisTicks, pointFn, axisX, chartTop, chartBottom, chartFontSize, theme) {
+    const axisLabelFontSize = chartFontSize;
+    const axisLabelTop = chartTop + 0.5 * axisLabelFontSize;
+    const axisLabelBottom = chartBottom - 0.5 * axisLabelFontSize;
+    return axisTicks.map(([value, label]) => {
+        const point = pointFn(value);
+        return label === '' ? null : {
+            'svg': 'text',
+            'attr': {
+                'font-family': chartFontFamily,
+                'font-size': `${svgValue(axisLabelFontSize)}px`,
+                'fill': theme.text,
+                'x': svgValue(axisX - axisTickLength - axisTickGap),
+                'y': svgValue(point),
+                'text-anchor': 'end',
+                'dominant-baseline': (point > axisLabelBottom ? 'auto' : (point < axisLabelTop ? 'hanging' : 'middle'))
+            },
+            'elem': {'text': label}
+        };
+    });
+}
+
+
+// Helper function to create the bottom axis tick mark and grid line elements - ticks without a label have no tick mark
+// and a null grid top has no grid lines
+export function bottomAxisTickElements(axisTicks, pointFn, axisY, gridTop, theme) {
+    return axisTicks.map(([value, label]) => {
+        const point = pointFn(value);
+        const tickElement = (label === '' ? null : linePathElement(
+            theme.axis, axisTickWidth, `M ${svgValue(point)} ${svgValue(axisY)} V ${svgValue(axisY + axisTickLength)}`
+        ));
+        if (gridTop === null) {
+            return tickElement;
+        }
+        return [
+            tickElement,
+            linePathElement(theme.grid, axisTickWidth, `M ${svgValue(point)} ${svgValue(axisY)} V ${svgValue(gridTop)}`)
+        ];
+    });
+}
+
+
+// Helper function to create the bottom axis label elements - labels are kept within the chart area's horizontal extent
+export function bottomAxisLabelElements(axisTicks, pointFn, axisY, chartLeft, chartRight, chartFontSize, theme) {
+    const axisLabelFontSize = chartFontSize;
+    const axisLabelLeft = chartLeft + 0.5 * axisLabelFontSize;
+    const axisLabelRight = chartRight - 0.5 * axisLabelFontSize;
+    return axisTicks.map(([value, label]) => {
+        const point = pointFn(value);
+        return label === '' ? null : {
+            'svg': 'text',
+            'attr': {
+                'font-family': chartFontFamily,
+                'font-size': `${svgValue(axisLabelFontSize)}px`,
+                'fill': theme.text,
+                'x': svgValue(point),
+                'y': svgValue(axisY + axisTickLength + axisTickGap),
+                'text-anchor': (point < axisLabelLeft ? 'start' : (point > axisLabelRight ? 'end' : 'middle')),
+                'dominant-baseline': 'hanging'
+            },
+            'elem': {'text': label}
+        };
+    });
+}
+
+
+// Helper function to create the axis lines element - the left axis and the bottom axis meet at the bottom left
+export function axisLinesElement(axisX, axisY, axisTop, axisRight, theme) {
+    return linePathElement(
+        theme.axis,
+        axisLineWidth,
+        `M ${svgValue(axisX)} ${svgValue(axisTop - 0.5 * axisTickWidth)} ` +
+            `V ${svgValue(axisY)} H ${svgValue(axisRight + 0.5 * axisTickWidth)}`
+    );
+}
+
+
+// Helper function to compute an annotation label's size - [width, height]
+export function getAnnotationLabelSize(label, chartFontSize) {
+    const annotationLabelFontSize = chartFontSize;
+    const annotationLabelMargin = 0.25 * annotationLabelFontSize;
+    return [
+        2 * annotationLabelMargin + textWidth(label, annotationLabelFontSize),
+        annotationLabelFontSize + 2 * annotationLabelMargin
+    ];
+}
+
+
+// Helper function to create an annotation label's background and text elements - if "isEnd" is true, the label X
+// coordinate is the label's right edge. An empty label has no elements.
+export function annotationLabelElements(label, labelX, labelY, chartFontSize, theme, isEnd = false) {
+    const annotationLabelFontSize = chartFontSize;
+    const annotationLabelMargin = 0.25 * annotationLabelFontSize;
+    const [labelWidth, labelHeight] = getAnnotationLabelSize(label, chartFontSize);
+    return label === '' ? null : [
+        {
+            'svg': 'rect',
+            'attr': {
+                'x': svgValue(isEnd ? labelX - labelWidth : labelX),
+                'y': svgValue(labelY),
+                'width': svgValue(labelWidth),
+                'height': svgValue(labelHeight),
+                'fill': theme.annotationBackground
+            }
+        },
+        {
+            'svg': 'text',
+            'attr': {
+                'font-family': chartFontFamily,
+                'font-size': `${svgValue(annotationLabelFontSize)}px`,
+                'fill': theme.annotation,
+                'x': svgValue(isEnd ? labelX - annotationLabelMargin : labelX + annotationLabelMargin),
+                'y': svgValue(labelY + annotationLabelMargin + 0.5 * annotationLabelFontSize),
+                'text-anchor': (isEnd ? 'end' : 'start'),
+                'dominant-baseline': 'middle'
+            },
+            'elem': {'text': label}
+        }
+    ];
+}
+
+
+// Helper function to create an axis annotation's label and line elements - [label background, label text, line]. If
+// "isEnd" is true, the label X coordinate is the label's right edge. An empty label has no label elements.
+export function axisAnnotationElements(label, labelX, labelY, linePath, chartFontSize, theme, isEnd = false) {
+    const [labelBackground, labelText] = annotationLabelElements(label, labelX, labelY, chartFontSize, theme, isEnd) ?? [null, null];
+    return [labelBackground, labelText, linePathElement(theme.annotation, annotationLineWidth, linePath)];
+}
+
+
+// Helper function to create the color legend elements - [(label, color, isTitle), ...]. The color sample function
+// creates an entry's color sample element from its top-left coordinate and size - the default sample is a square.
+// A null color legend X coordinate has no elements.
+export function colorLegendElements(colorLegend, legendX, legendTop, chartFontSize, theme, sampleFn = null) {
+    const colorLegendFontSize = chartFontSize;
+    const colorLegendLabelHeight = colorLegendFontSize;
+    const colorLegendLabelGap = 0.35 * colorLegendLabelHeight;
+    const colorLegendSampleWidth = 1.35 * colorLegendLabelHeight;
+    return legendX === null ? null : colorLegend.map((entry, ix) => {
+        const {label, color} = entry;
+        const isTitle = entry.isTitle ?? false;
+        const entryY = legendTop + ix * (colorLegendLabelHeight + colorLegendLabelGap);
+        let sampleElement = null;
+        if (!isTitle) {
+            sampleElement = (sampleFn !== null ? sampleFn(entry, legendX, entryY, colorLegendLabelHeight) : {
+                'svg': 'rect',
+                'attr': {
+                    'x': svgValue(legendX),
+                    'y': svgValue(entryY),
+                    'width': svgValue(colorLegendLabelHeight),
+                    'height': svgValue(colorLegendLabelHeight),
+                    'stroke': 'none',
+                    'fill': color
+                }
+            });
+        }
+        return [
+            sampleElement,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': chartFontFamily,
+                    'font-size': `${svgValue(colorLegendFontSize)}px`,
+                    'fill': theme.text,
+                    ...(isTitle ? {'style': 'font-weight: bold'} : {}),
+                    'x': svgValue(isTitle ? legendX : legendX + colorLegendSampleWidth),
+                    'y': svgValue(entryY + 0.5 * colorLegendLabelHeight),
+                    'text-anchor': 'start',
+                    'dominant-baseline': 'middle'
+                },
+                'elem': {'text': label}
+            }
+        ];
+    });
+}
@@ -3,12 +3,16 @@
 
 /** @module lib/dataTable */
 
-import {formatValue} from './dataUtil.js';
+import {formatTypes, formatValue, parameterValue, validateNumberFormat, validateTimeZone, valueParameter} from './dataUtil.js';
+import {valueCompare, valueType} from 'bare-script/lib/value.js';
+import {aggregateData} from 'bare-script/lib/data.js';
+import {downloadBlob} from './download.js';
+import {getTheme} from './theme.js';
 import {markdownElements} from 'markdown-model/lib/elements.js';
 import {parseMarkdown} from 'markdown-model/lib/parser.js';
 import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {renderElements} from 'element-model/lib/elementModel.js';
 import {validateType} from 'schema-markdown/lib/schema.js';
-import {valueCompare} from 'bare-script/lib/value.js';
 
 
 // The data table model's Schema Markdown
@@ -32,11 +36,55 @@ struct DataTable
     optional int(>= 0) precision
 
     # The datetime format
-    optional DataTableDatetimeFormat datetime
+    optional DatetimeFormat datetime
+
+    # The datetime display time zone (e.g. "UTC" or "America/New_York"). Default is the local time zone.
+    optional string timeZone
 
     # If true, trim formatted values (default is true)
     optional bool trim
 
+    # The row sort order
+    optional DataTableSort[len > 0] sort
+
+    # If true, the header cells are clickable to sort the table
+    optional bool sortable
+
+    # The number of rows per page. If set, the table is paginated with page controls.
+    optional int(> 0) pageSize
+
+    # The current page number (default is 1)
+    optional int(> 0) page
+
+    # The hash parameter variable name prefix. If set, the user's sort order and page are persisted in the
+    # "var.<var>Sort", "var.<var>Desc", and "var.<var>Page" hash parameters.
+    optional string var
+
+    # The table height, in pixels. If set, the table scrolls and only the visible rows are rendered.
+    optional int(> 0) scrollHeight
+
+    # The field aggregate functions. If set, a totals row is rendered.
+    optional DataTableAggregateFunction{len > 0} aggregates
+
+    # If true, render an aggregate subtotals row whenever a category value changes
+    optional bool subtotals
+
+    # The table download formats. If set, download links are rendered below the table.
+    optional DataTableExportFormat[len > 0] downloads
+
+    # The table download file name, without the file extension (default is "table")
+    optional string downloadName
+
+
+# A data table sort model
+struct DataTableSort
+
+    # The sort field
+    string field
+
+    # If true, sort in descending order
+    optional bool desc
+
 
 # A data table field formatting model
 struct DataTableFieldFormat
@@ -53,6 +101,150 @@ struct DataTableFieldFormat
     # The field header (default is the field name)
     optional string header
 
+    # The field's number format
+    optional NumberFormat number
+
+    # The field's duration format of numeric seconds values (e.g. "2h 05m")
+    optional DurationFormat duration
+
+    # The field's datetime format (default is the table's datetime format)
+    optional DatetimeFormat datetime
+
+    # The field's datetime pattern (e.g. "YYYY-MM-DD HH:mm"). If set, the datetime format is ignored.
+    # Pattern tokens are YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd, HH, H, hh, h, mm, ss, SSS, and A.
+    # Bracketed text (e.g. "[at]") is output as-is.
+    optional string datetimePattern
+
+    # The field's datetime display time zone (default is the table's time zone)
+    optional string timeZone
+
+    # The cell style rules. The first matching rule is applied.
+    optional DataTableCellRule[len > 0] rules
+
+    # The cell background color scale of the field's numeric values
+    optional DataTableColorScale colorScale
+
+    # The cell data bar of the field's numeric values
+    optional DataTableDataBar dataBar
+
+    # The cell sparkline of the field's numeric array values
+    optional DataTableSparkline sparkline
+
+
+# A data table cell style rule. A rule with no value, min, or max matches all values.
+struct DataTableCellRule
+
+    # The matching value
+    optional any value
+
+    # The minimum matching value, inclusive
+    optional any min
+
+    # The maximum matching value, exclusive
+    optional any max
+
+    # The cell background color
+    optional string background
+
+    # The cell text color
+    optional string color
+
+    # If true, the cell text is bold
+    optional bool bold
+
+
+# A data table cell background color scale
+struct DataTableColorScale
+
+    # The background color of the minimum value
+    string minColor
+
+    # The background color of the maximum value
+    string maxColor
+
+    # The minimum value (default is the field's minimum value)
+    optional float min
+
+    # The maximum value (default is the field's maximum value)
+    optional float max
+
+
+# A data table cell data bar
+struct DataTableDataBar
+
+    # The data bar color (default is "rgba(70, 130, 180, 0.4)")
+    optional string color
+
+    # The zero-length data bar value (default is the lesser of zero and the field's minimum value)
+    optional float min
+
+    # The full-length data bar value (default is the greater of zero and the field's maximum value)
+    optional float max
+
+
+# A data table cell sparkline. The sparkline's height is the row's font size.
+struct DataTableSparkline
+
+    # The sparkline type (default is "line")
+    optional DataTableSparklineType type
+
+    # The sparkline color (default is the theme palette's first color)
+    optional string color
+
+    # The sparkline width, as a multiple of the row's font size (default is 6)
+    optional float(> 0) width
+
+    # The sparkline's minimum value (default is the array's minimum value)
+    optional float min
+
+    # The sparkline's maximum value (default is the array's maximum value)
+    optional float max
+
+
+# A sparkline type
+enum DataTableSparklineType
+
+    # A line sparkline
+    line
+
+    # A bar sparkline - bars are drawn from zero
+    bar
+
+
+# A data table export format
+enum DataTableExportFormat
+
+    # Comma-separated values
+    csv
+
+    # Tab-separated values
+    tsv
+
+    # A JSON array of row objects
+    json
+
+    # A Markdown pipe table
+    markdown
+
+
+# A data table aggregate function
+enum DataTableAggregateFunction
+
+    # The average of the field's values
+    average
+
+    # The count of the field's values
+    count
+
+    # The greatest of the field's values
+    max
+
+    # The least of the field's values
+    min
+
+    # The sum of the field's values
+    sum
+
 
 # A field alignment
 enum DataTableFieldAlignment
@@ -61,18 +253,9 @@ enum DataTableFieldAlignment
     center
 
 
-# A datetime format
-enum DataTableDatetimeFormat
-
-    # ISO datetime year format
-    year
-
-    # ISO datetime month format
-    month
-
-    # ISO datetime day format
-    day
-`);
+# A datetime format - this is an alias of DatetimeFormat for data table models that reference the original type name
+typedef DatetimeFormat DataTableDatetimeFormat
+`, {'types': {...formatTypes}});
 
 
 /**
@@ -84,7 +267,13 @@ enum DataTableDatetimeFormat
  * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
  */
 export function validateDataTable(dataTable) {
-    return validateType(dataTableTypes, 'DataTable', dataTable);
+    const dataTableValid = validateType(dataTableTypes, 'DataTable', dataTable);
+    validateTimeZone(dataTableValid.timeZone ?? null, 'timeZone');
+    for (const [field, fieldFormat] of Object.entries(dataTableValid.formats ?? {})) {
+        validateTimeZone(fieldFormat.timeZone ?? null, `formats.${field}.timeZone`);
+        validateNumberFormat(fieldFormat.number ?? null, `formats.${field}.number`);
+    }
+    return dataTableValid;
 }
 
 
@@ -94,11 +283,35 @@ export function validateDataTable(dataTable) {
  * @typedef {Object} DataTableOptions
  * @property {?function} [copyFn] - The
  *     [Markdown copy function]{@link https://craigahobbs.github.io/markdown-model/module-lib_elements.html#~CopyFn}
+ * @property {boolean} [darkMode] - If true, the default theme is the dark mode theme
+ * @property {number} [fontSize] - The font size, in points
+ * @property {?Object} [theme] - The custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ * @property {?function} [updateFn] - The [model update callback function]{@link module:lib/dataTable~DataTableUpdateFn}
  * @property {?function} [urlFn] - The
  *     [Markdown URL modifier function]{@link https://craigahobbs.github.io/markdown-model/module-lib_elements.html#~URLFn}
  */
 
 
+/**
+ * A data table model update callback function. Interactive data tables (sorting and paging) call this function
+ * with the model members changed by the user. If an update callback function is provided, the data table is not
+ * re-rendered in place - the caller is responsible for re-rendering the updated data table.
+ *
+ * @callback DataTableUpdateFn
+ * @param {Object} updates - The updated
+ *     [data table model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='DataTable'} members
+ */
+
+
+// Data table constants
+const defaultFontSize = 12;
+const pixelsPerPoint = 4 / 3;
+const rowHeightRatio = 1.4;
+const pagerPageRadius = 2;
+const scrollRowBuffer = 10;
+
+
 /**
  * Render a data table
  *
@@ -110,6 +323,439 @@ export function validateDataTable(dataTable) {
  */
 export function dataTableElements(data, dataTable = null, options = null) {
     // Compute the table's field names
+    const [categories, tableFields] = dataTableFields(data, dataTable);
+
+    // Sort the rows, if necessary
+    const sorts = (dataTable !== null ? (dataTable.sort ?? null) : null);
+    const sortable = (dataTable !== null ? (dataTable.sortable ?? false) : false);
+    const dataSorted = sortDataTableRows(data, sorts);
+
+    // Compute the current page's rows
+    const pageSize = (dataTable !== null ? (dataTable.pageSize ?? null) : null);
+    const pageCount = (pageSize !== null ? Math.max(1, Math.ceil(dataSorted.length / pageSize)) : 1);
+    const page = (pageSize !== null ? Math.min(Math.max(dataTable.page ?? 1, 1), pageCount) : 1);
+    const pageRows = (pageSize !== null ? dataSorted.slice((page - 1) * pageSize, page * pageSize) : dataSorted);
+
+    // Helper function to update the data table model and re-render the data table
+    const scrollHeight = (dataTable !== null ? (dataTable.scrollHeight ?? null) : null);
+    const downloads = (dataTable !== null ? (dataTable.downloads ?? null) : null);
+    const isInteractive = sortable || pageSize !== null || scrollHeight !== null || downloads !== null;
+    const updateFn = (options !== null ? options.updateFn : null) ?? null;
+    let rootElement = null;
+    const updateTable = (updates) => {
+        if (updateFn !== null) {
+            updateFn(updates);
+        } else {
+            dataTableRender(rootElement, data, {...dataTable, ...updates}, options);
+        }
+    };
+
+    // Helper function to create a header cell element
+    const fieldFormats = (dataTable !== null ? (dataTable.formats ?? null) : null);
+    const headerElement = (field) => {
+        const fieldFormat = (fieldFormats !== null ? (fieldFormats[field] ?? null) : null);
+        const fieldSort = (sorts !== null ? (sorts.find((sort) => sort.field === field) ?? null) : null);
+        const sortMarker = (fieldSort !== null ? (fieldSort.desc ? ' ▼' : ' ▲') : '');
+        const element = {
+            'html': 'th',
+            'attr': createFieldAttr(fieldFormat, [
+                ...(sortable ? sortableStyles : []),
+                ...(scrollHeight !== null ? stickyHeaderStyles : [])
+            ]),
+            'elem': {'text': `${fieldHeader(field, fieldFormat)}${sortMarker}`}
+        };
+
+        // Sort the table on header click?
+        if (sortable) {
+            element.callback = (thElement) => {
+                thElement.addEventListener('click', () => {
+                    // Toggle the sort direction if this is the primary sort field
+                    const sortFirst = (sorts !== null ? sorts[0] : null);
+                    const desc = sortFirst !== null && sortFirst.field === field && !sortFirst.desc;
+                    const sortNew = [desc ? {field, 'desc': true} : {field}];
+                    updateTable(pageSize !== null ? {'sort': sortNew, 'page': 1} : {'sort': sortNew});
+                });
+            };
+        }
+
+        return element;
+    };
+
+    // Value formatting function
+    const formatFieldValue = fieldValueFormatter(dataTable, [...categories, ...tableFields]);
+
+    // Helper function to create an aggregate row element
+    const aggregates = (dataTable !== null ? (dataTable.aggregates ?? null) : null);
+    const aggregateElement = (rows, labelField, labelElements, isSticky = false) => {
+        const aggregation = {'measures': Object.entries(aggregates).map(([field, aggregate]) => ({field, 'function': aggregate}))};
+        const [aggregateRow = {}] = aggregateData(rows, aggregation);
+        const cellElement = (field) => {
+            const fieldFormat = (fieldFormats !== null ? (fieldFormats[field] ?? null) : null);
+            let cellElements = null;
+            if (field in aggregates) {
+                cellElements = {'text': formatFieldValue(field, aggregateRow[field] ?? null)};
+            } else if (field === labelField) {
+                cellElements = labelElements;
+            }
+            return {
+                'html': 'td',
+                'attr': createFieldAttr(fieldFormat, [...aggregateStyles, ...(isSticky ? stickyFooterStyles : [])]),
+                'elem': cellElements
+            };
+        };
+        return {
+            'html': 'tr',
+            'elem': [
+                categories.map(cellElement),
+                tableFields.map(cellElement)
+            ]
+        };
+    };
+
+    // Compute the subtotal rows and the totals row, if necessary
+    const subtotals = (dataTable !== null ? (dataTable.subtotals ?? false) : false);
+    const subtotalRows = (aggregates !== null && subtotals && categories.length !== 0 ? subtotalGroups(dataSorted, categories) : null);
+    const pageRowOffset = (pageSize !== null ? (page - 1) * pageSize : 0);
+    let totalsElement = null;
+    if (aggregates !== null) {
+        const totalsLabelField = (categories.length !== 0 ? categories[0] : (tableFields.find((field) => !(field in aggregates)) ?? null));
+        totalsElement = aggregateElement(dataSorted, totalsLabelField, {'text': 'Total'}, scrollHeight !== null);
+    }
+
+    // Compute the numeric value ranges of the color scale and data bar fields
+    const fieldRanges = {};
+    if (fieldFormats !== null) {
+        for (const [field, fieldFormat] of Object.entries(fieldFormats)) {
+            if ('colorScale' in fieldFormat || 'dataBar' in fieldFormat) {
+                fieldRanges[field] = numberRange(dataSorted, field);
+            }
+        }
+    }
+
+    // Helper function to create a data cell's content elements
+    const markdownOptions = {
+        'copyFn': (options !== null ? options.copyFn : null) ?? null,
+        'urlFn': (options !== null ? options.urlFn : null) ?? null
+    };
+    const theme = getTheme(options);
+    const fieldCellElements = (field, fieldFormat, value) => {
+        const sparkline = (fieldFormat !== null ? (fieldFormat.sparkline ?? null) : null);
+        if (sparkline !== null && Array.isArray(value)) {
+            return sparklineElements(sparkline, value, theme);
+        } else if (fieldFormat !== null && fieldFormat.markdown) {
+            return markdownElements(parseMarkdown(`${value}`), markdownOptions);
+        }
+        return {'text': formatFieldValue(field, value)};
+    };
+
+    // Helper function to create the data row elements
+    const rowElements = (ixRowStart, ixRowEnd) => pageRows.slice(ixRowStart, ixRowEnd).map((row, ixRowSlice) => {
+        // The first rendered row always shows its category values - the previous row may not be rendered
+        const ixRow = ixRowStart + ixRowSlice;
+        const rowPrev = ixRowSlice > 0 ? pageRows[ixRow - 1] : null;
+        let skip = rowPrev !== null;
+        const rowElement = {
+            'html': 'tr',
+            'elem': [
+                categories.map((field) => {
+                    const value = row[field] ?? null;
+
+                    // Skip this value?
+                    if (skip) {
+                        skip = (valueCompare(value, rowPrev[field] ?? null) === 0);
+                    }
+
+                    const fieldFormat = (fieldFormats !== null ? (fieldFormats[field] ?? null) : null);
+                    const fieldElements = fieldCellElements(field, fieldFormat, value);
+                    return {
+                        'html': 'td',
+                        'attr': createFieldAttr(fieldFormat, skip ? [] : cellFormatStyles(fieldFormat, value, fieldRanges[field] ?? null)),
+                        'elem': (skip ? null : fieldElements)
+                    };
+                }),
+                tableFields.map((field) => {
+                    const value = row[field] ?? null;
+                    const fieldFormat = (fieldFormats !== null ? (fieldFormats[field] ?? null) : null);
+                    const fieldElements = fieldCellElements(field, fieldFormat, value);
+                    return {
+                        'html': 'td',
+                        'attr': createFieldAttr(fieldFormat, cellFormatStyles(fieldFormat, value, fieldRanges[field] ?? null)),
+                        'elem': fieldElements
+                    };
+                })
+            ]
+        };
+
+        // Subtotal rows?
+        const rowSubtotals = (subtotalRows !== null ? (subtotalRows.get(pageRowOffset + ixRow) ?? null) : null);
+        if (rowSubtotals !== null) {
+            return [
+                rowElement,
+                rowSubtotals.map(([ixCategory, groupRows]) => {
+                    const category = categories[ixCategory];
+                    return aggregateElement(groupRows, category, {'text': formatFieldValue(category, groupRows[0][category] ?? null)});
+                })
+            ];
+        }
+
+        return rowElement;
+    });
+
+    // Helper function to create the table element
+    const tableElement = (rowsElements) => {
+        const element = {
+            'html': 'table',
+            'elem': [
+                // Table header
+                {
+                    'html': 'tr',
+                    'elem': [
+                        categories.map(headerElement),
+                        tableFields.map(headerElement)
+                    ]
+                },
+
+                // Table data
+                rowsElements
+            ]
+        };
+
+        // Totals row
+        if (totalsElement !== null) {
+            element.elem.push(totalsElement);
+        }
+
+        return element;
+    };
+
+    // Static data table?
+    if (!isInteractive) {
+        return tableElement(rowElements(0, pageRows.length));
+    }
+
+    // Virtual-scrolling table?
+    let tableElements;
+    if (scrollHeight !== null) {
+        // Helper function to compute the visible row range
+        const fontSizePx = pixelsPerPoint * (options !== null && 'fontSize' in options ? options.fontSize : defaultFontSize);
+        let rowHeight = rowHeightRatio * fontSizePx;
+        const scrollRowRange = (scrollTop) => {
+            const ixRowStart = Math.max(0, Math.min(pageRows.length, Math.floor(scrollTop / rowHeight)) - scrollRowBuffer);
+            const ixRowEnd = Math.min(pageRows.length, ixRowStart + Math.ceil(scrollHeight / rowHeight) + 2 * scrollRowBuffer);
+            return [ixRowStart, ixRowEnd];
+        };
+
+        // Helper function to create the visible row elements, with spacer rows for the non-visible rows
+        const scrollRowElements = ([ixRowStart, ixRowEnd]) => [
+            ixRowStart === 0 ? null : {'html': 'tr', 'attr': {'style': `height: ${(ixRowStart * rowHeight).toFixed(0)}px`}},
+            rowElements(ixRowStart, ixRowEnd),
+            ixRowEnd === pageRows.length ? null : {
+                'html': 'tr',
+                'attr': {'style': `height: ${((pageRows.length - ixRowEnd) * rowHeight).toFixed(0)}px`}
+            }
+        ];
+
+        // Helper function to render the visible rows
+        let scrollRows = scrollRowRange(0);
+        const scrollRender = (scrollElement) => {
+            // Measure the average rendered row height - a data row's subtotal rows are included in its height
+            const [ixRowStart, ixRowEnd] = scrollRows;
+            const trElements = Array.from(scrollElement.firstChild.children);
+            const ixRowElementStart = (ixRowStart === 0 ? 1 : 2);
+            const ixRowElementEnd = trElements.length - (ixRowEnd === pageRows.length ? 0 : 1) - (totalsElement !== null ? 1 : 0);
+            const rowsHeight = trElements.slice(ixRowElementStart, ixRowElementEnd).reduce((height, tr) => height + tr.offsetHeight, 0);
+            if (rowsHeight > 0 && ixRowEnd > ixRowStart) {
+                rowHeight = rowsHeight / (ixRowEnd - ixRowStart);
+            }
+
+            // Render the visible rows, if they've changed
+            const scrollRowsNew = scrollRowRange(scrollElement.scrollTop);
+            if (scrollRowsNew[0] !== ixRowStart || scrollRowsNew[1] !== ixRowEnd) {
+                scrollRows = scrollRowsNew;
+                renderElements(scrollElement, tableElement(scrollRowElements(scrollRows)));
+            }
+        };
+
+        tableElements = {
+            'html': 'div',
+            'attr': {'style': `height: ${scrollHeight}px; overflow-y: auto`},
+            'elem': tableElement(scrollRowElements(scrollRows)),
+            'callback': (scrollElement) => {
+                // Render at most once per animation frame
+                let isRenderPending = false;
+                scrollElement.addEventListener('scroll', () => {
+                    if (!isRenderPending) {
+                        isRenderPending = true;
+                        scrollElement.ownerDocument.defaultView.requestAnimationFrame(() => {
+                            isRenderPending = false;
+                            scrollRender(scrollElement);
+                        });
+                    }
+                });
+            }
+        };
+    } else {
+        tableElements = tableElement(rowElements(0, pageRows.length));
+    }
+
+    // Helper function to create a pager link element
+    const pagerLink = (text, pageLink) => {
+        if (pageLink === null || pageLink === page) {
+            return {'text': text};
+        }
+        return {
+            'html': 'a',
+            'attr': {'style': 'cursor: pointer'},
+            'elem': {'text': text},
+            'callback': (element) => {
+                element.addEventListener('click', () => {
+                    updateTable({'page': pageLink});
+                });
+            }
+        };
+    };
+
+    // Helper function to create a download link element
+    const downloadName = (dataTable !== null ? (dataTable.downloadName ?? null) : null) ?? defaultDownloadName;
+    const downloadLink = (format) => {
+        const {name, extension, contentType} = dataTableExportFormats[format];
+        return {
+            'html': 'a',
+            'attr': {'style': 'cursor: pointer'},
+            'elem': {'text': name},
+            'callback': (element) => {
+                element.addEventListener('click', () => {
+                    const exportBlob = new Blob([exportDataTable(data, dataTable, format)], {'type': contentType});
+                    downloadBlob(element.ownerDocument.defaultView, exportBlob, `${downloadName}.${extension}`);
+                });
+            }
+        };
+    };
+
+    return {
+        'html': 'div',
+        'elem': [
+            tableElements,
+
+            // Pager
+            pageSize === null ? null : {
+                'html': 'p',
+                'elem': [
+                    {'text': '( '},
+                    pagerLink('Previous', page > 1 ? page - 1 : null),
+                    {'text': ' | '},
+                    pagerPageNumbers(page, pageCount).map((pageNumber, ixPageNumber) => [
+                        ixPageNumber === 0 ? null : {'text': ' '},
+                        pageNumber === null ? {'text': '…'} : pagerLink(`${pageNumber}`, pageNumber)
+                    ]),
+                    {'text': ' | '},
+                    pagerLink('Next', page < pageCount ? page + 1 : null),
+                    {'text': ' )'}
+                ]
+            },
+
+            // Downloads
+            downloads === null ? null : {
+                'html': 'p',
+                'elem': [
+                    {'text': 'Download: '},
+                    downloads.map((format, ixFormat) => [
+                        ixFormat === 0 ? null : {'text': ' | '},
+                        downloadLink(format)
+                    ])
+                ]
+            }
+        ],
+        'callback': (element) => {
+            rootElement = element;
+        }
+    };
+}
+
+
+/**
+ * The data table export formats - map of export format to export format information
+ */
+export const dataTableExportFormats = {
+    'csv': {'name': 'CSV', 'extension': 'csv', 'contentType': 'text/csv'},
+    'tsv': {'name': 'TSV', 'extension': 'tsv', 'contentType': 'text/tab-separated-values'},
+    'json': {'name': 'JSON', 'extension': 'json', 'contentType': 'application/json'},
+    'markdown': {'name': 'Markdown', 'extension': 'md', 'contentType': 'text/markdown'}
+};
+
+const defaultDownloadName = 'table';
+
+
+/**
+ * Export a data table's rows as CSV, TSV, JSON, or a Markdown pipe table. The rows are sorted by the table's sort
+ * order and the values are formatted with the table's field formats. The column names are the table's field headers.
+ * JSON rows are keyed by field name and their null, boolean, number, and string values are unformatted (datetimes are
+ * ISO strings).
+ *
+ * @param {Object[]} data - The data array
+ * @param {?Object} [dataTable = null] - The
+ *     [data table model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='DataTable'}
+ * @param {string} [format = 'csv'] - The
+ *     [export format]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='DataTableExportFormat'}
+ * @returns {string} The exported data table text
+ */
+export function exportDataTable(data, dataTable = null, format = 'csv') {
+    // Compute the table's fields, sorted rows, and formatted values
+    const [categories, tableFields] = dataTableFields(data, dataTable);
+    const fields = [...categories, ...tableFields];
+    const fieldFormats = (dataTable !== null ? (dataTable.formats ?? null) : null);
+    const fieldFormatList = fields.map((field) => (fieldFormats !== null ? (fieldFormats[field] ?? null) : null));
+    const formatFieldValue = fieldValueFormatter(dataTable, fields);
+    const sortedRows = sortDataTableRows(data, dataTable !== null ? (dataTable.sort ?? null) : null);
+
+    // JSON array of row objects?
+    if (format === 'json') {
+        return JSON.stringify(sortedRows.map((row) => Object.fromEntries(fields.map((field) => {
+            const value = row[field] ?? null;
+            return [field, (jsonValueTypes.has(valueType(value)) ? value : formatFieldValue(field, value))];
+        }))), null, 4);
+    }
+
+    // Compute the headers and formatted row values
+    const headers = fields.map((field, ixField) => fieldHeader(field, fieldFormatList[ixField]));
+    const rows = sortedRows.map((row) => fields.map((field) => {
+        const value = row[field] ?? null;
+        return (value === null ? '' : formatFieldValue(field, value));
+    }));
+
+    // Markdown pipe table?
+    if (format === 'markdown') {
+        const markdownCell = (text) => text.replace(rMarkdownCellNewline, ' ').replaceAll('|', '\\|');
+        const alignments = fieldFormatList.map(
+            (fieldFormat) => markdownAlignments[(fieldFormat !== null ? (fieldFormat.align ?? null) : null) ?? 'left']
+        );
+        return [headers, alignments, ...rows].map((row, ixRow) => (
+            `| ${row.map((text) => (ixRow === 1 ? text : markdownCell(text))).join(' | ')} |`
+        )).join('\n');
+    }
+
+    // Delimiter-separated values
+    let delimitedCell;
+    let delimiter;
+    if (format === 'tsv') {
+        delimiter = '\t';
+        delimitedCell = (text) => text.replace(rTSVCellWhitespace, ' ');
+    } else {
+        delimiter = ',';
+        delimitedCell = (text) => (rCSVCellQuote.test(text) ? `"${text.replaceAll('"', '""')}"` : text);
+    }
+    return [headers, ...rows].map((row) => row.map(delimitedCell).join(delimiter)).join('\n');
+}
+
+const jsonValueTypes = new Set(['null', 'boolean', 'number', 'string', 'datetime']);
+const markdownAlignments = {'left': '---', 'center': ':---:', 'right': '---:'};
+const rMarkdownCellNewline = /\r?\n/g;
+const rTSVCellWhitespace = /[\t\r\n]/g;
+const rCSVCellQuote = /[",\r\n]/;
+
+
+// Helper function to compute a data table's field names - [categories, fields]
+function dataTableFields(data, dataTable) {
     const categories = (dataTable !== null ? (dataTable.categories ?? []) : []);
     let tableFields = (dataTable !== null ? (dataTable.fields ?? null) : null);
     if (tableFields === null) {
@@ -124,90 +770,249 @@ export function dataTableElements(data, dataTable = null, options = null) {
             tableFields = tableFields.filter((key) => categories.indexOf(key) === -1);
         }
     }
+    return [categories, tableFields];
+}
 
-    // Generate the data table's element model
+
+// Helper function to sort a data table's rows
+function sortDataTableRows(data, sorts) {
+    return (sorts === null ? data : [...data].sort((row1, row2) => sorts.reduce((result, sort) => {
+        if (result !== 0) {
+            return result;
+        }
+        const compare = valueCompare(row1[sort.field] ?? null, row2[sort.field] ?? null);
+        return sort.desc ? -compare : compare;
+    }, 0)));
+}
+
+
+// Helper function to create a data table's field value formatting function
+function fieldValueFormatter(dataTable, fields) {
     const fieldFormats = (dataTable !== null ? (dataTable.formats ?? null) : null);
-    const markdownOptions = {
-        'copyFn': (options !== null ? options.copyFn : null) ?? null,
-        'urlFn': (options !== null ? options.urlFn : null) ?? null
-    };
     const formatPrecision = (dataTable !== null ? (dataTable.precision ?? null) : null);
     const formatDatetime = (dataTable !== null ? (dataTable.datetime ?? null) : null);
     const formatTrim = (dataTable !== null ? (dataTable.trim ?? null) : null);
-    return {
-        'html': 'table',
-        'elem': [
-            // Table header
-            {
-                'html': 'tr',
-                'elem': [
-                    categories.map((field) => {
-                        const fieldFormat = (fieldFormats !== null ? (fieldFormats[field] ?? null) : null);
-                        const formatHeader = (fieldFormat !== null ? (fieldFormat.header ?? null) : null);
-                        return {
-                            'html': 'th',
-                            'attr': createFieldAttr(fieldFormat),
-                            'elem': {'text': formatHeader ?? field}
-                        };
-                    }),
-                    tableFields.map((field) => {
-                        const fieldFormat = (fieldFormats !== null ? (fieldFormats[field] ?? null) : null);
-                        const formatHeader = (fieldFormat !== null ? (fieldFormat.header ?? null) : null);
-                        return {
-                            'html': 'th',
-                            'attr': createFieldAttr(fieldFormat),
-                            'elem': {'text': formatHeader ?? field}
-                        };
-                    })
-                ]
-            },
+    const formatTimeZone = (dataTable !== null ? (dataTable.timeZone ?? null) : null);
+    const fieldValueFormats = {};
+    for (const field of fields) {
+        const fieldFormat = (fieldFormats !== null ? (fieldFormats[field] ?? null) : null);
+        fieldValueFormats[field] = {'datetime': formatDatetime, 'timeZone': formatTimeZone, ...fieldFormat};
+    }
+    return (field, value) => {
+        const valueFormat = fieldValueFormats[field];
+        return formatValue(value, formatPrecision, valueFormat.datetime, formatTrim, valueFormat);
+    };
+}
 
-            // Table data
-            data.map((row, ixRow) => {
-                const rowPrev = ixRow > 0 ? data[ixRow - 1] : null;
-                let skip = rowPrev !== null;
-                return {
-                    'html': 'tr',
-                    'elem': [
-                        categories.map((field) => {
-                            const value = row[field] ?? null;
-
-                            // Skip this value?
-                            if (skip) {
-                                skip = (valueCompare(value, rowPrev[field] ?? null) === 0);
-                            }
-
-                            const fieldFormat = (fieldFormats !== null ? (fieldFormats[field] ?? null) : null);
-                            const fieldElements = fieldFormat !== null && fieldFormat.markdown
-                                ? markdownElements(parseMarkdown(`${value}`), markdownOptions)
-                                : {'text': formatValue(value, formatPrecision, formatDatetime, formatTrim)};
-                            return {
-                                'html': 'td',
-                                'attr': createFieldAttr(fieldFormat),
-                                'elem': (skip ? null : fieldElements)
-                            };
-                        }),
-                        tableFields.map((field) => {
-                            const value = row[field] ?? null;
-                            const fieldFormat = (fieldFormats !== null ? (fieldFormats[field] ?? null) : null);
-                            const fieldElements = fieldFormat !== null && fieldFormat.markdown
-                                ? markdownElements(parseMarkdown(`${value}`), markdownOptions)
-                                : {'text': formatValue(value, formatPrecision, formatDatetime, formatTrim)};
-                            return {
-                                'html': 'td',
-                                'attr': createFieldAttr(fieldFormat),
-                                'elem': fieldElements
-                            };
-                        })
-                    ]
-                };
-            })
-        ]
+
+// Helper function to compute a field's header text
+function fieldHeader(field, fieldFormat) {
+    return (fieldFormat !== null ? (fieldFormat.header ?? null) : null) ?? field;
+}
+
+
+// Helper function to re-render a data table in-place
+function dataTableRender(rootElement, data, dataTable, options) {
+    const parent = rootElement.ownerDocument.createElement('div');
+    renderElements(parent, dataTableElements(data, dataTable, options));
+    rootElement.replaceWith(...parent.childNodes);
+}
+
+
+// Helper function to compute the pager's page numbers - null is a gap in page numbers
+function pagerPageNumbers(page, pageCount) {
+    const pageNumbers = [];
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        if (pageNumber === 1 || pageNumber === pageCount || Math.abs(pageNumber - page) <= pagerPageRadius) {
+            pageNumbers.push(pageNumber);
+        } else if (pageNumbers[pageNumbers.length - 1] !== null) {
+            pageNumbers.push(null);
+        }
+    }
+    return pageNumbers;
+}
+
+
+// Helper function to compute the category subtotal groups - map of row index to [[category index, group rows], ...]
+function subtotalGroups(rows, categories) {
+    const groups = new Map();
+    const groupStarts = categories.map(() => 0);
+    for (let ixRow = 0; ixRow < rows.length; ixRow++) {
+        // Find the first category that changes at the next row
+        const row = rows[ixRow];
+        const rowNext = (ixRow + 1 < rows.length ? rows[ixRow + 1] : null);
+        const ixChange = (rowNext === null ? 0
+            : categories.findIndex((field) => valueCompare(row[field] ?? null, rowNext[field] ?? null) !== 0));
+        if (ixChange === -1) {
+            continue;
+        }
+
+        // Add the subtotal groups, innermost category first
+        const rowGroups = [];
+        for (let ixCategory = categories.length - 1; ixCategory >= ixChange; ixCategory--) {
+            rowGroups.push([ixCategory, rows.slice(groupStarts[ixCategory], ixRow + 1)]);
+            groupStarts[ixCategory] = ixRow + 1;
+        }
+        groups.set(ixRow, rowGroups);
+    }
+    return groups;
+}
+
+
+// Helper function to compute a field's numeric value range - [min, max] or null if there are no numeric values
+function numberRange(rows, field) {
+    let minValue = null;
+    let maxValue = null;
+    for (const row of rows) {
+        const value = row[field] ?? null;
+        if (typeof value === 'number') {
+            minValue = (minValue === null ? value : Math.min(minValue, value));
+            maxValue = (maxValue === null ? value : Math.max(maxValue, value));
+        }
+    }
+    return (minValue !== null ? [minValue, maxValue] : null);
+}
+
+
+// Helper function to compute a data cell's conditional format styles
+function cellFormatStyles(fieldFormat, value, fieldRange) {
+    const cellStyles = [];
+    if (fieldFormat === null) {
+        return cellStyles;
+    }
+
+    // Find the first matching cell style rule
+    const rule = (fieldFormat.rules ?? []).find((ruleMatch) => (
+        (!('value' in ruleMatch) || valueCompare(value, ruleMatch.value) === 0) &&
+            (!('min' in ruleMatch) || (value !== null && valueCompare(value, ruleMatch.min) >= 0)) &&
+            (!('max' in ruleMatch) || (value !== null && valueCompare(value, ruleMatch.max) < 0))
+    )) ?? null;
+
+    // Background color - a rule background takes precedence over the color scale
+    const colorScale = fieldFormat.colorScale ?? null;
+    if (rule !== null && 'background' in rule) {
+        cellStyles.push(`background-color: ${rule.background}`);
+    } else if (colorScale !== null && typeof value === 'number') {
+        const scaleParam = valueParameter(value, colorScale.min ?? fieldRange[0], colorScale.max ?? fieldRange[1]);
+        const scalePercent = (100 * Math.min(Math.max(scaleParam, 0), 1)).toFixed(1);
+        cellStyles.push(`background-color: color-mix(in srgb, ${colorScale.maxColor} ${scalePercent}%, ${colorScale.minColor})`);
+    }
+
+    // Data bar
+    const dataBar = fieldFormat.dataBar ?? null;
+    if (dataBar !== null && typeof value === 'number') {
+        const barParam = valueParameter(value, dataBar.min ?? Math.min(0, fieldRange[0]), dataBar.max ?? Math.max(0, fieldRange[1]));
+        const barPercent = (100 * Math.min(Math.max(barParam, 0), 1)).toFixed(1);
+        const barColor = dataBar.color ?? defaultDataBarColor;
+        cellStyles.push(`background-image: linear-gradient(to right, ${barColor} ${barPercent}%, transparent ${barPercent}%)`);
+    }
+
+    // Text styles
+    if (rule !== null && 'color' in rule) {
+        cellStyles.push(`color: ${rule.color}`);
+    }
+    if (rule !== null && rule.bold) {
+        cellStyles.push('font-weight: bold');
+    }
+
+    return cellStyles;
+}
+
+const defaultDataBarColor = 'rgba(70, 130, 180, 0.4)';
+
+
+// Helper function to create a cell sparkline's SVG element
+function sparklineElements(sparkline, values, theme) {
+    // Compute the sparkline's value range - bar sparklines include zero
+    const isBar = sparkline.type === 'bar';
+    const numbers = values.filter((value) => typeof value === 'number');
+    let minValue = sparkline.min ?? (numbers.length !== 0 ? Math.min(...numbers) : 0);
+    let maxValue = sparkline.max ?? (numbers.length !== 0 ? Math.max(...numbers) : 0);
+    if (isBar) {
+        minValue = Math.min(0, minValue);
+        maxValue = Math.max(0, maxValue);
+    }
+
+    // Sparkline calculations - in units of 1/12 of the row's font size
+    const sparklineWidth = sparkline.width ?? defaultSparklineWidth;
+    const width = sparklineUnitsPerEm * sparklineWidth;
+    const height = sparklineUnitsPerEm;
+    const color = sparkline.color ?? theme.palette[0];
+    const svgValue = (value) => value.toFixed(sparklinePrecision);
+    const pointY = (value) => parameterValue(Math.min(Math.max(valueParameter(value, minValue, maxValue), 0), 1), height - 1, 1);
+
+    // Render the sparkline
+    let sparklineElement;
+    if (isBar) {
+        const barWidth = width / values.length;
+        const zeroY = pointY(0);
+        sparklineElement = values.map((value, ixValue) => {
+            if (typeof value !== 'number') {
+                return null;
+            }
+            const valueY = pointY(value);
+            return {
+                'svg': 'rect',
+                'attr': {
+                    'x': svgValue(ixValue * barWidth + 0.1 * barWidth),
+                    'y': svgValue(Math.min(valueY, zeroY)),
+                    'width': svgValue(0.8 * barWidth),
+                    'height': svgValue(Math.abs(zeroY - valueY)),
+                    'fill': color
+                }
+            };
+        });
+    } else {
+        // Non-numeric values are gaps in the line
+        const pointX = (ixValue) => parameterValue(valueParameter(ixValue, 0, values.length - 1), 1, width - 1);
+        const pathParts = [];
+        let isGap = true;
+        for (const [ixValue, value] of values.entries()) {
+            if (typeof value !== 'number') {
+                isGap = true;
+            } else {
+                pathParts.push(`${isGap ? 'M' : 'L'} ${svgValue(pointX(ixValue))} ${svgValue(pointY(value))}`);
+                isGap = false;
+            }
+        }
+        sparklineElement = pathParts.length === 0 ? null : {
+            'svg': 'path',
+            'attr': {
+                'stroke': color,
+                'stroke-width': '1',
+                'stroke-linejoin': 'round',
+                'stroke-linecap': 'round',
+                'fill': 'none',
+                'd': pathParts.join(' ')
+            }
+        };
+    }
+
+    return {
+        'svg': 'svg',
+        'attr': {
+            'width': `${sparklineWidth}em`,
+            'height': '1em',
+            'viewBox': `0 0 ${svgValue(width)} ${svgValue(height)}`,
+            'style': 'vertical-align: middle'
+        },
+        'elem': sparklineElement
     };
 }
 
+const defaultSparklineWidth = 6;
+const sparklineUnitsPerEm = 12;
+const sparklinePrecision = 3;
+
+
+// Field cell styles
+const sortableStyles = ['cursor: pointer', 'user-select: none'];
+const stickyHeaderStyles = ['position: sticky', 'top: 0', 'background: var(--markdown-model-color-background)'];
+const stickyFooterStyles = ['position: sticky', 'bottom: 0', 'background: var(--markdown-model-color-background)'];
+const aggregateStyles = ['font-weight: bold', 'border-top: 1px solid var(--markdown-model-color-border)'];
+
 
-function createFieldAttr(fieldFormat) {
+function createFieldAttr(fieldFormat, cellStyles = []) {
     const fieldStyles = [];
     if (fieldFormat !== null && 'align' in fieldFormat) {
         fieldStyles.push(`text-align: ${fieldFormat.align}`);
@@ -215,5 +1020,6 @@ function createFieldAttr(fieldFormat) {
     if (fieldFormat !== null && fieldFormat.nowrap) {
         fieldStyles.push('white-space: nowrap');
     }
+    fieldStyles.push(...cellStyles);
     return (fieldStyles.length ? {'style': fieldStyles.join('; ')} : null);
 }
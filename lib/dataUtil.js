@@ -1,41 +1,119 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
 
-import {valueString, valueType} from 'bare-script/lib/value.js';
+import {ValidationError} from 'schema-markdown/lib/schema.js';
+import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {valueType} from 'bare-script/lib/value.js';
+
+
+// The value format models' Schema Markdown - the data table and chart models reference these types
+export const formatTypes = parseSchemaMarkdown(`\
+group "Format"
+
+
+# A number format
+struct NumberFormat
+
+    # The number format style (default is "decimal")
+    optional NumberStyle style
+
+    # The ISO 4217 currency code of the "currency" style (default is "USD")
+    optional string(len == 3) currency
+
+    # If true, use grouping separators (default is true)
+    optional bool grouping
+
+    # If true, use compact notation (e.g. "1.2M")
+    optional bool compact
+
+    # The number of significant digits. If set, the precision is ignored.
+    optional int(>= 1, <= 21) significant
+
+    # The BCP 47 locale (default is "en-US")
+    optional string locale
+
+    # The formatted number's prefix
+    optional string prefix
+
+    # The formatted number's suffix (e.g. a unit)
+    optional string suffix
+
+
+# A number format style
+enum NumberStyle
+
+    # Decimal number format
+    decimal
+
+    # Currency format
+    currency
+
+    # Percent format - the value 1 is "100%"
+    percent
+
+
+# A datetime format
+enum DatetimeFormat
+
+    # ISO datetime year format
+    year
+
+    # ISO datetime month format
+    month
+
+    # ISO datetime day format
+    day
+
+    # ISO datetime hour format
+    hour
+
+    # ISO datetime minute format
+    minute
+
+    # ISO datetime second format
+    second
+
+
+# A duration format - the smallest duration unit displayed
+enum DurationFormat
+
+    # Duration days format (e.g. "2d")
+    day
+
+    # Duration hours format (e.g. "2d 05h")
+    hour
+
+    # Duration minutes format (e.g. "2h 05m")
+    minute
+
+    # Duration seconds format (e.g. "5m 30s")
+    second
+`);
 
 
 // Helper function to format labels
-export function formatValue(value, precision = null, datetime = null, trim = null) {
+//
+// The optional format object is a field format model (e.g. DataTableFieldFormat) - its "number", "duration",
+// "datetimePattern", and "timeZone" members are used.
+export function formatValue(value, precision = null, datetime = null, trim = null, format = null) {
     const type = valueType(value);
     if (type === 'datetime') {
-        if (datetime === 'year') {
-            // Round to nearest year
-            let valueRounded = value;
-            if (value.getMonth() > 5) {
-                valueRounded = new Date(value);
-                valueRounded.setFullYear(value.getFullYear() + 1);
-            }
-
-            const isoFormat = valueString(valueRounded);
-            return isoFormat.slice(0, isoFormat.indexOf('T') - 6);
-        } else if (datetime === 'month') {
-            // Round to the nearest month
-            let valueRounded = value;
-            if (value.getDate() > 15) {
-                valueRounded = new Date(value);
-                valueRounded.setMonth(value.getMonth() + 1);
-            }
-
-            const isoFormat = valueString(valueRounded);
-            return isoFormat.slice(0, isoFormat.indexOf('T') - 3);
-        } else if (datetime === 'day') {
-            const isoFormat = valueString(value);
-            return isoFormat.slice(0, isoFormat.indexOf('T'));
+        const timeZone = (format !== null ? (format.timeZone ?? null) : null);
+        const datetimePattern = (format !== null ? (format.datetimePattern ?? null) : null);
+        if (datetimePattern !== null) {
+            return formatDatetimePattern(value, datetimePattern, timeZone);
         }
-        return valueString(value).replace(rDateCleanup, '');
+        return formatDatetime(value, datetime, timeZone);
     } else if (type === 'number') {
-        const numberFormat = value.toFixed(precision ?? defaultPrecision);
-        return (trim ?? defaultTrim) ? numberFormat.replace(rNumberCleanup, '') : numberFormat;
+        const duration = (format !== null ? (format.duration ?? null) : null);
+        const numberFormat = (format !== null ? (format.number ?? null) : null);
+        if (duration !== null) {
+            return formatDuration(value, duration);
+        } else if (numberFormat !== null) {
+            return formatNumber(value, precision, trim, numberFormat);
+        }
+        const numberFixed = value.toFixed(precision ?? defaultPrecision);
+        return (trim ?? defaultTrim) ? numberFixed.replace(rNumberCleanup, '') : numberFixed;
     }
     return `${value}`;
 }
@@ -43,7 +121,224 @@ export function formatValue(value, precision = null, datetime = null, trim = nul
 const defaultPrecision = 2;
 const defaultTrim = true;
 const rNumberCleanup = /\.0*$/;
-const rDateCleanup = /(?:(?:(?:-01)?T00:00)?:00)?(?:\.\d{1,6})?(?:Z|[+-]\d\d:\d\d)$/;
+
+
+// Helper function to format a datetime using a datetime format (e.g. DatetimeFormat)
+function formatDatetime(value, datetime, timeZone) {
+    const parts = datetimeParts(value, timeZone);
+    if (datetime === 'year') {
+        // Round to nearest year
+        return padNumber(parts.year + (parts.month > 6 ? 1 : 0), 4);
+    } else if (datetime === 'month') {
+        // Round to the nearest month
+        let {year, month} = parts;
+        if (parts.day > 15) {
+            month += 1;
+            if (month > 12) {
+                year += 1;
+                month = 1;
+            }
+        }
+        return `${padNumber(year, 4)}-${padNumber(month, 2)}`;
+    }
+
+    const dateFormat = `${padNumber(parts.year, 4)}-${padNumber(parts.month, 2)}-${padNumber(parts.day, 2)}`;
+    if (datetime === 'day') {
+        return dateFormat;
+    } else if (datetime === 'hour') {
+        return `${dateFormat}T${padNumber(parts.hour, 2)}:00`;
+    } else if (datetime === 'minute') {
+        return `${dateFormat}T${padNumber(parts.hour, 2)}:${padNumber(parts.minute, 2)}`;
+    } else if (datetime === 'second') {
+        return `${dateFormat}T${padNumber(parts.hour, 2)}:${padNumber(parts.minute, 2)}:${padNumber(parts.second, 2)}`;
+    }
+    return `${dateFormat}T${padNumber(parts.hour, 2)}:${padNumber(parts.minute, 2)}:${padNumber(parts.second, 2)}`
+        .replace(rDateCleanup, '');
+}
+
+const rDateCleanup = /(?:(?:(?:-01)?T00:00)?:00)?$/;
+
+
+// Helper function to format a datetime using a pattern string (e.g. "YYYY-MM-DD HH:mm")
+function formatDatetimePattern(value, datetimePattern, timeZone) {
+    const parts = datetimeParts(value, timeZone);
+    return datetimePattern.replace(
+        rDatetimePatternToken,
+        (token, literal) => (literal !== undefined ? literal : datetimePatternTokens[token](parts))
+    );
+}
+
+const rDatetimePatternToken = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|SSS|A/g;
+const datetimePatternTokens = {
+    'YYYY': (parts) => padNumber(parts.year, 4),
+    'YY': (parts) => padNumber(parts.year % 100, 2),
+    'MMMM': (parts) => monthNames[parts.month - 1],
+    'MMM': (parts) => monthNames[parts.month - 1].slice(0, 3),
+    'MM': (parts) => padNumber(parts.month, 2),
+    'M': (parts) => `${parts.month}`,
+    'DD': (parts) => padNumber(parts.day, 2),
+    'D': (parts) => `${parts.day}`,
+    'dddd': (parts) => weekdayNames[datetimeWeekday(parts)],
+    'ddd': (parts) => weekdayNames[datetimeWeekday(parts)].slice(0, 3),
+    'HH': (parts) => padNumber(parts.hour, 2),
+    'H': (parts) => `${parts.hour}`,
+    'hh': (parts) => padNumber(datetimeHour12(parts), 2),
+    'h': (parts) => `${datetimeHour12(parts)}`,
+    'mm': (parts) => padNumber(parts.minute, 2),
+    'ss': (parts) => padNumber(parts.second, 2),
+    'SSS': (parts) => padNumber(parts.millisecond, 3),
+    'A': (parts) => (parts.hour < 12 ? 'AM' : 'PM')
+};
+const datetimeWeekday = (parts) => new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+const datetimeHour12 = (parts) => (parts.hour % 12 === 0 ? 12 : parts.hour % 12);
+const monthNames = [
+    'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'
+];
+const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+
+// Helper function to compute a datetime's components in a time zone (default is the local time zone)
+function datetimeParts(value, timeZone) {
+    if (timeZone === null) {
+        return {
+            'year': value.getFullYear(),
+            'month': value.getMonth() + 1,
+            'day': value.getDate(),
+            'hour': value.getHours(),
+            'minute': value.getMinutes(),
+            'second': value.getSeconds(),
+            'millisecond': value.getMilliseconds()
+        };
+    }
+
+    const parts = {'millisecond': value.getUTCMilliseconds()};
+    for (const part of datetimePartsFormat(timeZone).formatToParts(value)) {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    }
+    return parts;
+}
+
+
+// Helper function to get a time zone's (cached) datetime components formatter
+function datetimePartsFormat(timeZone) {
+    let intlFormat = datetimePartsFormats.get(timeZone) ?? null;
+    if (intlFormat === null) {
+        const intlOptions = {
+            timeZone,
+            'hourCycle': 'h23',
+            'year': 'numeric',
+            'month': 'numeric',
+            'day': 'numeric',
+            'hour': 'numeric',
+            'minute': 'numeric',
+            'second': 'numeric'
+        };
+        intlFormat = new Intl.DateTimeFormat('en-US', intlOptions);
+        datetimePartsFormats.set(timeZone, intlFormat);
+    }
+    return intlFormat;
+}
+
+const datetimePartsFormats = new Map();
+
+
+// Helper function to validate a model's time zone member (e.g. "America/New_York") - null is the local time zone
+export function validateTimeZone(timeZone, memberFqn) {
+    if (timeZone !== null) {
+        validateIntlMember(() => datetimePartsFormat(timeZone), timeZone, memberFqn, 'a time zone');
+    }
+}
+
+
+// Helper function to validate a model's number format member - the locale and currency code are checked by Intl
+export function validateNumberFormat(numberFormat, memberFqn) {
+    if (numberFormat !== null) {
+        if ('locale' in numberFormat) {
+            const {locale} = numberFormat;
+            validateIntlMember(() => new Intl.NumberFormat(locale), locale, `${memberFqn}.locale`, 'a locale');
+        }
+        if ('currency' in numberFormat) {
+            const {currency} = numberFormat;
+            const currencyFn = () => new Intl.NumberFormat(defaultLocale, {'style': 'currency', currency});
+            validateIntlMember(currencyFn, currency, `${memberFqn}.currency`, 'a currency code');
+        }
+    }
+}
+
+
+// Helper function to throw a schema-style validation error if an Intl object can't be created for a member value
+function validateIntlMember(intlFn, value, memberFqn, expected) {
+    try {
+        intlFn();
+    } catch {
+        throw new ValidationError(
+            `Invalid value ${JSON.stringify(value).slice(0, 100)} (type '${typeof value}') for member '${memberFqn}', expected ${expected}`,
+            memberFqn
+        );
+    }
+}
+
+
+// Helper function to format a number of seconds using a duration format (e.g. DurationFormat)
+function formatDuration(value, duration) {
+    const ixUnitLast = durationUnits.findIndex(([unitName]) => unitName === duration);
+    const [, unitLastSeconds] = durationUnits[ixUnitLast];
+    const secondsRounded = Math.round(Math.abs(value) / unitLastSeconds) * unitLastSeconds;
+    let seconds = secondsRounded;
+    const unitFormats = [];
+    for (const [, unitSeconds, unitSuffix] of durationUnits.slice(0, ixUnitLast + 1)) {
+        const unitCount = Math.floor(seconds / unitSeconds);
+        seconds -= unitCount * unitSeconds;
+        if (unitFormats.length !== 0) {
+            unitFormats.push(`${padNumber(unitCount, 2)}${unitSuffix}`);
+        } else if (unitCount !== 0 || unitSeconds === unitLastSeconds) {
+            unitFormats.push(`${unitCount}${unitSuffix}`);
+        }
+    }
+    return `${value < 0 && secondsRounded !== 0 ? '-' : ''}${unitFormats.join(' ')}`;
+}
+
+const durationUnits = [
+    ['day', 86400, 'd'],
+    ['hour', 3600, 'h'],
+    ['minute', 60, 'm'],
+    ['second', 1, 's']
+];
+
+
+// Helper function to zero-pad an integer
+function padNumber(value, width) {
+    return String(value).padStart(width, '0');
+}
+
+
+// Helper function to format a number using a number format model (e.g. NumberFormat)
+function formatNumber(value, precision, trim, numberFormat) {
+    const fractionDigits = precision ?? defaultPrecision;
+    const style = numberFormat.style ?? 'decimal';
+    const intlOptions = {
+        style,
+        'useGrouping': numberFormat.grouping ?? true,
+        'notation': (numberFormat.compact ? 'compact' : 'standard'),
+        'minimumFractionDigits': (numberFormat.compact ? 0 : fractionDigits),
+        'maximumFractionDigits': fractionDigits,
+        'trailingZeroDisplay': ((trim ?? defaultTrim) ? 'stripIfInteger' : 'auto')
+    };
+    if (style === 'currency') {
+        intlOptions.currency = numberFormat.currency ?? defaultCurrency;
+    }
+    if ('significant' in numberFormat) {
+        intlOptions.minimumSignificantDigits = numberFormat.significant;
+        intlOptions.maximumSignificantDigits = numberFormat.significant;
+    }
+    const numberText = new Intl.NumberFormat(numberFormat.locale ?? defaultLocale, intlOptions).format(value);
+    return `${numberFormat.prefix ?? ''}${numberText}${numberFormat.suffix ?? ''}`;
+}
+
+const defaultCurrency = 'USD';
+const defaultLocale = 'en-US';
 
 
 // Helper function to compute a value's parameter
@@ -70,3 +365,331 @@ export function parameterValue(param, minValue, maxValue) {
 
     return minValue + param * (maxValue - minValue);
 }
+
+
+// Helper function to determine if a value can be plotted on an axis scale (e.g. LineChartAxisScale)
+export function isScaleValue(scale, value) {
+    return scale !== 'log' || typeof value !== 'number' || value > 0;
+}
+
+
+// Helper function to compute a value's axis scale value (e.g. LineChartAxisScale)
+export function scaleValue(scale, value) {
+    if (typeof value === 'number') {
+        if (scale === 'log') {
+            return Math.log10(value);
+        } else if (scale === 'symlog') {
+            return Math.sign(value) * Math.log10(1 + Math.abs(value));
+        }
+    }
+    return value;
+}
+
+
+// Helper function to compute a value from an axis scale value
+export function scaleValueInverse(scale, value) {
+    if (typeof value === 'number') {
+        if (scale === 'log') {
+            return 10 ** value;
+        } else if (scale === 'symlog') {
+            return Math.sign(value) * (10 ** Math.abs(value) - 1);
+        }
+    }
+    return value;
+}
+
+
+// Helper function to compute the powers-of-ten tick values of a log or symlog axis scale
+export function scaleTickValues(scale, minValue, maxValue) {
+    const tickValues = [];
+    if (scale === 'log') {
+        for (let exponent = Math.floor(Math.log10(minValue)); exponent <= Math.ceil(Math.log10(maxValue)); exponent++) {
+            tickValues.push(10 ** exponent);
+        }
+    } else {
+        // Negative powers of ten, zero, and positive powers of ten
+        if (minValue <= -1) {
+            const exponentMin = Math.floor(Math.log10(Math.max(1, -maxValue)));
+            for (let exponent = Math.ceil(Math.log10(-minValue)); exponent >= exponentMin; exponent--) {
+                tickValues.push(-(10 ** exponent));
+            }
+        }
+        if (minValue < 1 && maxValue > -1) {
+            tickValues.push(0);
+        }
+        if (maxValue >= 1) {
+            const exponentMax = Math.ceil(Math.log10(maxValue));
+            for (let exponent = Math.floor(Math.log10(Math.max(1, minValue))); exponent <= exponentMax; exponent++) {
+                tickValues.push(10 ** exponent);
+            }
+        }
+    }
+    return tickValues;
+}
+
+
+// Helper function to compute "nice" tick values (1, 2, or 5 times a power of ten steps) that cover a numeric range.
+// The tick value count is at most the maximum count plus one.
+export function niceTickValues(minValue, maxValue, maxCount) {
+    if (minValue === maxValue) {
+        return [minValue];
+    }
+
+    // Compute the nice tick step
+    const stepMin = (maxValue - minValue) / Math.max(1, maxCount - 1);
+    const stepMagnitude = 10 ** Math.floor(Math.log10(stepMin));
+    const step = niceSteps.map((niceStep) => niceStep * stepMagnitude).find((niceStep) => niceStep >= stepMin);
+
+    // Compute the tick values - floating-point error is rounded away
+    const tickValues = [];
+    const stepDigits = Math.max(0, -Math.floor(Math.log10(step)));
+    for (let ixStep = Math.floor(minValue / step); ixStep <= Math.ceil(maxValue / step); ixStep++) {
+        tickValues.push(parseFloat((ixStep * step).toFixed(stepDigits)));
+    }
+    return tickValues;
+}
+
+const niceSteps = [1, 2, 5, 10];
+
+
+// Helper function to compute the numeric precision of nice tick values
+export function niceTickPrecision(tickValues) {
+    if (tickValues.length < 2) {
+        return 0;
+    }
+    return Math.max(0, -Math.floor(Math.log10(tickValues[1] - tickValues[0]) + niceTickEpsilon));
+}
+
+const niceTickEpsilon = 1e-9;
+
+
+// Helper function to compute calendar-aligned tick values (e.g. hours, days, week starts, month starts, quarters, and
+// years) that cover a datetime range. The tick value count is approximately at most the maximum count plus one.
+export function datetimeTickValues(minValue, maxValue, maxCount, timeZone = null) {
+    if (minValue.valueOf() === maxValue.valueOf()) {
+        return [minValue];
+    }
+
+    // Sub-second tick steps are nice millisecond steps
+    const stepMin = (maxValue - minValue) / Math.max(1, maxCount - 1);
+    if (stepMin < datetimeTickIntervals[0][2]) {
+        return niceTickValues(minValue.valueOf(), maxValue.valueOf(), maxCount).map((tickValue) => new Date(tickValue));
+    }
+
+    // Compute the tick interval - multi-year tick steps are nice year steps
+    const interval = datetimeTickIntervals.find(([, , intervalMS]) => intervalMS >= stepMin) ??
+        ['year', niceTickValues(0, stepMin / datetimeYearMS, 2)[1]];
+    const [unit, unitCount] = interval;
+
+    // Compute the tick values - the ticks are stepped in calendar components so that daylight saving time changes
+    // (e.g. a non-existent midnight) don't skew the steps
+    let tickParts = datetimeFloorParts(datetimeParts(minValue, timeZone), unit, unitCount);
+    const tickValues = [datetimeFromParts(tickParts, timeZone)];
+    for (let ixTick = 0; ixTick < datetimeTickIterationMax && tickValues[tickValues.length - 1] < maxValue; ixTick++) {
+        // Step to the next calendar-aligned tick - always advance, even if aligning would not
+        const stepParts = {...tickParts};
+        stepParts[datetimeUnitParts[unit]] += (unit === 'week' ? 7 * unitCount : unitCount);
+        const stepPartsNormal = datetimeNormalizeParts(stepParts);
+        const nextParts = datetimeFloorParts(stepPartsNormal, unit, unitCount);
+        tickParts = (datetimePartsValue(nextParts) > datetimePartsValue(tickParts) ? nextParts : stepPartsNormal);
+
+        // Add the tick value, if it's after the previous tick value
+        const tickValue = datetimeFromParts(tickParts, timeZone);
+        if (tickValue > tickValues[tickValues.length - 1]) {
+            tickValues.push(tickValue);
+        }
+    }
+    return tickValues;
+}
+
+const datetimeYearMS = 365.25 * 24 * 60 * 60 * 1000;
+const datetimeTickIterationMax = 1000;
+const datetimeDayMS = 24 * 60 * 60 * 1000;
+const datetimeTickIntervals = [
+    ['second', 1, 1000],
+    ['second', 5, 5 * 1000],
+    ['second', 15, 15 * 1000],
+    ['second', 30, 30 * 1000],
+    ['minute', 1, 60 * 1000],
+    ['minute', 5, 5 * 60 * 1000],
+    ['minute', 15, 15 * 60 * 1000],
+    ['minute', 30, 30 * 60 * 1000],
+    ['hour', 1, 60 * 60 * 1000],
+    ['hour', 3, 3 * 60 * 60 * 1000],
+    ['hour', 6, 6 * 60 * 60 * 1000],
+    ['hour', 12, 12 * 60 * 60 * 1000],
+    ['day', 1, 24 * 60 * 60 * 1000],
+    ['day', 2, 2 * 24 * 60 * 60 * 1000],
+    ['week', 1, 7 * 24 * 60 * 60 * 1000],
+    ['month', 1, datetimeYearMS / 12],
+    ['month', 3, datetimeYearMS / 4],
+    ['month', 6, datetimeYearMS / 2],
+    ['year', 1, datetimeYearMS]
+];
+const datetimeUnitParts = {
+    'second': 'second',
+    'minute': 'minute',
+    'hour': 'hour',
+    'day': 'day',
+    'week': 'day',
+    'month': 'month',
+    'year': 'year'
+};
+
+
+// Helper function to compute the datetime format (e.g. DatetimeFormat) of calendar-aligned tick values
+export function datetimeTickFormat(tickValues, timeZone = null) {
+    const tickParts = tickValues.map((tickValue) => datetimeParts(tickValue, timeZone));
+    if (tickParts.some((parts) => parts.millisecond !== 0)) {
+        return null;
+    } else if (tickParts.some((parts) => parts.second !== 0)) {
+        return 'second';
+    } else if (tickParts.some((parts) => parts.minute !== 0)) {
+        return 'minute';
+    } else if (tickParts.some((parts) => parts.hour !== 0)) {
+        return 'hour';
+    } else if (tickParts.some((parts) => parts.day !== 1)) {
+        return 'day';
+    } else if (tickParts.some((parts) => parts.month !== 1)) {
+        return 'month';
+    }
+    return 'year';
+}
+
+
+// Helper function to round a datetime's components down to a calendar interval (e.g. a week start or a quarter)
+function datetimeFloorParts(partsValue, unit, unitCount) {
+    const parts = {...partsValue, 'millisecond': 0};
+    if (unit === 'second') {
+        parts.second -= parts.second % unitCount;
+        return parts;
+    }
+    parts.second = 0;
+    if (unit === 'minute') {
+        parts.minute -= parts.minute % unitCount;
+        return parts;
+    }
+    parts.minute = 0;
+    if (unit === 'hour') {
+        parts.hour -= parts.hour % unitCount;
+        return parts;
+    }
+    parts.hour = 0;
+    if (unit === 'day') {
+        // Multi-day steps are aligned to days since the epoch so that the steps are even across month boundaries
+        parts.day -= Math.floor(datetimePartsValue(parts) / datetimeDayMS) % unitCount;
+        return datetimeNormalizeParts(parts);
+    } else if (unit === 'week') {
+        // Weeks start on Monday
+        parts.day -= (datetimeWeekday(parts) + 6) % 7;
+        return datetimeNormalizeParts(parts);
+    }
+    parts.day = 1;
+    if (unit === 'month') {
+        parts.month -= (parts.month - 1) % unitCount;
+        return parts;
+    }
+    parts.month = 1;
+    parts.year -= parts.year % unitCount;
+    return parts;
+}
+
+
+// Helper function to compute a datetime's components' calendar value - the components as a UTC timestamp
+function datetimePartsValue(parts) {
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+}
+
+
+// Helper function to normalize out-of-range datetime components (e.g. day 32)
+function datetimeNormalizeParts(parts) {
+    const value = new Date(datetimePartsValue(parts));
+    return {
+        'year': value.getUTCFullYear(),
+        'month': value.getUTCMonth() + 1,
+        'day': value.getUTCDate(),
+        'hour': value.getUTCHours(),
+        'minute': value.getUTCMinutes(),
+        'second': value.getUTCSeconds(),
+        'millisecond': value.getUTCMilliseconds()
+    };
+}
+
+
+// Helper function to compute a datetime from its components in a time zone (default is the local time zone).
+// Out-of-range components (e.g. day 32) are normalized.
+function datetimeFromParts(parts, timeZone) {
+    if (timeZone === null) {
+        return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+    }
+
+    // Adjust the UTC datetime by the time zone's offset - twice, in case the offset changes
+    const valueUTC = datetimePartsValue(parts);
+    let value = valueUTC;
+    for (let ixAdjust = 0; ixAdjust < 2; ixAdjust++) {
+        value = valueUTC - (datetimePartsValue(datetimeParts(new Date(value), timeZone)) - value);
+    }
+    return new Date(value);
+}
+
+// The categorical chart color palette
+export const categoricalColors = [
+    '#1f77b4',
+    '#ff7f0e',
+    '#2ca02c',
+    '#d62728',
+    '#9467bd',
+    '#8c564b',
+    '#e377c2',
+    '#7f7f7f',
+    '#bcbd22',
+    '#17becf',
+    '#aec7e8',
+    '#ffbb78',
+    '#98df8a',
+    '#ff9896',
+    '#c5b0d5',
+    '#c49c94',
+    '#f7b6d2',
+    '#c7c7c7',
+    '#dbdb8d',
+    '#9edae5'
+];
+
+
+// The continuous chart color scale's color stops
+export const continuousColors = [
+    '#440154',
+    '#3b528b',
+    '#21918c',
+    '#5ec962',
+    '#fde725'
+];
+
+
+// The diverging chart color scale's color stops
+export const divergingColors = [
+    '#2166ac',
+    '#67a9cf',
+    '#f7f7f7',
+    '#ef8a62',
+    '#b2182b'
+];
+
+
+// Helper function to compute a color scale color from a parameter (0 to 1) - the default color scale is continuousColors
+export function continuousColor(param, colors = continuousColors) {
+    const paramClamp = Math.min(1, Math.max(0, param));
+    const stopParam = paramClamp * (colors.length - 1);
+    const ixStop = Math.min(Math.floor(stopParam), colors.length - 2);
+    const stopStart = colors[ixStop];
+    const stopEnd = colors[ixStop + 1];
+    let color = '#';
+    for (let ixChannel = 1; ixChannel < 7; ixChannel += 2) {
+        const channelStart = parseInt(stopStart.slice(ixChannel, ixChannel + 2), 16);
+        const channelEnd = parseInt(stopEnd.slice(ixChannel, ixChannel + 2), 16);
+        const channel = Math.round(parameterValue(stopParam - ixStop, channelStart, channelEnd));
+        color += channel.toString(16).padStart(2, '0');
+    }
+    return color;
+}
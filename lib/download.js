@@ -0,0 +1,102 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/download */
+
+import {renderElements} from 'element-model/lib/elementModel.js';
+
+
+// Download content types
+const pngContentType = 'image/png';
+const svgContentType = 'image/svg+xml';
+
+
+/**
+ * Download a blob as a file
+ *
+ * @param {Object} window - The web browser window object
+ * @param {Blob} blob - The file data blob
+ * @param {string} filename - The download file name
+ */
+export function downloadBlob(window, blob, filename) {
+    const url = window.URL.createObjectURL(blob);
+    const anchor = window.document.createElement('a');
+    anchor.href = url;
+    anchor.download = filename;
+    anchor.style.display = 'none';
+    window.document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    window.URL.revokeObjectURL(url);
+}
+
+
+/**
+ * Serialize an SVG element model to a standalone SVG file's text
+ *
+ * @param {Object} window - The web browser window object
+ * @param {Object} svgElements - The SVG [element model]{@link https://github.com/craigahobbs/element-model#readme}
+ * @returns {string} The SVG file text
+ */
+export function svgElementsText(window, svgElements) {
+    const svgParent = window.document.createElement('div');
+    renderElements(svgParent, svgElements);
+    return new window.XMLSerializer().serializeToString(svgParent.firstChild);
+}
+
+
+/**
+ * Rasterize an SVG element model to a PNG image
+ *
+ * @param {Object} window - The web browser window object
+ * @param {Object} svgElements - The SVG [element model]{@link https://github.com/craigahobbs/element-model#readme}
+ * @returns {Promise<Blob>} The PNG image blob
+ */
+export function svgElementsPNG(window, svgElements) {
+    const svgText = svgElementsText(window, svgElements);
+    const pixelRatio = window.devicePixelRatio ?? 1;
+    const width = Math.ceil(pixelRatio * Number(svgElements.attr.width));
+    const height = Math.ceil(pixelRatio * Number(svgElements.attr.height));
+    return new Promise((resolve, reject) => {
+        const svgURL = window.URL.createObjectURL(new Blob([svgText], {'type': svgContentType}));
+        const image = new window.Image();
+        image.onload = () => {
+            window.URL.revokeObjectURL(svgURL);
+            const canvas = window.document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+            canvas.toBlob((pngBlob) => {
+                if (pngBlob === null) {
+                    reject(new Error('PNG image rasterization failed'));
+                } else {
+                    resolve(pngBlob);
+                }
+            }, pngContentType);
+        };
+        image.onerror = () => {
+            window.URL.revokeObjectURL(svgURL);
+            reject(new Error('SVG image load failed'));
+        };
+        image.src = svgURL;
+    });
+}
+
+
+/**
+ * Download an SVG element model as an SVG or PNG file. If the file name ends with ".png", the SVG is rasterized to a
+ * PNG image. Otherwise, the SVG is downloaded as an SVG file.
+ *
+ * @param {Object} window - The web browser window object
+ * @param {Object} svgElements - The SVG [element model]{@link https://github.com/craigahobbs/element-model#readme}
+ * @param {string} filename - The download file name
+ */
+export async function downloadSVGElements(window, svgElements, filename) {
+    let blob;
+    if (filename.toLowerCase().endsWith('.png')) {
+        blob = await svgElementsPNG(window, svgElements);
+    } else {
+        blob = new Blob([svgElementsText(window, svgElements)], {'type': svgContentType});
+    }
+    downloadBlob(window, blob, filename);
+}
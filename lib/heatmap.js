@@ -0,0 +1,417 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/heatmap */
+
+import {
+    bottomAxisTitleElement, chartBackgroundElement, chartFontFamily, chartTitleElement, defaultChartHeight, defaultChartWidth,
+    getChartAreaTop, getChartFontSize, leftAxisTitleElement, maxTextWidth, svgValue, textWidth
+} from './chartUtil.js';
+import {
+    continuousColor, continuousColors, divergingColors, formatTypes, formatValue, parameterValue, valueParameter
+} from './dataUtil.js';
+import {valueCompare, valueType} from 'bare-script/lib/value.js';
+import {getTheme} from './theme.js';
+import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {validateType} from 'schema-markdown/lib/schema.js';
+
+
+// The heatmap model's Schema Markdown
+export const heatmapTypes = parseSchemaMarkdown(`\
+group "Heatmap"
+
+
+# A heatmap model
+struct Heatmap
+
+    # The chart title
+    optional string title
+
+    # The chart width
+    optional int width
+
+    # The chart height
+    optional int height
+
+    # The numeric formatting precision (default is 2)
+    optional int(>= 0) precision
+
+    # The datetime format
+    optional DatetimeFormat datetime
+
+    # The heatmap's X-axis (column) category field
+    string x
+
+    # The heatmap's Y-axis (row) category field. The calendar layout ignores the Y-axis field.
+    optional string y
+
+    # The heatmap's value field. Each cell's values are summed.
+    string value
+
+    # The X-axis category order. Categories not in the category order follow, sorted by category value.
+    optional string[len > 0] xOrder
+
+    # The Y-axis category order. Categories not in the category order follow, sorted by category value.
+    optional string[len > 0] yOrder
+
+    # The color scale (default is "sequential")
+    optional HeatmapColorScale colorScale
+
+    # The diverging color scale's center value (default is 0)
+    optional float colorCenter
+
+    # If true, lay out datetime X-axis values as days by week, like a contribution graph
+    optional bool calendar
+
+    # If true, draw the cell value labels
+    optional bool labels
+
+
+# A heatmap color scale
+enum HeatmapColorScale
+
+    # A sequential color scale from the minimum value to the maximum value
+    sequential
+
+    # A diverging color scale centered on the color center value
+    diverging
+`, {'types': {...formatTypes}});
+
+
+/**
+ * Validate a heatmap model
+ *
+ * @param {Object} heatmap - The
+ *     [heatmap model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Heatmap'}
+ * @returns {Object}
+ * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
+ */
+export function validateHeatmap(heatmap) {
+    return validateType(heatmapTypes, 'Heatmap', heatmap);
+}
+
+
+// Heatmap defaults
+const defaultColorCenter = 0;
+
+
+// Heatmap constants (all numbers in pixels)
+const cellBorderWidth = 1;
+const cellLabelDarkColor = 'black';
+const cellLabelLightColor = 'white';
+const colorBarSteps = 32;
+const calendarWeekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const calendarMonths = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const millisecondsPerDay = 24 * 60 * 60 * 1000;
+
+
+/**
+ * The heatmap options object
+ *
+ * @typedef {Object} HeatmapOptions
+ * @property {number} [fontSize] - The font size, in points
+ * @property {boolean} [darkMode] - If true, the default theme is the dark mode theme
+ * @property {?Object} [theme] - The custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ */
+
+
+/**
+ * Render a heatmap
+ *
+ * @param {Object[]} data - The data array
+ * @param {Object} heatmap - The
+ *     [heatmap model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Heatmap'}
+ * @param {?Object} [options = null] - The [heatmap options]{@link module:lib/heatmap~HeatmapOptions}
+ * @returns {Object} The heatmap [element model]{@link https://github.com/craigahobbs/element-model#readme}
+ */
+export function heatmapElements(data, heatmap, options = null) {
+    const chartFontSize = getChartFontSize(options);
+    const theme = getTheme(options);
+    const xField = heatmap.x;
+    const isCalendar = heatmap.calendar ?? false;
+    const yField = (isCalendar ? null : (heatmap.y ?? null));
+    const valueField = heatmap.value;
+    const isDiverging = heatmap.colorScale === 'diverging';
+    const colorCenter = heatmap.colorCenter ?? defaultColorCenter;
+    const hasLabels = heatmap.labels ?? false;
+
+    // Compute the cell values - calendar X values are truncated to the day
+    const cellMap = new Map();
+    const xMap = new Map();
+    const yMap = new Map();
+    for (const row of data) {
+        let xRow = row[xField] ?? null;
+        const yRow = (yField !== null ? (row[yField] ?? null) : '');
+        const valueRow = row[valueField] ?? null;
+        if (xRow === null || yRow === null || typeof valueRow !== 'number' || (isCalendar && valueType(xRow) !== 'datetime')) {
+            continue;
+        }
+        if (isCalendar) {
+            xRow = new Date(xRow.getFullYear(), xRow.getMonth(), xRow.getDate());
+        }
+        const xLabel = formatValue(xRow, heatmap.precision, (isCalendar ? 'day' : heatmap.datetime));
+        const yLabel = formatValue(yRow, heatmap.precision, heatmap.datetime);
+        const cellKey = `${xLabel}\n${yLabel}`;
+        xMap.set(xLabel, xRow);
+        yMap.set(yLabel, yRow);
+        if (!cellMap.has(cellKey)) {
+            cellMap.set(cellKey, {xLabel, yLabel, 'value': 0});
+        }
+        cellMap.get(cellKey).value += valueRow;
+    }
+
+    // No data?
+    if (cellMap.size === 0) {
+        throw new Error('No data');
+    }
+
+    // Compute the color scale
+    const cells = Array.from(cellMap.values());
+    const valueMin = cells.reduce((minValue, {value}) => (value < minValue ? value : minValue), cells[0].value);
+    const valueMax = cells.reduce((maxValue, {value}) => (value > maxValue ? value : maxValue), cells[0].value);
+    const divergingRange = Math.max(Math.abs(valueMin - colorCenter), Math.abs(valueMax - colorCenter));
+    const colorParam = (value) => (isDiverging
+        ? (divergingRange === 0 ? 0.5 : 0.5 + 0.5 * (value - colorCenter) / divergingRange)
+        : valueParameter(value, valueMin, valueMax));
+    const colorScaleColor = (param) => continuousColor(param, isDiverging ? divergingColors : continuousColors);
+    const colorBarMin = (isDiverging ? colorCenter - divergingRange : valueMin);
+    const colorBarMax = (isDiverging ? colorCenter + divergingRange : valueMax);
+
+    // Compute the columns and rows - [(label, value), ...]
+    let columns;
+    let rows;
+    const cellPositions = new Map();
+    if (isCalendar) {
+        // Calendar columns are weeks (starting on Sunday) and rows are weekdays
+        const days = Array.from(xMap.values()).sort(valueCompare);
+        const [dayFirst] = days;
+        const dayLast = days[days.length - 1];
+        const weekStart = new Date(dayFirst.getFullYear(), dayFirst.getMonth(), dayFirst.getDate() - dayFirst.getDay());
+        const dayIndex = (day) => Math.round((day.valueOf() - weekStart.valueOf()) / millisecondsPerDay);
+        const weekCount = Math.floor(dayIndex(dayLast) / 7) + 1;
+        columns = [];
+        for (let ixWeek = 0; ixWeek < weekCount; ixWeek++) {
+            const weekDay = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7 * ixWeek);
+            const monthDay = new Date(weekDay.getFullYear(), weekDay.getMonth(), weekDay.getDate() + 6);
+            const isMonthStart = ixWeek === 0 || monthDay.getDate() <= 7;
+            columns.push({'label': (isMonthStart ? calendarMonths[monthDay.getMonth()] : ''), 'value': weekDay});
+        }
+        rows = calendarWeekdays.map((label, ixWeekday) => ({'label': (ixWeekday % 2 === 1 ? label : ''), 'value': ixWeekday}));
+
+        // Compute the calendar day positions - days without data are empty cells
+        for (let day = dayFirst; day <= dayLast; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            const ixDay = dayIndex(day);
+            const dayLabel = formatValue(day, null, 'day');
+            cellPositions.set(`${dayLabel}\n`, [Math.floor(ixDay / 7), day.getDay(), dayLabel, calendarWeekdays[day.getDay()]]);
+        }
+    } else {
+        columns = categoryOrder(xMap, heatmap.xOrder ?? null);
+        rows = categoryOrder(yMap, heatmap.yOrder ?? null);
+        for (const [ixColumn, {'label': xLabel}] of columns.entries()) {
+            for (const [ixRow, {'label': yLabel}] of rows.entries()) {
+                cellPositions.set(`${xLabel}\n${yLabel}`, [ixColumn, ixRow, xLabel, yLabel]);
+            }
+        }
+    }
+
+    // Compute the chart title, width, and height
+    const chartTitle = heatmap.title ?? null;
+    const chartWidth = heatmap.width ?? defaultChartWidth;
+    const chartHeight = heatmap.height ?? defaultChartHeight;
+
+    // Axis calculations
+    const chartBorderSize = chartFontSize;
+    const axisTitleFontSize = 1 * chartFontSize;
+    const axisLabelFontSize = chartFontSize;
+    const axisLabelGap = 0.35 * axisLabelFontSize;
+    const yAxisTitle = yField;
+    const yAxisTitleWidth = (yAxisTitle !== null ? 1.8 * axisTitleFontSize : 0);
+    const yAxisLabelWidth = maxTextWidth(rows.map(({label}) => label), axisLabelFontSize);
+    const xAxisTitle = (isCalendar ? null : xField);
+    const xAxisTitleHeight = (xAxisTitle !== null ? 1.8 * axisTitleFontSize : 0);
+
+    // Color bar calculations
+    const colorBarLabels = [colorBarMax, ...(isDiverging ? [colorCenter] : []), colorBarMin].map(
+        (value) => formatValue(value, heatmap.precision)
+    );
+    const colorBarWidth = axisLabelFontSize;
+    const colorBarLabelWidth = maxTextWidth(colorBarLabels, axisLabelFontSize);
+    const colorBarX = chartWidth - chartBorderSize - colorBarLabelWidth - axisLabelGap - colorBarWidth;
+
+    // Chart area calculations
+    const chartTop = getChartAreaTop(chartTitle, chartFontSize);
+    const chartLeft = Math.min(chartBorderSize + yAxisTitleWidth + yAxisLabelWidth + axisLabelGap, 0.4 * chartWidth);
+    const chartBottom = chartHeight - chartBorderSize - xAxisTitleHeight - axisLabelFontSize - axisLabelGap;
+    const chartRight = colorBarX - 2 * axisLabelGap;
+
+    // Cell calculations - calendar cells are square
+    let cellWidth = (chartRight - chartLeft) / columns.length;
+    let cellHeight = (chartBottom - chartTop) / rows.length;
+    if (isCalendar) {
+        cellWidth = Math.min(cellWidth, cellHeight);
+        cellHeight = cellWidth;
+    }
+    const cellsRight = chartLeft + columns.length * cellWidth;
+    const cellsBottom = chartTop + rows.length * cellHeight;
+    const cellLabelFontSize = chartFontSize;
+
+    // X-axis label skip - labels are skipped if they don't fit
+    const xLabelWidthMax = maxTextWidth(columns.map(({label}) => label), axisLabelFontSize);
+    const xLabelSkip = (isCalendar ? 1 : Math.max(1, Math.ceil((xLabelWidthMax + axisLabelGap) / cellWidth)));
+
+    // Render the chart
+    return {
+        'svg': 'svg',
+        'attr': {
+            'width': chartWidth,
+            'height': chartHeight
+        },
+        'elem': [
+            // Background
+            chartBackgroundElement(chartWidth, chartHeight, theme),
+
+            // Chart title
+            chartTitleElement(chartTitle, 0.5 * (chartLeft + cellsRight), chartFontSize, theme),
+
+            // Y-Axis title
+            leftAxisTitleElement(yAxisTitle, 0.5 * (chartTop + cellsBottom), chartFontSize, theme),
+
+            // Y-axis labels
+            rows.map(({label}, ixRow) => (label === '' ? null : {
+                'svg': 'text',
+                'attr': {
+                    'font-family': chartFontFamily,
+                    'font-size': `${svgValue(axisLabelFontSize)}px`,
+                    'fill': theme.text,
+                    'x': svgValue(chartLeft - axisLabelGap),
+                    'y': svgValue(chartTop + (ixRow + 0.5) * cellHeight),
+                    'text-anchor': 'end',
+                    'dominant-baseline': 'middle'
+                },
+                'elem': {'text': label}
+            })),
+
+            // X-Axis title
+            bottomAxisTitleElement(xAxisTitle, 0.5 * (chartLeft + cellsRight), chartHeight, chartFontSize, theme),
+
+            // X-axis labels - calendar month labels are left-aligned with their week
+            columns.map(({label}, ixColumn) => (label === '' || ixColumn % xLabelSkip !== 0 ? null : {
+                'svg': 'text',
+                'attr': {
+                    'font-family': chartFontFamily,
+                    'font-size': `${svgValue(axisLabelFontSize)}px`,
+                    'fill': theme.text,
+                    'x': svgValue(chartLeft + (ixColumn + (isCalendar ? 0 : 0.5)) * cellWidth),
+                    'y': svgValue(cellsBottom + axisLabelGap),
+                    'text-anchor': (isCalendar ? 'start' : 'middle'),
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {'text': label}
+            })),
+
+            // Cells
+            Array.from(cellPositions.entries()).map(([cellKey, [ixColumn, ixRow, xLabel, yLabel]]) => {
+                const cell = cellMap.get(cellKey) ?? null;
+                const cellTitle = (yField !== null ? `${xLabel}, ${yLabel}` : xLabel);
+                return {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': svgValue(chartLeft + ixColumn * cellWidth),
+                        'y': svgValue(chartTop + ixRow * cellHeight),
+                        'width': svgValue(cellWidth),
+                        'height': svgValue(cellHeight),
+                        'stroke': theme.background,
+                        'stroke-width': svgValue(cellBorderWidth),
+                        'fill': (cell !== null ? colorScaleColor(colorParam(cell.value)) : theme.grid)
+                    },
+                    'elem': {
+                        'svg': 'title',
+                        'elem': {'text': (cell !== null ? `${cellTitle}: ${formatValue(cell.value, heatmap.precision)}` : cellTitle)}
+                    }
+                };
+            }),
+
+            // Cell value labels
+            !hasLabels ? null : Array.from(cellPositions.entries()).map(([cellKey, [ixColumn, ixRow]]) => {
+                const cell = cellMap.get(cellKey) ?? null;
+                if (cell === null) {
+                    return null;
+                }
+                const label = formatValue(cell.value, heatmap.precision);
+                if (textWidth(label, cellLabelFontSize) > cellWidth || cellLabelFontSize > cellHeight) {
+                    return null;
+                }
+                return {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': chartFontFamily,
+                        'font-size': `${svgValue(cellLabelFontSize)}px`,
+                        'fill': (colorLuminance(colorScaleColor(colorParam(cell.value))) > 0.5 ? cellLabelDarkColor : cellLabelLightColor),
+                        'x': svgValue(chartLeft + (ixColumn + 0.5) * cellWidth),
+                        'y': svgValue(chartTop + (ixRow + 0.5) * cellHeight),
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {'text': label}
+                };
+            }),
+
+            // Color bar
+            [
+                Array.from({'length': colorBarSteps}, (unused, ixStep) => {
+                    const stepHeight = (cellsBottom - chartTop) / colorBarSteps;
+                    return {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': svgValue(colorBarX),
+                            'y': svgValue(chartTop + ixStep * stepHeight),
+                            'width': svgValue(colorBarWidth),
+                            'height': svgValue(stepHeight),
+                            'stroke': 'none',
+                            'fill': colorScaleColor(1 - (ixStep + 0.5) / colorBarSteps)
+                        }
+                    };
+                }),
+                colorBarLabels.map((label, ixLabel) => ({
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': chartFontFamily,
+                        'font-size': `${svgValue(axisLabelFontSize)}px`,
+                        'fill': theme.text,
+                        'x': svgValue(colorBarX + colorBarWidth + axisLabelGap),
+                        'y': svgValue(parameterValue(ixLabel / (colorBarLabels.length - 1), chartTop, cellsBottom)),
+                        'text-anchor': 'start',
+                        'dominant-baseline': (ixLabel === 0 ? 'hanging' : (ixLabel === colorBarLabels.length - 1 ? 'auto' : 'middle'))
+                    },
+                    'elem': {'text': label}
+                }))
+            ]
+        ]
+    };
+}
+
+
+// Helper function to order a category map's categories - [(label, value), ...]
+function categoryOrder(categoryMap, order) {
+    return Array.from(categoryMap.entries()).map(([label, value]) => ({label, value})).sort((category1, category2) => {
+        const ix1 = (order !== null ? order.indexOf(category1.label) : -1);
+        const ix2 = (order !== null ? order.indexOf(category2.label) : -1);
+        if (ix1 !== -1 || ix2 !== -1) {
+            if (ix1 !== -1 && ix2 !== -1) {
+                return ix1 - ix2;
+            }
+            return ix1 !== -1 ? -1 : 1;
+        }
+        return valueCompare(category1.value, category2.value);
+    });
+}
+
+
+// Helper function to compute a "#rrggbb" color's relative luminance (0 to 1)
+function colorLuminance(color) {
+    const red = parseInt(color.slice(1, 3), 16);
+    const green = parseInt(color.slice(3, 5), 16);
+    const blue = parseInt(color.slice(5, 7), 16);
+    return (0.2126 * red + 0.7152 * green + 0.0722 * blue) / 255;
+}
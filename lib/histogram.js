@@ -0,0 +1,272 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/histogram */
+
+import {
+    axisLineWidth, axisLinesElement, axisTickValues, axisValueRange, bottomAxisLabelElements, bottomAxisTickElements,
+    bottomAxisTitleElement, chartBackgroundElement, chartTitleElement, chartTypes, colorLegendElements, defaultChartHeight,
+    defaultChartWidth, getBottomAxisY, getChartAreaRight, getChartAreaTop, getChartFontSize, getColorLegendX, getLeftAxisX,
+    leftAxisLabelElements, leftAxisTickElements, leftAxisTitleElement, sortColorValues, svgValue, validateAxisTicks
+} from './chartUtil.js';
+import {formatValue, parameterValue, valueParameter} from './dataUtil.js';
+import {getTheme} from './theme.js';
+import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {validateType} from 'schema-markdown/lib/schema.js';
+
+
+// The histogram model's Schema Markdown
+export const histogramTypes = parseSchemaMarkdown(`\
+group "Histogram"
+
+
+# A histogram model
+struct Histogram
+
+    # The chart title
+    optional string title
+
+    # The chart width
+    optional int width
+
+    # The chart height
+    optional int height
+
+    # The numeric formatting precision (default is 2)
+    optional int(>= 0) precision
+
+    # The histogram's value field
+    string x
+
+    # The bin count (default is 10)
+    optional int(> 0, <= 1000) bins
+
+    # The bin width. If set, the bin count is ignored and the bins are aligned to multiples of the bin width.
+    # The bin width may result in at most 1000 bins.
+    optional float(> 0) binWidth
+
+    # If true, normalize each color encoding value's bin counts to a density (the bar areas total one)
+    optional bool density
+
+    # The color encoding field. Each color encoding value's histogram is overlaid.
+    optional string color
+
+    # The color encoding value order
+    optional string[len > 0] colorOrder
+
+    # The X-axis tick marks
+    optional ChartAxisTicks xTicks
+
+    # The Y-axis tick marks
+    optional ChartAxisTicks yTicks
+`, {'types': {...chartTypes}});
+
+
+/**
+ * Validate a histogram model
+ *
+ * @param {Object} histogram - The
+ *     [histogram model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Histogram'}
+ * @returns {Object}
+ * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
+ */
+export function validateHistogram(histogram) {
+    const histogramValid = validateType(histogramTypes, 'Histogram', histogram);
+    validateAxisTicks(histogramValid, ['xTicks', 'yTicks']);
+    return histogramValid;
+}
+
+
+// Histogram defaults
+const defaultBinCount = 10;
+const maxBinCount = 1000;
+
+
+// Histogram constants (all numbers in pixels)
+const barBorderWidth = 1;
+const barOverlayOpacity = 0.5;
+
+
+/**
+ * The histogram options object
+ *
+ * @typedef {Object} HistogramOptions
+ * @property {number} [fontSize] - The font size, in points
+ * @property {boolean} [darkMode] - If true, the default theme is the dark mode theme
+ * @property {?Object} [theme] - The custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ */
+
+
+/**
+ * Render a histogram
+ *
+ * @param {Object[]} data - The data array
+ * @param {Object} histogram - The
+ *     [histogram model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Histogram'}
+ * @param {?Object} [options = null] - The [histogram options]{@link module:lib/histogram~HistogramOptions}
+ * @returns {Object} The histogram [element model]{@link https://github.com/craigahobbs/element-model#readme}
+ */
+export function histogramElements(data, histogram, options = null) {
+    const chartFontSize = getChartFontSize(options);
+    const theme = getTheme(options);
+    const xField = histogram.x;
+    const colorField = histogram.color ?? null;
+    const colorOrder = histogram.colorOrder ?? null;
+    const isDensity = histogram.density ?? false;
+    const xValueFormat = {'number': ('xTicks' in histogram ? (histogram.xTicks.number ?? null) : null)};
+    const yValueFormat = {'number': ('yTicks' in histogram ? (histogram.yTicks.number ?? null) : null)};
+
+    // Compute the series values
+    const seriesValues = new Map();
+    let xMin = null;
+    let xMax = null;
+    for (const row of data) {
+        const xRow = row[xField] ?? null;
+        if (typeof xRow !== 'number') {
+            continue;
+        }
+        const seriesLabel = (colorField !== null ? formatValue(row[colorField] ?? null, histogram.precision) : xField);
+        if (!seriesValues.has(seriesLabel)) {
+            seriesValues.set(seriesLabel, []);
+        }
+        seriesValues.get(seriesLabel).push(xRow);
+        xMin = (xMin === null || xRow < xMin ? xRow : xMin);
+        xMax = (xMax === null || xRow > xMax ? xRow : xMax);
+    }
+
+    // No data?
+    if (xMin === null) {
+        throw new Error('No data');
+    }
+
+    // Compute the bins - a bin's range includes its start value and excludes its end value, except for the last bin
+    let binStart;
+    let binWidth;
+    let binCount;
+    if ('binWidth' in histogram) {
+        ({binWidth} = histogram);
+        binStart = Math.floor(xMin / binWidth) * binWidth;
+        binCount = Math.floor((xMax - binStart) / binWidth) + 1;
+        if (!(binCount <= maxBinCount)) {
+            throw new Error(`Bin width ${binWidth} results in more than ${maxBinCount} bins`);
+        }
+    } else {
+        binCount = histogram.bins ?? defaultBinCount;
+        binWidth = (xMax > xMin ? (xMax - xMin) / binCount : 1);
+        binStart = (xMax > xMin ? xMin : xMin - 0.5 * binCount);
+    }
+    const binEnd = binStart + binCount * binWidth;
+
+    // Compute the series - [(label, color, bins), ...]
+    const seriesLabels = sortColorValues(seriesValues.keys(), colorOrder);
+    let yMax = 0;
+    const series = seriesLabels.map((label, ixSeries) => {
+        const values = seriesValues.get(label);
+        const bins = new Array(binCount).fill(0);
+        for (const value of values) {
+            bins[Math.min(binCount - 1, Math.floor((value - binStart) / binWidth))] += 1;
+        }
+        for (let ixBin = 0; ixBin < binCount; ixBin++) {
+            if (isDensity) {
+                bins[ixBin] /= values.length * binWidth;
+            }
+            yMax = (bins[ixBin] > yMax ? bins[ixBin] : yMax);
+        }
+        return {label, 'color': theme.palette[ixSeries % theme.palette.length], bins};
+    });
+
+    // Compute the chart title, width, and height
+    const chartTitle = histogram.title ?? null;
+    const chartWidth = histogram.width ?? defaultChartWidth;
+    const chartHeight = histogram.height ?? defaultChartHeight;
+
+    // Compute the axis tick values - the X-axis range is the bin range
+    const xFormatFn = (value) => formatValue(value, histogram.precision, null, null, xValueFormat);
+    const yFormatFn = (value) => formatValue(value, histogram.precision, null, null, yValueFormat);
+    const yAxisTicks = axisTickValues(histogram.yTicks ?? null, 0, yMax, yFormatFn);
+    const xAxisTicks = axisTickValues(histogram.xTicks ?? null, binStart, binEnd, xFormatFn);
+    const [yAxisMin, yAxisMax] = axisValueRange(0, yMax, yAxisTicks);
+    const [xAxisMin, xAxisMax] = axisValueRange(binStart, binEnd, xAxisTicks);
+
+    // Axis calculations
+    const yAxisTitle = (isDensity ? 'Density' : 'Count');
+    const yAxisX = getLeftAxisX(chartWidth, chartFontSize, yAxisTitle, yAxisTicks.map(([, label]) => label));
+    const xAxisY = getBottomAxisY(chartHeight, chartFontSize, xField, xAxisTicks.length !== 0);
+
+    // Color legend calculations
+    const colorLegendX = (colorField === null ? null : getColorLegendX(chartWidth, chartFontSize, series));
+
+    // Chart area calculations
+    const chartTop = getChartAreaTop(chartTitle, chartFontSize);
+    const chartLeft = yAxisX + 0.5 * axisLineWidth;
+    const chartBottom = xAxisY - 0.5 * axisLineWidth;
+    const chartRight = getChartAreaRight(chartWidth, chartFontSize, colorLegendX);
+
+    // Helper functions to compute chart coordinate points
+    const chartPointX = (xCoord) => parameterValue(valueParameter(xCoord, xAxisMin, xAxisMax), chartLeft, chartRight);
+    const chartPointY = (yCoord) => parameterValue(valueParameter(yCoord, yAxisMin, yAxisMax), chartBottom, chartTop);
+
+    // Render the chart
+    return {
+        'svg': 'svg',
+        'attr': {
+            'width': chartWidth,
+            'height': chartHeight
+        },
+        'elem': [
+            // Background
+            chartBackgroundElement(chartWidth, chartHeight, theme),
+
+            // Chart title
+            chartTitleElement(chartTitle, 0.5 * (chartLeft + chartRight), chartFontSize, theme),
+
+            // Y-Axis title
+            leftAxisTitleElement(yAxisTitle, 0.5 * (chartTop + chartBottom), chartFontSize, theme),
+
+            // Y-axis ticks
+            leftAxisTickElements(yAxisTicks, chartPointY, yAxisX, chartRight, theme),
+
+            // Y-axis labels
+            leftAxisLabelElements(yAxisTicks, chartPointY, yAxisX, chartTop, chartBottom, chartFontSize, theme),
+
+            // X-Axis title
+            bottomAxisTitleElement(xField, 0.5 * (chartLeft + chartRight), chartHeight, chartFontSize, theme),
+
+            // X-axis ticks
+            bottomAxisTickElements(xAxisTicks, chartPointX, xAxisY, null, theme),
+
+            // X-axis labels
+            bottomAxisLabelElements(xAxisTicks, chartPointX, xAxisY, chartLeft, chartRight, chartFontSize, theme),
+
+            // Bars
+            series.map(({color, bins}) => bins.map((binValue, ixBin) => {
+                if (binValue === 0) {
+                    return null;
+                }
+                const barLeft = chartPointX(binStart + ixBin * binWidth);
+                const barRight = chartPointX(binStart + (ixBin + 1) * binWidth);
+                const barTop = chartPointY(binValue);
+                return {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': svgValue(barLeft),
+                        'y': svgValue(barTop),
+                        'width': svgValue(barRight - barLeft),
+                        'height': svgValue(chartPointY(0) - barTop),
+                        'stroke': theme.background,
+                        'stroke-width': svgValue(barBorderWidth),
+                        'fill': color,
+                        ...(series.length > 1 ? {'fill-opacity': barOverlayOpacity} : {})
+                    }
+                };
+            })),
+
+            // Axis lines
+            axisLinesElement(yAxisX, xAxisY, chartTop, chartRight, theme),
+
+            // Color legend
+            colorLegendElements(series, colorLegendX, chartTop, chartFontSize, theme)
+        ]
+    };
+}
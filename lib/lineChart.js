@@ -3,10 +3,23 @@
 
 /** @module lib/lineChart */
 
-import {formatValue, parameterValue, valueParameter} from './dataUtil.js';
+import {
+    annotationLabelElements, annotationLineWidth, axisAnnotationElements, axisLineWidth, axisTickGap, axisTickLength, axisTickWidth,
+    bottomAxisLabelElements, bottomAxisTitleElement, chartBackgroundElement, chartFontFamily, chartTitleElement, colorLegendElements,
+    defaultAxisTickCount, defaultChartHeight, defaultChartWidth, getAnnotationLabelSize, getBottomAxisY, getChartAreaRight,
+    getChartAreaTop, getChartFontSize, getColorLegendX, getLeftAxisX, leftAxisLabelElements, leftAxisTitleElement, linePathElement,
+    maxTextWidth, sortColorValues, svgValue, textWidth, validateAxisTicks
+} from './chartUtil.js';
+import {
+    datetimeTickFormat, datetimeTickValues, formatTypes, formatValue, isScaleValue, niceTickPrecision, niceTickValues, parameterValue,
+    scaleTickValues, scaleValue, scaleValueInverse, validateTimeZone, valueParameter
+} from './dataUtil.js';
+import {valueCompare, valueType} from 'bare-script/lib/value.js';
+import {dataTableElements} from './dataTable.js';
+import {getTheme} from './theme.js';
 import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {renderElements} from 'element-model/lib/elementModel.js';
 import {validateType} from 'schema-markdown/lib/schema.js';
-import {valueCompare} from 'bare-script/lib/value.js';
 
 
 // The line chart model's Schema Markdown
@@ -23,6 +36,10 @@ struct LineChart
     # The chart width
     optional int width
 
+    # The responsive chart width, as a percentage of the containing element's width (e.g. 100). If set, the chart is
+    # re-rendered to fit its container whenever the container is resized. The initial width is the chart width.
+    optional float(> 0, <= 100) widthPercent
+
     # The chart height
     optional int height
 
@@ -30,7 +47,10 @@ struct LineChart
     optional int(>= 0) precision
 
     # The datetime format
-    optional LineChartDatetimeFormat datetime
+    optional DatetimeFormat datetime
+
+    # The datetime display time zone (e.g. "UTC" or "America/New_York"). Default is the local time zone.
+    optional string timeZone
 
     # The line chart's X-axis field
     string x
@@ -44,6 +64,16 @@ struct LineChart
     # The color encoding value order
     optional string[len > 0] colorOrder
 
+    # The line color palette (default is the theme's palette)
+    optional string[len > 0] palette
+
+    # The line color map - a line label (color encoding value or Y-axis field) to color map.
+    # Lines not in the map are the palette's colors.
+    optional string{len > 0} colors
+
+    # The line style map - a line label (color encoding value or Y-axis field) to line style map
+    optional LineChartLineStyle{len > 0} styles
+
     # The X-axis tick marks
     optional LineChartAxisTicks xTicks
 
@@ -56,13 +86,185 @@ struct LineChart
     # The Y-axis annotations
     optional LineChartAxisAnnotation[len > 0] yLines
 
+    # The X-axis range annotations
+    optional LineChartRangeAnnotation[len > 0] xRanges
+
+    # The Y-axis range annotations
+    optional LineChartRangeAnnotation[len > 0] yRanges
+
+    # The point callout annotations
+    optional LineChartCalloutAnnotation[len > 0] callouts
+
+    # The X-axis scale (default is "linear")
+    optional LineChartAxisScale xScale
+
+    # The Y-axis scale (default is "linear")
+    optional LineChartAxisScale yScale
+
+    # The secondary (right-hand) Y-axis fields
+    optional string[len > 0] y2
+
+    # The secondary Y-axis title (default is the Y2-axis field, if there is only one)
+    optional string y2Title
+
+    # The secondary Y-axis numeric formatting precision (default is the chart's precision)
+    optional int(>= 0) y2Precision
+
+    # The secondary Y-axis tick marks
+    optional LineChartAxisTicks y2Ticks
+
+    # The secondary Y-axis annotations
+    optional LineChartAxisAnnotation[len > 0] y2Lines
+
+    # The secondary Y-axis scale (default is "linear")
+    optional LineChartAxisScale y2Scale
+
+    # The line drawing mode (default is "line")
+    optional LineChartMode mode
+
+    # The line interpolation curve (default is "linear")
+    optional LineChartCurve curve
+
+    # If true, hovering over the chart shows a crosshair and a tooltip with each line's value at the nearest X value
+    optional bool tooltip
+
+    # The X-axis zoom. If set, dragging over the chart zooms to the selected X-axis range and shift-dragging pans.
+    optional LineChartZoom zoom
+
+    # The chart's accessibility options
+    optional LineChartAccessibility accessibility
+
+
+# A line chart's accessibility options
+struct LineChartAccessibility
+
+    # The chart's accessible description. Default is a generated summary of the chart's X-axis and line ranges.
+    optional string description
+
+    # If true, each data point is keyboard-focusable and labeled with its values
+    optional bool points
+
+    # The chart's data table fallback. Default is no data table.
+    optional LineChartDataTableMode dataTable
+
+
+# A line chart data table fallback mode
+enum LineChartDataTableMode
+
+    # A visually hidden data table, available to screen readers
+    hidden
+
+    # A data table that is shown and hidden by clicking its summary
+    toggle
+
+
+# A line chart X-axis zoom
+struct LineChartZoom
+
+    # The zoomed X-axis range start. Default is the minimum X value.
+    optional any start
+
+    # The zoomed X-axis range end. Default is the maximum X value.
+    optional any end
+
+    # The hash parameter variable name prefix. If set, the zoomed X-axis range is persisted in the
+    # "var.<var>Start" and "var.<var>End" hash parameters.
+    optional string var
+
+
+# A line drawing mode
+enum LineChartMode
+
+    # Lines
+    line
+
+    # Lines filled to the zero baseline
+    area
+
+    # Filled areas stacked cumulatively in color order - missing X values are stacked as zero
+    stacked
+
+    # Filled areas stacked cumulatively, normalized to a total of one (100%) at each X value
+    percent
+
+
+# A line style
+struct LineChartLineStyle
+
+    # The line width, in pixels (default is 3)
+    optional float(> 0) width
+
+    # The line dash style (default is "solid")
+    optional LineChartDash dash
+
+    # The point marker shape. Default is no point markers.
+    optional LineChartMarker marker
+
+
+# A line dash style
+enum LineChartDash
+
+    # Solid lines
+    solid
+
+    # Dashed lines
+    dashed
+
+    # Dotted lines
+    dotted
+
+
+# A point marker shape
+enum LineChartMarker
+
+    # Circle markers
+    circle
+
+    # Square markers
+    square
+
+    # Diamond markers
+    diamond
+
+
+# A line interpolation curve
+enum LineChartCurve
+
+    # Straight lines between points
+    linear
+
+    # Steps that change value at each point's X value
+    stepAfter
+
+    # Steps that change value at the previous point's X value
+    stepBefore
+
+
+# An axis scale
+enum LineChartAxisScale
+
+    # Linear scale
+    linear
+
+    # Logarithmic scale - non-positive values are not plotted
+    log
+
+    # Symmetric logarithmic scale - linear near zero, supports zero and negative values
+    symlog
+
 
 # The axis tick mark model
 struct LineChartAxisTicks
 
-    # The count of evenly-spaced tick marks. The default is 3.
+    # The count of evenly-spaced tick marks. The default is 3. For automatic tick marks, the count is the approximate
+    # maximum tick mark count and the default is computed from the chart size.
     optional int(>= 0) count
 
+    # If true, compute "nice" tick mark values - linear numeric axes use steps of 1, 2, or 5 times a power of ten and
+    # datetime axes use calendar-aligned steps (e.g. hours, days, week starts, month starts, quarters, or years). The
+    # axis is extended to the nearest tick marks and overlapping tick mark labels are thinned.
+    optional bool auto
+
     # The value of the first tick mark. Default is the minimum axis value.
     optional any start
 
@@ -72,6 +274,14 @@ struct LineChartAxisTicks
     # The number of tick mark labels to skip after a rendered label
     optional int(> 0) skip
 
+    # The tick mark and annotation label number format
+    optional NumberFormat number
+
+    # The tick mark and annotation label datetime pattern (e.g. "MMM D"). If set, the datetime format is ignored.
+    # Pattern tokens are YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd, HH, H, hh, h, mm, ss, SSS, and A.
+    # Bracketed text (e.g. "[at]") is output as-is.
+    optional string datetimePattern
+
 
 # An axis annotation
 struct LineChartAxisAnnotation
@@ -83,18 +293,34 @@ struct LineChartAxisAnnotation
     optional string label
 
 
-# A datetime format
-enum LineChartDatetimeFormat
+# An axis range annotation - a shaded band between two axis values, clipped to the chart area
+struct LineChartRangeAnnotation
 
-    # ISO datetime year format
-    year
+    # The range's start axis value
+    any start
 
-    # ISO datetime month format
-    month
+    # The range's end axis value
+    any end
+
+    # The annotation label
+    optional string label
+
+    # The range's fill color (default is the theme's annotation color)
+    optional string color
 
-    # ISO datetime day format
-    day
-`);
+
+# A point callout annotation - an arrow and label anchored to a chart coordinate
+struct LineChartCalloutAnnotation
+
+    # The X-axis value
+    any x
+
+    # The Y-axis value
+    any y
+
+    # The callout label
+    string label
+`, {'types': {...formatTypes}});
 
 
 /**
@@ -106,59 +332,38 @@ enum LineChartDatetimeFormat
  * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
  */
 export function validateLineChart(lineChart) {
-    return validateType(lineChartTypes, 'LineChart', lineChart);
+    const lineChartValid = validateType(lineChartTypes, 'LineChart', lineChart);
+    validateTimeZone(lineChartValid.timeZone ?? null, 'timeZone');
+    validateAxisTicks(lineChartValid, ['xTicks', 'yTicks', 'y2Ticks']);
+    return lineChartValid;
 }
 
 
 // Line chart defaults
-const defaultWidth = 640;
-const defaultHeight = 320;
-const defaultXAxisTickCount = 3;
-const defaultYAxisTickCount = 3;
-
-
-// The categorical color palette
-const categoricalColors = [
-    '#1f77b4',
-    '#ff7f0e',
-    '#2ca02c',
-    '#d62728',
-    '#9467bd',
-    '#8c564b',
-    '#e377c2',
-    '#7f7f7f',
-    '#bcbd22',
-    '#17becf',
-    '#aec7e8',
-    '#ffbb78',
-    '#98df8a',
-    '#ff9896',
-    '#c5b0d5',
-    '#c49c94',
-    '#f7b6d2',
-    '#c7c7c7',
-    '#dbdb8d',
-    '#9edae5'
-];
+const autoXAxisTickSpacing = 100;
+const autoYAxisTickSpacing = 50;
+const defaultPrecision = 2;
 
 
 // Line chart constants (all numbers in pixels)
-const pixelsPerPoint = 4 / 3;
-const svgPrecision = 3;
-const chartFontFamily = 'Arial, Helvetica, sans-serif';
-const chartFontWidthRatio = 0.6;
-const chartFontDefaultSize = 12;
-const chartBackgroundColor = 'white';
-const axisColor = 'black';
-const axisTickLineColor = 'lightgray';
-const axisLineWidth = 1;
-const axisTickWidth = 1;
-const axisTickLength = 5;
-const annotationBackgroundColor = '#ffffffa0';
-const annotationTextColor = 'black';
-const annotationLineColor = 'black';
-const annotationLineWidth = 2;
+const annotationRangeOpacity = 0.1;
+const annotationCalloutLineWidth = 1;
+const annotationCalloutArrowSize = 6;
 const chartLineWidth = 3;
+const chartLineDashRatio = 3;
+const chartLineMarkerRatio = 3;
+const chartLineMarkerBorderWidth = 1;
+const chartAreaOpacity = 0.4;
+const tooltipBackgroundOpacity = 0.88;
+const tooltipBorderColor = 'gray';
+const tooltipCrosshairColor = 'gray';
+const tooltipCrosshairWidth = 1;
+const tooltipMarkerRadius = 4;
+const zoomBrushColor = '#4682b440';
+const zoomDragMinimum = 3;
+const focusPointRadius = 6;
+const focusPointWidth = 2;
+const visuallyHiddenStyle = 'position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
 
 
 /**
@@ -166,6 +371,21 @@ const chartLineWidth = 3;
  *
  * @typedef {Object} LineChartOptions
  * @property {number} [fontSize] - The font size, in points
+ * @property {boolean} [darkMode] - If true, the default theme is the dark mode theme
+ * @property {?Object} [theme] - The custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ * @property {?function} [zoomFn] - The [zoom callback function]{@link module:lib/lineChart~LineChartZoomFn}
+ */
+
+
+/**
+ * A line chart zoom callback function. Zoomable line charts call this function with the zoomed X-axis range. If a
+ * zoom callback function is provided, the line chart is not re-rendered in place - the caller is responsible for
+ * re-rendering the zoomed line chart.
+ *
+ * @callback LineChartZoomFn
+ * @param {*} start - The zoomed X-axis range start or null if the zoom is reset
+ * @param {*} end - The zoomed X-axis range end or null if the zoom is reset
  */
 
 
@@ -179,11 +399,26 @@ const chartLineWidth = 3;
  * @returns {Object} The line chart [element model]{@link https://github.com/craigahobbs/element-model#readme}
  */
 export function lineChartElements(data, lineChart, options = null) {
-    const chartFontSize = pixelsPerPoint * (options !== null && 'fontSize' in options ? options.fontSize : chartFontDefaultSize);
+    const chartFontSize = getChartFontSize(options);
+    const theme = getTheme(options);
     const xField = lineChart.x;
     const yFields = lineChart.y;
+    const y2Fields = lineChart.y2 ?? [];
+    const allYFields = [...yFields, ...y2Fields];
     const colorField = lineChart.color ?? null;
     const colorOrder = lineChart.colorOrder ?? null;
+    const palette = lineChart.palette ?? theme.palette;
+    const colorMap = lineChart.colors ?? {};
+    const lineStyles = lineChart.styles ?? {};
+    const lineChartFormat = {'timeZone': lineChart.timeZone ?? null};
+    const xScale = lineChart.xScale ?? 'linear';
+    const yScale = lineChart.yScale ?? 'linear';
+    const y2Scale = lineChart.y2Scale ?? 'linear';
+    const mode = lineChart.mode ?? 'line';
+    const curve = lineChart.curve ?? 'linear';
+    const tooltip = lineChart.tooltip ?? false;
+    const accessibility = lineChart.accessibility ?? null;
+    const focusPoints = (accessibility !== null ? (accessibility.points ?? false) : false);
 
     // Sort the rows by the X field
     data.sort((row1, row2) => {
@@ -192,78 +427,76 @@ export function lineChartElements(data, lineChart, options = null) {
         return valueCompare(x1, x2);
     });
 
-    // Generate the line points - [(label, color, points), ...]
+    // Generate the line points - [(label, color, points, isY2), ...]
     const linePoints = [];
     let xMin = null;
     let yMin = null;
     let xMax = null;
     let yMax = null;
+    let y2Min = null;
+    let y2Max = null;
+    const addPoint = (points, xRow, yRow, isY2) => {
+        points.push([xRow, yRow]);
+        xMin = (xMin === null ? xRow : xMin);
+        xMax = xRow;
+        if (isY2) {
+            y2Min = (y2Min === null ? yRow : (yRow < y2Min ? yRow : y2Min));
+            y2Max = (y2Max === null ? yRow : (yRow > y2Max ? yRow : y2Max));
+        } else {
+            yMin = (yMin === null ? yRow : (yRow < yMin ? yRow : yMin));
+            yMax = (yMax === null ? yRow : (yRow > yMax ? yRow : yMax));
+        }
+    };
     if (colorField !== null) {
         // Determine the set of color encoding values
         const colorValueSet = new Set();
         const pointsMap = {};
+        const pointsY2 = new Set();
         for (const row of data) {
-            for (const yField of yFields) {
-                const colorValue = formatValue(row[colorField] ?? null, lineChart.precision, lineChart.datetime);
-                const rowKey = (yFields.length === 1 ? colorValue : `${yField}, ${colorValue}`);
+            for (const yField of allYFields) {
+                const isY2 = !yFields.includes(yField);
+                const colorValue = formatValue(row[colorField] ?? null, lineChart.precision, lineChart.datetime, null, lineChartFormat);
+                const rowKey = (allYFields.length === 1 ? colorValue : `${yField}, ${colorValue}`);
                 colorValueSet.add(rowKey);
                 const xRow = row[xField] ?? null;
                 const yRow = row[yField] ?? null;
-                if (xRow !== null && yRow !== null) {
+                if (xRow !== null && yRow !== null && isScaleValue(xScale, xRow) && isScaleValue(isY2 ? y2Scale : yScale, yRow)) {
                     if (!(rowKey in pointsMap)) {
                         pointsMap[rowKey] = [];
                     }
-                    pointsMap[rowKey].push([xRow, yRow]);
-                    xMin = (xMin === null ? xRow : xMin);
-                    yMin = (yMin === null ? yRow : (yRow < yMin ? yRow : yMin));
-                    xMax = xRow;
-                    yMax = (yMax === null ? yRow : (yRow > yMax ? yRow : yMax));
+                    if (isY2) {
+                        pointsY2.add(rowKey);
+                    }
+                    addPoint(pointsMap[rowKey], xRow, yRow, isY2);
                 }
             }
         }
 
         // Add the points
-        let colorValues;
-        if (colorOrder !== null) {
-            colorValues = Array.from(colorValueSet.values()).sort((cv1, cv2) => {
-                const ix1 = colorOrder.indexOf(cv1);
-                const ix2 = colorOrder.indexOf(cv2);
-                if (ix1 !== -1 && ix2 !== -1) {
-                    return ix1 < ix2 ? -1 : 1;
-                } else if (ix1 === -1 && ix2 === -1) {
-                    return cv1 < cv2 ? -1 : 1;
-                }
-                return ix1 !== -1 ? -1 : 1;
-            });
-        } else {
-            colorValues = Array.from(colorValueSet.values()).sort();
-        }
+        const colorValues = sortColorValues(colorValueSet.values(), colorOrder);
         const colorValueCount = colorValues.length;
         for (let ixColorValue = 0; ixColorValue < colorValueCount; ixColorValue += 1) {
             const colorValue = colorValues[ixColorValue];
-            const color = categoricalColors[ixColorValue % categoricalColors.length];
-            const points = pointsMap[colorValue];
-            linePoints.push({'label': colorValue, color, points});
+            const color = colorMap[colorValue] ?? palette[ixColorValue % palette.length];
+            const points = pointsMap[colorValue] ?? [];
+            linePoints.push({'label': colorValue, color, points, 'isY2': pointsY2.has(colorValue)});
         }
     } else {
         // Create a line for each y-field
-        const fieldCount = yFields.length;
+        const fieldCount = allYFields.length;
         for (let ixField = 0; ixField < fieldCount; ixField += 1) {
-            const yField = yFields[ixField];
-            const color = categoricalColors[ixField % categoricalColors.length];
+            const yField = allYFields[ixField];
+            const isY2 = ixField >= yFields.length;
+            const color = colorMap[yField] ?? palette[ixField % palette.length];
             const points = [];
-            linePoints.push({'label': yField, color, points});
+            linePoints.push({'label': yField, color, points, isY2});
 
             // Add the points
             for (const row of data) {
                 const xRow = row[xField] ?? null;
                 const yRow = row[yField] ?? null;
-                if (xRow !== null && yRow !== null) {
-                    points.push([xRow, yRow]);
-                    xMin = (xMin === null ? xRow : xMin);
-                    yMin = (yMin === null ? yRow : (yRow < yMin ? yRow : yMin));
-                    xMax = xRow;
-                    yMax = (yMax === null ? yRow : (yRow > yMax ? yRow : yMax));
+                if (xRow !== null && yRow !== null && isScaleValue(xScale, xRow) && isScaleValue(isY2 ? y2Scale : yScale, yRow)) {
+                    addPoint(points, xRow, yRow, isY2);
                 }
             }
         }
@@ -274,35 +507,193 @@ export function lineChartElements(data, lineChart, options = null) {
         throw new Error('No data');
     }
 
+    // Compute the filled area baselines and the stacked lines
+    if (mode !== 'line') {
+        for (const isY2 of [false, true]) {
+            const axisLines = linePoints.filter((line) => line.isY2 === isY2 && line.points.length !== 0);
+            if (axisLines.length === 0) {
+                continue;
+            }
+            if (mode === 'area') {
+                for (const line of axisLines) {
+                    line.baseline = line.points.map(([xCoord]) => [xCoord, 0]);
+                }
+            } else {
+                stackLinePoints(axisLines, mode === 'percent');
+            }
+
+            // Re-compute the axis range from the filled areas
+            const axisScale = (isY2 ? y2Scale : yScale);
+            let axisMin = null;
+            let axisMax = null;
+            for (const {points, baseline} of axisLines) {
+                for (const [, yCoord] of [...points, ...baseline]) {
+                    if (isScaleValue(axisScale, yCoord)) {
+                        axisMin = (axisMin === null || yCoord < axisMin ? yCoord : axisMin);
+                        axisMax = (axisMax === null || yCoord > axisMax ? yCoord : axisMax);
+                    }
+                }
+            }
+            if (isY2) {
+                y2Min = axisMin;
+                y2Max = axisMax;
+            } else {
+                yMin = axisMin;
+                yMax = axisMax;
+            }
+        }
+    }
+
+    // Compute the zoomed X-axis range
+    const zoom = lineChart.zoom ?? null;
+    const zoomStartModel = (zoom !== null ? (zoom.start ?? null) : null);
+    const isZoomValue = (value) => value !== null && valueType(value) === valueType(xMin) && isScaleValue(xScale, value);
+    const zoomStart = (isZoomValue(zoomStartModel) ? zoomStartModel : xMin);
+    const zoomEndModel = (zoom !== null ? (zoom.end ?? null) : null);
+    const zoomEnd = (isZoomValue(zoomEndModel) ? zoomEndModel : xMax);
+    const isZoomed = (valueCompare(zoomStart, xMin) !== 0 || valueCompare(zoomEnd, xMax) !== 0) && valueCompare(zoomStart, zoomEnd) < 0;
+    if (isZoomed) {
+        // Re-compute the Y-axis ranges from the zoomed points and their adjacent points
+        for (const isY2 of [false, true]) {
+            const axisScale = (isY2 ? y2Scale : yScale);
+            let axisMin = null;
+            let axisMax = null;
+            for (const line of linePoints.filter((linePoint) => linePoint.isY2 === isY2)) {
+                const ixFirst = line.points.findIndex(([xCoord]) => xCoord >= zoomStart);
+                const ixLast = line.points.findLastIndex(([xCoord]) => xCoord <= zoomEnd);
+                const ixStart = Math.max(0, (ixFirst === -1 ? line.points.length : ixFirst) - 1);
+                const ixEnd = Math.min(line.points.length, ixLast + 2);
+                const zoomPoints = [...line.points.slice(ixStart, ixEnd), ...(line.baseline ?? []).slice(ixStart, ixEnd)];
+                for (const [, yCoord] of zoomPoints) {
+                    if (isScaleValue(axisScale, yCoord)) {
+                        axisMin = (axisMin === null || yCoord < axisMin ? yCoord : axisMin);
+                        axisMax = (axisMax === null || yCoord > axisMax ? yCoord : axisMax);
+                    }
+                }
+            }
+            if (axisMin !== null && isY2) {
+                y2Min = axisMin;
+                y2Max = axisMax;
+            } else if (axisMin !== null) {
+                yMin = axisMin;
+                yMax = axisMax;
+            }
+        }
+        xMin = zoomStart;
+        xMax = zoomEnd;
+    }
+
     // Compute the chart title, width, and height
     const chartTitle = lineChart.title ?? null;
-    const chartWidth = lineChart.width ?? defaultWidth;
-    const chartHeight = lineChart.height ?? defaultHeight;
+    const chartWidth = lineChart.width ?? defaultChartWidth;
+    const chartHeight = lineChart.height ?? defaultChartHeight;
 
     // Compute Y-axis tick values
     const yAxisTicks = [];
-    const yTickCount = ('yTicks' in lineChart && 'count' in lineChart.yTicks ? lineChart.yTicks.count : defaultYAxisTickCount);
     const yTickSkip = ('yTicks' in lineChart && 'skip' in lineChart.yTicks ? lineChart.yTicks.skip + 1 : 1);
-    const yTickStart = ('yTicks' in lineChart && 'start' in lineChart.yTicks ? lineChart.yTicks.start : yMin);
-    const yTickEnd = ('yTicks' in lineChart && 'end' in lineChart.yTicks ? lineChart.yTicks.end : yMax);
-    for (let ixTick = 0; ixTick < yTickCount; ixTick++) {
-        const yTickParam = yTickCount === 1 ? 0 : ixTick / (yTickCount - 1);
-        const yTickValue = parameterValue(yTickParam, yTickStart, yTickEnd);
-        yAxisTicks.push([yTickValue, (ixTick % yTickSkip) !== 0 ? '' : formatValue(yTickValue, lineChart.precision, lineChart.datetime)]);
+    const yTickStartModel = ('yTicks' in lineChart ? (lineChart.yTicks.start ?? null) : null);
+    const yTickStart = (yTickStartModel !== null && isScaleValue(yScale, yTickStartModel) ? yTickStartModel : yMin);
+    const yTickEndModel = ('yTicks' in lineChart ? (lineChart.yTicks.end ?? null) : null);
+    const yTickEnd = (yTickEndModel !== null && isScaleValue(yScale, yTickEndModel) ? yTickEndModel : yMax);
+    const yValueFormat = {
+        ...lineChartFormat,
+        'number': ('yTicks' in lineChart ? (lineChart.yTicks.number ?? null) : null),
+        'datetimePattern': ('yTicks' in lineChart ? (lineChart.yTicks.datetimePattern ?? null) : null)
+    };
+    const yTicksAuto = ('yTicks' in lineChart ? (lineChart.yTicks.auto ?? false) : false);
+    const yTickCount = (yTicksAuto ? Math.max(2, Math.floor(chartHeight / autoYAxisTickSpacing)) : defaultAxisTickCount);
+    const yTickValues = axisTickValues(yScale, lineChart.yTicks ?? null, yTickStart, yTickEnd, yTickCount, lineChartFormat.timeZone);
+    const [yTicksPrecision, yTicksDatetime] = axisTickFormat(
+        yScale, yTicksAuto, yTickValues, lineChart.precision ?? null, lineChart.datetime ?? null, lineChartFormat.timeZone
+    );
+    for (const [ixTick, yTickValue] of yTickValues.entries()) {
+        const yTickPrecision = axisTickPrecision(yScale, yTickValue, yTicksPrecision);
+        const yTickLabel = formatValue(yTickValue, yTickPrecision, yTicksDatetime, null, yValueFormat);
+        yAxisTicks.push([yTickValue, (ixTick % yTickSkip) !== 0 ? '' : yTickLabel]);
         yMin = (yTickValue < yMin ? yTickValue : yMin);
         yMax = (yTickValue > yMax ? yTickValue : yMax);
     }
 
+    // Compute Y2-axis tick values
+    const y2AxisTicks = [];
+    const y2AxisAnnotations = [];
+    const hasY2 = y2Min !== null;
+    const y2Precision = lineChart.y2Precision ?? lineChart.precision ?? null;
+    const y2ValueFormat = {
+        ...lineChartFormat,
+        'number': ('y2Ticks' in lineChart ? (lineChart.y2Ticks.number ?? null) : null),
+        'datetimePattern': ('y2Ticks' in lineChart ? (lineChart.y2Ticks.datetimePattern ?? null) : null)
+    };
+    const y2TicksAuto = ('y2Ticks' in lineChart ? (lineChart.y2Ticks.auto ?? false) : false);
+    if (hasY2) {
+        const y2TickSkip = ('y2Ticks' in lineChart && 'skip' in lineChart.y2Ticks ? lineChart.y2Ticks.skip + 1 : 1);
+        const y2TickStartModel = ('y2Ticks' in lineChart ? (lineChart.y2Ticks.start ?? null) : null);
+        const y2TickStart = (y2TickStartModel !== null && isScaleValue(y2Scale, y2TickStartModel) ? y2TickStartModel : y2Min);
+        const y2TickEndModel = ('y2Ticks' in lineChart ? (lineChart.y2Ticks.end ?? null) : null);
+        const y2TickEnd = (y2TickEndModel !== null && isScaleValue(y2Scale, y2TickEndModel) ? y2TickEndModel : y2Max);
+        const y2TickCount = (y2TicksAuto ? Math.max(2, Math.floor(chartHeight / autoYAxisTickSpacing)) : defaultAxisTickCount);
+        const y2TickValues = axisTickValues(
+            y2Scale, lineChart.y2Ticks ?? null, y2TickStart, y2TickEnd, y2TickCount, lineChartFormat.timeZone
+        );
+        const [y2TicksPrecision, y2TicksDatetime] = axisTickFormat(
+            y2Scale, y2TicksAuto, y2TickValues, y2Precision, lineChart.datetime ?? null, lineChartFormat.timeZone
+        );
+        for (const [ixTick, y2TickValue] of y2TickValues.entries()) {
+            const y2TickPrecision = axisTickPrecision(y2Scale, y2TickValue, y2TicksPrecision);
+            const y2TickLabel = formatValue(y2TickValue, y2TickPrecision, y2TicksDatetime, null, y2ValueFormat);
+            y2AxisTicks.push([y2TickValue, (ixTick % y2TickSkip) !== 0 ? '' : y2TickLabel]);
+            y2Min = (y2TickValue < y2Min ? y2TickValue : y2Min);
+            y2Max = (y2TickValue > y2Max ? y2TickValue : y2Max);
+        }
+
+        // Compute Y2-axis annotations
+        for (const annotation of lineChart.y2Lines ?? []) {
+            const y2AnnotationValue = annotation.value;
+            if (!isScaleValue(y2Scale, y2AnnotationValue)) {
+                continue;
+            }
+            y2AxisAnnotations.push([
+                y2AnnotationValue,
+                annotation.label ?? formatValue(y2AnnotationValue, y2Precision, lineChart.datetime, null, y2ValueFormat)
+            ]);
+            y2Min = (y2AnnotationValue < y2Min ? y2AnnotationValue : y2Min);
+            y2Max = (y2AnnotationValue > y2Max ? y2AnnotationValue : y2Max);
+        }
+    }
+
     // Compute X-axis tick values
     const xAxisTicks = [];
-    const xTickCount = ('xTicks' in lineChart && 'count' in lineChart.xTicks ? lineChart.xTicks.count : defaultXAxisTickCount);
     const xTickSkip = ('xTicks' in lineChart && 'skip' in lineChart.xTicks ? lineChart.xTicks.skip + 1 : 1);
-    const xTickStart = ('xTicks' in lineChart && 'start' in lineChart.xTicks ? lineChart.xTicks.start : xMin);
-    const xTickEnd = ('xTicks' in lineChart && 'end' in lineChart.xTicks ? lineChart.xTicks.end : xMax);
-    for (let ixTick = 0; ixTick < xTickCount; ixTick++) {
-        const xTickParam = xTickCount === 1 ? 0 : ixTick / (xTickCount - 1);
-        const xTickValue = parameterValue(xTickParam, xTickStart, xTickEnd);
-        xAxisTicks.push([xTickValue, (ixTick % xTickSkip) !== 0 ? '' : formatValue(xTickValue, lineChart.precision, lineChart.datetime)]);
+    const xTickStartModel = ('xTicks' in lineChart && !isZoomed ? (lineChart.xTicks.start ?? null) : null);
+    const xTickStart = (xTickStartModel !== null && isScaleValue(xScale, xTickStartModel) ? xTickStartModel : xMin);
+    const xTickEndModel = ('xTicks' in lineChart && !isZoomed ? (lineChart.xTicks.end ?? null) : null);
+    const xTickEnd = (xTickEndModel !== null && isScaleValue(xScale, xTickEndModel) ? xTickEndModel : xMax);
+    const xValueFormat = {
+        ...lineChartFormat,
+        'number': ('xTicks' in lineChart ? (lineChart.xTicks.number ?? null) : null),
+        'datetimePattern': ('xTicks' in lineChart ? (lineChart.xTicks.datetimePattern ?? null) : null)
+    };
+    let xTicksAuto = ('xTicks' in lineChart ? (lineChart.xTicks.auto ?? false) : false);
+    const xTickCount = (xTicksAuto ? Math.max(2, Math.floor(chartWidth / autoXAxisTickSpacing)) : defaultAxisTickCount);
+    let xTickValues = axisTickValues(xScale, lineChart.xTicks ?? null, xTickStart, xTickEnd, xTickCount, lineChartFormat.timeZone);
+    if (isZoomed && (xScale !== 'linear' || xTicksAuto)) {
+        // Zoomed power-of-ten and automatic tick values are limited to the zoomed range
+        xTickValues = xTickValues.filter((xTickValue) => xTickValue >= xTickStart && xTickValue <= xTickEnd);
+        if (xTickValues.length < 2) {
+            const xTickCountZoom = ('xTicks' in lineChart ? (lineChart.xTicks.count ?? defaultAxisTickCount) : defaultAxisTickCount);
+            xTickValues = axisTickValues(
+                xScale, {'count': xTickCountZoom}, xTickStart, xTickEnd, defaultAxisTickCount, lineChartFormat.timeZone
+            );
+            xTicksAuto = false;
+        }
+    }
+    const [xTicksPrecision, xTicksDatetime] = axisTickFormat(
+        xScale, xTicksAuto, xTickValues, lineChart.precision ?? null, lineChart.datetime ?? null, lineChartFormat.timeZone
+    );
+    for (const [ixTick, xTickValue] of xTickValues.entries()) {
+        const xTickPrecision = axisTickPrecision(xScale, xTickValue, xTicksPrecision);
+        const xTickLabel = formatValue(xTickValue, xTickPrecision, xTicksDatetime, null, xValueFormat);
+        xAxisTicks.push([xTickValue, (ixTick % xTickSkip) !== 0 ? '' : xTickLabel]);
         xMin = (xTickValue < xMin ? xTickValue : xMin);
         xMax = (xTickValue > xMax ? xTickValue : xMax);
     }
@@ -312,9 +703,12 @@ export function lineChartElements(data, lineChart, options = null) {
     if ('yLines' in lineChart) {
         for (const annotation of lineChart.yLines) {
             const yAnnotationValue = annotation.value;
+            if (!isScaleValue(yScale, yAnnotationValue)) {
+                continue;
+            }
             yAxisAnnotations.push([
                 yAnnotationValue,
-                annotation.label ?? formatValue(yAnnotationValue, lineChart.precision, lineChart.datetime)
+                annotation.label ?? formatValue(yAnnotationValue, lineChart.precision, lineChart.datetime, null, yValueFormat)
             ]);
             yMin = (yAnnotationValue < yMin ? yAnnotationValue : yMin);
             yMax = (yAnnotationValue > yMax ? yAnnotationValue : yMax);
@@ -326,72 +720,68 @@ export function lineChartElements(data, lineChart, options = null) {
     if ('xLines' in lineChart) {
         for (const annotation of lineChart.xLines) {
             const xAnnotationValue = annotation.value;
+            if (!isScaleValue(xScale, xAnnotationValue) || (isZoomed && (xAnnotationValue < xMin || xAnnotationValue > xMax))) {
+                continue;
+            }
             xAxisAnnotations.push([
                 xAnnotationValue,
-                annotation.label ?? formatValue(xAnnotationValue, lineChart.precision, lineChart.datetime)
+                annotation.label ?? formatValue(xAnnotationValue, lineChart.precision, lineChart.datetime, null, xValueFormat)
             ]);
             xMin = (xAnnotationValue < xMin ? xAnnotationValue : xMin);
             xMax = (xAnnotationValue > xMax ? xAnnotationValue : xMax);
         }
     }
 
-    // Chart title calculations
-    const chartBorderSize = chartFontSize;
-    const chartTitleFontSize = 1.1 * chartFontSize;
-    const chartTitleHeight = (chartTitle !== null ? 1.5 * chartTitleFontSize : 0);
+    // Compute range annotations - [(start, end, label, color), ...]
+    const rangeAnnotations = (ranges, scale) => (ranges ?? []).filter(
+        ({start, end}) => isScaleValue(scale, start) && isScaleValue(scale, end)
+    ).map(({start, end, label = '', color = theme.annotation}) => [start, end, label, color]);
+    const xRangeAnnotations = rangeAnnotations(lineChart.xRanges, xScale);
+    const yRangeAnnotations = rangeAnnotations(lineChart.yRanges, yScale);
+
+    // Compute callout annotations - [(x, y, label), ...]
+    const calloutAnnotations = (lineChart.callouts ?? []).filter(
+        (callout) => isScaleValue(xScale, callout.x) && isScaleValue(yScale, callout.y)
+    ).map((callout) => [callout.x, callout.y, callout.label]);
 
     // Y-axis calculations
     const axisTitleFontSize = 1 * chartFontSize;
     const axisLabelFontSize = chartFontSize;
     const yAxisTitle = (yFields.length === 1 ? yFields[0] : null);
-    const yAxisTitleWidth = (yAxisTitle !== null ? 1.8 * axisTitleFontSize : 0);
-    const yAxisLabelWidth = yAxisTicks.reduce((labelMax, [, label]) => {
-        const labelWidth = label.length * chartFontWidthRatio * axisLabelFontSize;
-        return labelWidth > labelMax ? labelWidth : labelMax;
-    }, 0);
-    const yAxisTickGap = 0.75 * axisTickLength;
-    const yAxisX = Math.min(
-        chartBorderSize + yAxisTitleWidth + (yAxisTicks.length === 0 ? 0 : yAxisLabelWidth + yAxisTickGap + axisTickLength),
-        0.4 * chartWidth
+    const yAxisX = getLeftAxisX(chartWidth, chartFontSize, yAxisTitle, yAxisTicks.map(([, label]) => label));
+
+    // Y2-axis calculations
+    const y2AxisTitle = (hasY2 ? (lineChart.y2Title ?? (y2Fields.length === 1 ? y2Fields[0] : null)) : null);
+    const y2AxisTitleWidth = (y2AxisTitle !== null ? 1.8 * axisTitleFontSize : 0);
+    const y2AxisLabelWidth = maxTextWidth(y2AxisTicks.map(([, label]) => label), axisLabelFontSize);
+    const y2AxisWidth = Math.min(
+        y2AxisTitleWidth + (y2AxisTicks.length === 0 ? 0 : y2AxisLabelWidth + axisTickGap + axisTickLength),
+        0.2 * chartWidth
     );
 
     // X-axis calculations
-    const xAxisTitleHeight = 1.8 * axisTitleFontSize;
-    const xAxisTickGap = 0.75 * axisTickLength;
-    const xAxisY = chartHeight - chartBorderSize - xAxisTitleHeight -
-        (xAxisTicks.length === 0 ? 0 : axisLabelFontSize - xAxisTickGap + axisTickLength);
+    const xAxisY = getBottomAxisY(chartHeight, chartFontSize, xField, xAxisTicks.length !== 0);
 
-    // Y-axis annotation calculations
+    // Annotation calculations
     const annotationLabelFontSize = axisLabelFontSize;
     const annotationLabelMargin = 0.25 * annotationLabelFontSize;
     const annotationLabelHeight = annotationLabelFontSize + 2 * annotationLabelMargin;
-    const yAnnotationLabelOffsetX = 0.2 * annotationLabelFontSize;
-    const yAnnotationLabelOffsetY = 0.1 * annotationLabelFontSize;
+    const annotationLabelOffsetX = 0.2 * annotationLabelFontSize;
+    const annotationLabelOffsetY = 0.1 * annotationLabelFontSize;
 
-    // Y-axis annotation calculations
-    const xAnnotationLabelOffsetX = 0.2 * annotationLabelFontSize;
-    const xAnnotationLabelOffsetY = 0.1 * annotationLabelFontSize;
+    // Callout annotation calculations
+    const calloutOffset = 2 * annotationLabelFontSize;
 
     // Color legend calculations
-    const colorLegendFontSize = chartFontSize;
-    const colorLegendGap = 0.5 * colorLegendFontSize;
-    const colorLegendLabelHeight = colorLegendFontSize;
-    const colorLegendLabelGap = 0.35 * colorLegendLabelHeight;
-    const colorLegendSampleWidth = 1.35 * colorLegendLabelHeight;
-    const colorLegendLabelWidth = linePoints.reduce((labelMax, {label}) => {
-        const labelWidth = label.length * chartFontWidthRatio * colorLegendFontSize;
-        return labelWidth > labelMax ? labelWidth : labelMax;
-    }, 0);
-    const colorLegendX = yFields.length === 1 && colorField === null ? null : Math.max(
-        chartWidth - chartBorderSize - colorLegendLabelWidth - colorLegendSampleWidth,
-        0.6 * chartWidth
-    );
+    const colorLegendX = (allYFields.length === 1 && colorField === null ? null : getColorLegendX(chartWidth, chartFontSize, linePoints));
 
     // Chart area calculations
-    const chartTop = chartBorderSize + chartTitleHeight + 0.5 * chartLineWidth;
+    const chartTop = getChartAreaTop(chartTitle, chartFontSize) + 0.5 * chartLineWidth;
     const chartLeft = yAxisX + 0.5 * axisLineWidth + 0.5 * chartLineWidth;
     const chartBottom = xAxisY - 0.5 * axisLineWidth - 0.5 * chartLineWidth;
-    const chartRight = (colorLegendX !== null ? colorLegendX - colorLegendGap : chartWidth - chartBorderSize);
+    const chartRightEdge = getChartAreaRight(chartWidth, chartFontSize, colorLegendX);
+    const y2AxisX = (hasY2 ? chartRightEdge - y2AxisWidth : null);
+    const chartRight = (hasY2 ? y2AxisX - 0.5 * axisLineWidth - 0.5 * chartLineWidth : chartRightEdge);
 
     // Axis label limits
     const xAxisLabelLeft = chartLeft + 0.5 * axisLabelFontSize;
@@ -400,69 +790,384 @@ export function lineChartElements(data, lineChart, options = null) {
     const yAxisLabelBottom = chartBottom - 0.5 * axisLabelFontSize;
 
     // Helper functions to compute chart coordindate points
-    const chartPointX = (xCoord) => parameterValue(valueParameter(xCoord, xMin, xMax), chartLeft, chartRight);
-    const chartPointY = (yCoord) => parameterValue(valueParameter(yCoord, yMin, yMax), chartBottom, chartTop);
-    const svgValue = (value) => value.toFixed(svgPrecision);
-    const chartPathPoint = ([xCoord, yCoord], ixPoint, points) => {
+    const xScaleMin = scaleValue(xScale, xMin);
+    const xScaleMax = scaleValue(xScale, xMax);
+    const yScaleMin = scaleValue(yScale, yMin);
+    const yScaleMax = scaleValue(yScale, yMax);
+    const y2ScaleMin = scaleValue(y2Scale, y2Min);
+    const y2ScaleMax = scaleValue(y2Scale, y2Max);
+    const chartPointX = (xCoord) => parameterValue(valueParameter(scaleValue(xScale, xCoord), xScaleMin, xScaleMax), chartLeft, chartRight);
+    const chartPointY = (yCoord) => parameterValue(valueParameter(scaleValue(yScale, yCoord), yScaleMin, yScaleMax), chartBottom, chartTop);
+    const chartPointY2 = (yCoord) => parameterValue(
+        valueParameter(scaleValue(y2Scale, yCoord), y2ScaleMin, y2ScaleMax), chartBottom, chartTop
+    );
+    const chartLineCoord = (xCoord, yCoord, isY2) => {
         const xPoint = chartPointX(xCoord);
-        const yPoint = chartPointY(yCoord);
+        let yPoint = chartBottom;
+        if (isScaleValue(isY2 ? y2Scale : yScale, yCoord)) {
+            yPoint = (isY2 ? chartPointY2(yCoord) : chartPointY(yCoord));
+        }
+        return [xPoint, yPoint];
+    };
+    const chartLineCoords = (points, isY2) => {
+        const coords = [];
+        for (const [xCoord, yCoord] of points) {
+            const [xPoint, yPoint] = chartLineCoord(xCoord, yCoord, isY2);
+            if (coords.length !== 0 && curve !== 'linear') {
+                const [xPrev, yPrev] = coords[coords.length - 1];
+                coords.push(curve === 'stepAfter' ? [xPoint, yPrev] : [xPrev, yPoint]);
+            }
+            coords.push([xPoint, yPoint]);
+        }
+        return coords;
+    };
+    const chartCoordsPath = (coords) => coords.map(
+        ([xPoint, yPoint], ixCoord) => `${ixCoord === 0 ? 'M' : 'L'} ${svgValue(xPoint)} ${svgValue(yPoint)}`
+    ).join(' ');
+    const chartLinePath = (points, isY2) => {
         if (points.length === 1) {
+            const [[xPoint, yPoint]] = chartLineCoords(points, isY2);
             return `M ${svgValue(xPoint - 0.5 * chartLineWidth)} ${svgValue(yPoint)} ` +
                 `L ${svgValue(xPoint + 0.5 * chartLineWidth)} ${svgValue(yPoint)}`;
         }
-        return `${ixPoint === 0 ? 'M' : 'L'} ${svgValue(xPoint)} ${svgValue(yPoint)}`;
+        return chartCoordsPath(chartLineCoords(points, isY2));
     };
 
-    // Render the chart
-    return {
+    // Thin the automatic axis tick mark labels - X-axis labels are measured by their anchored text width and Y-axis
+    // labels by their font size
+    const axisLabelGap = 0.5 * axisLabelFontSize;
+    const axisLabelExtentY = (yPoint) => [yPoint - 0.5 * axisLabelFontSize, yPoint + 0.5 * axisLabelFontSize];
+    if (xTicksAuto) {
+        thinAxisLabels(xAxisTicks, axisLabelGap, (xCoord, xLabel) => {
+            const xPoint = chartPointX(xCoord);
+            const labelWidth = textWidth(xLabel, axisLabelFontSize);
+            if (xPoint < xAxisLabelLeft) {
+                return [xPoint, xPoint + labelWidth];
+            } else if (xPoint > xAxisLabelRight) {
+                return [xPoint - labelWidth, xPoint];
+            }
+            return [xPoint - 0.5 * labelWidth, xPoint + 0.5 * labelWidth];
+        });
+    }
+    if (yTicksAuto) {
+        thinAxisLabels(yAxisTicks, axisLabelGap, (yCoord) => axisLabelExtentY(chartPointY(yCoord)));
+    }
+    if (y2TicksAuto) {
+        thinAxisLabels(y2AxisTicks, axisLabelGap, (yCoord) => axisLabelExtentY(chartPointY2(yCoord)));
+    }
+
+    // Helper function to compute a line dash style's stroke-dasharray attribute value
+    const lineDashArray = (lineDash, lineWidth) => (
+        lineDash === 'dashed' ? `${svgValue(chartLineDashRatio * lineWidth)} ${svgValue(lineWidth)}` : `${svgValue(lineWidth)}`
+    );
+
+    // Helper function to create a line point marker element
+    const lineMarkerElement = (lineMarker, xPoint, yPoint, markerSize, color) => {
+        const markerAttr = {'stroke': theme.background, 'stroke-width': svgValue(chartLineMarkerBorderWidth), 'fill': color};
+        if (lineMarker === 'circle') {
+            return {
+                'svg': 'circle',
+                'attr': {'cx': svgValue(xPoint), 'cy': svgValue(yPoint), 'r': svgValue(0.5 * markerSize), ...markerAttr}
+            };
+        } else if (lineMarker === 'square') {
+            return {
+                'svg': 'rect',
+                'attr': {
+                    'x': svgValue(xPoint - 0.5 * markerSize),
+                    'y': svgValue(yPoint - 0.5 * markerSize),
+                    'width': svgValue(markerSize),
+                    'height': svgValue(markerSize),
+                    ...markerAttr
+                }
+            };
+        }
+
+        // Diamond
+        const markerRadius = 0.5 * Math.SQRT2 * markerSize;
+        return {
+            'svg': 'path',
+            'attr': {
+                'd': `M ${svgValue(xPoint)} ${svgValue(yPoint - markerRadius)} L ${svgValue(xPoint + markerRadius)} ${svgValue(yPoint)} ` +
+                    `L ${svgValue(xPoint)} ${svgValue(yPoint + markerRadius)} L ${svgValue(xPoint - markerRadius)} ${svgValue(yPoint)} Z`,
+                ...markerAttr
+            }
+        };
+    };
+
+    // Helper function to clip zoomed chart elements to the chart area
+    const chartClipTop = chartTop - 0.5 * chartLineWidth;
+    const chartClipWidth = chartRight + 0.5 * chartLineWidth - yAxisX;
+    const chartClipHeight = xAxisY - chartClipTop;
+    const chartClip = (elements) => !isZoomed ? elements : {
         'svg': 'svg',
         'attr': {
-            'width': chartWidth,
-            'height': chartHeight
+            'x': svgValue(yAxisX),
+            'y': svgValue(chartClipTop),
+            'width': svgValue(chartClipWidth),
+            'height': svgValue(chartClipHeight),
+            'viewBox': `${svgValue(yAxisX)} ${svgValue(chartClipTop)} ${svgValue(chartClipWidth)} ${svgValue(chartClipHeight)}`
         },
-        'elem': [
-            // Background
+        'elem': elements
+    };
+
+    // Helper function to compute a mouse event's chart X coordinate
+    const chartMouseX = (svgElement, event) => {
+        const boundingRect = svgElement.getBoundingClientRect();
+        const mouseScale = (boundingRect.width > 0 ? chartWidth / boundingRect.width : 1);
+        return mouseScale * (event.clientX - boundingRect.left);
+    };
+
+    // Helper functions to format a point's X and Y values
+    const pointLabelX = (xValue) => formatValue(xValue, lineChart.precision, lineChart.datetime, null, xValueFormat);
+    const pointLabelY = (yValue, isY2) => (isY2
+        ? formatValue(yValue, y2Precision, lineChart.datetime, null, y2ValueFormat)
+        : formatValue(yValue, lineChart.precision, lineChart.datetime, null, yValueFormat));
+
+    // Accessibility calculations - the chart's accessible name and description
+    const chartName = lineChartName(lineChart);
+    let chartDescription = (accessibility !== null ? (accessibility.description ?? null) : null);
+    if (chartDescription === null) {
+        const valueMinimum = (values) => values.reduce((valueMin, value) => (value < valueMin ? value : valueMin));
+        const valueMaximum = (values) => values.reduce((valueMax, value) => (value > valueMax ? value : valueMax));
+        const xValues = linePoints.flatMap(({points}) => points.map(([xCoord]) => xCoord));
+        const xValueMin = valueMinimum(xValues);
+        const xValueMax = valueMaximum(xValues);
+        const descriptions = [`${xField} ranges from ${pointLabelX(xValueMin)} to ${pointLabelX(xValueMax)}.`];
+        for (const {label, points, isY2} of linePoints) {
+            const yValues = points.map(([, yCoord, yValue = yCoord]) => yValue).filter((yValue) => yValue !== null);
+            if (yValues.length === 0) {
+                descriptions.push(`${label} has no data.`);
+            } else {
+                descriptions.push(
+                    `${label} ranges from ${pointLabelY(valueMinimum(yValues), isY2)} to ${pointLabelY(valueMaximum(yValues), isY2)} ` +
+                        `(${yValues.length} point${yValues.length === 1 ? '' : 's'}).`
+                );
+            }
+        }
+        chartDescription = descriptions.join(' ');
+    }
+
+    // Tooltip calculations - the hover points are sorted by X value
+    const tooltipFontSize = chartFontSize;
+    const tooltipMargin = 0.5 * tooltipFontSize;
+    const tooltipLineHeight = 1.4 * tooltipFontSize;
+    const tooltipSampleWidth = 1.35 * tooltipFontSize;
+    const tooltipOffsetX = tooltipMargin + tooltipMarkerRadius;
+    const hoverPoints = [];
+    if (tooltip) {
+        const hoverPointMap = new Map();
+        for (const {label, color, points, isY2} of linePoints) {
+            for (const [xCoord, yCoord, yValue = yCoord] of points) {
+                if (yValue === null) {
+                    continue;
+                }
+                const xKey = xCoord.valueOf();
+                if (!hoverPointMap.has(xKey)) {
+                    hoverPointMap.set(xKey, {
+                        'xPoint': chartPointX(xCoord),
+                        'xLabel': pointLabelX(xCoord),
+                        'lines': []
+                    });
+                }
+                hoverPointMap.get(xKey).lines.push({
+                    color,
+                    'yPoint': (isY2 ? chartPointY2(yCoord) : chartPointY(yCoord)),
+                    'label': `${label}: ${pointLabelY(yValue, isY2)}`
+                });
+            }
+        }
+        for (const hoverPoint of hoverPointMap.values()) {
+            if (hoverPoint.xPoint >= chartLeft - 0.5 * chartLineWidth && hoverPoint.xPoint <= chartRight + 0.5 * chartLineWidth) {
+                hoverPoints.push(hoverPoint);
+            }
+        }
+        hoverPoints.sort((point1, point2) => point1.xPoint - point2.xPoint);
+    }
+
+    // Helper function to compute the nearest hover point to a chart X coordinate
+    const hoverPointNearest = (xMouse) => {
+        if (xMouse < yAxisX || xMouse > chartRight) {
+            return null;
+        }
+        return hoverPoints.reduce((pointMin, point) => (
+            pointMin === null || Math.abs(point.xPoint - xMouse) < Math.abs(pointMin.xPoint - xMouse) ? point : pointMin
+        ), null);
+    };
+
+    // Helper function to create a hover point's crosshair, markers, and tooltip elements
+    const tooltipElements = ({xPoint, xLabel, lines}) => {
+        const tooltipTextWidth = [xLabel, ...lines.map(({label}) => label)].reduce((labelMax, label, ixLabel) => {
+            const labelWidth = (ixLabel === 0 ? 0 : tooltipSampleWidth) + textWidth(label, tooltipFontSize);
+            return labelWidth > labelMax ? labelWidth : labelMax;
+        }, 0);
+        const tooltipWidth = 2 * tooltipMargin + tooltipTextWidth;
+        const tooltipHeight = 2 * tooltipMargin + (lines.length + 1) * tooltipLineHeight;
+        const tooltipX = (xPoint > 0.5 * (chartLeft + chartRight) ? xPoint - tooltipOffsetX - tooltipWidth : xPoint + tooltipOffsetX);
+        const tooltipLineY = (ixLine) => chartTop + tooltipMargin + (ixLine + 0.5) * tooltipLineHeight;
+        return [
+            // Crosshair
             {
-                'svg': 'rect',
+                'svg': 'path',
                 'attr': {
-                    'width': chartWidth,
-                    'height': chartHeight,
-                    'fill': chartBackgroundColor
+                    'stroke': tooltipCrosshairColor,
+                    'stroke-width': svgValue(tooltipCrosshairWidth),
+                    'fill': 'none',
+                    'd': `M ${svgValue(xPoint)} ${svgValue(xAxisY)} V ${svgValue(chartTop)}`
                 }
             },
 
-            // Chart title
-            chartTitle === null ? null : {
-                'svg': 'text',
+            // Point markers
+            lines.map(({color, yPoint}) => ({
+                'svg': 'circle',
                 'attr': {
-                    'font-family': chartFontFamily,
-                    'font-size': `${svgValue(chartTitleFontSize)}px`,
-                    'fill': axisColor,
-                    'style': 'font-weight: bold',
-                    'x': svgValue(0.5 * (chartLeft + chartRight)),
-                    'y': svgValue(chartBorderSize),
-                    'text-anchor': 'middle',
-                    'dominant-baseline': 'hanging'
-                },
-                'elem': {'text': chartTitle}
-            },
+                    'cx': svgValue(xPoint),
+                    'cy': svgValue(yPoint),
+                    'r': svgValue(tooltipMarkerRadius),
+                    'stroke': theme.background,
+                    'stroke-width': svgValue(tooltipCrosshairWidth),
+                    'fill': color
+                }
+            })),
 
-            // Y-Axis title
-            yAxisTitle === null ? null : {
+            // Tooltip
+            {
+                'svg': 'rect',
+                'attr': {
+                    'x': svgValue(tooltipX),
+                    'y': svgValue(chartTop),
+                    'width': svgValue(tooltipWidth),
+                    'height': svgValue(tooltipHeight),
+                    'stroke': tooltipBorderColor,
+                    'stroke-width': svgValue(tooltipCrosshairWidth),
+                    'fill': theme.background,
+                    'fill-opacity': tooltipBackgroundOpacity
+                }
+            },
+            {
                 'svg': 'text',
                 'attr': {
                     'font-family': chartFontFamily,
-                    'font-size': `${svgValue(axisTitleFontSize)}px`,
-                    'fill': axisColor,
+                    'font-size': `${svgValue(tooltipFontSize)}px`,
+                    'fill': theme.text,
                     'style': 'font-weight: bold',
-                    'x': svgValue(chartBorderSize),
-                    'y': svgValue(0.5 * (chartTop + chartBottom)),
-                    'transform': `rotate(-90 ${svgValue(chartBorderSize)}, ${svgValue(0.5 * (chartTop + chartBottom))})`,
-                    'text-anchor': 'middle',
-                    'dominant-baseline': 'hanging'
+                    'x': svgValue(tooltipX + tooltipMargin),
+                    'y': svgValue(tooltipLineY(0)),
+                    'text-anchor': 'start',
+                    'dominant-baseline': 'middle'
                 },
-                'elem': {'text': yAxisTitle}
+                'elem': {'text': xLabel}
             },
+            lines.map(({color, label}, ixLine) => [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': svgValue(tooltipX + tooltipMargin),
+                        'y': svgValue(tooltipLineY(ixLine + 1) - 0.5 * tooltipFontSize),
+                        'width': svgValue(tooltipFontSize),
+                        'height': svgValue(tooltipFontSize),
+                        'stroke': 'none',
+                        'fill': color
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': chartFontFamily,
+                        'font-size': `${svgValue(tooltipFontSize)}px`,
+                        'fill': theme.text,
+                        'x': svgValue(tooltipX + tooltipMargin + tooltipSampleWidth),
+                        'y': svgValue(tooltipLineY(ixLine + 1)),
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {'text': label}
+                }
+            ])
+        ];
+    };
+
+    // Focusable point calculations - points outside of the (zoomed) chart area are not focusable
+    const pointElements = [];
+    if (focusPoints) {
+        for (const {label, points, isY2} of linePoints) {
+            for (const [xCoord, yCoord, yValue = yCoord] of points) {
+                const [xPoint, yPoint] = chartLineCoord(xCoord, yCoord, isY2);
+                if (yValue === null || xPoint < chartLeft - 0.5 * chartLineWidth || xPoint > chartRight + 0.5 * chartLineWidth) {
+                    continue;
+                }
+                pointElements.push({
+                    'svg': 'circle',
+                    'attr': {
+                        'cx': svgValue(xPoint),
+                        'cy': svgValue(yPoint),
+                        'r': svgValue(focusPointRadius),
+                        'stroke': 'none',
+                        'stroke-width': svgValue(focusPointWidth),
+                        'fill': 'none',
+                        'style': 'outline: none',
+                        'tabindex': '0',
+                        'role': 'img',
+                        'aria-label': `${xField}: ${pointLabelX(xCoord)}, ${label}: ${pointLabelY(yValue, isY2)}`
+                    },
+                    'callback': (pointElement) => {
+                        pointElement.addEventListener('focus', () => {
+                            pointElement.setAttribute('stroke', theme.text);
+                        });
+                        pointElement.addEventListener('blur', () => {
+                            pointElement.setAttribute('stroke', 'none');
+                        });
+                    }
+                });
+            }
+        }
+    }
+
+    // Helper function to compute the X value of a chart X coordinate
+    const chartValueX = (xPoint) => scaleValueInverse(
+        xScale, parameterValue(valueParameter(xPoint, chartLeft, chartRight), xScaleMin, xScaleMax)
+    );
+
+    // Helper function to zoom the chart's X-axis range - a null range resets the zoom
+    const zoomChart = (svgElement, zoomStartNew, zoomEndNew) => {
+        const zoomNew = {...zoom};
+        delete zoomNew.start;
+        delete zoomNew.end;
+        if (zoomStartNew !== null) {
+            zoomNew.start = zoomStartNew;
+            zoomNew.end = zoomEndNew;
+        }
+        const zoomFn = (options !== null ? (options.zoomFn ?? null) : null);
+        if (zoomFn !== null) {
+            zoomFn(zoomStartNew, zoomEndNew);
+        } else {
+            lineChartRender(svgElement, data, {...lineChart, 'zoom': zoomNew}, options);
+        }
+    };
+
+    // Render the chart
+    const chartElements = {
+        'svg': 'svg',
+        'attr': {
+            'width': chartWidth,
+            'height': chartHeight,
+            'role': (focusPoints ? 'group' : 'img'),
+            'aria-label': chartName
+        },
+        'elem': [
+            // Accessible name and description
+            [
+                {'svg': 'title', 'elem': {'text': chartName}},
+                {'svg': 'desc', 'elem': {'text': chartDescription}}
+            ],
+
+            // Background
+            chartBackgroundElement(chartWidth, chartHeight, theme),
+
+            // Chart title
+            chartTitleElement(chartTitle, 0.5 * (chartLeft + chartRight), chartFontSize, theme),
+
+            // Y-Axis title
+            leftAxisTitleElement(yAxisTitle, 0.5 * (chartTop + chartBottom), chartFontSize, theme),
 
             // Y-axis ticks
             yAxisTicks.map(([yCoord, yLabel]) => {
@@ -470,61 +1175,60 @@ export function lineChartElements(data, lineChart, options = null) {
                 const hasLabel = yLabel !== '';
                 const hasLine = !hasLabel || (yPoint > yAxisLabelTop && yPoint < yAxisLabelBottom);
                 return [
-                    !hasLabel ? null : {
-                        'svg': 'path',
-                        'attr': {
-                            'stroke': axisColor,
-                            'stroke-width': svgValue(axisTickWidth),
-                            'fill': 'none',
-                            'd': `M ${svgValue(yAxisX)} ${svgValue(yPoint)} H ${svgValue(yAxisX - axisTickLength)}`
-                        }
-                    },
-                    !hasLine ? null : {
-                        'svg': 'path',
-                        'attr': {
-                            'stroke': axisTickLineColor,
-                            'stroke-width': svgValue(axisTickWidth),
-                            'fill': 'none',
-                            'd': `M ${svgValue(yAxisX)} ${svgValue(yPoint)} H ${svgValue(chartRight)}`
-                        }
-                    }
+                    !hasLabel ? null : linePathElement(
+                        theme.axis, axisTickWidth, `M ${svgValue(yAxisX)} ${svgValue(yPoint)} H ${svgValue(yAxisX - axisTickLength)}`
+                    ),
+                    !hasLine ? null : linePathElement(
+                        theme.grid, axisTickWidth, `M ${svgValue(yAxisX)} ${svgValue(yPoint)} H ${svgValue(chartRight)}`
+                    )
                 ];
             }),
 
             // Y-axis labels
-            yAxisTicks.map(([yCoord, yLabel]) => {
-                const yPoint = chartPointY(yCoord);
-                const hasLabel = yLabel !== '';
-                return !hasLabel ? null : {
+            leftAxisLabelElements(yAxisTicks, chartPointY, yAxisX, chartTop, chartBottom, chartFontSize, theme),
+
+            // Y2-axis title, ticks, and labels
+            !hasY2 ? null : [
+                y2AxisTitle === null ? null : {
                     'svg': 'text',
                     'attr': {
                         'font-family': chartFontFamily,
-                        'font-size': `${svgValue(axisLabelFontSize)}px`,
-                        'fill': axisColor,
-                        'x': svgValue(yAxisX - axisTickLength - yAxisTickGap),
-                        'y': svgValue(yPoint),
-                        'text-anchor': 'end',
-                        'dominant-baseline': (yPoint > yAxisLabelBottom ? 'auto' : (yPoint < yAxisLabelTop ? 'hanging' : 'middle'))
+                        'font-size': `${svgValue(axisTitleFontSize)}px`,
+                        'fill': theme.text,
+                        'style': 'font-weight: bold',
+                        'x': svgValue(chartRightEdge),
+                        'y': svgValue(0.5 * (chartTop + chartBottom)),
+                        'transform': `rotate(90 ${svgValue(chartRightEdge)}, ${svgValue(0.5 * (chartTop + chartBottom))})`,
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
                     },
-                    'elem': {'text': yLabel}
-                };
-            }),
+                    'elem': {'text': y2AxisTitle}
+                },
+                y2AxisTicks.map(([yCoord, yLabel]) => {
+                    const yPoint = chartPointY2(yCoord);
+                    return yLabel === '' ? null : [
+                        linePathElement(
+                            theme.axis, axisTickWidth, `M ${svgValue(y2AxisX)} ${svgValue(yPoint)} H ${svgValue(y2AxisX + axisTickLength)}`
+                        ),
+                        {
+                            'svg': 'text',
+                            'attr': {
+                                'font-family': chartFontFamily,
+                                'font-size': `${svgValue(axisLabelFontSize)}px`,
+                                'fill': theme.text,
+                                'x': svgValue(y2AxisX + axisTickLength + axisTickGap),
+                                'y': svgValue(yPoint),
+                                'text-anchor': 'start',
+                                'dominant-baseline': (yPoint > yAxisLabelBottom ? 'auto' : (yPoint < yAxisLabelTop ? 'hanging' : 'middle'))
+                            },
+                            'elem': {'text': yLabel}
+                        }
+                    ];
+                })
+            ],
 
             // X-Axis title
-            {
-                'svg': 'text',
-                'attr': {
-                    'font-family': chartFontFamily,
-                    'font-size': `${svgValue(axisTitleFontSize)}px`,
-                    'fill': axisColor,
-                    'style': 'font-weight: bold',
-                    'x': svgValue(0.5 * (chartLeft + chartRight)),
-                    'y': svgValue(chartHeight - chartBorderSize),
-                    'text-anchor': 'middle',
-                    'dominant-baseline': 'auto'
-                },
-                'elem': {'text': xField}
-            },
+            bottomAxisTitleElement(xField, 0.5 * (chartLeft + chartRight), chartHeight, chartFontSize, theme),
 
             // X-axis ticks
             xAxisTicks.map(([xCoord, xLabel]) => {
@@ -532,186 +1236,515 @@ export function lineChartElements(data, lineChart, options = null) {
                 const hasLabel = xLabel !== '';
                 const hasLine = !hasLabel || (xPoint > xAxisLabelLeft && xPoint < xAxisLabelRight);
                 return [
-                    !hasLabel ? null : {
-                        'svg': 'path',
-                        'attr': {
-                            'stroke': axisColor,
-                            'stroke-width': svgValue(axisTickWidth),
-                            'fill': 'none',
-                            'd': `M ${svgValue(xPoint)} ${svgValue(xAxisY)} V ${svgValue(xAxisY + axisTickLength)}`
-                        }
-                    },
-                    !hasLine ? null : {
-                        'svg': 'path',
-                        'attr': {
-                            'stroke': axisTickLineColor,
-                            'stroke-width': svgValue(axisTickWidth),
-                            'fill': 'none',
-                            'd': `M ${svgValue(xPoint)} ${svgValue(xAxisY)} V ${svgValue(chartTop)}`
-                        }
-                    }
+                    !hasLabel ? null : linePathElement(
+                        theme.axis, axisTickWidth, `M ${svgValue(xPoint)} ${svgValue(xAxisY)} V ${svgValue(xAxisY + axisTickLength)}`
+                    ),
+                    !hasLine ? null : linePathElement(
+                        theme.grid, axisTickWidth, `M ${svgValue(xPoint)} ${svgValue(xAxisY)} V ${svgValue(chartTop)}`
+                    )
                 ];
             }),
 
             // X-axis labels
-            xAxisTicks.map(([xCoord, xLabel]) => {
-                const xPoint = chartPointX(xCoord);
-                const hasLabel = xLabel !== '';
-                return !hasLabel ? null : {
-                    'svg': 'text',
-                    'attr': {
-                        'font-family': chartFontFamily,
-                        'font-size': `${svgValue(axisLabelFontSize)}px`,
-                        'fill': axisColor,
-                        'x': svgValue(xPoint),
-                        'y': svgValue(xAxisY + axisTickLength + xAxisTickGap),
-                        'text-anchor': (xPoint < xAxisLabelLeft ? 'start' : (xPoint > xAxisLabelRight ? 'end' : 'middle')),
-                        'dominant-baseline': 'hanging'
-                    },
-                    'elem': {'text': xLabel}
-                };
-            }),
+            bottomAxisLabelElements(xAxisTicks, chartPointX, xAxisY, chartLeft, chartRight, chartFontSize, theme),
+
+            // Range annotations
+            xRangeAnnotations.length === 0 && yRangeAnnotations.length === 0 ? null : [
+                xRangeAnnotations.map(([xStart, xEnd, xLabel, color]) => {
+                    const xPointStart = Math.max(chartLeft, Math.min(chartPointX(xStart), chartPointX(xEnd)));
+                    const xPointEnd = Math.min(chartRight, Math.max(chartPointX(xStart), chartPointX(xEnd)));
+                    return xPointEnd <= xPointStart ? null : [
+                        {
+                            'svg': 'rect',
+                            'attr': {
+                                'x': svgValue(xPointStart),
+                                'y': svgValue(chartTop),
+                                'width': svgValue(xPointEnd - xPointStart),
+                                'height': svgValue(xAxisY - chartTop),
+                                'stroke': 'none',
+                                'fill': color,
+                                'fill-opacity': annotationRangeOpacity
+                            }
+                        },
+                        annotationLabelElements(
+                            xLabel, xPointStart + annotationLabelOffsetX, chartTop + annotationLabelOffsetY, chartFontSize, theme
+                        )
+                    ];
+                }),
+                yRangeAnnotations.map(([yStart, yEnd, yLabel, color]) => {
+                    const yPointStart = Math.max(chartTop, Math.min(chartPointY(yStart), chartPointY(yEnd)));
+                    const yPointEnd = Math.min(chartBottom, Math.max(chartPointY(yStart), chartPointY(yEnd)));
+                    return yPointEnd <= yPointStart ? null : [
+                        {
+                            'svg': 'rect',
+                            'attr': {
+                                'x': svgValue(yAxisX),
+                                'y': svgValue(yPointStart),
+                                'width': svgValue(chartRight - yAxisX),
+                                'height': svgValue(yPointEnd - yPointStart),
+                                'stroke': 'none',
+                                'fill': color,
+                                'fill-opacity': annotationRangeOpacity
+                            }
+                        },
+                        annotationLabelElements(
+                            yLabel, chartLeft + annotationLabelOffsetX, yPointStart + annotationLabelOffsetY, chartFontSize, theme
+                        )
+                    ];
+                })
+            ],
+
+            // Filled areas
+            mode === 'line' ? null : chartClip(linePoints.map(({color, points, baseline, isY2}) => points.length === 0 ? null : {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'none',
+                    'fill': color,
+                    'fill-opacity': chartAreaOpacity,
+                    'd': `${chartCoordsPath([...chartLineCoords(points, isY2), ...chartLineCoords(baseline, isY2).reverse()])} Z`
+                }
+            })),
 
             // Axis lines
             {
                 'svg': 'path',
                 'attr': {
-                    'stroke': axisColor,
+                    'stroke': theme.axis,
                     'stroke-width': svgValue(axisLineWidth),
                     'fill': 'none',
                     'd': `M ${svgValue(yAxisX)} ${svgValue(chartTop - 0.5 * axisTickWidth)} ` +
-                        `V ${svgValue(xAxisY)} H ${svgValue(chartRight + 0.5 * axisTickWidth)}`
+                        `V ${svgValue(xAxisY)} H ${svgValue(hasY2 ? y2AxisX : chartRight + 0.5 * axisTickWidth)}` +
+                        (hasY2 ? ` V ${svgValue(chartTop - 0.5 * axisTickWidth)}` : '')
                 }
             },
 
             // Lines
-            linePoints.map(({color, points}) => ({
-                'svg': 'path',
-                'attr': {
-                    'stroke': color,
-                    'stroke-width': svgValue(chartLineWidth),
-                    'fill': 'none',
-                    'd': points.map(chartPathPoint).join(' ')
+            chartClip(linePoints.map(({label, color, points, isY2}) => {
+                const lineStyle = lineStyles[label] ?? {};
+                const lineWidth = lineStyle.width ?? chartLineWidth;
+                const lineDash = lineStyle.dash ?? 'solid';
+                const lineMarker = lineStyle.marker ?? null;
+                const lineElement = {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': color,
+                        'stroke-width': svgValue(lineWidth),
+                        ...(lineDash === 'solid' ? {} : {'stroke-dasharray': lineDashArray(lineDash, lineWidth)}),
+                        'fill': 'none',
+                        'd': chartLinePath(points, isY2)
+                    }
+                };
+                if (lineMarker === null) {
+                    return lineElement;
                 }
+                const markerSize = chartLineMarkerRatio * lineWidth;
+                return [
+                    lineElement,
+                    points.filter(([, , yValue]) => yValue !== null).map(([xCoord, yCoord]) => {
+                        const [xPoint, yPoint] = chartLineCoord(xCoord, yCoord, isY2);
+                        return lineMarkerElement(lineMarker, xPoint, yPoint, markerSize, color);
+                    })
+                ];
             })),
 
             // Y-axis annotations
             yAxisAnnotations.map(([yCoord, yLabel]) => {
                 const yPoint = chartPointY(yCoord);
                 const isUnder = yPoint < 0.5 * (chartTop + chartBottom);
-                const labelWidth = 2 * annotationLabelMargin + yLabel.length * chartFontWidthRatio * annotationLabelFontSize;
                 const labelY = isUnder
-                    ? yPoint + annotationLineWidth + yAnnotationLabelOffsetY
-                    : yPoint - annotationLineWidth - yAnnotationLabelOffsetY - annotationLabelHeight;
-                return [
-                    yLabel === '' ? null : {
-                        'svg': 'rect',
-                        'attr': {
-                            'x': svgValue(chartLeft + yAnnotationLabelOffsetX),
-                            'y': svgValue(labelY),
-                            'width': svgValue(labelWidth),
-                            'height': svgValue(annotationLabelHeight),
-                            'fill': annotationBackgroundColor
-                        }
-                    },
-                    yLabel === '' ? null : {
-                        'svg': 'text',
-                        'attr': {
-                            'font-family': chartFontFamily,
-                            'font-size': `${svgValue(annotationLabelFontSize)}px`,
-                            'fill': annotationTextColor,
-                            'x': svgValue(chartLeft + yAnnotationLabelOffsetX + annotationLabelMargin),
-                            'y': svgValue(labelY + annotationLabelMargin + 0.5 * annotationLabelFontSize),
-                            'text-anchor': 'start',
-                            'dominant-baseline': 'middle'
-                        },
-                        'elem': {'text': yLabel}
-                    },
-                    {
-                        'svg': 'path',
-                        'attr': {
-                            'stroke': annotationLineColor,
-                            'stroke-width': svgValue(annotationLineWidth),
-                            'fill': 'none',
-                            'd': `M ${svgValue(yAxisX)} ${svgValue(yPoint)} H ${svgValue(chartRight)}`
-                        }
-                    }
-                ];
+                    ? yPoint + annotationLineWidth + annotationLabelOffsetY
+                    : yPoint - annotationLineWidth - annotationLabelOffsetY - annotationLabelHeight;
+                const linePath = `M ${svgValue(yAxisX)} ${svgValue(yPoint)} H ${svgValue(chartRight)}`;
+                return axisAnnotationElements(yLabel, chartLeft + annotationLabelOffsetX, labelY, linePath, chartFontSize, theme);
+            }),
+
+            // Y2-axis annotations
+            y2AxisAnnotations.map(([yCoord, yLabel]) => {
+                const yPoint = chartPointY2(yCoord);
+                const isUnder = yPoint < 0.5 * (chartTop + chartBottom);
+                const labelY = isUnder
+                    ? yPoint + annotationLineWidth + annotationLabelOffsetY
+                    : yPoint - annotationLineWidth - annotationLabelOffsetY - annotationLabelHeight;
+                const linePath = `M ${svgValue(yAxisX)} ${svgValue(yPoint)} H ${svgValue(y2AxisX)}`;
+                return axisAnnotationElements(yLabel, chartRight - annotationLabelOffsetX, labelY, linePath, chartFontSize, theme, true);
             }),
 
             // X-axis annotations
             xAxisAnnotations.map(([xCoord, xLabel]) => {
                 const xPoint = chartPointX(xCoord);
                 const isLeft = xPoint > 0.5 * (chartLeft + chartRight);
-                const labelWidth = 2 * annotationLabelMargin + xLabel.length * chartFontWidthRatio * annotationLabelFontSize;
-                const labelY = chartBottom - xAnnotationLabelOffsetY - annotationLabelHeight;
+                const labelX = (isLeft
+                    ? xPoint - 0.5 * annotationLineWidth - annotationLabelOffsetX
+                    : xPoint + 0.5 * annotationLineWidth + annotationLabelOffsetX);
+                const labelY = chartBottom - annotationLabelOffsetY - annotationLabelHeight;
+                const linePath = `M ${svgValue(xPoint)} ${svgValue(xAxisY)} V ${svgValue(chartTop)}`;
+                return axisAnnotationElements(xLabel, labelX, labelY, linePath, chartFontSize, theme, isLeft);
+            }),
+
+            // Callout annotations - callouts outside of the chart area are not drawn
+            calloutAnnotations.length === 0 ? null : calloutAnnotations.map(([xCoord, yCoord, label]) => {
+                const xPoint = chartPointX(xCoord);
+                const yPoint = chartPointY(yCoord);
+                if (xPoint < chartLeft || xPoint > chartRight || yPoint < chartTop || yPoint > chartBottom) {
+                    return null;
+                }
+
+                // Compute the label position - the label is placed towards the chart's center
+                const [labelWidth] = getAnnotationLabelSize(label, chartFontSize);
+                const isLeft = xPoint > 0.5 * (chartLeft + chartRight);
+                const isUnder = yPoint < 0.5 * (chartTop + chartBottom);
+                const anchorX = xPoint + (isLeft ? -calloutOffset : calloutOffset);
+                const anchorY = yPoint + (isUnder ? calloutOffset : -calloutOffset);
+                const labelX = Math.max(chartLeft, Math.min(chartRight - labelWidth, (isLeft ? anchorX - labelWidth : anchorX)));
+                const labelY = Math.max(
+                    chartTop,
+                    Math.min(chartBottom - annotationLabelHeight, (isUnder ? anchorY : anchorY - annotationLabelHeight))
+                );
+
+                // Compute the arrow head
+                const arrowLength = Math.hypot(xPoint - anchorX, yPoint - anchorY);
+                const arrowUnitX = (xPoint - anchorX) / arrowLength;
+                const arrowUnitY = (yPoint - anchorY) / arrowLength;
+                const arrowBaseX = xPoint - annotationCalloutArrowSize * arrowUnitX;
+                const arrowBaseY = yPoint - annotationCalloutArrowSize * arrowUnitY;
+                const arrowOffsetX = 0.5 * annotationCalloutArrowSize * arrowUnitY;
+                const arrowOffsetY = 0.5 * annotationCalloutArrowSize * arrowUnitX;
                 return [
-                    xLabel === '' ? null : {
-                        'svg': 'rect',
+                    {
+                        'svg': 'path',
                         'attr': {
-                            'x': svgValue(isLeft
-                                ? xPoint - 0.5 * annotationLineWidth - xAnnotationLabelOffsetX - labelWidth
-                                : xPoint + 0.5 * annotationLineWidth + xAnnotationLabelOffsetX),
-                            'y': svgValue(labelY),
-                            'width': svgValue(labelWidth),
-                            'height': svgValue(annotationLabelHeight),
-                            'fill': annotationBackgroundColor
+                            'stroke': theme.annotation,
+                            'stroke-width': svgValue(annotationCalloutLineWidth),
+                            'fill': 'none',
+                            'd': `M ${svgValue(anchorX)} ${svgValue(anchorY)} L ${svgValue(arrowBaseX)} ${svgValue(arrowBaseY)}`
                         }
                     },
-                    xLabel === '' ? null : {
-                        'svg': 'text',
-                        'attr': {
-                            'font-family': chartFontFamily,
-                            'font-size': `${svgValue(annotationLabelFontSize)}px`,
-                            'fill': annotationTextColor,
-                            'x': svgValue(isLeft
-                                ? xPoint - 0.5 * annotationLineWidth - xAnnotationLabelOffsetX - annotationLabelMargin
-                                : xPoint + 0.5 * annotationLineWidth + xAnnotationLabelOffsetX + annotationLabelMargin),
-                            'y': svgValue(labelY + annotationLabelMargin + 0.5 * annotationLabelFontSize),
-                            'text-anchor': (isLeft ? 'end' : 'start'),
-                            'dominant-baseline': 'middle'
-                        },
-                        'elem': {'text': xLabel}
-                    },
                     {
                         'svg': 'path',
                         'attr': {
-                            'stroke': annotationLineColor,
-                            'stroke-width': svgValue(annotationLineWidth),
-                            'fill': 'none',
-                            'd': `M ${svgValue(xPoint)} ${svgValue(xAxisY)} V ${svgValue(chartTop)}`
+                            'stroke': 'none',
+                            'fill': theme.annotation,
+                            'd': `M ${svgValue(xPoint)} ${svgValue(yPoint)} ` +
+                                `L ${svgValue(arrowBaseX - arrowOffsetX)} ${svgValue(arrowBaseY + arrowOffsetY)} ` +
+                                `L ${svgValue(arrowBaseX + arrowOffsetX)} ${svgValue(arrowBaseY - arrowOffsetY)} Z`
                         }
-                    }
+                    },
+                    annotationLabelElements(label, labelX, labelY, chartFontSize, theme)
                 ];
             }),
 
             // Color legend
-            colorLegendX === null ? null : linePoints.map(({label, color}, ix) => [
-                {
-                    'svg': 'rect',
-                    'attr': {
-                        'x': svgValue(colorLegendX),
-                        'y': svgValue(chartTop + ix * (colorLegendLabelHeight + colorLegendLabelGap)),
-                        'width': svgValue(colorLegendLabelHeight),
-                        'height': svgValue(colorLegendLabelHeight),
-                        'stroke': 'none',
-                        'fill': color
-                    }
-                },
-                {
+            colorLegendElements(linePoints, colorLegendX, chartTop, chartFontSize, theme),
+
+            // Zoom reset and brush
+            zoom === null ? null : [
+                !isZoomed ? null : {
                     'svg': 'text',
                     'attr': {
                         'font-family': chartFontFamily,
-                        'font-size': `${svgValue(colorLegendFontSize)}px`,
-                        'fill': axisColor,
-                        'x': svgValue(colorLegendX + colorLegendSampleWidth),
-                        'y': svgValue(chartTop + ix * (colorLegendLabelHeight + colorLegendLabelGap) + 0.5 * colorLegendLabelHeight),
-                        'text-anchor': 'start',
-                        'dominant-baseline': 'middle'
+                        'font-size': `${svgValue(axisLabelFontSize)}px`,
+                        'fill': theme.text,
+                        'style': 'cursor: pointer; text-decoration: underline',
+                        'x': svgValue(chartRight - annotationLabelMargin),
+                        'y': svgValue(chartTop + annotationLabelMargin),
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
                     },
-                    'elem': {'text': label}
+                    'elem': {'text': 'Reset'},
+                    'callback': (resetElement) => {
+                        resetElement.addEventListener('click', () => {
+                            zoomChart(resetElement.ownerSVGElement, null, null);
+                        });
+                    }
+                },
+                {
+                    'svg': 'g',
+                    'attr': {'pointer-events': 'none'},
+                    'callback': (brushElement) => {
+                        const svgElement = brushElement.ownerSVGElement;
+                        const clampX = (xPoint) => Math.max(chartLeft, Math.min(chartRight, xPoint));
+                        let dragStart = null;
+                        svgElement.addEventListener('mousedown', (event) => {
+                            const xMouse = chartMouseX(svgElement, event);
+                            if (xMouse >= chartLeft && xMouse <= chartRight) {
+                                dragStart = [xMouse, event.shiftKey];
+                                event.preventDefault();
+                            }
+                        });
+                        svgElement.addEventListener('mousemove', (event) => {
+                            if (dragStart !== null && !dragStart[1]) {
+                                const [xDragStart] = dragStart;
+                                const xMouse = clampX(chartMouseX(svgElement, event));
+                                renderElements(brushElement, {
+                                    'svg': 'rect',
+                                    'attr': {
+                                        'x': svgValue(Math.min(xDragStart, xMouse)),
+                                        'y': svgValue(chartTop),
+                                        'width': svgValue(Math.abs(xMouse - xDragStart)),
+                                        'height': svgValue(xAxisY - chartTop),
+                                        'fill': zoomBrushColor
+                                    }
+                                });
+                            }
+                        });
+                        svgElement.addEventListener('mouseup', (event) => {
+                            if (dragStart !== null) {
+                                const [xDragStart, isPan] = dragStart;
+                                dragStart = null;
+                                renderElements(brushElement);
+
+                                // Pan or zoom
+                                const xMouse = (isPan ? chartMouseX(svgElement, event) : clampX(chartMouseX(svgElement, event)));
+                                if (Math.abs(xMouse - xDragStart) >= zoomDragMinimum) {
+                                    if (isPan) {
+                                        const xOffset = xDragStart - xMouse;
+                                        zoomChart(svgElement, chartValueX(chartLeft + xOffset), chartValueX(chartRight + xOffset));
+                                    } else {
+                                        zoomChart(
+                                            svgElement,
+                                            chartValueX(Math.min(xDragStart, xMouse)),
+                                            chartValueX(Math.max(xDragStart, xMouse))
+                                        );
+                                    }
+                                }
+                            }
+                        });
+                        svgElement.addEventListener('mouseleave', () => {
+                            dragStart = null;
+                            renderElements(brushElement);
+                        });
+                    }
                 }
-            ])
+            ],
+
+            // Focusable points
+            !focusPoints ? null : chartClip(pointElements),
+
+            // Tooltip
+            !tooltip ? null : {
+                'svg': 'g',
+                'attr': {'pointer-events': 'none'},
+                'callback': (hoverElement) => {
+                    const svgElement = hoverElement.ownerSVGElement;
+                    svgElement.addEventListener('mousemove', (event) => {
+                        const hoverPoint = hoverPointNearest(chartMouseX(svgElement, event));
+                        renderElements(hoverElement, hoverPoint === null ? null : tooltipElements(hoverPoint));
+                    });
+                    svgElement.addEventListener('mouseleave', () => {
+                        renderElements(hoverElement);
+                    });
+                }
+            }
+        ]
+    };
+
+    // Responsive chart? If so, re-render the chart to fit its container on container resize.
+    const widthPercent = lineChart.widthPercent ?? null;
+    if (widthPercent !== null) {
+        chartElements.callback = (svgElement) => {
+            const containerElement = svgElement.parentElement;
+            const {ResizeObserver = null} = svgElement.ownerDocument.defaultView;
+            if (containerElement === null || ResizeObserver === null) {
+                return;
+            }
+            const resizeObserver = new ResizeObserver(() => {
+                // Stop observing if the chart was re-rendered or removed
+                if (svgElement.parentElement !== containerElement) {
+                    resizeObserver.disconnect();
+                    return;
+                }
+
+                // Re-render the chart, if necessary
+                const width = Math.floor(0.01 * widthPercent * containerElement.clientWidth);
+                if (width > 0 && width !== chartWidth) {
+                    resizeObserver.disconnect();
+                    lineChartRender(svgElement, data, {...lineChart, width}, options);
+                }
+            });
+            resizeObserver.observe(containerElement);
+        };
+    }
+
+    return chartElements;
+}
+
+
+/**
+ * Render a line chart's data table fallback
+ *
+ * @param {Object[]} data - The data array
+ * @param {Object} lineChart - The
+ *     [line chart model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='LineChart'}
+ * @param {?Object} [options = null] - The [line chart options]{@link module:lib/lineChart~LineChartOptions}
+ * @returns {?Object} The data table [element model]{@link https://github.com/craigahobbs/element-model#readme} or null
+ *     if the line chart has no data table fallback
+ */
+export function lineChartDataTableElements(data, lineChart, options = null) {
+    const dataTableMode = ('accessibility' in lineChart ? (lineChart.accessibility.dataTable ?? null) : null);
+    if (dataTableMode === null) {
+        return null;
+    }
+
+    // Create the data table model - the rows are sorted by the X field
+    const xField = lineChart.x;
+    const dataTable = {
+        'fields': [xField, ...('color' in lineChart ? [lineChart.color] : []), ...lineChart.y, ...(lineChart.y2 ?? [])]
+    };
+    for (const dataTableKey of ['precision', 'datetime', 'timeZone']) {
+        if (dataTableKey in lineChart) {
+            dataTable[dataTableKey] = lineChart[dataTableKey];
+        }
+    }
+    const dataSorted = [...data].sort((row1, row2) => valueCompare(row1[xField] ?? null, row2[xField] ?? null));
+    const tableElements = dataTableElements(dataSorted, dataTable, options);
+
+    // Visually hidden data table?
+    if (dataTableMode === 'hidden') {
+        return {'html': 'div', 'attr': {'style': visuallyHiddenStyle}, 'elem': tableElements};
+    }
+
+    // Toggleable data table
+    return {
+        'html': 'details',
+        'elem': [
+            {'html': 'summary', 'elem': {'text': `${lineChartName(lineChart)} data table`}},
+            tableElements
         ]
     };
 }
+
+
+// Helper function to compute a line chart's accessible name
+function lineChartName(lineChart) {
+    return lineChart.title ?? `Line chart of ${[...lineChart.y, ...(lineChart.y2 ?? [])].join(', ')} by ${lineChart.x}`;
+}
+
+
+// Helper function to re-render a line chart in-place - the chart is rendered within its parent element
+function lineChartRender(svgElement, data, lineChart, options) {
+    const parent = svgElement.parentNode;
+    renderElements(parent, lineChartElements(data, lineChart, options), false);
+    svgElement.replaceWith(parent.lastChild);
+}
+
+
+// Helper function to stack lines' points and compute their baselines - missing X values are stacked as zero
+function stackLinePoints(lines, isPercent) {
+    // Compute the sorted X values and each line's Y-value sums
+    const xValueMap = new Map();
+    const lineSums = lines.map(({points}) => {
+        const ySums = new Map();
+        for (const [xCoord, yCoord] of points) {
+            const xKey = xCoord.valueOf();
+            xValueMap.set(xKey, xCoord);
+            ySums.set(xKey, (ySums.get(xKey) ?? 0) + yCoord);
+        }
+        return ySums;
+    });
+    const xValues = Array.from(xValueMap.values()).sort(valueCompare);
+
+    // Compute the X-value totals
+    const xTotals = new Map();
+    if (isPercent) {
+        for (const ySums of lineSums) {
+            for (const [xKey, ySum] of ySums.entries()) {
+                xTotals.set(xKey, (xTotals.get(xKey) ?? 0) + ySum);
+            }
+        }
+    }
+
+    // Stack the lines
+    const xBases = new Map();
+    for (const [ixLine, line] of lines.entries()) {
+        const ySums = lineSums[ixLine];
+        line.baseline = [];
+        line.points = [];
+        for (const xValue of xValues) {
+            const xKey = xValue.valueOf();
+            const xTotal = xTotals.get(xKey) ?? 1;
+            const yBase = xBases.get(xKey) ?? 0;
+            const yTop = yBase + (xTotal !== 0 ? (ySums.get(xKey) ?? 0) / xTotal : 0);
+            line.baseline.push([xValue, yBase]);
+            line.points.push([xValue, yTop, ySums.get(xKey) ?? null]);
+            xBases.set(xKey, yTop);
+        }
+    }
+}
+
+
+// Helper function to compute an axis's tick values
+function axisTickValues(scale, axisTicks, tickStart, tickEnd, defaultTickCount, timeZone = null) {
+    // Log and symlog numeric axes default to powers-of-ten tick values
+    if (scale !== 'linear' && typeof tickStart === 'number' && (axisTicks === null || !('count' in axisTicks))) {
+        return scaleTickValues(scale, tickStart, tickEnd);
+    }
+
+    // Automatic tick values
+    const tickCount = (axisTicks !== null ? (axisTicks.count ?? defaultTickCount) : defaultTickCount);
+    if (axisTicks !== null && (axisTicks.auto ?? false) && tickCount > 0) {
+        if (valueType(tickStart) === 'datetime') {
+            return datetimeTickValues(tickStart, tickEnd, tickCount, timeZone);
+        } else if (scale === 'linear' && typeof tickStart === 'number') {
+            return niceTickValues(tickStart, tickEnd, tickCount);
+        }
+    }
+
+    // Evenly-spaced tick values
+    const scaleStart = scaleValue(scale, tickStart);
+    const scaleEnd = scaleValue(scale, tickEnd);
+    const tickValues = [];
+    for (let ixTick = 0; ixTick < tickCount; ixTick++) {
+        const tickParam = tickCount === 1 ? 0 : ixTick / (tickCount - 1);
+        tickValues.push(scaleValueInverse(scale, parameterValue(tickParam, scaleStart, scaleEnd)));
+    }
+    return tickValues;
+}
+
+
+// Helper function to thin an axis's tick mark labels - every Nth label is kept, for the smallest "nice" N (1, 2, or 5
+// times a power of ten) such that no labels overlap. The label extent function returns the label's [low, high] chart
+// coordinate range.
+function thinAxisLabels(axisTicks, labelGap, labelExtent) {
+    const labelTicks = axisTicks.filter(([, label]) => label !== '');
+    const labelSkips = [];
+    for (let skipScale = 1; labelSkips.length === 0 || labelSkips[labelSkips.length - 1] < labelTicks.length; skipScale *= 10) {
+        labelSkips.push(skipScale, 2 * skipScale, 5 * skipScale);
+    }
+    for (const labelSkip of labelSkips) {
+        const labelExtents = labelTicks.filter((labelTick, ixLabel) => ixLabel % labelSkip === 0)
+            .map(([value, label]) => labelExtent(value, label))
+            .sort(([low1], [low2]) => low1 - low2);
+        if (labelExtents.every(([low], ixExtent) => ixExtent === 0 || low >= labelExtents[ixExtent - 1][1] + labelGap)) {
+            for (const [ixLabel, labelTick] of labelTicks.entries()) {
+                if (ixLabel % labelSkip !== 0) {
+                    labelTick[1] = '';
+                }
+            }
+            return;
+        }
+    }
+}
+
+
+// Helper function to compute an axis's tick label precision and datetime format - automatic tick labels default to the
+// tick values' precision and calendar unit
+function axisTickFormat(scale, isAuto, tickValues, precision, datetime, timeZone) {
+    if (isAuto && tickValues.length !== 0) {
+        if (valueType(tickValues[0]) === 'datetime') {
+            return [precision, datetime ?? datetimeTickFormat(tickValues, timeZone)];
+        } else if (scale === 'linear' && typeof tickValues[0] === 'number') {
+            return [precision ?? niceTickPrecision(tickValues), datetime];
+        }
+    }
+    return [precision, datetime];
+}
+
+
+// Helper function to compute an axis tick label's precision - fractional log scale ticks need more digits
+function axisTickPrecision(scale, tickValue, precision) {
+    if (scale !== 'linear' && typeof tickValue === 'number' && tickValue !== 0 && Math.abs(tickValue) < 1) {
+        const tickDigits = Math.ceil(-Math.log10(Math.abs(tickValue)));
+        return (Math.abs(tickValue) === 10 ** -tickDigits ? tickDigits : Math.max(precision ?? defaultPrecision, tickDigits));
+    }
+    return precision;
+}
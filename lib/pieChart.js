@@ -0,0 +1,290 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/pieChart */
+
+import {
+    chartBackgroundElement, chartFontFamily, chartTitleElement, colorLegendElements, defaultChartHeight, defaultChartWidth,
+    getChartAreaRight, getChartAreaTop, getChartFontSize, getColorLegendX, svgValue, textWidth
+} from './chartUtil.js';
+import {formatValue} from './dataUtil.js';
+import {getTheme} from './theme.js';
+import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {validateType} from 'schema-markdown/lib/schema.js';
+import {valueCompare} from 'bare-script/lib/value.js';
+
+
+// The pie chart model's Schema Markdown
+export const pieChartTypes = parseSchemaMarkdown(`\
+group "Pie Chart"
+
+
+# A pie chart model
+struct PieChart
+
+    # The chart title
+    optional string title
+
+    # The chart width
+    optional int width
+
+    # The chart height
+    optional int height
+
+    # The numeric formatting precision (default is 2)
+    optional int(>= 0) precision
+
+    # The pie chart's slice label field
+    string label
+
+    # The pie chart's slice value field. Each label's values are summed - non-positive sums are not drawn.
+    string value
+
+    # The donut hole radius, as a fraction of the pie radius (default is 0)
+    optional float(>= 0, < 1) donut
+
+    # The slice sort (default is "value")
+    optional PieChartSort sort
+
+    # Slices smaller than this fraction of the total are combined into an "other" slice
+    optional float(> 0, < 1) other
+
+    # The "other" slice label (default is "Other")
+    optional string otherLabel
+
+    # If true, draw the slice percentage labels
+    optional bool percent
+
+    # The slice percentage label precision (default is 0)
+    optional int(>= 0) percentPrecision
+
+    # If true, draw the slice legend (default is true)
+    optional bool legend
+
+
+# A pie chart slice sort
+enum PieChartSort
+
+    # Data order - slices are ordered by their label's first row
+    data
+
+    # Sort by label value
+    label
+
+    # Sort by value, largest first
+    value
+`);
+
+
+/**
+ * Validate a pie chart model
+ *
+ * @param {Object} pieChart - The
+ *     [pie chart model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='PieChart'}
+ * @returns {Object}
+ * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
+ */
+export function validatePieChart(pieChart) {
+    return validateType(pieChartTypes, 'PieChart', pieChart);
+}
+
+
+// Pie chart defaults
+const defaultOtherLabel = 'Other';
+const defaultPercentPrecision = 0;
+
+
+// Pie chart constants (all numbers in pixels)
+const sliceBorderWidth = 1;
+const sliceLabelColor = 'white';
+const otherColor = '#c7c7c7';
+
+
+/**
+ * The pie chart options object
+ *
+ * @typedef {Object} PieChartOptions
+ * @property {number} [fontSize] - The font size, in points
+ * @property {boolean} [darkMode] - If true, the default theme is the dark mode theme
+ * @property {?Object} [theme] - The custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ */
+
+
+/**
+ * Render a pie chart
+ *
+ * @param {Object[]} data - The data array
+ * @param {Object} pieChart - The
+ *     [pie chart model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='PieChart'}
+ * @param {?Object} [options = null] - The [pie chart options]{@link module:lib/pieChart~PieChartOptions}
+ * @returns {Object} The pie chart [element model]{@link https://github.com/craigahobbs/element-model#readme}
+ */
+export function pieChartElements(data, pieChart, options = null) {
+    const chartFontSize = getChartFontSize(options);
+    const theme = getTheme(options);
+    const labelField = pieChart.label;
+    const valueField = pieChart.value;
+    const sort = pieChart.sort ?? 'value';
+    const otherFraction = pieChart.other ?? null;
+    const donut = pieChart.donut ?? 0;
+    const hasPercent = pieChart.percent ?? false;
+    const hasLegend = pieChart.legend ?? true;
+
+    // Compute the label sums
+    const sliceMap = new Map();
+    for (const row of data) {
+        const labelRow = row[labelField] ?? null;
+        const valueRow = row[valueField] ?? null;
+        if (labelRow === null || typeof valueRow !== 'number') {
+            continue;
+        }
+        const label = formatValue(labelRow, pieChart.precision);
+        if (!sliceMap.has(label)) {
+            sliceMap.set(label, {label, 'labelValue': labelRow, 'value': 0});
+        }
+        sliceMap.get(label).value += valueRow;
+    }
+
+    // Compute the slices - [(label, value, color), ...]
+    let slices = Array.from(sliceMap.values()).filter(({value}) => value > 0);
+    const total = slices.reduce((sum, {value}) => sum + value, 0);
+    if (sort === 'label') {
+        slices.sort((slice1, slice2) => valueCompare(slice1.labelValue, slice2.labelValue));
+    } else if (sort === 'value') {
+        slices.sort((slice1, slice2) => slice2.value - slice1.value);
+    }
+    slices = slices.map(({label, value}, ixSlice) => ({label, value, 'color': theme.palette[ixSlice % theme.palette.length]}));
+
+    // Combine the small slices into the "other" slice
+    const otherSlices = (otherFraction !== null ? slices.filter(({value}) => value / total < otherFraction) : []);
+    if (otherSlices.length > 1) {
+        slices = slices.filter(({value}) => value / total >= otherFraction);
+        slices.push({
+            'label': pieChart.otherLabel ?? defaultOtherLabel,
+            'value': otherSlices.reduce((sum, {value}) => sum + value, 0),
+            'color': otherColor
+        });
+    }
+
+    // No data?
+    if (slices.length === 0) {
+        throw new Error('No data');
+    }
+
+    // Compute the chart title, width, and height
+    const chartTitle = pieChart.title ?? null;
+    const chartWidth = pieChart.width ?? defaultChartWidth;
+    const chartHeight = pieChart.height ?? defaultChartHeight;
+
+    // Color legend calculations
+    const colorLegendX = (!hasLegend ? null : getColorLegendX(chartWidth, chartFontSize, slices));
+
+    // Chart area calculations
+    const chartBorderSize = chartFontSize;
+    const chartTop = getChartAreaTop(chartTitle, chartFontSize);
+    const chartLeft = chartBorderSize;
+    const chartBottom = chartHeight - chartBorderSize;
+    const chartRight = getChartAreaRight(chartWidth, chartFontSize, colorLegendX);
+
+    // Pie calculations - slices start at the top and proceed clockwise
+    const pieX = 0.5 * (chartLeft + chartRight);
+    const pieY = 0.5 * (chartTop + chartBottom);
+    const pieRadius = Math.max(0, 0.5 * Math.min(chartRight - chartLeft, chartBottom - chartTop));
+    const pieInnerRadius = donut * pieRadius;
+    const sliceLabelFontSize = chartFontSize;
+    const sliceLabelRadius = (donut === 0 ? 0.65 * pieRadius : 0.5 * (pieRadius + pieInnerRadius));
+    const piePointX = (angle, radius) => pieX + radius * Math.sin(angle);
+    const piePointY = (angle, radius) => pieY - radius * Math.cos(angle);
+
+    // Helper function to compute a slice's path
+    const slicePath = (angleStart, angleEnd) => {
+        // Full circle slice?
+        if (angleEnd - angleStart >= 2 * Math.PI - 1e-9) {
+            const circlePath = (radius) => `M ${svgValue(pieX)} ${svgValue(pieY - radius)} ` +
+                `A ${svgValue(radius)} ${svgValue(radius)} 0 1 1 ${svgValue(pieX)} ${svgValue(pieY + radius)} ` +
+                `A ${svgValue(radius)} ${svgValue(radius)} 0 1 1 ${svgValue(pieX)} ${svgValue(pieY - radius)} Z`;
+            return pieInnerRadius === 0 ? circlePath(pieRadius) : `${circlePath(pieRadius)} ${circlePath(pieInnerRadius)}`;
+        }
+
+        const largeArc = (angleEnd - angleStart > Math.PI ? 1 : 0);
+        const outerArc = `M ${svgValue(piePointX(angleStart, pieRadius))} ${svgValue(piePointY(angleStart, pieRadius))} ` +
+            `A ${svgValue(pieRadius)} ${svgValue(pieRadius)} 0 ${largeArc} 1 ` +
+            `${svgValue(piePointX(angleEnd, pieRadius))} ${svgValue(piePointY(angleEnd, pieRadius))}`;
+        if (pieInnerRadius === 0) {
+            return `${outerArc} L ${svgValue(pieX)} ${svgValue(pieY)} Z`;
+        }
+        return `${outerArc} L ${svgValue(piePointX(angleEnd, pieInnerRadius))} ${svgValue(piePointY(angleEnd, pieInnerRadius))} ` +
+            `A ${svgValue(pieInnerRadius)} ${svgValue(pieInnerRadius)} 0 ${largeArc} 0 ` +
+            `${svgValue(piePointX(angleStart, pieInnerRadius))} ${svgValue(piePointY(angleStart, pieInnerRadius))} Z`;
+    };
+
+    // Compute the slice angles - [(angleStart, angleEnd), ...]
+    const sliceAngles = [];
+    let sliceAngle = 0;
+    for (const {value} of slices) {
+        const sliceAngleEnd = sliceAngle + 2 * Math.PI * value / total;
+        sliceAngles.push([sliceAngle, sliceAngleEnd]);
+        sliceAngle = sliceAngleEnd;
+    }
+
+    // Render the chart
+    return {
+        'svg': 'svg',
+        'attr': {
+            'width': chartWidth,
+            'height': chartHeight
+        },
+        'elem': [
+            // Background
+            chartBackgroundElement(chartWidth, chartHeight, theme),
+
+            // Chart title
+            chartTitleElement(chartTitle, pieX, chartFontSize, theme),
+
+            // Slices
+            slices.map(({color}, ixSlice) => ({
+                'svg': 'path',
+                'attr': {
+                    'stroke': theme.background,
+                    'stroke-width': svgValue(sliceBorderWidth),
+                    'fill': color,
+                    'fill-rule': 'evenodd',
+                    'd': slicePath(...sliceAngles[ixSlice])
+                }
+            })),
+
+            // Slice percentage labels - labels that don't fit in their slice are not drawn
+            !hasPercent ? null : slices.map(({value}, ixSlice) => {
+                const [angleStart, angleEnd] = sliceAngles[ixSlice];
+                const percentLabel = formatValue(
+                    value / total, pieChart.percentPrecision ?? defaultPercentPrecision, null, null, {'number': {'style': 'percent'}}
+                );
+                const labelWidth = textWidth(percentLabel, sliceLabelFontSize);
+                const labelArc = (slices.length === 1 ? 2 * Math.PI : angleEnd - angleStart) * sliceLabelRadius;
+                if (labelArc < Math.max(labelWidth, sliceLabelFontSize)) {
+                    return null;
+                }
+                const labelAngle = (slices.length === 1 && donut === 0 ? Math.PI : 0.5 * (angleStart + angleEnd));
+                const labelRadius = (slices.length === 1 && donut === 0 ? 0 : sliceLabelRadius);
+                return {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': chartFontFamily,
+                        'font-size': `${svgValue(sliceLabelFontSize)}px`,
+                        'fill': sliceLabelColor,
+                        'style': 'font-weight: bold',
+                        'x': svgValue(piePointX(labelAngle, labelRadius)),
+                        'y': svgValue(piePointY(labelAngle, labelRadius)),
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {'text': percentLabel}
+                };
+            }),
+
+            // Color legend
+            colorLegendElements(slices, colorLegendX, chartTop, chartFontSize, theme)
+        ]
+    };
+}
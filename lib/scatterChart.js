@@ -0,0 +1,481 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/scatterChart */
+
+import {
+    annotationLineWidth, axisAnnotationElements, axisAnnotationValues, axisLineWidth, axisLinesElement, axisTickValues, axisValueRange,
+    bottomAxisLabelElements, bottomAxisTickElements, bottomAxisTitleElement, chartBackgroundElement, chartTitleElement, chartTypes,
+    colorLegendElements, defaultChartHeight, defaultChartWidth, getAnnotationLabelSize, getBottomAxisY, getChartAreaRight,
+    getChartAreaTop, getChartFontSize, getColorLegendX, getLeftAxisX, leftAxisLabelElements, leftAxisTickElements, leftAxisTitleElement,
+    sortColorValues, svgValue, validateAxisTicks
+} from './chartUtil.js';
+import {continuousColor, formatValue, parameterValue, valueParameter} from './dataUtil.js';
+import {getTheme} from './theme.js';
+import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {validateType} from 'schema-markdown/lib/schema.js';
+
+
+// The scatter chart model's Schema Markdown
+export const scatterChartTypes = parseSchemaMarkdown(`\
+group "Scatter Chart"
+
+
+# A scatter chart model
+struct ScatterChart
+
+    # The chart title
+    optional string title
+
+    # The chart width
+    optional int width
+
+    # The chart height
+    optional int height
+
+    # The numeric formatting precision (default is 2)
+    optional int(>= 0) precision
+
+    # The scatter chart's X-axis field
+    string x
+
+    # The scatter chart's Y-axis field
+    string y
+
+    # The point size encoding field. Point areas are proportional to the size field's values.
+    optional string size
+
+    # The color encoding field
+    optional string color
+
+    # The color encoding scale (default is "categorical")
+    optional ScatterChartColorScale colorScale
+
+    # The categorical color encoding value order
+    optional string[len > 0] colorOrder
+
+    # The point shape (default is "circle")
+    optional ScatterChartShape shape
+
+    # If true, vary the point shape by the categorical color encoding value
+    optional bool shapes
+
+    # The point radius, in pixels (default is 4). If there is a size field, this is the minimum point radius.
+    optional float(> 0) radius
+
+    # The maximum point radius of the size encoding, in pixels (default is 16)
+    optional float(> 0) radiusMax
+
+    # If true, draw a least-squares trend line for each categorical color encoding value (or for all points)
+    optional bool trend
+
+    # The X-axis tick marks
+    optional ChartAxisTicks xTicks
+
+    # The Y-axis tick marks
+    optional ChartAxisTicks yTicks
+
+    # The X-axis annotations
+    optional ChartAxisAnnotation[len > 0] xLines
+
+    # The Y-axis annotations
+    optional ChartAxisAnnotation[len > 0] yLines
+
+
+# A color encoding scale
+enum ScatterChartColorScale
+
+    # Each color encoding value is a categorical palette color
+    categorical
+
+    # Numeric color encoding values are mapped to a continuous color scale - points with non-numeric color
+    # encoding values are not drawn
+    continuous
+
+
+# A point shape
+enum ScatterChartShape
+
+    # Circle points
+    circle
+
+    # Square points
+    square
+
+    # Triangle points
+    triangle
+
+    # Diamond points
+    diamond
+`, {'types': {...chartTypes}});
+
+
+/**
+ * Validate a scatter chart model
+ *
+ * @param {Object} scatterChart - The
+ *     [scatter chart model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='ScatterChart'}
+ * @returns {Object}
+ * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
+ */
+export function validateScatterChart(scatterChart) {
+    const scatterChartValid = validateType(scatterChartTypes, 'ScatterChart', scatterChart);
+    validateAxisTicks(scatterChartValid, ['xTicks', 'yTicks']);
+    return scatterChartValid;
+}
+
+
+// Scatter chart defaults
+const defaultPointRadius = 4;
+const defaultPointRadiusMax = 16;
+const continuousLegendCount = 5;
+
+
+// Scatter chart constants (all numbers in pixels)
+const pointOpacity = 0.75;
+const trendLineWidth = 2;
+const trendLineDash = '6 4';
+const pointShapes = ['circle', 'square', 'triangle', 'diamond'];
+
+
+/**
+ * The scatter chart options object
+ *
+ * @typedef {Object} ScatterChartOptions
+ * @property {number} [fontSize] - The font size, in points
+ * @property {boolean} [darkMode] - If true, the default theme is the dark mode theme
+ * @property {?Object} [theme] - The custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ */
+
+
+/**
+ * Render a scatter chart
+ *
+ * @param {Object[]} data - The data array
+ * @param {Object} scatterChart - The
+ *     [scatter chart model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='ScatterChart'}
+ * @param {?Object} [options = null] - The [scatter chart options]{@link module:lib/scatterChart~ScatterChartOptions}
+ * @returns {Object} The scatter chart [element model]{@link https://github.com/craigahobbs/element-model#readme}
+ */
+export function scatterChartElements(data, scatterChart, options = null) {
+    const chartFontSize = getChartFontSize(options);
+    const theme = getTheme(options);
+    const xField = scatterChart.x;
+    const yField = scatterChart.y;
+    const sizeField = scatterChart.size ?? null;
+    const colorField = scatterChart.color ?? null;
+    const colorOrder = scatterChart.colorOrder ?? null;
+    const isContinuous = colorField !== null && scatterChart.colorScale === 'continuous';
+    const isCategorical = colorField !== null && !isContinuous;
+    const pointShape = scatterChart.shape ?? 'circle';
+    const hasShapes = isCategorical && (scatterChart.shapes ?? false);
+    const pointRadius = scatterChart.radius ?? defaultPointRadius;
+    const pointRadiusMax = (sizeField !== null ? Math.max(pointRadius, scatterChart.radiusMax ?? defaultPointRadiusMax) : pointRadius);
+    const xValueFormat = {'number': ('xTicks' in scatterChart ? (scatterChart.xTicks.number ?? null) : null)};
+    const yValueFormat = {'number': ('yTicks' in scatterChart ? (scatterChart.yTicks.number ?? null) : null)};
+
+    // Compute the points - [(xValue, yValue, sizeValue, colorValue), ...]
+    const points = [];
+    const seriesSet = new Set();
+    let xMin = null;
+    let xMax = null;
+    let yMin = null;
+    let yMax = null;
+    let sizeMin = null;
+    let sizeMax = null;
+    let colorMin = null;
+    let colorMax = null;
+    for (const row of data) {
+        const xRow = row[xField] ?? null;
+        const yRow = row[yField] ?? null;
+        const sizeRow = (sizeField !== null ? (row[sizeField] ?? null) : null);
+        let colorRow = (colorField !== null ? (row[colorField] ?? null) : null);
+        if (typeof xRow !== 'number' || typeof yRow !== 'number' || (sizeField !== null && typeof sizeRow !== 'number') ||
+            (isContinuous && typeof colorRow !== 'number')) {
+            continue;
+        }
+        if (isCategorical) {
+            colorRow = formatValue(colorRow, scatterChart.precision);
+            seriesSet.add(colorRow);
+        }
+        points.push([xRow, yRow, sizeRow, colorRow]);
+        xMin = (xMin === null || xRow < xMin ? xRow : xMin);
+        xMax = (xMax === null || xRow > xMax ? xRow : xMax);
+        yMin = (yMin === null || yRow < yMin ? yRow : yMin);
+        yMax = (yMax === null || yRow > yMax ? yRow : yMax);
+        if (sizeField !== null) {
+            sizeMin = (sizeMin === null || sizeRow < sizeMin ? sizeRow : sizeMin);
+            sizeMax = (sizeMax === null || sizeRow > sizeMax ? sizeRow : sizeMax);
+        }
+        if (isContinuous) {
+            colorMin = (colorMin === null || colorRow < colorMin ? colorRow : colorMin);
+            colorMax = (colorMax === null || colorRow > colorMax ? colorRow : colorMax);
+        }
+    }
+
+    // No data?
+    if (points.length === 0) {
+        throw new Error('No data');
+    }
+
+    // Compute the series - [(label, color, shape), ...]
+    const seriesLabels = (isCategorical ? sortColorValues(seriesSet.values(), colorOrder) : [yField]);
+    const series = seriesLabels.map((label, ixSeries) => ({
+        label,
+        'color': theme.palette[ixSeries % theme.palette.length],
+        'shape': (hasShapes ? pointShapes[ixSeries % pointShapes.length] : pointShape)
+    }));
+
+    // Compute the least-squares trend lines - [(color, xStart, yStart, xEnd, yEnd), ...]
+    const trendLines = [];
+    if (scatterChart.trend ?? false) {
+        for (const {label, color} of series) {
+            const trendPoints = (isCategorical ? points.filter(([, , , colorRow]) => colorRow === label) : points);
+            const trendLine = leastSquaresLine(trendPoints);
+            if (trendLine === null) {
+                continue;
+            }
+            const [slope, intercept] = trendLine;
+            const trendXMin = trendPoints.reduce((xTrendMin, [xRow]) => (xRow < xTrendMin ? xRow : xTrendMin), trendPoints[0][0]);
+            const trendXMax = trendPoints.reduce((xTrendMax, [xRow]) => (xRow > xTrendMax ? xRow : xTrendMax), trendPoints[0][0]);
+            const trendYStart = slope * trendXMin + intercept;
+            const trendYEnd = slope * trendXMax + intercept;
+            trendLines.push([isCategorical ? color : theme.annotation, trendXMin, trendYStart, trendXMax, trendYEnd]);
+            yMin = Math.min(yMin, trendYStart, trendYEnd);
+            yMax = Math.max(yMax, trendYStart, trendYEnd);
+        }
+    }
+
+    // Compute the chart title, width, and height
+    const chartTitle = scatterChart.title ?? null;
+    const chartWidth = scatterChart.width ?? defaultChartWidth;
+    const chartHeight = scatterChart.height ?? defaultChartHeight;
+
+    // Compute the axis tick and annotation values
+    const xFormatFn = (value) => formatValue(value, scatterChart.precision, null, null, xValueFormat);
+    const yFormatFn = (value) => formatValue(value, scatterChart.precision, null, null, yValueFormat);
+    const yAxisTicks = axisTickValues(scatterChart.yTicks ?? null, yMin, yMax, yFormatFn);
+    const xAxisTicks = axisTickValues(scatterChart.xTicks ?? null, xMin, xMax, xFormatFn);
+    const yAxisAnnotations = axisAnnotationValues(scatterChart.yLines ?? [], yFormatFn);
+    const xAxisAnnotations = axisAnnotationValues(scatterChart.xLines ?? [], xFormatFn);
+    [yMin, yMax] = axisValueRange(yMin, yMax, [...yAxisTicks, ...yAxisAnnotations]);
+    [xMin, xMax] = axisValueRange(xMin, xMax, [...xAxisTicks, ...xAxisAnnotations]);
+
+    // Compute the color legend entries - [(label, color, shape, isTitle), ...]
+    const colorLegend = [];
+    if (isCategorical) {
+        colorLegend.push(...series.map(({label, color, shape}) => ({label, color, shape, 'isTitle': false})));
+    } else if (isContinuous) {
+        colorLegend.push({'label': colorField, 'color': null, 'shape': null, 'isTitle': true});
+        for (let ixLegend = 0; ixLegend < continuousLegendCount; ixLegend++) {
+            const legendParam = ixLegend / (continuousLegendCount - 1);
+            colorLegend.push({
+                'label': formatValue(parameterValue(legendParam, colorMin, colorMax), scatterChart.precision),
+                'color': continuousColor(legendParam),
+                'shape': pointShape,
+                'isTitle': false
+            });
+        }
+    }
+
+    // Axis calculations
+    const yAxisX = getLeftAxisX(chartWidth, chartFontSize, yField, yAxisTicks.map(([, label]) => label));
+    const xAxisY = getBottomAxisY(chartHeight, chartFontSize, xField, xAxisTicks.length !== 0);
+
+    // Annotation calculations
+    const annotationLabelOffsetX = 0.2 * chartFontSize;
+    const annotationLabelOffsetY = 0.1 * chartFontSize;
+
+    // Color legend calculations
+    const colorLegendX = (colorLegend.length === 0 ? null : getColorLegendX(chartWidth, chartFontSize, colorLegend));
+
+    // Chart area calculations - the chart area is inset by the maximum point radius
+    const chartTop = getChartAreaTop(chartTitle, chartFontSize) + pointRadiusMax;
+    const chartLeft = yAxisX + 0.5 * axisLineWidth + pointRadiusMax;
+    const chartBottom = xAxisY - 0.5 * axisLineWidth - pointRadiusMax;
+    const chartRightEdge = getChartAreaRight(chartWidth, chartFontSize, colorLegendX);
+    const chartRight = chartRightEdge - pointRadiusMax;
+    const chartAreaTop = chartTop - pointRadiusMax;
+
+    // Helper functions to compute chart coordinate points
+    const chartPointX = (xCoord) => parameterValue(valueParameter(xCoord, xMin, xMax), chartLeft, chartRight);
+    const chartPointY = (yCoord) => parameterValue(valueParameter(yCoord, yMin, yMax), chartBottom, chartTop);
+
+    // Helper function to compute a point's radius - point areas are proportional to the size value
+    const chartPointRadius = (sizeValue) => (sizeField === null ? pointRadius : Math.sqrt(
+        parameterValue(valueParameter(sizeValue, sizeMin, sizeMax), pointRadius ** 2, pointRadiusMax ** 2)
+    ));
+
+    // Helper function to create a point shape element - non-circle shapes have the same area as the circle
+    const pointElement = (shape, xPoint, yPoint, radius, attr) => {
+        if (shape === 'square') {
+            const halfSide = 0.5 * Math.sqrt(Math.PI) * radius;
+            return {
+                'svg': 'rect',
+                'attr': {
+                    'x': svgValue(xPoint - halfSide),
+                    'y': svgValue(yPoint - halfSide),
+                    'width': svgValue(2 * halfSide),
+                    'height': svgValue(2 * halfSide),
+                    ...attr
+                }
+            };
+        } else if (shape === 'triangle') {
+            const vertex = Math.sqrt(4 * Math.PI / (3 * Math.sqrt(3))) * radius;
+            const vertexX = 0.5 * Math.sqrt(3) * vertex;
+            return {
+                'svg': 'path',
+                'attr': {
+                    'd': `M ${svgValue(xPoint)} ${svgValue(yPoint - vertex)} ` +
+                        `L ${svgValue(xPoint + vertexX)} ${svgValue(yPoint + 0.5 * vertex)} ` +
+                        `L ${svgValue(xPoint - vertexX)} ${svgValue(yPoint + 0.5 * vertex)} Z`,
+                    ...attr
+                }
+            };
+        } else if (shape === 'diamond') {
+            const vertex = Math.sqrt(0.5 * Math.PI) * radius;
+            return {
+                'svg': 'path',
+                'attr': {
+                    'd': `M ${svgValue(xPoint)} ${svgValue(yPoint - vertex)} L ${svgValue(xPoint + vertex)} ${svgValue(yPoint)} ` +
+                        `L ${svgValue(xPoint)} ${svgValue(yPoint + vertex)} L ${svgValue(xPoint - vertex)} ${svgValue(yPoint)} Z`,
+                    ...attr
+                }
+            };
+        }
+        return {
+            'svg': 'circle',
+            'attr': {
+                'cx': svgValue(xPoint),
+                'cy': svgValue(yPoint),
+                'r': svgValue(radius),
+                ...attr
+            }
+        };
+    };
+
+    // Compute the point elements - larger points are drawn first so they don't hide smaller points
+    const seriesMap = new Map(series.map((seriesItem) => [seriesItem.label, seriesItem]));
+    const pointsSorted = (sizeField !== null ? [...points].sort(([, , size1], [, , size2]) => size2 - size1) : points);
+    const pointElements = pointsSorted.map(([xRow, yRow, sizeRow, colorRow]) => {
+        const {color, shape} = (isCategorical ? seriesMap.get(colorRow) : series[0]);
+        return pointElement(shape, chartPointX(xRow), chartPointY(yRow), chartPointRadius(sizeRow), {
+            'stroke': 'none',
+            'fill': (isContinuous ? continuousColor(valueParameter(colorRow, colorMin, colorMax)) : color),
+            'fill-opacity': pointOpacity
+        });
+    });
+
+    // Render the chart
+    return {
+        'svg': 'svg',
+        'attr': {
+            'width': chartWidth,
+            'height': chartHeight
+        },
+        'elem': [
+            // Background
+            chartBackgroundElement(chartWidth, chartHeight, theme),
+
+            // Chart title
+            chartTitleElement(chartTitle, 0.5 * (chartLeft + chartRight), chartFontSize, theme),
+
+            // Y-Axis title
+            leftAxisTitleElement(yField, 0.5 * (chartTop + chartBottom), chartFontSize, theme),
+
+            // Y-axis ticks
+            leftAxisTickElements(yAxisTicks, chartPointY, yAxisX, chartRightEdge, theme),
+
+            // Y-axis labels
+            leftAxisLabelElements(yAxisTicks, chartPointY, yAxisX, chartTop, chartBottom, chartFontSize, theme),
+
+            // X-Axis title
+            bottomAxisTitleElement(xField, 0.5 * (chartLeft + chartRight), chartHeight, chartFontSize, theme),
+
+            // X-axis ticks
+            bottomAxisTickElements(xAxisTicks, chartPointX, xAxisY, chartAreaTop, theme),
+
+            // X-axis labels
+            bottomAxisLabelElements(xAxisTicks, chartPointX, xAxisY, chartLeft, chartRight, chartFontSize, theme),
+
+            // Axis lines
+            axisLinesElement(yAxisX, xAxisY, chartAreaTop, chartRightEdge, theme),
+
+            // Points
+            pointElements,
+
+            // Trend lines
+            trendLines.length === 0 ? null : trendLines.map(([color, xStart, yStart, xEnd, yEnd]) => ({
+                'svg': 'path',
+                'attr': {
+                    'stroke': color,
+                    'stroke-width': svgValue(trendLineWidth),
+                    'stroke-dasharray': trendLineDash,
+                    'fill': 'none',
+                    'd': `M ${svgValue(chartPointX(xStart))} ${svgValue(chartPointY(yStart))} ` +
+                        `L ${svgValue(chartPointX(xEnd))} ${svgValue(chartPointY(yEnd))}`
+                }
+            })),
+
+            // Y-axis annotations
+            yAxisAnnotations.map(([yCoord, yLabel]) => {
+                const yPoint = chartPointY(yCoord);
+                const isUnder = yPoint < 0.5 * (chartTop + chartBottom);
+                const [, labelHeight] = getAnnotationLabelSize(yLabel, chartFontSize);
+                const labelY = isUnder
+                    ? yPoint + annotationLineWidth + annotationLabelOffsetY
+                    : yPoint - annotationLineWidth - annotationLabelOffsetY - labelHeight;
+                const linePath = `M ${svgValue(yAxisX)} ${svgValue(yPoint)} H ${svgValue(chartRightEdge)}`;
+                return axisAnnotationElements(yLabel, chartLeft + annotationLabelOffsetX, labelY, linePath, chartFontSize, theme);
+            }),
+
+            // X-axis annotations
+            xAxisAnnotations.map(([xCoord, xLabel]) => {
+                const xPoint = chartPointX(xCoord);
+                const isLeft = xPoint > 0.5 * (chartLeft + chartRight);
+                const [, labelHeight] = getAnnotationLabelSize(xLabel, chartFontSize);
+                const labelX = isLeft
+                    ? xPoint - 0.5 * annotationLineWidth - annotationLabelOffsetX
+                    : xPoint + 0.5 * annotationLineWidth + annotationLabelOffsetX;
+                const labelY = chartBottom - annotationLabelOffsetY - labelHeight;
+                const linePath = `M ${svgValue(xPoint)} ${svgValue(xAxisY)} V ${svgValue(chartAreaTop)}`;
+                return axisAnnotationElements(xLabel, labelX, labelY, linePath, chartFontSize, theme, isLeft);
+            }),
+
+            // Color legend
+            colorLegendElements(
+                colorLegend,
+                colorLegendX,
+                chartAreaTop,
+                chartFontSize,
+                theme,
+                ({color, shape}, legendX, legendY, legendSize) => pointElement(
+                    shape, legendX + 0.5 * legendSize, legendY + 0.5 * legendSize, 0.5 * legendSize, {'stroke': 'none', 'fill': color}
+                )
+            )
+        ]
+    };
+}
+
+
+// Helper function to compute the least-squares line of points - [slope, intercept] or null if there is no unique line
+function leastSquaresLine(points) {
+    const pointCount = points.length;
+    let xSum = 0;
+    let ySum = 0;
+    let xxSum = 0;
+    let xySum = 0;
+    for (const [xRow, yRow] of points) {
+        xSum += xRow;
+        ySum += yRow;
+        xxSum += xRow * xRow;
+        xySum += xRow * yRow;
+    }
+    const denominator = pointCount * xxSum - xSum * xSum;
+    if (pointCount < 2 || denominator === 0) {
+        return null;
+    }
+    const slope = (pointCount * xySum - xSum * ySum) / denominator;
+    return [slope, (ySum - slope * xSum) / pointCount];
+}
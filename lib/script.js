@@ -2,6 +2,7 @@
 // https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
 
 import {executeScriptAsync} from 'bare-script/lib/runtimeAsync.js';
+import {getTheme} from './theme.js';
 import {lintScript} from 'bare-script/lib/model.js';
 import {markdownElements} from 'markdown-model/lib/elements.js';
 import {parseMarkdown} from 'markdown-model/lib/parser.js';
@@ -13,6 +14,7 @@ import {parseScript} from 'bare-script/lib/parser.js';
  * [bare-script's options]{@link https://craigahobbs.github.io/bare-script/module-lib_runtime.html#~ExecuteScriptOptions}).
  *
  * @typedef {Object} MarkdownScriptOptions
+ * @property {boolean} [darkMode] - If true, dark mode is enabled
  * @property {number} fontSize - The font size, in points
  * @property {Object} params - The hash parameters object
  * @property {Object} runtime - The [markdown-script runtime state]{@link module:lib/script.MarkdownScriptRuntime}
@@ -115,6 +117,8 @@ const pixelsPerPoint = 4 / 3;
  * @property {?string} documentFocus - The runtime-set input-focus element ID
  * @property {?string} documentReset - The runtime-set document-reset element ID
  * @property {?string} documentTitle - The runtime-set document title
+ * @property {?Object} theme - The runtime-set custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
  * @property {?string} windowLocation - The runtime-set document location
  * @property {?function} windowResize - The runtime-set resize callback
  * @property {?Array} windowTimeout - The runtime-set timeout args (callback, delay)
@@ -131,6 +135,7 @@ export class MarkdownScriptRuntime {
         this.documentFocus = null;
         this.documentReset = null;
         this.documentTitle = null;
+        this.theme = null;
         this.windowLocation = null;
         this.windowResize = null;
         this.windowTimeout = null;
@@ -143,9 +148,10 @@ export class MarkdownScriptRuntime {
         // Drawing state
         this.drawingWidth = defaultDrawingWidth;
         this.drawingHeight = defaultDrawingHeight;
+        this.drawingWidthPercent = null;
 
         // Drawing path style
-        this.drawingPathStroke = 'black';
+        this.drawingPathStroke = this.getTheme().text;
         this.drawingPathStrokeWidth = 1;
         this.drawingPathStrokeDashArray = 'none';
         this.drawingPathFill = 'none';
@@ -153,7 +159,7 @@ export class MarkdownScriptRuntime {
         // Drawing text style
         this.drawingFontFamily = defaultFontFamily;
         this.drawingFontSizePx = options.fontSize * pixelsPerPoint;
-        this.drawingFontFill = 'black';
+        this.drawingFontFill = this.getTheme().text;
         this.drawingFontBold = false;
         this.drawingFontItalic = false;
     }
@@ -171,6 +177,12 @@ export class MarkdownScriptRuntime {
     }
 
 
+    // Get the complete theme model - the custom theme's members override the dark or light mode theme's members
+    getTheme() {
+        return getTheme({'darkMode': this.options.darkMode, 'theme': this.theme});
+    }
+
+
     // Handle a runtime event
     eventHandle(callback) {
         this.eventQueue = this.eventQueue.then(callback);
@@ -219,6 +231,12 @@ export class MarkdownScriptRuntime {
                 },
                 'elem': []
             };
+
+            // Responsive drawing? If so, scale the drawing to fit its container.
+            if (this.drawingWidthPercent !== null) {
+                svg.attr.viewBox = `0 0 ${this.drawingWidth} ${this.drawingHeight}`;
+                svg.attr.style = `width: ${this.drawingWidthPercent}%; height: auto;`;
+            }
             this.elements.push({'html': 'p', 'elem': svg});
         }
         return svg;
@@ -1,14 +1,22 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
 
-import {dataTableElements, validateDataTable} from './dataTable.js';
+import {ValueArgsError, valueArgsModel, valueArgsValidate} from 'bare-script/lib/value.js';
+import {barChartElements, validateBarChart} from './barChart.js';
+import {boxPlotElements, validateBoxPlot} from './boxPlot.js';
+import {dataTableElements, dataTableExportFormats, exportDataTable, validateDataTable} from './dataTable.js';
 import {escapeMarkdownText, getMarkdownTitle, parseMarkdown} from 'markdown-model/lib/parser.js';
-import {lineChartElements, validateLineChart} from './lineChart.js';
-import {valueArgsModel, valueArgsValidate} from 'bare-script/lib/value.js';
+import {heatmapElements, validateHeatmap} from './heatmap.js';
+import {histogramElements, validateHistogram} from './histogram.js';
+import {lineChartDataTableElements, lineChartElements, validateLineChart} from './lineChart.js';
+import {pieChartElements, validatePieChart} from './pieChart.js';
+import {scatterChartElements, validateScatterChart} from './scatterChart.js';
+import {downloadSVGElements} from './download.js';
 import {encodeQueryString} from 'schema-markdown/lib/encode.js';
 import {markdownHeaderId as markdownModelHeaderId} from 'markdown-model/lib/elements.js';
 import {schemaMarkdownDoc} from 'schema-markdown-doc/lib/schemaMarkdownDoc.js';
 import {validateElements} from 'element-model/lib/elementModel.js';
+import {validateTheme} from './theme.js';
 
 
 /* eslint-disable id-length */
@@ -26,6 +34,85 @@ const svgPrecision = 8;
 //
 
 
+// Helper function to create a chart's options - the chart's custom theme is the document's custom theme
+function chartOptions(options) {
+    return {...options, 'theme': options.runtime.theme};
+}
+
+
+// Helper function to render a chart's elements and set the drawing size (the chart is now the active drawing)
+function renderChart(runtime, elements) {
+    runtime.setElements();
+    runtime.addElements({'html': 'p', 'elem': elements});
+    runtime.drawingWidth = elements.attr.width;
+    runtime.drawingHeight = elements.attr.height;
+}
+
+
+// $function: dataBarChart
+// $group: Data
+// $doc: Draw a bar chart
+// $arg data: The data array
+// $arg barChart: The [bar chart model](model.html#var.vName='BarChart')
+function dataBarChart(args, options) {
+    const [data, barChart] = valueArgsValidate(dataBarChartArgs, args);
+    renderChart(options.runtime, barChartElements(data, validateBarChart(barChart), chartOptions(options)));
+}
+
+const dataBarChartArgs = valueArgsModel([
+    {'name': 'data', 'type': 'array'},
+    {'name': 'barChart', 'type': 'object'}
+]);
+
+
+// $function: dataBoxPlot
+// $group: Data
+// $doc: Draw a box plot
+// $arg data: The data array
+// $arg boxPlot: The [box plot model](model.html#var.vName='BoxPlot')
+function dataBoxPlot(args, options) {
+    const [data, boxPlot] = valueArgsValidate(dataBoxPlotArgs, args);
+    renderChart(options.runtime, boxPlotElements(data, validateBoxPlot(boxPlot), chartOptions(options)));
+}
+
+const dataBoxPlotArgs = valueArgsModel([
+    {'name': 'data', 'type': 'array'},
+    {'name': 'boxPlot', 'type': 'object'}
+]);
+
+
+// $function: dataHeatmap
+// $group: Data
+// $doc: Draw a heatmap
+// $arg data: The data array
+// $arg heatmap: The [heatmap model](model.html#var.vName='Heatmap')
+function dataHeatmap(args, options) {
+    const [data, heatmap] = valueArgsValidate(dataHeatmapArgs, args);
+    renderChart(options.runtime, heatmapElements(data, validateHeatmap(heatmap), chartOptions(options)));
+}
+
+const dataHeatmapArgs = valueArgsModel([
+    {'name': 'data', 'type': 'array'},
+    {'name': 'heatmap', 'type': 'object'}
+]);
+
+
+// $function: dataHistogram
+// $group: Data
+// $doc: Draw a histogram
+// $arg data: The data array
+// $arg histogram: The [histogram model](model.html#var.vName='Histogram')
+function dataHistogram(args, options) {
+    const [data, histogram] = valueArgsValidate(dataHistogramArgs, args);
+    renderChart(options.runtime, histogramElements(data, validateHistogram(histogram), chartOptions(options)));
+}
+
+const dataHistogramArgs = valueArgsModel([
+    {'name': 'data', 'type': 'array'},
+    {'name': 'histogram', 'type': 'object'}
+]);
+
+
 // $function: dataLineChart
 // $group: Data
 // $doc: Draw a line chart
@@ -34,15 +121,47 @@ const svgPrecision = 8;
 function dataLineChart(args, options) {
     const [data, lineChart] = valueArgsValidate(dataLineChartArgs, args);
     const {runtime} = options;
+    let lineChartValidated = validateLineChart(lineChart);
+
+    // Persist the zoomed X-axis range in the hash parameter variables, if requested
+    const lineChartOptions = chartOptions(options);
+    const zoomVar = ('zoom' in lineChartValidated ? (lineChartValidated.zoom.var ?? null) : null);
+    if (zoomVar !== null) {
+        const zoomStartVar = `${zoomVar}Start`;
+        const zoomEndVar = `${zoomVar}End`;
+        const variables = options.variables ?? {};
+        const zoomVariables = {};
+        if (zoomStartVar in variables && zoomEndVar in variables) {
+            zoomVariables.start = variables[zoomStartVar];
+            zoomVariables.end = variables[zoomEndVar];
+        }
+        lineChartValidated = {...lineChartValidated, 'zoom': {...lineChartValidated.zoom, ...zoomVariables}};
+        lineChartOptions.zoomFn = (start, end) => {
+            const params = {...(options.params ?? {})};
+            const paramsVar = {...(params.var ?? {})};
+            delete paramsVar[zoomStartVar];
+            delete paramsVar[zoomEndVar];
+            if (start !== null) {
+                paramsVar[zoomStartVar] = zoomValueExpression(start);
+                paramsVar[zoomEndVar] = zoomValueExpression(end);
+            }
+            delete params.var;
+            if (Object.keys(paramsVar).length !== 0) {
+                params.var = paramsVar;
+            }
+            runtime.windowLocation = `#${encodeQueryString(params)}`;
+            options.runtimeUpdateFn();
+        };
+    }
 
     // Render the line chart
-    const elements = lineChartElements(data, validateLineChart(lineChart), options);
-    runtime.setElements();
-    runtime.addElements({'html': 'p', 'elem': elements});
+    renderChart(runtime, lineChartElements(data, lineChartValidated, lineChartOptions));
 
-    // Set the drawing size (the chart is now the active drawing)
-    runtime.drawingWidth = elements.attr.width;
-    runtime.drawingHeight = elements.attr.height;
+    // Render the line chart's data table fallback, if any
+    const tableElements = lineChartDataTableElements(data, lineChartValidated, lineChartOptions);
+    if (tableElements !== null) {
+        runtime.addElements(tableElements);
+    }
 }
 
 const dataLineChartArgs = valueArgsModel([
@@ -51,6 +170,48 @@ const dataLineChartArgs = valueArgsModel([
 ]);
 
 
+// Helper function to compute a zoom range value's hash parameter variable expression
+function zoomValueExpression(value) {
+    if (value instanceof Date) {
+        return `date(${value.getFullYear()}, ${value.getMonth() + 1}, ${value.getDate()}, ${value.getHours()}, ` +
+            `${value.getMinutes()}, ${value.getSeconds()}, ${value.getMilliseconds()})`;
+    }
+    return `${value}`;
+}
+
+
+// $function: dataPieChart
+// $group: Data
+// $doc: Draw a pie chart
+// $arg data: The data array
+// $arg pieChart: The [pie chart model](model.html#var.vName='PieChart')
+function dataPieChart(args, options) {
+    const [data, pieChart] = valueArgsValidate(dataPieChartArgs, args);
+    renderChart(options.runtime, pieChartElements(data, validatePieChart(pieChart), chartOptions(options)));
+}
+
+const dataPieChartArgs = valueArgsModel([
+    {'name': 'data', 'type': 'array'},
+    {'name': 'pieChart', 'type': 'object'}
+]);
+
+
+// $function: dataScatterChart
+// $group: Data
+// $doc: Draw a scatter chart
+// $arg data: The data array
+// $arg scatterChart: The [scatter chart model](model.html#var.vName='ScatterChart')
+function dataScatterChart(args, options) {
+    const [data, scatterChart] = valueArgsValidate(dataScatterChartArgs, args);
+    renderChart(options.runtime, scatterChartElements(data, validateScatterChart(scatterChart), chartOptions(options)));
+}
+
+const dataScatterChartArgs = valueArgsModel([
+    {'name': 'data', 'type': 'array'},
+    {'name': 'scatterChart', 'type': 'object'}
+]);
+
+
 // $function: dataTable
 // $group: Data
 // $doc: Draw a data table
@@ -60,8 +221,46 @@ function dataTable(args, options) {
     const [data, dataTableModel] = valueArgsValidate(dataTableArgs, args);
     const {runtime} = options;
     runtime.setElements();
-    const dataTableValidated = (dataTableModel !== null ? validateDataTable(dataTableModel, options) : null);
-    runtime.addElements(dataTableElements(data, dataTableValidated, options));
+    let dataTableValidated = (dataTableModel !== null ? validateDataTable(dataTableModel, options) : null);
+
+    // Persist the user's sort order and page in the hash parameter variables, if requested
+    const dataTableOptions = chartOptions(options);
+    const tableVar = (dataTableValidated !== null ? (dataTableValidated.var ?? null) : null);
+    if (tableVar !== null) {
+        const sortVar = `${tableVar}Sort`;
+        const descVar = `${tableVar}Desc`;
+        const pageVar = `${tableVar}Page`;
+        const variables = options.variables ?? {};
+        const tableVariables = {};
+        if (typeof variables[sortVar] === 'string') {
+            const field = variables[sortVar];
+            tableVariables.sort = [variables[descVar] === true ? {field, 'desc': true} : {field}];
+        }
+        if (Number.isInteger(variables[pageVar]) && variables[pageVar] > 0) {
+            tableVariables.page = variables[pageVar];
+        }
+        dataTableValidated = {...dataTableValidated, ...tableVariables};
+        dataTableOptions.updateFn = (updates) => {
+            const params = {...(options.params ?? {})};
+            const paramsVar = {...(params.var ?? {})};
+            if ('sort' in updates) {
+                const [sortFirst] = updates.sort;
+                delete paramsVar[descVar];
+                paramsVar[sortVar] = JSON.stringify(sortFirst.field);
+                if (sortFirst.desc) {
+                    paramsVar[descVar] = 'true';
+                }
+            }
+            if ('page' in updates) {
+                paramsVar[pageVar] = `${updates.page}`;
+            }
+            params.var = paramsVar;
+            runtime.windowLocation = `#${encodeQueryString(params)}`;
+            options.runtimeUpdateFn();
+        };
+    }
+
+    runtime.addElements(dataTableElements(data, dataTableValidated, dataTableOptions));
 }
 
 const dataTableArgs = valueArgsModel([
@@ -70,11 +269,46 @@ const dataTableArgs = valueArgsModel([
 ]);
 
 
+// $function: dataTableExport
+// $group: Data
+// $doc: Export a data table's rows as CSV, TSV, JSON, or a Markdown pipe table. The rows are sorted by the table's sort
+// $doc: order and the values are formatted with the table's field formats. JSON rows are keyed by field name and their
+// $doc: null, boolean, number, and string values are unformatted.
+// $arg data: The data array
+// $arg dataTable: Optional (default is null). The [data table model](model.html#var.vName='DataTable').
+// $arg format: Optional (default is "csv"). The
+// $arg format: [export format](model.html#var.vName='DataTableExportFormat') - "csv", "tsv", "json", or "markdown".
+// $return: The exported data table text
+function dataTableExport(args, options) {
+    const [data, dataTableModel, format] = valueArgsValidate(dataTableExportArgs, args);
+    if (!(format in dataTableExportFormats)) {
+        throw new ValueArgsError('format', format);
+    }
+    const dataTableValidated = (dataTableModel !== null ? validateDataTable(dataTableModel, options) : null);
+    return exportDataTable(data, dataTableValidated, format);
+}
+
+const dataTableExportArgs = valueArgsModel([
+    {'name': 'data', 'type': 'array'},
+    {'name': 'dataTable', 'type': 'object', 'nullable': true},
+    {'name': 'format', 'type': 'string', 'default': 'csv'}
+]);
+
+
 //
 // Document functions
 //
 
 
+// $function: documentDarkMode
+// $group: Document
+// $doc: Get the document's dark mode state
+// $return: true if dark mode is enabled, false otherwise
+function documentDarkMode(unusedArgs, options) {
+    return options.darkMode ?? false;
+}
+
+
 // $function: documentFontSize
 // $group: Document
 // $doc: Get the document font size
@@ -130,6 +364,26 @@ const documentSetResetArgs = valueArgsModel([
 ]);
 
 
+// $function: documentSetTheme
+// $group: Document
+// $doc: Set the document's custom chart and drawing theme. The drawing stroke and text fill colors are reset to the
+// $doc: theme's text color.
+// $arg theme: Optional (default is null). The [theme model](model.html#var.vName='Theme'). Unset theme members are
+// $arg theme: the dark or light mode theme's members.
+function documentSetTheme(args, options) {
+    const [theme] = valueArgsValidate(documentSetThemeArgs, args);
+    const {runtime} = options;
+    runtime.theme = (theme !== null ? validateTheme(theme) : null);
+    runtime.finishDrawingPath();
+    runtime.drawingPathStroke = runtime.getTheme().text;
+    runtime.drawingFontFill = runtime.getTheme().text;
+}
+
+const documentSetThemeArgs = valueArgsModel([
+    {'name': 'theme', 'type': 'object', 'nullable': true}
+]);
+
+
 // $function: documentSetTitle
 // $group: Document
 // $doc: Set the document title
@@ -271,6 +525,68 @@ const drawEllipseArgs = valueArgsModel([
 ]);
 
 
+// $function: drawExport
+// $group: Drawing
+// $doc: Download the most recent drawing or chart as an SVG or PNG file
+// $arg filename: Optional (default is "drawing.svg"). The download file name. If the file name ends with ".png", the
+// $arg filename: drawing is downloaded as a PNG image. Otherwise, the drawing is downloaded as an SVG file.
+async function drawExport(args, options) {
+    const [filename] = valueArgsValidate(drawExportArgs, args);
+    const {runtime} = options;
+    runtime.setElements();
+    const svg = runtime.getDrawingSVG();
+    if (svg === null) {
+        return;
+    }
+    await downloadSVGElements(options.window, svg, filename);
+}
+
+const drawExportArgs = valueArgsModel([
+    {'name': 'filename', 'type': 'string', 'default': 'drawing.svg'}
+]);
+
+
+// $function: drawExportButton
+// $group: Drawing
+// $doc: Add a download button for the most recent drawing or chart
+// $arg text: Optional (default is "Download"). The button text.
+// $arg filename: Optional (default is "drawing.svg"). The download file name. If the file name ends with ".png", the
+// $arg filename: drawing is downloaded as a PNG image. Otherwise, the drawing is downloaded as an SVG file.
+function drawExportButton(args, options) {
+    const [text, filename] = valueArgsValidate(drawExportButtonArgs, args);
+    const {runtime} = options;
+    runtime.setElements();
+    const svg = runtime.getDrawingSVG();
+    if (svg === null) {
+        return;
+    }
+    runtime.addElements({
+        'html': 'p',
+        'elem': {
+            'html': 'button',
+            'attr': {'type': 'button'},
+            'elem': {'text': text},
+            'callback': (element) => {
+                element.addEventListener('click', async () => {
+                    try {
+                        await downloadSVGElements(options.window, svg, filename);
+                    } catch ({message}) {
+                        if ('logFn' in options && options.debug) {
+                            options.logFn(`MarkdownUp: Error downloading drawing "${filename}": ${message}`);
+                        }
+                    }
+                });
+            }
+        }
+    });
+}
+
+const drawExportButtonArgs = valueArgsModel([
+    {'name': 'text', 'type': 'string', 'default': 'Download'},
+    {'name': 'filename', 'type': 'string', 'default': 'drawing.svg'}
+]);
+
+
 // $function: drawHLine
 // $group: Drawing
 // $doc: Draw a horizontal line from the current point to the end point
@@ -370,17 +686,21 @@ const drawMoveArgs = valueArgsModel([
 // $doc: Create a new drawing
 // $arg width: The width of the drawing
 // $arg height: The height of the drawing
+// $arg widthPercent: Optional (default is null). The responsive drawing width, as a percentage of the containing
+// $arg widthPercent: element's width (e.g. 100). If set, the drawing is scaled to fit its container.
 function drawNew(args, options) {
-    const [width, height] = valueArgsValidate(drawNewArgs, args);
+    const [width, height, widthPercent] = valueArgsValidate(drawNewArgs, args);
     const {runtime} = options;
     runtime.drawingWidth = width;
     runtime.drawingHeight = height;
+    runtime.drawingWidthPercent = widthPercent;
     runtime.setDrawing(true);
 }
 
 const drawNewArgs = valueArgsModel([
     {'name': 'width', 'type': 'number'},
-    {'name': 'height', 'type': 'number'}
+    {'name': 'height', 'type': 'number'},
+    {'name': 'widthPercent', 'type': 'number', 'nullable': true, 'gt': 0, 'lte': 100}
 ]);
 
 
@@ -393,13 +713,16 @@ function drawOnClick(args, options) {
     const {runtime} = options;
     const svg = runtime.setDrawing();
     const clickElement = (svg.elem.length === 0 ? svg : svg.elem[svg.elem.length - 1]);
-    clickElement.attr.style = 'cursor: pointer;';
+    clickElement.attr.style = `${clickElement.attr.style ?? ''}cursor: pointer;`;
     clickElement.callback = (element) => {
         element.addEventListener('click', async (event) => {
+            // Compute the click's drawing coordinates - responsive drawings are scaled to fit their container
             const boundingRect = event.target.ownerSVGElement.getBoundingClientRect();
+            const scaleX = (boundingRect.width > 0 ? svg.attr.width / boundingRect.width : 1);
+            const scaleY = (boundingRect.height > 0 ? svg.attr.height / boundingRect.height : 1);
             options.statementCount = 0;
             try {
-                await callback([event.clientX - boundingRect.left, event.clientY - boundingRect.top], options);
+                await callback([scaleX * (event.clientX - boundingRect.left), scaleY * (event.clientY - boundingRect.top)], options);
             } catch ({message}) {
                 if ('logFn' in options && options.debug) {
                     options.logFn(`MarkdownUp: Error executing drawOnClick callback: ${message}`);
@@ -489,14 +812,15 @@ const drawRectArgs = valueArgsModel([
 // $function: drawStyle
 // $group: Drawing
 // $doc: Set the current drawing styles
-// $arg stroke: Optional (default is 'black'). The stroke color.
+// $arg stroke: Optional (default is null, the theme's text color). The stroke color.
 // $arg strokeWidth: Optional (default is 1). The stroke width.
 // $arg fill: Optional (default is 'none'). The fill color.
 // $arg strokeDashArray: Optional (default is 'none'). The stroke
 // $arg strokeDashArray: [dash array](https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dasharray#usage_notes).
 function drawStyle(args, options) {
-    const [stroke, strokeWidth, fill, strokeDashArray] = valueArgsValidate(drawStyleArgs, args);
+    const [strokeArg, strokeWidth, fill, strokeDashArray] = valueArgsValidate(drawStyleArgs, args);
     const {runtime} = options;
+    const stroke = strokeArg ?? runtime.getTheme().text;
     if (stroke !== runtime.drawingPathStroke || strokeWidth !== runtime.drawingPathStrokeWidth ||
         strokeDashArray !== runtime.drawingPathStrokeDashArray || fill !== runtime.drawingPathFill
     ) {
@@ -509,7 +833,7 @@ function drawStyle(args, options) {
 }
 
 const drawStyleArgs = valueArgsModel([
-    {'name': 'stroke', 'type': 'string', 'default': 'black'},
+    {'name': 'stroke', 'type': 'string', 'nullable': true},
     {'name': 'strokeWidth', 'type': 'number', 'default': 1},
     {'name': 'fill', 'type': 'string', 'default': 'none'},
     {'name': 'strokeDashArray', 'type': 'string', 'default': 'none'}
@@ -578,7 +902,7 @@ const drawTextHeightArgs = valueArgsModel([
 // $group: Drawing
 // $doc: Set the current text drawing styles
 // $arg fontSizePx: Optional (default is null, the default font size). The text font size, in pixels.
-// $arg textFill: Optional (default is 'black'). The text fill color.
+// $arg textFill: Optional (default is null, the theme's text color). The text fill color.
 // $arg bold: Optional (default is false). If true, text is bold.
 // $arg italic: Optional (default is false). If true, text is italic.
 // $arg fontFamily: Optional (default is null, the default font family). The text font family.
@@ -586,7 +910,7 @@ function drawTextStyle(args, options) {
     const [fontSizePx, textFill, bold, italic, fontFamily] = valueArgsValidate(drawTextStyleArgs, args);
     const {runtime} = options;
     runtime.drawingFontSizePx = (fontSizePx !== null ? fontSizePx : options.fontSize * pixelsPerPoint);
-    runtime.drawingFontFill = textFill;
+    runtime.drawingFontFill = textFill ?? runtime.getTheme().text;
     runtime.drawingFontBold = bold;
     runtime.drawingFontItalic = italic;
     runtime.drawingFontFamily = fontFamily;
@@ -594,7 +918,7 @@ function drawTextStyle(args, options) {
 
 const drawTextStyleArgs = valueArgsModel([
     {'name': 'fontSizePx', 'type': 'number', 'nullable': true},
-    {'name': 'textFill', 'type': 'string', 'default': 'black'},
+    {'name': 'textFill', 'type': 'string', 'nullable': true},
     {'name': 'bold', 'type': 'boolean', 'default': false},
     {'name': 'italic', 'type': 'boolean', 'default': false},
     {'name': 'fontFamily', 'type': 'string', 'default': defaultFontFamily},
@@ -1083,18 +1407,29 @@ function windowWidth(unusedArgs, options) {
 
 // markdown-script library functions
 export const markdownScriptFunctions = {
+    dataBarChart,
+    dataBoxPlot,
+    dataHeatmap,
+    dataHistogram,
     dataLineChart,
+    dataPieChart,
+    dataScatterChart,
     dataTable,
+    dataTableExport,
+    documentDarkMode,
     documentFontSize,
     documentInputValue,
     documentSetFocus,
     documentSetReset,
+    documentSetTheme,
     documentSetTitle,
     documentURL,
     drawArc,
     drawCircle,
     drawClose,
     drawEllipse,
+    drawExport,
+    drawExportButton,
     drawHLine,
     drawHeight,
     drawImage,
@@ -0,0 +1,107 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/theme */
+
+import {categoricalColors} from './dataUtil.js';
+import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {validateType} from 'schema-markdown/lib/schema.js';
+
+
+// The theme model's Schema Markdown
+export const themeTypes = parseSchemaMarkdown(`\
+group "Theme"
+
+
+# A chart and drawing theme model. Unset members are the light or dark mode theme's member.
+struct Theme
+
+    # The chart background color
+    optional string background
+
+    # The axis line and tick mark color
+    optional string axis
+
+    # The grid line color
+    optional string grid
+
+    # The text color. The text color is also the drawing stroke and text fill default color.
+    optional string text
+
+    # The annotation line and text color
+    optional string annotation
+
+    # The annotation label background color
+    optional string annotationBackground
+
+    # The categorical color palette
+    optional string[len > 0] palette
+`);
+
+
+/**
+ * Validate a theme model
+ *
+ * @param {Object} theme - The
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ * @returns {Object}
+ * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
+ */
+export function validateTheme(theme) {
+    return validateType(themeTypes, 'Theme', theme);
+}
+
+
+// The document's light and dark mode page colors - the markdown-model stylesheet's foreground and background colors
+const lightPageColors = {'foreground': 'black', 'background': 'white', 'backgroundRGB': '#ffffff', 'grid': 'lightgray'};
+const darkPageColors = {'foreground': 'white', 'background': 'black', 'backgroundRGB': '#000000', 'grid': '#505050'};
+const annotationBackgroundAlpha = 'a0';
+
+
+// Helper function to create a mode theme model from the document's page colors
+function pageTheme(pageColors) {
+    return {
+        'background': pageColors.background,
+        'axis': pageColors.foreground,
+        'grid': pageColors.grid,
+        'text': pageColors.foreground,
+        'annotation': pageColors.foreground,
+        'annotationBackground': `${pageColors.backgroundRGB}${annotationBackgroundAlpha}`,
+        'palette': categoricalColors
+    };
+}
+
+
+/**
+ * The light mode theme model
+ */
+export const lightTheme = pageTheme(lightPageColors);
+
+
+/**
+ * The dark mode theme model
+ */
+export const darkTheme = pageTheme(darkPageColors);
+
+
+/**
+ * The theme options object
+ *
+ * @typedef {Object} ThemeOptions
+ * @property {boolean} [darkMode] - If true, the default theme is the dark mode theme
+ * @property {?Object} [theme] - The custom
+ *     [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ */
+
+
+/**
+ * Compute the complete theme model - the custom theme's members override the light or dark mode theme's members
+ *
+ * @param {?Object} [options = null] - The [theme options]{@link module:lib/theme~ThemeOptions}
+ * @returns {Object} The [theme model]{@link https://craigahobbs.github.io/markdown-up/library/model.html#var.vName='Theme'}
+ */
+export function getTheme(options = null) {
+    const darkMode = (options !== null ? (options.darkMode ?? false) : false);
+    const theme = (options !== null ? (options.theme ?? null) : null);
+    return {...(darkMode ? darkTheme : lightTheme), ...theme};
+}
@@ -0,0 +1,1090 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {barChartElements, validateBarChart} from '../lib/barChart.js';
+import {strict as assert} from 'node:assert';
+import test from 'node:test';
+
+
+test('validateBarChart', () => {
+    const barChart = {'x': 'A', 'y': ['B']};
+    assert.deepEqual(validateBarChart(barChart), barChart);
+});
+
+
+test('validateBarChart, error', () => {
+    const barChart = {'x': 'A', 'y': ['B'], 'layout': 'pie'};
+    assert.throws(
+        () => {
+            validateBarChart(barChart);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"pie\" (type 'string') for member 'layout', expected type 'BarChartLayout'"
+        }
+    );
+});
+
+
+test('validateBarChart, time zone error', () => {
+    const barChart = {'x': 'A', 'y': ['B'], 'timeZone': 'Not/AZone'};
+    assert.throws(
+        () => {
+            validateBarChart(barChart);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"Not/AZone\" (type 'string') for member 'timeZone', expected a time zone"
+        }
+    );
+});
+
+test('barChartElements', () => {
+    const data = [
+        {'A': 'b', 'B': 3},
+        {'A': 'a', 'B': 5},
+        {'A': 'c', 'B': 1}
+    ];
+    const barChart = {'x': 'A', 'y': ['B']};
+    validateBarChart(barChart);
+    assert.deepEqual(barChartElements(data, barChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '136.725',
+                    'transform': 'rotate(-90 16.000, 136.725)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 257.450 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 257.450 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 136.725 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 136.725 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 16.000 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 16.000 H 624.000'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '257.450',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '0'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '136.725',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '2.50'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '16.000',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '5'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '181.042',
+                        'y': '261.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'a'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '358.225',
+                        'y': '261.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'b'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '535.408',
+                        'y': '261.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'c'
+                    }
+                }
+            ],
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '358.225',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '110.168',
+                        'y': '16.000',
+                        'width': '141.747',
+                        'height': '241.450',
+                        'stroke': 'none',
+                        'fill': '#1f77b4'
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '287.352',
+                        'y': '112.580',
+                        'width': '141.747',
+                        'height': '144.870',
+                        'stroke': 'none',
+                        'fill': '#1f77b4'
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '464.535',
+                        'y': '209.160',
+                        'width': '141.747',
+                        'height': '48.290',
+                        'stroke': 'none',
+                        'fill': '#1f77b4'
+                    }
+                }
+            ],
+            null,
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 91.950 15.500 V 257.950 H 624.500'
+                }
+            },
+            [],
+            null
+        ]
+    });
+});
+
+
+test('barChartElements, grouped color field labels', () => {
+    const data = [
+        {'A': 'a', 'B': 3, 'C': 2023},
+        {'A': 'a', 'B': 4, 'C': 2024},
+        {'A': 'b', 'B': -1, 'C': 2023},
+        {'A': 'b', 'B': 2, 'C': 2024}
+    ];
+    const barChart = {
+        'title': 'Grouped',
+        'x': 'A',
+        'y': ['B'],
+        'color': 'C',
+        'labels': true,
+        'yLines': [{'value': 2, 'label': 'Target'}]
+    };
+    validateBarChart(barChart);
+    assert.deepEqual(barChartElements(data, barChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '17.600px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '324.225',
+                    'y': '16.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'Grouped'
+                }
+            },
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '149.925',
+                    'transform': 'rotate(-90 16.000, 149.925)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 235.850 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 235.850 H 556.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 149.925 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 149.925 H 556.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 64.000 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 64.000 H 556.000'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '235.850',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '-1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '149.925',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '1.50'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '64.000',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '4'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '208.337',
+                        'y': '261.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'a'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '440.113',
+                        'y': '261.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'b'
+                    }
+                }
+            ],
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '324.225',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '115.627',
+                        'y': '98.370',
+                        'width': '92.710',
+                        'height': '103.110',
+                        'stroke': 'none',
+                        'fill': '#1f77b4'
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '208.337',
+                        'y': '64.000',
+                        'width': '92.710',
+                        'height': '137.480',
+                        'stroke': 'none',
+                        'fill': '#ff7f0e'
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '347.403',
+                        'y': '201.480',
+                        'width': '92.710',
+                        'height': '34.370',
+                        'stroke': 'none',
+                        'fill': '#1f77b4'
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '440.113',
+                        'y': '132.740',
+                        'width': '92.710',
+                        'height': '68.740',
+                        'stroke': 'none',
+                        'fill': '#ff7f0e'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '161.982',
+                        'y': '92.770',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '3'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '254.692',
+                        'y': '58.400',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '4'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '393.758',
+                        'y': '241.450',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '-1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '486.467',
+                        'y': '127.140',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '2'
+                    }
+                }
+            ],
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 91.950 41.900 V 257.950 H 556.500'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '487.200',
+                            'y': '137.940',
+                            'width': '65.600',
+                            'height': '24.000',
+                            'fill': '#ffffffa0'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '491.200',
+                            'y': '149.940',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'Target'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '2.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 132.740 H 556.000'
+                        }
+                    }
+                ]
+            ],
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '564.000',
+                            'y': '42.400',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#1f77b4'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '585.600',
+                            'y': '50.400',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '2023'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '564.000',
+                            'y': '64.000',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#ff7f0e'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '585.600',
+                            'y': '72.000',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '2024'
+                        }
+                    }
+                ]
+            ]
+        ]
+    });
+});
+
+
+test('barChartElements, stacked horizontal', () => {
+    const data = [
+        {'A': 'a', 'B': 3, 'C': 1},
+        {'A': 'b', 'B': 2},
+        {'A': 'a', 'B': 1, 'C': 2}
+    ];
+    const barChart = {
+        'x': 'A',
+        'y': ['B', 'C'],
+        'layout': 'stacked',
+        'horizontal': true,
+        'labels': true,
+        'yTicks': {'count': 2, 'start': 0, 'end': 8, 'number': {'suffix': '%'}}
+    };
+    validateBarChart(barChart);
+    assert.deepEqual(barChartElements(data, barChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '151.125',
+                    'transform': 'rotate(-90 16.000, 151.125)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 63.650 286.750 V 291.750'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 63.650 286.750 V 16.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 584.800 286.750 V 291.750'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 584.800 286.750 V 16.000'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '63.650',
+                        'y': '295.500',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '0%'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '584.800',
+                        'y': '295.500',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '8%'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '59.400',
+                        'y': '83.563',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': 'a'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '59.400',
+                        'y': '218.688',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': 'b'
+                    }
+                }
+            ],
+            null,
+            [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '63.650',
+                        'y': '29.513',
+                        'width': '260.575',
+                        'height': '108.100',
+                        'stroke': 'none',
+                        'fill': '#1f77b4'
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '324.225',
+                        'y': '29.513',
+                        'width': '195.431',
+                        'height': '108.100',
+                        'stroke': 'none',
+                        'fill': '#ff7f0e'
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '63.650',
+                        'y': '164.638',
+                        'width': '130.287',
+                        'height': '108.100',
+                        'stroke': 'none',
+                        'fill': '#1f77b4'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '193.938',
+                        'y': '83.563',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '4%'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '421.941',
+                        'y': '83.563',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '3%'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '128.794',
+                        'y': '218.688',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '2%'
+                    }
+                }
+            ],
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 63.150 15.500 V 286.750 H 585.300'
+                }
+            },
+            [],
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '16.000',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#1f77b4'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '24.000',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'B'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '37.600',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#ff7f0e'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '45.600',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'C'
+                        }
+                    }
+                ]
+            ]
+        ]
+    });
+});
+
+
+test('barChartElements, category order', () => {
+    const data = [
+        {'A': 'a', 'B': 1},
+        {'A': 'b', 'B': 3},
+        {'A': 'c', 'B': 2},
+        {'A': 'd', 'B': 4},
+        {'A': null, 'B': 5}
+    ];
+    const categoryLabels = (barChart) => {
+        validateBarChart(barChart);
+        const elements = barChartElements(data, barChart);
+        return elements.elem[5].map((element) => element.elem.text);
+    };
+    assert.deepEqual(categoryLabels({'x': 'A', 'y': ['B']}), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(categoryLabels({'x': 'A', 'y': ['B'], 'descending': true}), ['d', 'c', 'b', 'a']);
+    assert.deepEqual(categoryLabels({'x': 'A', 'y': ['B'], 'sort': 'value'}), ['a', 'c', 'b', 'd']);
+    assert.deepEqual(categoryLabels({'x': 'A', 'y': ['B'], 'sort': 'value', 'descending': true}), ['d', 'b', 'c', 'a']);
+    assert.deepEqual(categoryLabels({'x': 'A', 'y': ['B'], 'xOrder': ['c', 'a']}), ['c', 'a', 'b', 'd']);
+});
+
+
+test('barChartElements, no data', () => {
+    const data = [];
+    const barChart = {'x': 'A', 'y': ['B']};
+    validateBarChart(barChart);
+    assert.throws(
+        () => {
+            barChartElements(data, barChart);
+        },
+        {
+            'name': 'Error',
+            'message': 'No data'
+        }
+    );
+});
@@ -0,0 +1,469 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {boxPlotElements, boxPlotStatistics, validateBoxPlot} from '../lib/boxPlot.js';
+import {strict as assert} from 'node:assert';
+import test from 'node:test';
+
+
+test('validateBoxPlot, number format error', () => {
+    const boxPlot = {'y': 'A', 'yTicks': {'number': {'locale': 'not a locale'}}};
+    assert.throws(
+        () => {
+            validateBoxPlot(boxPlot);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"not a locale\" (type 'string') for member 'yTicks.number.locale', expected a locale"
+        }
+    );
+});
+
+
+test('boxPlotStatistics', () => {
+    assert.deepEqual(boxPlotStatistics([5, 1, 4, 2, 3]), {
+        'q1': 2,
+        'median': 3,
+        'q3': 4,
+        'whiskerLow': 1,
+        'whiskerHigh': 5,
+        'outliers': []
+    });
+    assert.deepEqual(boxPlotStatistics([1, 2, 3, 4, 20, -10]), {
+        'q1': 1.25,
+        'median': 2.5,
+        'q3': 3.75,
+        'whiskerLow': 1,
+        'whiskerHigh': 4,
+        'outliers': [-10, 20]
+    });
+    assert.deepEqual(boxPlotStatistics([1, 4], 0), {
+        'q1': 1.75,
+        'median': 2.5,
+        'q3': 3.25,
+        'whiskerLow': 1.75,
+        'whiskerHigh': 3.25,
+        'outliers': [1, 4]
+    });
+    assert.deepEqual(boxPlotStatistics([7]), {
+        'q1': 7,
+        'median': 7,
+        'q3': 7,
+        'whiskerLow': 7,
+        'whiskerHigh': 7,
+        'outliers': []
+    });
+});
+
+
+test('boxPlotElements, whisker', () => {
+    const data = [{'A': 1}, {'A': 2}, {'A': 3}, {'A': 4}, {'A': 10}];
+
+    // The default whisker length (1.5 times the interquartile range) makes the greatest value an outlier
+    const elements = boxPlotElements(data, validateBoxPlot({'y': 'A'}));
+    assert.equal(elements.elem[8][0].length, 1);
+    assert.equal(
+        elements.elem[7][0][0].attr.d,
+        'M 358.225 253.889 V 283.250 M 278.492 283.250 H 437.957 M 358.225 195.167 V 195.167 M 278.492 195.167 H 437.957'
+    );
+
+    // A longer whisker extends the high whisker to the greatest value
+    const elementsWhisker = boxPlotElements(data, validateBoxPlot({'y': 'A', 'whisker': 3}));
+    assert.equal(elementsWhisker.elem[8][0].length, 0);
+    assert.equal(
+        elementsWhisker.elem[7][0][0].attr.d,
+        'M 358.225 253.889 V 283.250 M 278.492 283.250 H 437.957 M 358.225 195.167 V 19.000 M 278.492 19.000 H 437.957'
+    );
+});
+
+
+test('boxPlotElements, category order', () => {
+    const data = [
+        {'C': 'b', 'A': 1},
+        {'C': 'a', 'A': 2},
+        {'C': 'c', 'A': 3},
+        {'C': 'd', 'A': 3}
+    ];
+
+    // Categories are sorted by value, and categories not in the category order follow the ordered categories
+    const categoryLabels = (boxPlot) => boxPlotElements(data, validateBoxPlot(boxPlot)).elem[5].map((text) => text.elem.text);
+    assert.deepEqual(categoryLabels({'x': 'C', 'y': 'A'}), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(categoryLabels({'x': 'C', 'y': 'A', 'xOrder': ['c', 'b']}), ['c', 'b', 'a', 'd']);
+});
+
+
+test('boxPlotElements, tick number format', () => {
+    const data = [{'A': 1}, {'A': 2}, {'A': 3}, {'A': 4}, {'A': 10}];
+    const elements = boxPlotElements(data, validateBoxPlot({'y': 'A', 'yTicks': {'number': {'suffix': 'ms'}}}));
+    assert.deepEqual(elements.elem[4].map((text) => text.elem.text), ['1ms', '5.50ms', '10ms']);
+});
+
+
+test('boxPlotElements, categories outliers', () => {
+    const data = [
+        {'A': 'b', 'B': 1},
+        {'A': 'b', 'B': 2},
+        {'A': 'b', 'B': 3},
+        {'A': 'b', 'B': 4},
+        {'A': 'b', 'B': 20},
+        {'A': 'a', 'B': 5},
+        {'A': 'a', 'B': 6},
+        {'A': 'c', 'B': 1}
+    ];
+    const boxPlot = {
+        'title': 'Box Plot',
+        'x': 'A',
+        'y': 'B',
+        'xOrder': ['c'],
+        'yTicks': {'count': 2, 'start': 0}
+    };
+    validateBoxPlot(boxPlot);
+    assert.deepEqual(boxPlotElements(data, boxPlot), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '17.600px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '348.625',
+                    'y': '16.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'Box Plot'
+                }
+            },
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '149.925',
+                    'transform': 'rotate(-90 16.000, 149.925)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 72.750 254.450 H 67.750'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 72.750 254.450 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 72.750 45.400 H 67.750'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 72.750 45.400 H 624.000'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '64.000',
+                        'y': '254.450',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '0'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '64.000',
+                        'y': '45.400',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '20'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '165.042',
+                        'y': '261.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'c'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '348.625',
+                        'y': '261.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'a'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '532.208',
+                        'y': '261.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'b'
+                    }
+                }
+            ],
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '348.625',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.500',
+                            'fill': 'none',
+                            'd': 'M 165.042 243.998 V 243.998 M 137.504 243.998 H 192.579 M 165.042 243.998 V 243.998 M 137.504 243.998 ' +
+                                'H 192.579'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '109.967',
+                            'y': '243.998',
+                            'width': '110.150',
+                            'height': '0.000',
+                            'stroke': 'black',
+                            'stroke-width': '1.500',
+                            'fill': '#1f77b4',
+                            'fill-opacity': 0.4
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '3.000',
+                            'fill': 'none',
+                            'd': 'M 109.967 243.998 H 220.117'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.500',
+                            'fill': 'none',
+                            'd': 'M 348.625 199.574 V 202.188 M 321.087 202.188 H 376.163 M 348.625 194.348 V 191.735 M 321.087 191.735 ' +
+                                'H 376.163'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '293.550',
+                            'y': '194.348',
+                            'width': '110.150',
+                            'height': '5.226',
+                            'stroke': 'black',
+                            'stroke-width': '1.500',
+                            'fill': '#1f77b4',
+                            'fill-opacity': 0.4
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '3.000',
+                            'fill': 'none',
+                            'd': 'M 293.550 196.961 H 403.700'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.500',
+                            'fill': 'none',
+                            'd': 'M 532.208 233.545 V 243.998 M 504.671 243.998 H 559.746 M 532.208 212.640 V 212.640 M 504.671 212.640 ' +
+                                'H 559.746'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '477.133',
+                            'y': '212.640',
+                            'width': '110.150',
+                            'height': '20.905',
+                            'stroke': 'black',
+                            'stroke-width': '1.500',
+                            'fill': '#1f77b4',
+                            'fill-opacity': 0.4
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '3.000',
+                            'fill': 'none',
+                            'd': 'M 477.133 223.093 H 587.283'
+                        }
+                    }
+                ]
+            ],
+            [
+                [],
+                [],
+                [
+                    {
+                        'svg': 'circle',
+                        'attr': {
+                            'cx': '532.208',
+                            'cy': '45.400',
+                            'r': '3.000',
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none'
+                        }
+                    }
+                ]
+            ],
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 72.750 41.900 V 257.950 H 624.500'
+                }
+            }
+        ]
+    });
+});
+
+
+test('boxPlotElements, no outliers', () => {
+    const data = [
+        {'A': 1},
+        {'A': 2},
+        {'A': 3},
+        {'A': 100}
+    ];
+    const boxPlot = {'y': 'A', 'outliers': false};
+    validateBoxPlot(boxPlot);
+    const elements = boxPlotElements(data, boxPlot);
+    assert.equal(elements.elem[8], null);
+    assert.deepEqual(elements.elem[4].map((label) => label.elem.text), ['1', '14.13', '27.25']);
+});
+
+
+test('boxPlotElements, no data', () => {
+    const data = [{'A': 'a'}];
+    const boxPlot = {'y': 'A'};
+    validateBoxPlot(boxPlot);
+    assert.throws(
+        () => {
+            boxPlotElements(data, boxPlot);
+        },
+        {
+            'name': 'Error',
+            'message': 'No data'
+        }
+    );
+});
@@ -1,9 +1,12 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
 
-import {dataTableElements, validateDataTable} from '../lib/dataTable.js';
+import {dataTableElements, dataTableTypes, exportDataTable, validateDataTable} from '../lib/dataTable.js';
+import {JSDOM} from 'jsdom/lib/api.js';
 import {strict as assert} from 'node:assert';
+import {renderElements} from 'element-model/lib/elementModel.js';
 import test from 'node:test';
+import {validateType} from 'schema-markdown/lib/schema.js';
 
 
 test('validateDataTable', () => {
@@ -26,6 +29,64 @@ test('validateDataTable, error', () => {
 });
 
 
+test('validateDataTable, time zone error', () => {
+    assert.deepEqual(validateDataTable({'timeZone': 'America/New_York'}), {'timeZone': 'America/New_York'});
+    assert.throws(
+        () => {
+            validateDataTable({'timeZone': 'Not/AZone'});
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"Not/AZone\" (type 'string') for member 'timeZone', expected a time zone"
+        }
+    );
+    assert.throws(
+        () => {
+            validateDataTable({'formats': {'A': {'timeZone': 'Not/AZone'}}});
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"Not/AZone\" (type 'string') for member 'formats.A.timeZone', expected a time zone"
+        }
+    );
+});
+
+
+test('validateDataTable, datetime format alias', () => {
+    assert.equal(validateType(dataTableTypes, 'DataTableDatetimeFormat', 'day'), 'day');
+    assert.throws(
+        () => {
+            validateType(dataTableTypes, 'DataTableDatetimeFormat', 'week');
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"week\" (type 'string'), expected type 'DatetimeFormat'"
+        }
+    );
+});
+
+
+test('validateDataTable, number format error', () => {
+    assert.throws(
+        () => {
+            validateDataTable({'formats': {'A': {'number': {'locale': 'not a locale'}}}});
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"not a locale\" (type 'string') for member 'formats.A.number.locale', expected a locale"
+        }
+    );
+    assert.throws(
+        () => {
+            validateDataTable({'formats': {'A': {'number': {'style': 'currency', 'currency': '123'}}}});
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"123\" (type 'string') for member 'formats.A.number.currency', expected a currency code"
+        }
+    );
+});
+
 test('dataTableElements', () => {
     const data = [
         {'A': 1, 'B': 'abc', 'C': new Date(2022, 7, 30)},
@@ -528,3 +589,1019 @@ test('dataTableElements, format header', () => {
         ]
     });
 });
+
+
+test('dataTableElements, format number', () => {
+    const data = [
+        {'A': 1234.5, 'B': 0.25},
+        {'A': 1000000, 'B': 0.5}
+    ];
+    const dataTable = validateDataTable({'formats': {'A': {'number': {'style': 'currency'}}, 'B': {'number': {'style': 'percent'}}}});
+    assert.deepEqual(dataTableElements(data, dataTable), {
+        'html': 'table',
+        'elem': [
+            {
+                'html': 'tr',
+                'elem': [[], [{'html': 'th', 'attr': null, 'elem': {'text': 'A'}}, {'html': 'th', 'attr': null, 'elem': {'text': 'B'}}]]
+            },
+            [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [{'html': 'td', 'attr': null, 'elem': {'text': '$1,234.50'}}, {'html': 'td', 'attr': null, 'elem': {'text': '25%'}}]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': '$1,000,000'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '50%'}}
+                        ]
+                    ]
+                }
+            ]
+        ]
+    });
+});
+
+
+test('dataTableElements, format datetime and duration', () => {
+    const data = [
+        {'A': new Date(Date.UTC(2022, 7, 30, 2, 15)), 'B': new Date(Date.UTC(2022, 7, 30, 2, 15)), 'C': 7500}
+    ];
+    const dataTable = validateDataTable({
+        'datetime': 'day',
+        'timeZone': 'UTC',
+        'formats': {
+            'B': {'datetime': 'minute', 'timeZone': 'America/New_York'},
+            'C': {'duration': 'minute'}
+        }
+    });
+    assert.deepEqual(dataTableElements(data, dataTable), {
+        'html': 'table',
+        'elem': [
+            {
+                'html': 'tr',
+                'elem': [
+                    [],
+                    [
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'A'}},
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'B'}},
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'C'}}
+                    ]
+                ]
+            },
+            [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': '2022-08-30'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '2022-08-29T22:15'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '2h 05m'}}
+                        ]
+                    ]
+                }
+            ]
+        ]
+    });
+});
+
+
+test('dataTableElements, format rules', () => {
+    const data = [
+        {'A': 1},
+        {'A': 2},
+        {'A': 5},
+        {'A': null}
+    ];
+    const dataTable = validateDataTable({'formats': {'A': {'rules': [
+        {'value': 1, 'color': 'gray'},
+        {'min': 2, 'max': 5, 'background': 'yellow', 'bold': true},
+        {'min': 5, 'color': 'red'}
+    ]}}});
+    assert.deepEqual(dataTableElements(data, dataTable), {
+        'html': 'table',
+        'elem': [
+            {'html': 'tr', 'elem': [[], [{'html': 'th', 'attr': null, 'elem': {'text': 'A'}}]]},
+            [
+                {'html': 'tr', 'elem': [[], [{'html': 'td', 'attr': {'style': 'color: gray'}, 'elem': {'text': '1'}}]]},
+                {
+                    'html': 'tr',
+                    'elem': [[], [{'html': 'td', 'attr': {'style': 'background-color: yellow; font-weight: bold'}, 'elem': {'text': '2'}}]]
+                },
+                {'html': 'tr', 'elem': [[], [{'html': 'td', 'attr': {'style': 'color: red'}, 'elem': {'text': '5'}}]]},
+                {'html': 'tr', 'elem': [[], [{'html': 'td', 'attr': null, 'elem': {'text': 'null'}}]]}
+            ]
+        ]
+    });
+});
+
+
+test('dataTableElements, format color scale', () => {
+    const data = [
+        {'A': 1},
+        {'A': 2},
+        {'A': 5},
+        {'A': null}
+    ];
+    const dataTable = validateDataTable({'formats': {'A': {'colorScale': {'minColor': 'white', 'maxColor': 'green'}}}});
+    assert.deepEqual(dataTableElements(data, dataTable), {
+        'html': 'table',
+        'elem': [
+            {'html': 'tr', 'elem': [[], [{'html': 'th', 'attr': null, 'elem': {'text': 'A'}}]]},
+            [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {
+                                'html': 'td',
+                                'attr': {'style': 'background-color: color-mix(in srgb, green 0.0%, white)'},
+                                'elem': {'text': '1'}
+                            }
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {
+                                'html': 'td',
+                                'attr': {'style': 'background-color: color-mix(in srgb, green 25.0%, white)'},
+                                'elem': {'text': '2'}
+                            }
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {
+                                'html': 'td',
+                                'attr': {'style': 'background-color: color-mix(in srgb, green 100.0%, white)'},
+                                'elem': {'text': '5'}
+                            }
+                        ]
+                    ]
+                },
+                {'html': 'tr', 'elem': [[], [{'html': 'td', 'attr': null, 'elem': {'text': 'null'}}]]}
+            ]
+        ]
+    });
+});
+
+
+test('dataTableElements, format data bar', () => {
+    const data = [
+        {'A': 1},
+        {'A': 2},
+        {'A': 5},
+        {'A': null}
+    ];
+    const dataTable = validateDataTable({'formats': {'A': {'dataBar': {'color': 'lightblue', 'max': 10}}}});
+    assert.deepEqual(dataTableElements(data, dataTable), {
+        'html': 'table',
+        'elem': [
+            {'html': 'tr', 'elem': [[], [{'html': 'th', 'attr': null, 'elem': {'text': 'A'}}]]},
+            [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {
+                                'html': 'td',
+                                'attr': {'style': 'background-image: linear-gradient(to right, lightblue 10.0%, transparent 10.0%)'},
+                                'elem': {'text': '1'}
+                            }
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {
+                                'html': 'td',
+                                'attr': {'style': 'background-image: linear-gradient(to right, lightblue 20.0%, transparent 20.0%)'},
+                                'elem': {'text': '2'}
+                            }
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {
+                                'html': 'td',
+                                'attr': {'style': 'background-image: linear-gradient(to right, lightblue 50.0%, transparent 50.0%)'},
+                                'elem': {'text': '5'}
+                            }
+                        ]
+                    ]
+                },
+                {'html': 'tr', 'elem': [[], [{'html': 'td', 'attr': null, 'elem': {'text': 'null'}}]]}
+            ]
+        ]
+    });
+});
+
+
+test('dataTableElements, format sparkline', () => {
+    const data = [
+        {'A': [1, 3, null, 2, 5]},
+        {'A': 'abc'}
+    ];
+    const dataTable = validateDataTable({'formats': {'A': {'sparkline': {}}}});
+    assert.deepEqual(dataTableElements(data, dataTable), {
+        'html': 'table',
+        'elem': [
+            {
+                'html': 'tr',
+                'elem': [
+                    [],
+                    [
+                        {
+                            'html': 'th',
+                            'attr': null,
+                            'elem': {
+                                'text': 'A'
+                            }
+                        }
+                    ]
+                ]
+            },
+            [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {
+                                'html': 'td',
+                                'attr': null,
+                                'elem': {
+                                    'svg': 'svg',
+                                    'attr': {
+                                        'width': '6em',
+                                        'height': '1em',
+                                        'viewBox': '0 0 72.000 12.000',
+                                        'style': 'vertical-align: middle'
+                                    },
+                                    'elem': {
+                                        'svg': 'path',
+                                        'attr': {
+                                            'stroke': '#1f77b4',
+                                            'stroke-width': '1',
+                                            'stroke-linejoin': 'round',
+                                            'stroke-linecap': 'round',
+                                            'fill': 'none',
+                                            'd': 'M 1.000 11.000 L 18.500 6.000 M 53.500 8.500 L 71.000 1.000'
+                                        }
+                                    }
+                                }
+                            }
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {
+                                'html': 'td',
+                                'attr': null,
+                                'elem': {
+                                    'text': 'abc'
+                                }
+                            }
+                        ]
+                    ]
+                }
+            ]
+        ]
+    });
+});
+
+
+test('dataTableElements, format sparkline theme', () => {
+    const data = [
+        {'A': [1, 2]}
+    ];
+    const dataTable = validateDataTable({'formats': {'A': {'sparkline': {}}}});
+    const sparklineStroke = (options) => dataTableElements(data, dataTable, options).elem[1][0].elem[1][0].elem.elem.attr.stroke;
+    assert.equal(sparklineStroke(null), '#1f77b4');
+    assert.equal(sparklineStroke({'darkMode': true, 'theme': {'palette': ['orange']}}), 'orange');
+});
+
+test('dataTableElements, format sparkline bar', () => {
+    const data = [
+        {'A': [-1, 2, 'abc']}
+    ];
+    const dataTable = validateDataTable({'formats': {'A': {'sparkline': {'type': 'bar', 'color': 'green', 'width': 3, 'max': 4}}}});
+    assert.deepEqual(dataTableElements(data, dataTable), {
+        'html': 'table',
+        'elem': [
+            {
+                'html': 'tr',
+                'elem': [
+                    [],
+                    [
+                        {
+                            'html': 'th',
+                            'attr': null,
+                            'elem': {
+                                'text': 'A'
+                            }
+                        }
+                    ]
+                ]
+            },
+            [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {
+                                'html': 'td',
+                                'attr': null,
+                                'elem': {
+                                    'svg': 'svg',
+                                    'attr': {
+                                        'width': '3em',
+                                        'height': '1em',
+                                        'viewBox': '0 0 36.000 12.000',
+                                        'style': 'vertical-align: middle'
+                                    },
+                                    'elem': [
+                                        {
+                                            'svg': 'rect',
+                                            'attr': {
+                                                'x': '1.200',
+                                                'y': '9.000',
+                                                'width': '9.600',
+                                                'height': '2.000',
+                                                'fill': 'green'
+                                            }
+                                        },
+                                        {
+                                            'svg': 'rect',
+                                            'attr': {
+                                                'x': '13.200',
+                                                'y': '5.000',
+                                                'width': '9.600',
+                                                'height': '4.000',
+                                                'fill': 'green'
+                                            }
+                                        },
+                                        null
+                                    ]
+                                }
+                            }
+                        ]
+                    ]
+                }
+            ]
+        ]
+    });
+});
+
+
+test('dataTableElements, sort', () => {
+    const data = [
+        {'A': 1, 'B': 'abc', 'C': 5},
+        {'A': 2, 'B': 'def', 'C': 6},
+        {'A': 1, 'B': 'ghi', 'C': 7},
+        {'A': 2, 'B': 'jkl', 'C': 8}
+    ];
+    const dataTable = validateDataTable({'categories': ['A'], 'sort': [{'field': 'A'}, {'field': 'C', 'desc': true}]});
+    assert.deepEqual(dataTableElements(data, dataTable), {
+        'html': 'table',
+        'elem': [
+            {
+                'html': 'tr',
+                'elem': [
+                    [
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'A ▲'}}
+                    ],
+                    [
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'B'}},
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'C ▼'}}
+                    ]
+                ]
+            },
+            [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': '1'}}
+                        ],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': 'ghi'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '7'}}
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [
+                            {'html': 'td', 'attr': null, 'elem': null}
+                        ],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': 'abc'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '5'}}
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': '2'}}
+                        ],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': 'jkl'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '8'}}
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [
+                            {'html': 'td', 'attr': null, 'elem': null}
+                        ],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': 'def'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '6'}}
+                        ]
+                    ]
+                }
+            ]
+        ]
+    });
+
+    // Confirm the data array is not modified
+    assert.deepEqual(data.map((row) => row.B), ['abc', 'def', 'ghi', 'jkl']);
+});
+
+
+test('dataTableElements, sortable', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 2, 'B': 'abc'},
+        {'A': 1, 'B': 'def'},
+        {'A': 3, 'B': 'ghi'}
+    ];
+    const dataTable = validateDataTable({'sortable': true});
+    const elements = dataTableElements(data, dataTable);
+    const [, headerElements] = elements.elem[0].elem[0].elem;
+    assert.equal(typeof headerElements[0].callback, 'function');
+    assert.deepEqual(headerElements[0].attr, {'style': 'cursor: pointer; user-select: none'});
+
+    // Render the table
+    const {body} = window.document;
+    renderElements(body, elements);
+    const tableText = () => Array.from(body.querySelectorAll('tr')).map(
+        (tr) => Array.from(tr.children).map((td) => td.textContent).join(',')
+    );
+    assert.deepEqual(tableText(), ['A,B', '2,abc', '1,def', '3,ghi']);
+
+    // Click the "A" header - sort ascending
+    body.querySelector('th').dispatchEvent(new window.Event('click'));
+    assert.deepEqual(tableText(), ['A ▲,B', '1,def', '2,abc', '3,ghi']);
+
+    // Click the "A" header again - sort descending
+    body.querySelector('th').dispatchEvent(new window.Event('click'));
+    assert.deepEqual(tableText(), ['A ▼,B', '3,ghi', '2,abc', '1,def']);
+
+    // Click the "B" header - sort ascending
+    body.querySelectorAll('th')[1].dispatchEvent(new window.Event('click'));
+    assert.deepEqual(tableText(), ['A,B ▲', '2,abc', '1,def', '3,ghi']);
+    assert.equal(body.querySelectorAll('table').length, 1);
+});
+
+
+test('dataTableElements, page size', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1, 'B': 'abc'},
+        {'A': 1, 'B': 'def'},
+        {'A': 1, 'B': 'ghi'},
+        {'A': 2, 'B': 'jkl'},
+        {'A': 2, 'B': 'mno'}
+    ];
+    const dataTable = validateDataTable({'categories': ['A'], 'pageSize': 2, 'page': 2});
+    const elements = dataTableElements(data, dataTable);
+    assert.deepEqual(elements.elem[0], {
+        'html': 'table',
+        'elem': [
+            {
+                'html': 'tr',
+                'elem': [
+                    [
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'A'}}
+                    ],
+                    [
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'B'}}
+                    ]
+                ]
+            },
+            [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': '1'}}
+                        ],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': 'ghi'}}
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': '2'}}
+                        ],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': 'jkl'}}
+                        ]
+                    ]
+                }
+            ]
+        ]
+    });
+
+    // Render the table
+    const {body} = window.document;
+    renderElements(body, elements);
+    const tableText = () => Array.from(body.querySelectorAll('td')).map((td) => td.textContent);
+    const pagerText = () => body.querySelector('p').textContent;
+    assert.deepEqual(tableText(), ['1', 'ghi', '2', 'jkl']);
+    assert.equal(pagerText(), '( Previous | 1 2 3 | Next )');
+    assert.deepEqual(Array.from(body.querySelectorAll('a')).map((link) => link.textContent), ['Previous', '1', '3', 'Next']);
+
+    // Click "Next"
+    Array.from(body.querySelectorAll('a')).find((link) => link.textContent === 'Next').dispatchEvent(new window.Event('click'));
+    assert.deepEqual(tableText(), ['2', 'mno']);
+    assert.equal(pagerText(), '( Previous | 1 2 3 | Next )');
+    assert.deepEqual(Array.from(body.querySelectorAll('a')).map((link) => link.textContent), ['Previous', '1', '2']);
+
+    // Click page "1"
+    Array.from(body.querySelectorAll('a')).find((link) => link.textContent === '1').dispatchEvent(new window.Event('click'));
+    assert.deepEqual(tableText(), ['1', 'abc', '', 'def']);
+    assert.equal(body.querySelectorAll('table').length, 1);
+});
+
+
+test('dataTableElements, page size sortable', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1},
+        {'A': 2},
+        {'A': 3}
+    ];
+    const dataTable = validateDataTable({'pageSize': 2, 'page': 2, 'sortable': true});
+
+    // Render the table
+    const {body} = window.document;
+    renderElements(body, dataTableElements(data, dataTable));
+    const tableText = () => Array.from(body.querySelectorAll('td')).map((td) => td.textContent);
+    assert.deepEqual(tableText(), ['3']);
+
+    // Sort descending - resets to the first page
+    body.querySelector('th').dispatchEvent(new window.Event('click'));
+    body.querySelector('th').dispatchEvent(new window.Event('click'));
+    assert.deepEqual(tableText(), ['3', '2']);
+});
+
+
+test('dataTableElements, update function', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1},
+        {'A': 2},
+        {'A': 3}
+    ];
+    const dataTable = validateDataTable({'pageSize': 2, 'sortable': true});
+    const updates = [];
+    const options = {'updateFn': (update) => updates.push(update)};
+
+    // Render the table
+    const {body} = window.document;
+    renderElements(body, dataTableElements(data, dataTable, options));
+    const tableText = () => Array.from(body.querySelectorAll('td')).map((td) => td.textContent);
+    assert.deepEqual(tableText(), ['1', '2']);
+
+    // Sort and page - the update function is called and the table is not re-rendered
+    body.querySelector('th').dispatchEvent(new window.Event('click'));
+    Array.from(body.querySelectorAll('a')).find((link) => link.textContent === 'Next').dispatchEvent(new window.Event('click'));
+    assert.deepEqual(tableText(), ['1', '2']);
+    assert.deepEqual(updates, [{'sort': [{'field': 'A'}], 'page': 1}, {'page': 2}]);
+});
+
+
+test('dataTableElements, page size pager gaps', () => {
+    const {window} = new JSDOM();
+    const data = [];
+    for (let ixRow = 0; ixRow < 20; ixRow++) {
+        data.push({'A': ixRow});
+    }
+
+    // Render the table
+    const {body} = window.document;
+    renderElements(body, dataTableElements(data, validateDataTable({'pageSize': 1, 'page': 10})));
+    assert.equal(body.querySelector('p').textContent, '( Previous | 1 … 8 9 10 11 12 … 20 | Next )');
+
+    // Out-of-range page
+    renderElements(body, dataTableElements(data, validateDataTable({'pageSize': 1, 'page': 30})));
+    assert.equal(body.querySelector('p').textContent, '( Previous | 1 … 18 19 20 | Next )');
+    assert.deepEqual(Array.from(body.querySelectorAll('td')).map((td) => td.textContent), ['19']);
+
+    // No data
+    renderElements(body, dataTableElements([], validateDataTable({'fields': ['A'], 'pageSize': 1})));
+    assert.equal(body.querySelector('p').textContent, '( Previous | 1 | Next )');
+    assert.equal(body.querySelectorAll('a').length, 0);
+});
+
+
+test('dataTableElements, scroll height', () => {
+    const {window} = new JSDOM();
+    const data = [];
+    for (let ixRow = 0; ixRow < 100; ixRow++) {
+        data.push({'A': Math.floor(ixRow / 10), 'B': ixRow});
+    }
+    const dataTable = validateDataTable({'categories': ['A'], 'precision': 1, 'trim': false, 'scrollHeight': 160});
+    const elements = dataTableElements(data, dataTable, {'fontSize': 12});
+    const [scrollElements] = elements.elem;
+    assert.deepEqual(scrollElements.attr, {'style': 'height: 160px; overflow-y: auto'});
+    assert.deepEqual(scrollElements.elem.elem[0].elem[0][0].attr, {
+        'style': 'position: sticky; top: 0; background: var(--markdown-model-color-background)'
+    });
+    const [, [spacerTop, rowElements, spacerBottom]] = scrollElements.elem.elem;
+    assert.equal(spacerTop, null);
+    assert.equal(rowElements.length, 28);
+    assert.deepEqual(spacerBottom, {'html': 'tr', 'attr': {'style': 'height: 1613px'}});
+
+    // Render the table
+    const {body} = window.document;
+    renderElements(body, elements);
+    const scrollElement = body.querySelector('div > div');
+    const rowText = () => Array.from(scrollElement.querySelectorAll('tr:not([style])'))
+        .slice(1).map((tr) => Array.from(tr.children).map((td) => td.textContent).join(','));
+    assert.equal(scrollElement.querySelectorAll('tr').length, 30);
+    assert.deepEqual(rowText().slice(0, 2), ['0.0,0.0', ',1.0']);
+
+    // Scroll to the middle of the table - scroll events are rendered once per animation frame
+    const frames = [];
+    window.requestAnimationFrame = (frameFn) => {
+        frames.push(frameFn);
+    };
+    let scrollTop = 1120;
+    Object.defineProperty(scrollElement, 'scrollTop', {'get': () => scrollTop});
+    scrollElement.dispatchEvent(new window.Event('scroll'));
+    scrollElement.dispatchEvent(new window.Event('scroll'));
+    assert.equal(frames.length, 1);
+    assert.deepEqual(rowText().slice(0, 2), ['0.0,0.0', ',1.0']);
+    frames.shift()();
+    const spacerRows = scrollElement.querySelectorAll('tr[style]');
+    assert.deepEqual(Array.from(spacerRows).map((tr) => tr.getAttribute('style')), ['height: 896px', 'height: 717px']);
+    assert.deepEqual(rowText().slice(0, 2), ['4.0,40.0', ',41.0']);
+    assert.equal(rowText().length, 28);
+
+    // Scroll within the same visible rows - the table is not re-rendered
+    const tableElement = scrollElement.firstChild;
+    scrollTop = 1125;
+    scrollElement.dispatchEvent(new window.Event('scroll'));
+    assert.equal(frames.length, 1);
+    frames.shift()();
+    assert.equal(scrollElement.firstChild, tableElement);
+});
+
+
+test('dataTableElements, scroll height category group', () => {
+    const {window} = new JSDOM();
+    const data = [];
+    for (let ixRow = 0; ixRow < 100; ixRow++) {
+        data.push({'A': Math.floor(ixRow / 10), 'B': ixRow});
+    }
+    const dataTable = validateDataTable({'categories': ['A'], 'precision': 1, 'trim': false, 'scrollHeight': 160});
+    const {body} = window.document;
+    renderElements(body, dataTableElements(data, dataTable, {'fontSize': 12}));
+    const scrollElement = body.querySelector('div > div');
+    const rowText = () => Array.from(scrollElement.querySelectorAll('tr:not([style])'))
+        .slice(1).map((tr) => Array.from(tr.children).map((td) => td.textContent).join(','));
+    window.requestAnimationFrame = (frameFn) => {
+        frameFn();
+    };
+
+    // Scroll into the middle of a category group - the first rendered row shows its category value
+    Object.defineProperty(scrollElement, 'scrollTop', {'value': 1232});
+    scrollElement.dispatchEvent(new window.Event('scroll'));
+    const spacerRows = scrollElement.querySelectorAll('tr[style]');
+    assert.deepEqual(Array.from(spacerRows).map((tr) => tr.getAttribute('style')), ['height: 1008px', 'height: 605px']);
+    assert.deepEqual(rowText().slice(0, 6), ['4.0,45.0', ',46.0', ',47.0', ',48.0', ',49.0', '5.0,50.0']);
+});
+
+
+test('dataTableElements, scroll height subtotals', () => {
+    const {window} = new JSDOM();
+    const data = [];
+    for (let ixRow = 0; ixRow < 100; ixRow++) {
+        data.push({'A': Math.floor(ixRow / 10), 'B': ixRow});
+    }
+    const dataTable = validateDataTable({
+        'categories': ['A'], 'fields': ['B'], 'aggregates': {'B': 'sum'}, 'subtotals': true, 'scrollHeight': 200
+    });
+    const {body} = window.document;
+    renderElements(body, dataTableElements(data, dataTable, {'fontSize': 12}));
+    const scrollElement = body.querySelector('div > div');
+    const spacerStyles = () => Array.from(scrollElement.querySelectorAll('tr[style]')).map((tr) => tr.getAttribute('style'));
+    assert.deepEqual(spacerStyles(), ['height: 1590px']);
+
+    // Data rows are 20 pixels high and subtotal rows are 40 pixels high
+    Object.defineProperty(window.HTMLTableRowElement.prototype, 'offsetHeight', {
+        'get': function offsetHeight() {
+            return (this.firstChild.getAttribute('style') ?? '').includes('font-weight: bold') ? 40 : 20;
+        }
+    });
+    window.requestAnimationFrame = (frameFn) => {
+        frameFn();
+    };
+
+    // The average row height includes the subtotal rows
+    Object.defineProperty(scrollElement, 'scrollTop', {'value': 1200});
+    scrollElement.dispatchEvent(new window.Event('scroll'));
+    assert.deepEqual(spacerStyles(), ['height: 956px', 'height: 660px']);
+});
+
+
+test('dataTableElements, aggregates', () => {
+    const data = [
+        {'A': 'a', 'B': 1, 'C': 4},
+        {'A': 'b', 'B': 2, 'C': 6}
+    ];
+    const dataTable = validateDataTable({'aggregates': {'B': 'sum', 'C': 'average'}});
+    const aggregateAttr = {'style': 'font-weight: bold; border-top: 1px solid var(--markdown-model-color-border)'};
+    assert.deepEqual(dataTableElements(data, dataTable), {
+        'html': 'table',
+        'elem': [
+            {
+                'html': 'tr',
+                'elem': [
+                    [],
+                    [
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'A'}},
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'B'}},
+                        {'html': 'th', 'attr': null, 'elem': {'text': 'C'}}
+                    ]
+                ]
+            },
+            [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': 'a'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '1'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '4'}}
+                        ]
+                    ]
+                },
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {'html': 'td', 'attr': null, 'elem': {'text': 'b'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '2'}},
+                            {'html': 'td', 'attr': null, 'elem': {'text': '6'}}
+                        ]
+                    ]
+                }
+            ],
+            {
+                'html': 'tr',
+                'elem': [
+                    [],
+                    [
+                        {'html': 'td', 'attr': aggregateAttr, 'elem': {'text': 'Total'}},
+                        {'html': 'td', 'attr': aggregateAttr, 'elem': {'text': '3'}},
+                        {'html': 'td', 'attr': aggregateAttr, 'elem': {'text': '5'}}
+                    ]
+                ]
+            }
+        ]
+    });
+});
+
+
+test('dataTableElements, aggregates subtotals', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 'a', 'B': 'x', 'C': 1},
+        {'A': 'b', 'B': 'x', 'C': 2},
+        {'A': 'a', 'B': 'y', 'C': 3},
+        {'A': 'a', 'B': 'x', 'C': 4}
+    ];
+    const dataTable = validateDataTable({
+        'categories': ['A', 'B'],
+        'fields': ['C'],
+        'sort': [{'field': 'A'}, {'field': 'B'}],
+        'aggregates': {'C': 'sum'},
+        'subtotals': true
+    });
+
+    // Render the table
+    const {body} = window.document;
+    renderElements(body, dataTableElements(data, dataTable));
+    assert.deepEqual(
+        Array.from(body.querySelectorAll('tr')).map((tr) => Array.from(tr.children).map((td) => td.textContent).join(',')),
+        [
+            'A ▲,B ▲,C',
+            'a,x,1',
+            ',,4',
+            ',x,5',
+            ',y,3',
+            ',y,3',
+            'a,,8',
+            'b,x,2',
+            ',x,2',
+            'b,,2',
+            'Total,,10'
+        ]
+    );
+});
+
+
+test('dataTableElements, aggregates subtotals page size', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 'a', 'B': 1},
+        {'A': 'a', 'B': 2},
+        {'A': 'b', 'B': 3}
+    ];
+    const dataTable = validateDataTable({
+        'categories': ['A'],
+        'fields': ['B'],
+        'aggregates': {'B': 'sum'},
+        'subtotals': true,
+        'pageSize': 2,
+        'page': 2
+    });
+
+    // Render the table - subtotals follow their page's rows and the totals are for all rows
+    const {body} = window.document;
+    renderElements(body, dataTableElements(data, dataTable));
+    assert.deepEqual(
+        Array.from(body.querySelectorAll('tr')).map((tr) => Array.from(tr.children).map((td) => td.textContent).join(',')),
+        ['A,B', 'b,3', 'b,3', 'Total,6']
+    );
+});
+
+
+test('dataTableElements, downloads', async () => {
+    const {window} = new JSDOM();
+    const downloads = [];
+    window.URL.createObjectURL = (blob) => {
+        downloads.push(blob);
+        return 'blob:table';
+    };
+    window.URL.revokeObjectURL = () => {
+        // Do nothing
+    };
+    window.HTMLAnchorElement.prototype.click = function click() {
+        downloads.push(this.download);
+    };
+    const data = [
+        {'A': 'b', 'B': 2},
+        {'A': 'a', 'B': 1}
+    ];
+    const dataTable = validateDataTable({'sortable': true, 'downloads': ['csv', 'markdown'], 'downloadName': 'data'});
+    const {body} = window.document;
+    renderElements(body, dataTableElements(data, dataTable));
+    assert.equal(body.querySelector('p').textContent, 'Download: CSV | Markdown');
+
+    // Sort the table - the download rows are sorted
+    body.querySelector('th').dispatchEvent(new window.Event('click'));
+    const links = body.querySelectorAll('p a');
+    links[0].dispatchEvent(new window.Event('click'));
+    links[1].dispatchEvent(new window.Event('click'));
+    assert.equal(downloads.length, 4);
+    assert.equal(downloads[0].type, 'text/csv');
+    assert.equal(await downloads[0].text(), 'A,B\na,1\nb,2');
+    assert.equal(downloads[1], 'data.csv');
+    assert.equal(downloads[2].type, 'text/markdown');
+    assert.equal(await downloads[2].text(), '| A | B |\n| --- | --- |\n| a | 1 |\n| b | 2 |');
+    assert.equal(downloads[3], 'data.md');
+});
+
+
+test('exportDataTable', () => {
+    const data = [
+        {'A': 'b', 'B': 2.5, 'C': 'x'},
+        {'A': 'a, "c"', 'B': 1},
+        {'A': 'd|e\nf', 'B': null, 'C': 'y\tz'}
+    ];
+    assert.equal(exportDataTable(data), 'A,B,C\nb,2.50,x\n"a, ""c""",1,\n"d|e\nf",,y\tz');
+    assert.equal(exportDataTable(data, null, 'tsv'), 'A\tB\tC\nb\t2.50\tx\na, "c"\t1\t\nd|e f\t\ty z');
+    assert.equal(
+        exportDataTable(data, null, 'markdown'),
+        '| A | B | C |\n| --- | --- | --- |\n| b | 2.50 | x |\n| a, "c" | 1 |  |\n| d\\|e f |  | y\tz |'
+    );
+    assert.deepEqual(JSON.parse(exportDataTable(data, null, 'json')), [
+        {'A': 'b', 'B': 2.5, 'C': 'x'},
+        {'A': 'a, "c"', 'B': 1, 'C': null},
+        {'A': 'd|e\nf', 'B': null, 'C': 'y\tz'}
+    ]);
+});
+
+
+test('exportDataTable, json', () => {
+    const data = [
+        {'A': 'a', 'B': 1234.5, 'C': new Date(Date.UTC(2024, 0, 15)), 'D': true},
+        {'A': 'b', 'B': 0.25, 'C': null, 'D': false}
+    ];
+    const dataTable = validateDataTable({
+        'fields': ['A', 'B', 'C', 'D', 'B'],
+        'timeZone': 'UTC',
+        'formats': {
+            'A': {'header': 'Value'},
+            'B': {'header': 'Value', 'number': {'style': 'currency'}}
+        }
+    });
+
+    // JSON rows are keyed by field name, not header, and values are not formatted
+    assert.equal(
+        exportDataTable(data, dataTable),
+        'Value,Value,C,D,Value\na,"$1,234.50",2024-01-15,true,"$1,234.50"\nb,$0.25,,false,$0.25'
+    );
+    assert.deepEqual(JSON.parse(exportDataTable(data, dataTable, 'json')), [
+        {'A': 'a', 'B': 1234.5, 'C': '2024-01-15T00:00:00.000Z', 'D': true},
+        {'A': 'b', 'B': 0.25, 'C': null, 'D': false}
+    ]);
+});
+
+
+test('exportDataTable, model', () => {
+    const data = [
+        {'A': 'a', 'B': 1234.5, 'C': new Date(Date.UTC(2024, 0, 15)), 'D': 90},
+        {'A': 'b', 'B': 0.25, 'C': new Date(Date.UTC(2024, 1, 1)), 'D': 3700},
+        {'A': 'a', 'B': 3, 'C': null, 'D': 30}
+    ];
+    const dataTable = validateDataTable({
+        'categories': ['A'],
+        'fields': ['D', 'B', 'C'],
+        'sort': [{'field': 'A'}, {'field': 'B', 'desc': true}],
+        'precision': 1,
+        'timeZone': 'UTC',
+        'datetime': 'day',
+        'formats': {
+            'A': {'header': 'Name', 'align': 'center'},
+            'B': {'header': 'Amount', 'align': 'right', 'number': {'style': 'currency'}},
+            'D': {'duration': 'second'}
+        },
+        'pageSize': 1,
+        'aggregates': {'B': 'sum'}
+    });
+    assert.equal(
+        exportDataTable(data, dataTable),
+        'Name,D,Amount,C\na,1m 30s,"$1,234.5",2024-01-15\na,30s,$3,\nb,1h 01m 40s,$0.3,2024-02-01'
+    );
+    assert.equal(
+        exportDataTable(data, dataTable, 'markdown'),
+        '| Name | D | Amount | C |\n' +
+            '| :---: | --- | ---: | --- |\n' +
+            '| a | 1m 30s | $1,234.5 | 2024-01-15 |\n' +
+            '| a | 30s | $3 |  |\n' +
+            '| b | 1h 01m 40s | $0.3 | 2024-02-01 |'
+    );
+});
+
+
+test('exportDataTable, empty', () => {
+    assert.equal(exportDataTable([]), '');
+    assert.equal(exportDataTable([], {'fields': ['A', 'B']}), 'A,B');
+    assert.equal(exportDataTable([], {'fields': ['A', 'B']}, 'json'), '[]');
+    assert.equal(exportDataTable([], {'fields': ['A', 'B']}, 'markdown'), '| A | B |\n| --- | --- |');
+});
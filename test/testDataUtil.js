@@ -1,7 +1,10 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
 
-import {formatValue, parameterValue, valueParameter} from '../lib/dataUtil.js';
+import {
+    continuousColor, datetimeTickFormat, datetimeTickValues, divergingColors, formatValue, isScaleValue, niceTickPrecision,
+    niceTickValues, parameterValue, scaleTickValues, scaleValue, scaleValueInverse, valueParameter
+} from '../lib/dataUtil.js';
 import {strict as assert} from 'node:assert';
 import test from 'node:test';
 
@@ -25,6 +28,8 @@ test('formatValue, date month', () => {
     assert.equal(formatValue(new Date(2022, 7, 1), null, 'month'), '2022-08');
     assert.equal(formatValue(new Date(2022, 7, 30), null, 'month'), '2022-09');
     assert.equal(formatValue(new Date(2022, 0, 1), null, 'month'), '2022-01');
+    assert.equal(formatValue(new Date(2022, 0, 31), null, 'month'), '2022-02');
+    assert.equal(formatValue(new Date(2022, 11, 31), null, 'month'), '2023-01');
 });
 
 
@@ -33,6 +38,64 @@ test('formatValue, date day', () => {
 });
 
 
+test('formatValue, date hour', () => {
+    assert.equal(formatValue(new Date(2022, 7, 30, 12, 15, 30), null, 'hour'), '2022-08-30T12:00');
+});
+
+
+test('formatValue, date minute', () => {
+    assert.equal(formatValue(new Date(2022, 7, 30, 12, 15, 30), null, 'minute'), '2022-08-30T12:15');
+});
+
+
+test('formatValue, date second', () => {
+    assert.equal(formatValue(new Date(2022, 7, 30, 12, 15, 30, 500), null, 'second'), '2022-08-30T12:15:30');
+    assert.equal(formatValue(new Date(2022, 7, 30), null, 'second'), '2022-08-30T00:00:00');
+});
+
+
+test('formatValue, date time zone', () => {
+    const value = new Date(Date.UTC(2022, 7, 30, 2, 15));
+    assert.equal(formatValue(value, null, null, null, {'timeZone': 'UTC'}), '2022-08-30T02:15');
+    assert.equal(formatValue(value, null, null, null, {'timeZone': 'America/New_York'}), '2022-08-29T22:15');
+    assert.equal(formatValue(value, null, 'day', null, {'timeZone': 'Asia/Tokyo'}), '2022-08-30');
+    assert.equal(formatValue(value, null, 'hour', null, {'timeZone': 'Asia/Kolkata'}), '2022-08-30T07:00');
+});
+
+
+test('formatValue, date pattern', () => {
+    const value = new Date(2022, 7, 30, 14, 5, 9, 7);
+    assert.equal(formatValue(value, null, null, null, {'datetimePattern': 'YYYY-MM-DD HH:mm:ss.SSS'}), '2022-08-30 14:05:09.007');
+    assert.equal(
+        formatValue(value, null, null, null, {'datetimePattern': 'dddd, MMMM D, YYYY [at] h:mm A'}),
+        'Tuesday, August 30, 2022 at 2:05 PM'
+    );
+    assert.equal(formatValue(value, null, null, null, {'datetimePattern': 'ddd MMM D \'YY hh:mm'}), "Tue Aug 30 '22 02:05");
+    assert.equal(formatValue(value, null, 'year', null, {'datetimePattern': 'M/D H'}), '8/30 14');
+
+    // Time zone
+    const valueUTC = new Date(Date.UTC(2022, 7, 30, 0, 30));
+    assert.equal(
+        formatValue(valueUTC, null, null, null, {'datetimePattern': 'YYYY-MM-DD hh:mm A', 'timeZone': 'UTC'}),
+        '2022-08-30 12:30 AM'
+    );
+});
+
+
+test('formatValue, duration', () => {
+    assert.equal(formatValue(7530, null, null, null, {'duration': 'minute'}), '2h 06m');
+    assert.equal(formatValue(7500, null, null, null, {'duration': 'minute'}), '2h 05m');
+    assert.equal(formatValue(7530, null, null, null, {'duration': 'second'}), '2h 05m 30s');
+    assert.equal(formatValue(93784, null, null, null, {'duration': 'second'}), '1d 02h 03m 04s');
+    assert.equal(formatValue(93784, null, null, null, {'duration': 'hour'}), '1d 02h');
+    assert.equal(formatValue(93784, null, null, null, {'duration': 'day'}), '1d');
+    assert.equal(formatValue(330, null, null, null, {'duration': 'second'}), '5m 30s');
+    assert.equal(formatValue(-330, null, null, null, {'duration': 'minute'}), '-6m');
+    assert.equal(formatValue(0, null, null, null, {'duration': 'minute'}), '0m');
+    assert.equal(formatValue(-10, null, null, null, {'duration': 'minute'}), '0m');
+});
+
+
 test('formatValue, number', () => {
     assert.equal(formatValue(12.5), '12.50');
 });
@@ -43,6 +106,42 @@ test('formatValue, number precision', () => {
 });
 
 
+test('formatValue, number format', () => {
+    assert.equal(formatValue(1234567.5, null, null, null, {'number': {}}), '1,234,567.50');
+    assert.equal(formatValue(1234567, null, null, null, {'number': {}}), '1,234,567');
+    assert.equal(formatValue(1234567, null, null, false, {'number': {}}), '1,234,567.00');
+    assert.equal(formatValue(1234567.5, 0, null, null, {'number': {'grouping': false}}), '1234568');
+    assert.equal(formatValue(1234.5, null, null, null, {'number': {'locale': 'de-DE'}}), '1.234,50');
+    assert.equal(formatValue(250, null, null, null, {'number': {'prefix': '~', 'suffix': ' ms'}}), '~250 ms');
+});
+
+
+test('formatValue, number format currency', () => {
+    assert.equal(formatValue(1234.5, null, null, null, {'number': {'style': 'currency'}}), '$1,234.50');
+    assert.equal(formatValue(-5, null, null, null, {'number': {'style': 'currency'}}), '-$5');
+    assert.equal(formatValue(1000, null, null, null, {'number': {'style': 'currency', 'currency': 'EUR'}}), '€1,000');
+});
+
+
+test('formatValue, number format percent', () => {
+    assert.equal(formatValue(0.256, 1, null, null, {'number': {'style': 'percent'}}), '25.6%');
+    assert.equal(formatValue(1, null, null, null, {'number': {'style': 'percent'}}), '100%');
+});
+
+
+test('formatValue, number format compact', () => {
+    assert.equal(formatValue(1500, null, null, null, {'number': {'compact': true}}), '1.5K');
+    assert.equal(formatValue(1234567, null, null, null, {'number': {'compact': true}}), '1.23M');
+    assert.equal(formatValue(1234567, null, null, null, {'number': {'style': 'currency', 'compact': true, 'significant': 2}}), '$1.2M');
+});
+
+
+test('formatValue, number format significant digits', () => {
+    assert.equal(formatValue(1234567, null, null, null, {'number': {'significant': 3}}), '1,230,000');
+    assert.equal(formatValue(0.012345, null, null, null, {'number': {'significant': 2}}), '0.012');
+});
+
+
 test('formatValue, other', () => {
     assert.equal(formatValue(null), 'null');
     assert.equal(formatValue('abc'), 'abc');
@@ -86,3 +185,243 @@ test('parameterValue', () => {
     assert.deepEqual(parameterValue(1, minDate, maxDate), maxDate);
     assert.deepEqual(parameterValue(1.4, minDate, maxDate), new Date(2022, 9, 13));
 });
+
+
+test('isScaleValue', () => {
+    assert.equal(isScaleValue('linear', -1), true);
+    assert.equal(isScaleValue('log', 1), true);
+    assert.equal(isScaleValue('log', 0), false);
+    assert.equal(isScaleValue('log', -1), false);
+    assert.equal(isScaleValue('log', new Date(2022, 8, 1)), true);
+    assert.equal(isScaleValue('symlog', -1), true);
+});
+
+
+test('scaleValue', () => {
+    assert.equal(scaleValue('linear', 100), 100);
+    assert.equal(scaleValue('log', 100), 2);
+    assert.equal(scaleValue('log', 0.01), -2);
+    assert.equal(scaleValue('symlog', 0), 0);
+    assert.equal(scaleValue('symlog', 9), 1);
+    assert.equal(scaleValue('symlog', -99), -2);
+
+    // Date
+    const date = new Date(2022, 8, 1);
+    assert.equal(scaleValue('log', date), date);
+});
+
+
+test('scaleValueInverse', () => {
+    assert.equal(scaleValueInverse('linear', 100), 100);
+    assert.equal(scaleValueInverse('log', 2), 100);
+    assert.equal(scaleValueInverse('log', -2), 0.01);
+    assert.equal(scaleValueInverse('symlog', 0), 0);
+    assert.equal(scaleValueInverse('symlog', 1), 9);
+    assert.equal(scaleValueInverse('symlog', -2), -99);
+});
+
+
+test('scaleTickValues', () => {
+    assert.deepEqual(scaleTickValues('log', 3, 2500), [1, 10, 100, 1000, 10000]);
+    assert.deepEqual(scaleTickValues('log', 0.002, 0.5), [0.001, 0.01, 0.1, 1]);
+    assert.deepEqual(scaleTickValues('log', 100, 100), [100]);
+    assert.deepEqual(scaleTickValues('symlog', -150, 30), [-1000, -100, -10, -1, 0, 1, 10, 100]);
+    assert.deepEqual(scaleTickValues('symlog', 0, 1000), [0, 1, 10, 100, 1000]);
+    assert.deepEqual(scaleTickValues('symlog', 5, 1000), [1, 10, 100, 1000]);
+    assert.deepEqual(scaleTickValues('symlog', -1000, -5), [-1000, -100, -10, -1]);
+});
+
+
+test('niceTickValues', () => {
+    assert.deepEqual(niceTickValues(1.3, 13.37, 5), [0, 5, 10, 15]);
+    assert.deepEqual(niceTickValues(1.3, 13.37, 10), [0, 2, 4, 6, 8, 10, 12, 14]);
+    assert.deepEqual(niceTickValues(-7, 42, 6), [-10, 0, 10, 20, 30, 40, 50]);
+    assert.deepEqual(niceTickValues(0.013, 0.0291, 5), [0.01, 0.015, 0.02, 0.025, 0.03]);
+    assert.deepEqual(niceTickValues(0.1, 0.3, 3), [0.1, 0.2, 0.3]);
+    assert.deepEqual(niceTickValues(0, 1, 3), [0, 0.5, 1]);
+    assert.deepEqual(niceTickValues(1250, 98000, 3), [0, 50000, 100000]);
+    assert.deepEqual(niceTickValues(3, 3, 5), [3]);
+});
+
+
+test('niceTickPrecision', () => {
+    assert.equal(niceTickPrecision([0, 5, 10, 15]), 0);
+    assert.equal(niceTickPrecision([0, 50000, 100000]), 0);
+    assert.equal(niceTickPrecision([0.1, 0.2, 0.3]), 1);
+    assert.equal(niceTickPrecision([0.01, 0.015, 0.02]), 3);
+    assert.equal(niceTickPrecision([3]), 0);
+});
+
+
+test('datetimeTickValues', () => {
+    const tickValues = (minValue, maxValue, maxCount, timeZone = 'UTC') => datetimeTickValues(
+        new Date(minValue), new Date(maxValue), maxCount, timeZone
+    ).map((tickValue) => tickValue.toISOString());
+
+    // Seconds
+    assert.deepEqual(tickValues('2024-01-03T05:00:03Z', '2024-01-03T05:00:48Z', 4), [
+        '2024-01-03T05:00:00.000Z',
+        '2024-01-03T05:00:15.000Z',
+        '2024-01-03T05:00:30.000Z',
+        '2024-01-03T05:00:45.000Z',
+        '2024-01-03T05:01:00.000Z'
+    ]);
+
+    // Hours
+    assert.deepEqual(tickValues('2024-01-03T05:00Z', '2024-01-04T02:00Z', 6), [
+        '2024-01-03T00:00:00.000Z',
+        '2024-01-03T06:00:00.000Z',
+        '2024-01-03T12:00:00.000Z',
+        '2024-01-03T18:00:00.000Z',
+        '2024-01-04T00:00:00.000Z',
+        '2024-01-04T06:00:00.000Z'
+    ]);
+
+    // Days
+    assert.deepEqual(tickValues('2024-01-30T12:00Z', '2024-02-02T12:00Z', 5), [
+        '2024-01-30T00:00:00.000Z',
+        '2024-01-31T00:00:00.000Z',
+        '2024-02-01T00:00:00.000Z',
+        '2024-02-02T00:00:00.000Z',
+        '2024-02-03T00:00:00.000Z'
+    ]);
+
+    // Week starts (Mondays)
+    assert.deepEqual(tickValues('2024-01-03Z', '2024-01-25Z', 5), [
+        '2024-01-01T00:00:00.000Z',
+        '2024-01-08T00:00:00.000Z',
+        '2024-01-15T00:00:00.000Z',
+        '2024-01-22T00:00:00.000Z',
+        '2024-01-29T00:00:00.000Z'
+    ]);
+
+    // Month starts
+    assert.deepEqual(tickValues('2024-01-15Z', '2024-04-20Z', 5), [
+        '2024-01-01T00:00:00.000Z',
+        '2024-02-01T00:00:00.000Z',
+        '2024-03-01T00:00:00.000Z',
+        '2024-04-01T00:00:00.000Z',
+        '2024-05-01T00:00:00.000Z'
+    ]);
+
+    // Quarters
+    assert.deepEqual(tickValues('2024-02-15Z', '2025-01-20Z', 5), [
+        '2024-01-01T00:00:00.000Z',
+        '2024-04-01T00:00:00.000Z',
+        '2024-07-01T00:00:00.000Z',
+        '2024-10-01T00:00:00.000Z',
+        '2025-01-01T00:00:00.000Z',
+        '2025-04-01T00:00:00.000Z'
+    ]);
+
+    // Years
+    assert.deepEqual(tickValues('2021-06-15Z', '2024-06-20Z', 5), [
+        '2021-01-01T00:00:00.000Z',
+        '2022-01-01T00:00:00.000Z',
+        '2023-01-01T00:00:00.000Z',
+        '2024-01-01T00:00:00.000Z',
+        '2025-01-01T00:00:00.000Z'
+    ]);
+    assert.deepEqual(tickValues('1990-02-15Z', '2024-06-20Z', 5), [
+        '1990-01-01T00:00:00.000Z',
+        '2000-01-01T00:00:00.000Z',
+        '2010-01-01T00:00:00.000Z',
+        '2020-01-01T00:00:00.000Z',
+        '2030-01-01T00:00:00.000Z'
+    ]);
+
+    // Milliseconds
+    assert.deepEqual(tickValues('2024-01-01T00:00:00.010Z', '2024-01-01T00:00:00.300Z', 5), [
+        '2024-01-01T00:00:00.000Z',
+        '2024-01-01T00:00:00.100Z',
+        '2024-01-01T00:00:00.200Z',
+        '2024-01-01T00:00:00.300Z'
+    ]);
+
+    // Single value
+    assert.deepEqual(tickValues('2024-01-01T12:00Z', '2024-01-01T12:00Z', 5), ['2024-01-01T12:00:00.000Z']);
+});
+
+
+test('datetimeTickValues, time zone', () => {
+    // Day starts across a daylight saving time change
+    const tickValues = datetimeTickValues(new Date('2024-03-09T12:00Z'), new Date('2024-03-12T00:00Z'), 5, 'America/New_York');
+    assert.deepEqual(tickValues.map((tickValue) => tickValue.toISOString()), [
+        '2024-03-09T05:00:00.000Z',
+        '2024-03-10T05:00:00.000Z',
+        '2024-03-11T04:00:00.000Z',
+        '2024-03-12T04:00:00.000Z'
+    ]);
+});
+
+
+test('datetimeTickValues, time zone non-existent midnight', () => {
+    // Two-day steps across a daylight saving time gap at midnight (2023-09-03 00:00 does not exist)
+    const tickValues = datetimeTickValues(new Date('2023-08-24T07:00:00Z'), new Date('2023-09-06T07:00:00Z'), 8, 'America/Santiago');
+    assert.deepEqual(tickValues.map((tickValue) => tickValue.toISOString()), [
+        '2023-08-23T04:00:00.000Z',
+        '2023-08-25T04:00:00.000Z',
+        '2023-08-27T04:00:00.000Z',
+        '2023-08-29T04:00:00.000Z',
+        '2023-08-31T04:00:00.000Z',
+        '2023-09-02T04:00:00.000Z',
+        '2023-09-04T03:00:00.000Z',
+        '2023-09-06T03:00:00.000Z',
+        '2023-09-08T03:00:00.000Z'
+    ]);
+
+    // Hour steps across the gap
+    const hourTickValues = datetimeTickValues(new Date('2023-09-03T02:00:00Z'), new Date('2023-09-03T06:00:00Z'), 5, 'America/Santiago');
+    assert.deepEqual(hourTickValues.map((tickValue) => tickValue.toISOString()), [
+        '2023-09-03T02:00:00.000Z',
+        '2023-09-03T03:00:00.000Z',
+        '2023-09-03T04:00:00.000Z',
+        '2023-09-03T05:00:00.000Z',
+        '2023-09-03T06:00:00.000Z'
+    ]);
+});
+
+
+test('datetimeTickValues, even multi-day steps', () => {
+    // Two-day steps continue evenly across month boundaries
+    const tickValues = datetimeTickValues(new Date(2023, 7, 28), new Date(2023, 8, 6), 8);
+    assert.deepEqual(tickValues.map((tickValue) => tickValue.getDate()), [27, 29, 31, 2, 4, 6]);
+});
+
+
+test('datetimeTickValues, local time zone', () => {
+    const tickValues = datetimeTickValues(new Date(2024, 0, 3, 5, 30), new Date(2024, 0, 3, 8, 45), 5);
+    assert.deepEqual(tickValues, [
+        new Date(2024, 0, 3, 5),
+        new Date(2024, 0, 3, 6),
+        new Date(2024, 0, 3, 7),
+        new Date(2024, 0, 3, 8),
+        new Date(2024, 0, 3, 9)
+    ]);
+});
+
+
+test('datetimeTickFormat', () => {
+    const tickFormat = (tickValues) => datetimeTickFormat(tickValues.map((tickValue) => new Date(tickValue)), 'UTC');
+    assert.equal(tickFormat(['2024-01-01T00:00:00.000Z', '2024-01-01T00:00:00.100Z']), null);
+    assert.equal(tickFormat(['2024-01-01T00:00:00Z', '2024-01-01T00:00:15Z']), 'second');
+    assert.equal(tickFormat(['2024-01-01T00:00Z', '2024-01-01T00:15Z']), 'minute');
+    assert.equal(tickFormat(['2024-01-01T00:00Z', '2024-01-01T06:00Z']), 'hour');
+    assert.equal(tickFormat(['2024-01-01Z', '2024-01-08Z']), 'day');
+    assert.equal(tickFormat(['2024-01-01Z', '2024-04-01Z']), 'month');
+    assert.equal(tickFormat(['2024-01-01Z', '2025-01-01Z']), 'year');
+    assert.equal(datetimeTickFormat([new Date('2024-01-01T05:00Z')], 'America/New_York'), 'year');
+});
+
+
+test('continuousColor', () => {
+    assert.equal(continuousColor(0), '#440154');
+    assert.equal(continuousColor(0.5), '#21918c');
+    assert.equal(continuousColor(1), '#fde725');
+    assert.equal(continuousColor(0.125), '#402a70');
+    assert.equal(continuousColor(-1), '#440154');
+    assert.equal(continuousColor(2), '#fde725');
+    assert.equal(continuousColor(0, divergingColors), '#2166ac');
+    assert.equal(continuousColor(0.5, divergingColors), '#f7f7f7');
+    assert.equal(continuousColor(1, divergingColors), '#b2182b');
+});
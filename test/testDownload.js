@@ -0,0 +1,144 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {downloadBlob, downloadSVGElements, svgElementsPNG, svgElementsText} from '../lib/download.js';
+import {JSDOM} from 'jsdom/lib/api.js';
+import {strict as assert} from 'node:assert';
+import test from 'node:test';
+
+
+// Test web browser window with mock object URL, anchor click, image, and canvas support
+const testWindow = ({imageError = false, pngError = false} = {}) => {
+    const {window} = new JSDOM('');
+    const calls = [];
+    window.calls = calls;
+    window.URL.createObjectURL = (blob) => {
+        calls.push(['createObjectURL', blob.type]);
+        return `blob:${blob.type}`;
+    };
+    window.URL.revokeObjectURL = (url) => {
+        calls.push(['revokeObjectURL', url]);
+    };
+    window.HTMLAnchorElement.prototype.click = function click() {
+        calls.push(['click', this.href, this.download, this.parentNode === window.document.body]);
+    };
+    window.Image = class {
+        set src(url) {
+            calls.push(['image', url]);
+            window.setTimeout(() => (imageError ? this.onerror() : this.onload()), 0);
+        }
+    };
+    window.HTMLCanvasElement.prototype.getContext = function getContext() {
+        return {
+            'drawImage': (image, dx, dy, width, height) => {
+                calls.push(['drawImage', dx, dy, width, height]);
+            }
+        };
+    };
+    window.HTMLCanvasElement.prototype.toBlob = function toBlob(callback, type) {
+        calls.push(['toBlob', this.width, this.height, type]);
+        callback(pngError ? null : new Blob(['PNG'], {type}));
+    };
+    return window;
+};
+
+
+// Test SVG element model
+const testSVGElements = {
+    'svg': 'svg',
+    'attr': {'width': 100, 'height': 50},
+    'elem': {'svg': 'text', 'attr': {'x': 10, 'y': 20}, 'elem': {'text': 'A < B'}}
+};
+
+
+test('downloadBlob', () => {
+    const window = testWindow();
+    downloadBlob(window, new Blob(['Hello'], {'type': 'text/plain'}), 'hello.txt');
+    assert.deepEqual(window.calls, [
+        ['createObjectURL', 'text/plain'],
+        ['click', 'blob:text/plain', 'hello.txt', true],
+        ['revokeObjectURL', 'blob:text/plain']
+    ]);
+    assert.equal(window.document.body.children.length, 0);
+});
+
+
+test('svgElementsText', () => {
+    const window = testWindow();
+    assert.equal(
+        svgElementsText(window, testSVGElements),
+        '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50"><text x="10" y="20">A &lt; B</text></svg>'
+    );
+});
+
+
+test('svgElementsPNG', async () => {
+    const window = testWindow();
+    window.devicePixelRatio = 2;
+    const pngBlob = await svgElementsPNG(window, testSVGElements);
+    assert.equal(pngBlob.type, 'image/png');
+    assert.equal(await pngBlob.text(), 'PNG');
+    assert.deepEqual(window.calls, [
+        ['createObjectURL', 'image/svg+xml'],
+        ['image', 'blob:image/svg+xml'],
+        ['revokeObjectURL', 'blob:image/svg+xml'],
+        ['drawImage', 0, 0, 200, 100],
+        ['toBlob', 200, 100, 'image/png']
+    ]);
+});
+
+
+test('svgElementsPNG, image error', async () => {
+    const window = testWindow({'imageError': true});
+    await assert.rejects(
+        svgElementsPNG(window, testSVGElements),
+        {
+            'name': 'Error',
+            'message': 'SVG image load failed'
+        }
+    );
+    assert.deepEqual(window.calls, [
+        ['createObjectURL', 'image/svg+xml'],
+        ['image', 'blob:image/svg+xml'],
+        ['revokeObjectURL', 'blob:image/svg+xml']
+    ]);
+});
+
+
+test('svgElementsPNG, rasterization error', async () => {
+    const window = testWindow({'pngError': true});
+    await assert.rejects(
+        svgElementsPNG(window, testSVGElements),
+        {
+            'name': 'Error',
+            'message': 'PNG image rasterization failed'
+        }
+    );
+});
+
+
+test('downloadSVGElements', async () => {
+    const window = testWindow();
+    await downloadSVGElements(window, testSVGElements, 'chart.svg');
+    assert.deepEqual(window.calls, [
+        ['createObjectURL', 'image/svg+xml'],
+        ['click', 'blob:image/svg+xml', 'chart.svg', true],
+        ['revokeObjectURL', 'blob:image/svg+xml']
+    ]);
+});
+
+
+test('downloadSVGElements, PNG', async () => {
+    const window = testWindow();
+    await downloadSVGElements(window, testSVGElements, 'chart.PNG');
+    assert.deepEqual(window.calls, [
+        ['createObjectURL', 'image/svg+xml'],
+        ['image', 'blob:image/svg+xml'],
+        ['revokeObjectURL', 'blob:image/svg+xml'],
+        ['drawImage', 0, 0, 100, 50],
+        ['toBlob', 100, 50, 'image/png'],
+        ['createObjectURL', 'image/png'],
+        ['click', 'blob:image/png', 'chart.PNG', true],
+        ['revokeObjectURL', 'blob:image/png']
+    ]);
+});
@@ -0,0 +1,647 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {heatmapElements, validateHeatmap} from '../lib/heatmap.js';
+import {strict as assert} from 'node:assert';
+import test from 'node:test';
+
+
+test('heatmapElements, cell sums', () => {
+    const data = [
+        {'A': 'a', 'B': 'x', 'C': 1},
+        {'A': 'a', 'B': 'x', 'C': 2},
+        {'A': 'b', 'B': 'x', 'C': 5},
+        {'A': 'a', 'B': 'y', 'C': 4},
+        {'A': 'b', 'B': null, 'C': 6},
+        {'A': 'b', 'B': 'y', 'C': 'abc'}
+    ];
+    const heatmap = {'x': 'A', 'y': 'B', 'value': 'C', 'yOrder': ['y']};
+    validateHeatmap(heatmap);
+    const elements = heatmapElements(data, heatmap);
+    assert.deepEqual(elements.elem[6].map((cell) => cell.elem.elem.text), ['a, y: 4', 'a, x: 3', 'b, y', 'b, x: 5']);
+    assert.deepEqual(elements.elem[6].map((cell) => cell.attr.fill), ['#21918c', '#440154', 'lightgray', '#fde725']);
+});
+
+
+test('heatmapElements, calendar DST days', () => {
+    const data = [];
+    for (let ixDay = 0; ixDay < 11; ixDay++) {
+        data.push({'A': new Date(2024, 2, 8 + ixDay, 12), 'B': ixDay});
+    }
+    const heatmap = {'x': 'A', 'value': 'B', 'calendar': true};
+    validateHeatmap(heatmap);
+    const elements = heatmapElements(data, heatmap);
+    const cellXs = Array.from(new Set(elements.elem[6].map((cell) => cell.attr.x)));
+    const cellYs = Array.from(new Set(elements.elem[6].map((cell) => cell.attr.y))).sort((y1, y2) => Number(y1) - Number(y2));
+    assert.deepEqual(
+        elements.elem[6].map((cell) => [cell.elem.elem.text, cellXs.indexOf(cell.attr.x), cellYs.indexOf(cell.attr.y)]),
+        [
+            ['2024-03-08: 0', 0, 5],
+            ['2024-03-09: 1', 0, 6],
+            ['2024-03-10: 2', 1, 0],
+            ['2024-03-11: 3', 1, 1],
+            ['2024-03-12: 4', 1, 2],
+            ['2024-03-13: 5', 1, 3],
+            ['2024-03-14: 6', 1, 4],
+            ['2024-03-15: 7', 1, 5],
+            ['2024-03-16: 8', 1, 6],
+            ['2024-03-17: 9', 2, 0],
+            ['2024-03-18: 10', 2, 1]
+        ]
+    );
+});
+
+
+test('heatmapElements, calendar', () => {
+    const data = [
+        {'A': new Date(2024, 0, 5, 12), 'B': 1},
+        {'A': new Date(2024, 0, 5, 18), 'B': 2},
+        {'A': new Date(2024, 0, 8), 'B': 5},
+        {'A': 'abc', 'B': 4}
+    ];
+    const heatmap = {'x': 'A', 'value': 'B', 'calendar': true};
+    validateHeatmap(heatmap);
+    assert.deepEqual(heatmapElements(data, heatmap), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            null,
+            [
+                null,
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '44.800',
+                        'y': '73.086',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': 'Mon'
+                    }
+                },
+                null,
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '44.800',
+                        'y': '149.200',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': 'Wed'
+                    }
+                },
+                null,
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '44.800',
+                        'y': '225.314',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': 'Fri'
+                    }
+                },
+                null
+            ],
+            null,
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '50.400',
+                        'y': '288.000',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'Jan'
+                    }
+                },
+                null
+            ],
+            [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '50.400',
+                        'y': '206.286',
+                        'width': '38.057',
+                        'height': '38.057',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#440154'
+                    },
+                    'elem': {
+                        'svg': 'title',
+                        'elem': {
+                            'text': '2024-01-05: 3'
+                        }
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '50.400',
+                        'y': '244.343',
+                        'width': '38.057',
+                        'height': '38.057',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': 'lightgray'
+                    },
+                    'elem': {
+                        'svg': 'title',
+                        'elem': {
+                            'text': '2024-01-06'
+                        }
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '88.457',
+                        'y': '16.000',
+                        'width': '38.057',
+                        'height': '38.057',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': 'lightgray'
+                    },
+                    'elem': {
+                        'svg': 'title',
+                        'elem': {
+                            'text': '2024-01-07'
+                        }
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '88.457',
+                        'y': '54.057',
+                        'width': '38.057',
+                        'height': '38.057',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#fde725'
+                    },
+                    'elem': {
+                        'svg': 'title',
+                        'elem': {
+                            'text': '2024-01-08: 5'
+                        }
+                    }
+                }
+            ],
+            null,
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '16.000',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#f3e529'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '24.325',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#dfe130'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '32.650',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#cbde38'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '40.975',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#b7da40'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '49.300',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#a4d647'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '57.625',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#90d24f'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '65.950',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#7ccf57'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '74.275',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#68cb5e'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '82.600',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#5ac665'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '90.925',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#53bf6a'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '99.250',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#4bb86f'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '107.575',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#43b174'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '115.900',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#3caa7a'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '124.225',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#34a37f'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '132.550',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#2c9c84'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '140.875',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#259589'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '149.200',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#238d8c'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '157.525',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#26858c'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '165.850',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#297d8c'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '174.175',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#2c758c'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '182.500',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#306e8b'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '190.825',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#33668b'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '199.150',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#365e8b'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '207.475',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#39568b'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '215.800',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#3c4d88'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '224.125',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#3d4381'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '232.450',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#3e397a'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '240.775',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#3f2f73'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '249.100',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#40246c'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '257.425',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#411a65'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '265.750',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#42105e'
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '274.075',
+                            'width': '16.000',
+                            'height': '8.325',
+                            'stroke': 'none',
+                            'fill': '#430657'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '16.000',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'hanging'
+                        },
+                        'elem': {
+                            'text': '5'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '282.400',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'auto'
+                        },
+                        'elem': {
+                            'text': '3'
+                        }
+                    }
+                ]
+            ]
+        ]
+    });
+});
+
+
+test('heatmapElements, diverging', () => {
+    const data = [
+        {'A': 'a', 'B': -2},
+        {'A': 'b', 'B': 1},
+        {'A': 'c', 'B': 3},
+        {'A': 'd', 'B': 5}
+    ];
+    const heatmap = {'x': 'A', 'value': 'B', 'colorScale': 'diverging', 'colorCenter': 1};
+    validateHeatmap(heatmap);
+    const elements = heatmapElements(data, heatmap);
+    assert.deepEqual(elements.elem[6].map((cell) => cell.attr.fill), ['#4488be', '#f7f7f7', '#ef8a62', '#b2182b']);
+    assert.deepEqual(elements.elem[8][1].map((label) => label.elem.text), ['5', '1', '-3']);
+});
+
+
+test('heatmapElements, no data', () => {
+    const data = [{'A': 'a', 'B': 'abc'}];
+    const heatmap = {'x': 'A', 'value': 'B'};
+    validateHeatmap(heatmap);
+    assert.throws(
+        () => {
+            heatmapElements(data, heatmap);
+        },
+        {
+            'name': 'Error',
+            'message': 'No data'
+        }
+    );
+});
@@ -0,0 +1,509 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {histogramElements, validateHistogram} from '../lib/histogram.js';
+import {strict as assert} from 'node:assert';
+import test from 'node:test';
+
+
+test('validateHistogram, too many bins', () => {
+    const histogram = {'x': 'A', 'bins': 1001};
+    assert.throws(
+        () => {
+            validateHistogram(histogram);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value 1001 (type 'number') for member 'bins', expected type 'int' [<= 1000]"
+        }
+    );
+});
+
+
+test('validateHistogram, number format error', () => {
+    const histogram = {'x': 'A', 'yTicks': {'number': {'locale': 'not a locale'}}};
+    assert.throws(
+        () => {
+            validateHistogram(histogram);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"not a locale\" (type 'string') for member 'yTicks.number.locale', expected a locale"
+        }
+    );
+});
+
+
+test('histogramElements, bin edges', () => {
+    // A bin's range includes its start value and excludes its end value, except for the last bin
+    const data = [{'A': 0}, {'A': 1}, {'A': 2}];
+    const histogram = validateHistogram({'x': 'A', 'bins': 2});
+    const elements = histogramElements(data, histogram);
+    assert.deepEqual(elements.elem[8][0].map((bar) => [bar.attr.x, bar.attr.width, bar.attr.height]), [
+        ['63.650', '280.175', '120.725'],
+        ['343.825', '280.175', '241.450']
+    ]);
+    assert.deepEqual(elements.elem[4].map((text) => text.elem.text), ['0', '1', '2']);
+});
+
+
+test('histogramElements, bin width alignment', () => {
+    // Bin width bins are aligned to multiples of the bin width
+    const data = [{'A': 3}, {'A': 5}, {'A': 12}];
+    const histogram = validateHistogram({'x': 'A', 'binWidth': 5});
+    const elements = histogramElements(data, histogram);
+    assert.equal(elements.elem[8][0].length, 3);
+    assert.deepEqual(elements.elem[7].map((text) => text.elem.text), ['0', '7.50', '15']);
+});
+
+
+test('histogramElements, density', () => {
+    // Each density bar's area is its fraction of the values
+    const data = [{'A': 0}, {'A': 1}, {'A': 2}, {'A': 4}];
+    const histogram = validateHistogram({'x': 'A', 'bins': 2, 'density': true});
+    const elements = histogramElements(data, histogram);
+    assert.equal(elements.elem[2].elem.text, 'Density');
+    assert.deepEqual(elements.elem[4].map((text) => text.elem.text), ['0', '0.13', '0.25']);
+});
+
+
+test('histogramElements, tick number format', () => {
+    const data = [{'A': 0}, {'A': 1000}];
+    const histogram = validateHistogram({
+        'x': 'A',
+        'bins': 2,
+        'xTicks': {'number': {'prefix': '$'}},
+        'yTicks': {'count': 2, 'number': {'suffix': ' rows'}}
+    });
+    const elements = histogramElements(data, histogram);
+    assert.deepEqual(elements.elem[7].map((text) => text.elem.text), ['$0', '$500', '$1,000']);
+    assert.deepEqual(elements.elem[4].map((text) => text.elem.text), ['0 rows', '1 rows']);
+});
+
+
+test('histogramElements, bin width density color', () => {
+    const data = [
+        {'A': 1, 'B': 'a'},
+        {'A': 3, 'B': 'a'},
+        {'A': 4, 'B': 'b'},
+        {'A': 4, 'B': 'b'}
+    ];
+    const histogram = {
+        'title': 'Histogram',
+        'x': 'A',
+        'binWidth': 2,
+        'density': true,
+        'color': 'B'
+    };
+    validateHistogram(histogram);
+    assert.deepEqual(histogramElements(data, histogram), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '17.600px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '338.625',
+                    'y': '16.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'Histogram'
+                }
+            },
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '149.925',
+                    'transform': 'rotate(-90 16.000, 149.925)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'Density'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 257.450 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 257.450 H 584.800'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 149.925 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 149.925 H 584.800'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 42.400 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 42.400 H 584.800'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '257.450',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '0'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '149.925',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '0.25'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '42.400',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '0.50'
+                    }
+                }
+            ],
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '338.625',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'black',
+                        'stroke-width': '1.000',
+                        'fill': 'none',
+                        'd': 'M 92.450 257.950 V 262.950'
+                    }
+                },
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'black',
+                        'stroke-width': '1.000',
+                        'fill': 'none',
+                        'd': 'M 338.625 257.950 V 262.950'
+                    }
+                },
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'black',
+                        'stroke-width': '1.000',
+                        'fill': 'none',
+                        'd': 'M 584.800 257.950 V 262.950'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '92.450',
+                        'y': '266.700',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '0'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '338.625',
+                        'y': '266.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '3'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '584.800',
+                        'y': '266.700',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '6'
+                    }
+                }
+            ],
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '92.450',
+                            'y': '149.925',
+                            'width': '164.117',
+                            'height': '107.525',
+                            'stroke': 'white',
+                            'stroke-width': '1.000',
+                            'fill': '#1f77b4',
+                            'fill-opacity': 0.5
+                        }
+                    },
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '256.567',
+                            'y': '149.925',
+                            'width': '164.117',
+                            'height': '107.525',
+                            'stroke': 'white',
+                            'stroke-width': '1.000',
+                            'fill': '#1f77b4',
+                            'fill-opacity': 0.5
+                        }
+                    },
+                    null
+                ],
+                [
+                    null,
+                    null,
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '420.683',
+                            'y': '42.400',
+                            'width': '164.117',
+                            'height': '215.050',
+                            'stroke': 'white',
+                            'stroke-width': '1.000',
+                            'fill': '#ff7f0e',
+                            'fill-opacity': 0.5
+                        }
+                    }
+                ]
+            ],
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 91.950 41.900 V 257.950 H 585.300'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '42.400',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#1f77b4'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '50.400',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'a'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '64.000',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#ff7f0e'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '72.000',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'b'
+                        }
+                    }
+                ]
+            ]
+        ]
+    });
+});
+
+
+test('histogramElements, bins', () => {
+    const barWidths = (data, histogram) => {
+        validateHistogram(histogram);
+        const elements = histogramElements(data, histogram);
+        return elements.elem[8][0].map((bar) => (bar === null ? null : bar.attr.height));
+    };
+    assert.deepEqual(barWidths([{'A': 0}, {'A': 10}], {'x': 'A', 'bins': 4}), ['241.450', null, null, '241.450']);
+    assert.deepEqual(barWidths([{'A': 0}, {'A': 10}], {'x': 'A', 'binWidth': 5}), ['241.450', null, '241.450']);
+    assert.deepEqual(barWidths([{'A': 3}, {'A': 3}], {'x': 'A', 'bins': 3}), [null, '241.450', null]);
+});
+
+
+test('histogramElements, no data', () => {
+    const data = [{'A': 'a'}];
+    const histogram = {'x': 'A'};
+    validateHistogram(histogram);
+    assert.throws(
+        () => {
+            histogramElements(data, histogram);
+        },
+        {
+            'name': 'Error',
+            'message': 'No data'
+        }
+    );
+});
+
+
+test('histogramElements, too many bins', () => {
+    const data = [{'A': 0}, {'A': 10}];
+    const histogram = {'x': 'A', 'binWidth': 0.001};
+    validateHistogram(histogram);
+    assert.throws(
+        () => {
+            histogramElements(data, histogram);
+        },
+        {
+            'name': 'Error',
+            'message': 'Bin width 0.001 results in more than 1000 bins'
+        }
+    );
+});
@@ -1,8 +1,10 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
 
-import {lineChartElements, validateLineChart} from '../lib/lineChart.js';
+import {lineChartDataTableElements, lineChartElements, validateLineChart} from '../lib/lineChart.js';
+import {JSDOM} from 'jsdom/lib/api.js';
 import {strict as assert} from 'node:assert';
+import {renderElements} from 'element-model/lib/elementModel.js';
 import test from 'node:test';
 
 
@@ -26,6 +28,33 @@ test('validateLineChart, error', () => {
 });
 
 
+test('validateLineChart, time zone error', () => {
+    const lineChart = {'x': 'A', 'y': ['B'], 'timeZone': 'Not/AZone'};
+    assert.throws(
+        () => {
+            validateLineChart(lineChart);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"Not/AZone\" (type 'string') for member 'timeZone', expected a time zone"
+        }
+    );
+});
+
+
+test('validateLineChart, number format error', () => {
+    const lineChart = {'x': 'A', 'y': ['B'], 'yTicks': {'number': {'locale': 'not a locale'}}};
+    assert.throws(
+        () => {
+            validateLineChart(lineChart);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"not a locale\" (type 'string') for member 'yTicks.number.locale', expected a locale"
+        }
+    );
+});
+
 test('lineChartElements', () => {
     const data = [
         {'A': 0, 'B': 5, 'C': 3},
@@ -40,9 +69,15 @@ test('lineChartElements', () => {
         'svg': 'svg',
         'attr': {
             'width': 640,
-            'height': 320
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B, C by A'
         },
         'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B, C by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 0 to 2. B ranges from 4 to 6 (3 points). C ranges from 2 to 7 (3 points).'}}
+            ],
             {
                 'svg': 'rect',
                 'attr': {
@@ -146,6 +181,7 @@ test('lineChartElements', () => {
                     }
                 }
             ],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -255,6 +291,8 @@ test('lineChartElements', () => {
                     }
                 }
             ],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -286,6 +324,8 @@ test('lineChartElements', () => {
             ],
             [],
             [],
+            [],
+            null,
             [
                 [
                     {
@@ -343,7 +383,10 @@ test('lineChartElements', () => {
                         }
                     }
                 ]
-            ]
+            ],
+            null,
+            null,
+            null
         ]
     });
 });
@@ -364,9 +407,21 @@ test('lineChartElements, color field', () => {
         'svg': 'svg',
         'attr': {
             'width': 640,
-            'height': 320
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
         },
         'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {
+                    'svg': 'desc',
+                    'elem': {
+                        'text': 'A ranges from 1 to 3. abc ranges from 1 to 2 (2 points). ' +
+                            'def ranges from 2 to 2 (1 point). null ranges from 3 to 3 (1 point).'
+                    }
+                }
+            ],
             {
                 'svg': 'rect',
                 'attr': {
@@ -486,6 +541,7 @@ test('lineChartElements, color field', () => {
                     }
                 }
             ],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -595,6 +651,8 @@ test('lineChartElements, color field', () => {
                     }
                 }
             ],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -635,6 +693,8 @@ test('lineChartElements, color field', () => {
             ],
             [],
             [],
+            [],
+            null,
             [
                 [
                     {
@@ -720,7 +780,10 @@ test('lineChartElements, color field', () => {
                         }
                     }
                 ]
-            ]
+            ],
+            null,
+            null,
+            null
         ]
     });
 });
@@ -739,9 +802,22 @@ test('lineChartElements, color field multiple fields', () => {
         'svg': 'svg',
         'attr': {
             'width': 640,
-            'height': 320
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B, C by A'
         },
         'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B, C by A'}},
+                {
+                    'svg': 'desc',
+                    'elem': {
+                        'text': 'A ranges from 1 to 5. B, abc ranges from 1 to 5 (2 points). ' +
+                            'B, def ranges from 2 to 4 (2 points). C, abc ranges from 2 to 4 (2 points). ' +
+                            'C, def ranges from 3 to 6 (2 points).'
+                    }
+                }
+            ],
             {
                 'svg': 'rect',
                 'attr': {
@@ -845,6 +921,7 @@ test('lineChartElements, color field multiple fields', () => {
                     }
                 }
             ],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -954,6 +1031,8 @@ test('lineChartElements, color field multiple fields', () => {
                     }
                 }
             ],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -1003,6 +1082,8 @@ test('lineChartElements, color field multiple fields', () => {
             ],
             [],
             [],
+            [],
+            null,
             [
                 [
                     {
@@ -1116,7 +1197,10 @@ test('lineChartElements, color field multiple fields', () => {
                         }
                     }
                 ]
-            ]
+            ],
+            null,
+            null,
+            null
         ]
     });
 });
@@ -1138,9 +1222,23 @@ test('lineChartElements, color field multiple fields order', () => {
         'svg': 'svg',
         'attr': {
             'width': 640,
-            'height': 320
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
         },
         'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {
+                    'svg': 'desc',
+                    'elem': {
+                        'text': 'A ranges from 1 to 1. d ranges from 1 to 1 (1 point). b ranges from 1 to 1 (1 point). ' +
+                            'f ranges from 1 to 1 (1 point). a ranges from 1 to 1 (1 point). ' +
+                            'c ranges from 1 to 1 (1 point). e ranges from 1 to 1 (1 point). ' +
+                            'g ranges from 1 to 1 (1 point).'
+                    }
+                }
+            ],
             {
                 'svg': 'rect',
                 'attr': {
@@ -1252,6 +1350,7 @@ test('lineChartElements, color field multiple fields order', () => {
                     }
                 }
             ],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -1353,6 +1452,8 @@ test('lineChartElements, color field multiple fields order', () => {
                     }
                 }
             ],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -1429,6 +1530,8 @@ test('lineChartElements, color field multiple fields order', () => {
             ],
             [],
             [],
+            [],
+            null,
             [
                 [
                     {
@@ -1626,7 +1729,10 @@ test('lineChartElements, color field multiple fields order', () => {
                         }
                     }
                 ]
-            ]
+            ],
+            null,
+            null,
+            null
         ]
     });
 });
@@ -1650,9 +1756,15 @@ test('lineChartElements, lines', () => {
         'svg': 'svg',
         'attr': {
             'width': 640,
-            'height': 320
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
         },
         'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 to 5. B ranges from 1 to 5 (2 points).'}}
+            ],
             {
                 'svg': 'rect',
                 'attr': {
@@ -1681,6 +1793,7 @@ test('lineChartElements, lines', () => {
             },
             [],
             [],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -1699,6 +1812,8 @@ test('lineChartElements, lines', () => {
             },
             [],
             [],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -1793,6 +1908,7 @@ test('lineChartElements, lines', () => {
                     }
                 ]
             ],
+            [],
             [
                 [
                     {
@@ -1867,6 +1983,10 @@ test('lineChartElements, lines', () => {
                     }
                 ]
             ],
+            null,
+            null,
+            null,
+            null,
             null
         ]
     });
@@ -1891,9 +2011,15 @@ test('lineChartElements, lines no label', () => {
         'svg': 'svg',
         'attr': {
             'width': 640,
-            'height': 320
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
         },
         'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 to 5. B ranges from 1 to 5 (2 points).'}}
+            ],
             {
                 'svg': 'rect',
                 'attr': {
@@ -1922,6 +2048,7 @@ test('lineChartElements, lines no label', () => {
             },
             [],
             [],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -1940,6 +2067,8 @@ test('lineChartElements, lines no label', () => {
             },
             [],
             [],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -1975,6 +2104,7 @@ test('lineChartElements, lines no label', () => {
                     }
                 ]
             ],
+            [],
             [
                 [
                     null,
@@ -1990,6 +2120,10 @@ test('lineChartElements, lines no label', () => {
                     }
                 ]
             ],
+            null,
+            null,
+            null,
+            null,
             null
         ]
     });
@@ -2014,9 +2148,15 @@ test('lineChartElements, lines extend axis', () => {
         'svg': 'svg',
         'attr': {
             'width': 640,
-            'height': 320
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
         },
         'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 to 5. B ranges from 1 to 5 (2 points).'}}
+            ],
             {
                 'svg': 'rect',
                 'attr': {
@@ -2045,6 +2185,7 @@ test('lineChartElements, lines extend axis', () => {
             },
             [],
             [],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -2063,6 +2204,8 @@ test('lineChartElements, lines extend axis', () => {
             },
             [],
             [],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -2157,6 +2300,7 @@ test('lineChartElements, lines extend axis', () => {
                     }
                 ]
             ],
+            [],
             [
                 [
                     {
@@ -2231,11 +2375,164 @@ test('lineChartElements, lines extend axis', () => {
                     }
                 ]
             ],
+            null,
+            null,
+            null,
+            null,
             null
         ]
     });
 });
 
+test('lineChartElements, ranges', () => {
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 4},
+        {'A': 3, 'B': 2}
+    ];
+    const lineChart = {
+        'x': 'A',
+        'y': ['B'],
+        'xRanges': [
+            {'start': 1.5, 'end': 2.5, 'label': 'Incident'},
+            {'start': 2.5, 'end': 10, 'color': 'red'},
+            {'start': 5, 'end': 10}
+        ],
+        'yRanges': [
+            {'start': 3, 'end': 2, 'label': 'Target', 'color': 'green'}
+        ]
+    };
+    validateLineChart(lineChart);
+    const elements = lineChartElements(data, lineChart);
+    assert.deepEqual(elements.elem[10], [
+        [
+            [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '226.462',
+                        'y': '17.500',
+                        'width': '265.025',
+                        'height': '240.450',
+                        'stroke': 'none',
+                        'fill': 'black',
+                        'fill-opacity': 0.1
+                    }
+                },
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '229.662',
+                            'y': '19.100',
+                            'width': '84.800',
+                            'height': '24.000',
+                            'fill': '#ffffffa0'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '233.662',
+                            'y': '31.100',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'Incident'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '491.487',
+                        'y': '17.500',
+                        'width': '132.513',
+                        'height': '240.450',
+                        'stroke': 'none',
+                        'fill': 'red',
+                        'fill-opacity': 0.1
+                    }
+                },
+                null
+            ],
+            null
+        ],
+        [
+            [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '91.950',
+                        'y': '96.983',
+                        'width': '532.050',
+                        'height': '79.483',
+                        'stroke': 'none',
+                        'fill': 'green',
+                        'fill-opacity': 0.1
+                    }
+                },
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '97.150',
+                            'y': '98.583',
+                            'width': '65.600',
+                            'height': '24.000',
+                            'fill': '#ffffffa0'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '101.150',
+                            'y': '110.583',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'Target'
+                        }
+                    }
+                ]
+            ]
+        ]
+    ]);
+    assert.equal(elements.elem[18], null);
+});
+
+
+test('lineChartElements, callouts', () => {
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 4},
+        {'A': 3, 'B': 2}
+    ];
+    const lineChart = {
+        'x': 'A',
+        'y': ['B'],
+        'callouts': [
+            {'x': 2, 'y': 4, 'label': 'Peak'},
+            {'x': 3, 'y': 2, 'label': 'Last'},
+            {'x': 10, 'y': 2, 'label': 'Outside'}
+        ]
+    };
+    validateLineChart(lineChart);
+    const elements = lineChartElements(data, lineChart);
+    assert.equal(elements.elem[10], null);
+    assert.deepEqual(elements.elem[18], null);
+});
+
 
 test('lineChartElements, title', () => {
     const data = [
@@ -2254,9 +2551,15 @@ test('lineChartElements, title', () => {
         'svg': 'svg',
         'attr': {
             'width': 640,
-            'height': 320
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Hello!'
         },
         'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Hello!'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 to 5. B ranges from 1 to 5 (2 points).'}}
+            ],
             {
                 'svg': 'rect',
                 'attr': {
@@ -2300,6 +2603,7 @@ test('lineChartElements, title', () => {
             },
             [],
             [],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -2318,6 +2622,8 @@ test('lineChartElements, title', () => {
             },
             [],
             [],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -2340,71 +2646,258 @@ test('lineChartElements, title', () => {
             ],
             [],
             [],
+            [],
+            null,
+            null,
+            null,
+            null,
             null
         ]
     });
 });
 
+test('lineChartElements, dark mode', () => {
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 3}
+    ];
+    const lineChart = {'x': 'A', 'y': ['B'], 'yLines': [{'value': 2, 'label': 'Limit'}]};
+    validateLineChart(lineChart);
+    const elements = lineChartElements(data, lineChart, {'darkMode': true});
+    assert.equal(elements.elem[1].attr.fill, 'black');
+    assert.equal(elements.elem[3].attr.fill, 'white');
+    assert.deepEqual(elements.elem[4].map(([tick, line]) => [tick.attr.stroke, (line !== null ? line.attr.stroke : null)]), [
+        ['white', null],
+        ['white', '#505050'],
+        ['white', null]
+    ]);
+    assert.equal(elements.elem[5][0].attr.fill, 'white');
+    assert.equal(elements.elem[13][0].attr.stroke, '#1f77b4');
+    assert.deepEqual(elements.elem[14][0].map((element) => element.attr.fill), ['#000000a0', 'white', 'none']);
+    assert.equal(elements.elem[14][0][2].attr.stroke, 'white');
+});
 
-test('lineChartElements, no data', () => {
-    const data = [];
+
+test('lineChartElements, custom theme', () => {
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 3}
+    ];
     const lineChart = {'x': 'A', 'y': ['B']};
     validateLineChart(lineChart);
-    assert.throws(
-        () => {
-            lineChartElements(data, lineChart);
-        },
-        {
-            'name': 'Error',
-            'message': 'No data'
-        }
-    );
+    const elements = lineChartElements(data, lineChart, {'theme': {'grid': 'blue', 'palette': ['red']}});
+    assert.equal(elements.elem[1].attr.fill, 'white');
+    assert.equal(elements.elem[4][1][1].attr.stroke, 'blue');
+    assert.equal(elements.elem[13][0].attr.stroke, 'red');
 });
 
 
-test('lineChartElements, missing field', () => {
+test('lineChartElements, palette and colors', () => {
     const data = [
-        {'A': 1, 'B': 5},
-        {'A': 5, 'B': 1}
+        {'A': 1, 'B': 1, 'C': 1},
+        {'A': 2, 'B': 3, 'C': 2},
+        {'A': 3, 'B': 2, 'C': 3}
     ];
-    const lineChart = {'x': 'A', 'y': ['C']};
+    const lineChart = {'x': 'A', 'y': ['B'], 'color': 'C', 'palette': ['red', 'green'], 'colors': {'2': 'blue'}};
     validateLineChart(lineChart);
-    assert.throws(
-        () => {
-            lineChartElements(data, lineChart);
-        },
-        {
-            'name': 'Error',
-            'message': 'No data'
-        }
-    );
+    const elements = lineChartElements(data, lineChart);
+    assert.deepEqual(elements.elem[13].map((element) => element.attr.stroke), ['red', 'blue', 'red']);
+    assert.deepEqual(elements.elem[18].map(([sample]) => sample.attr.fill), ['red', 'blue', 'red']);
 });
 
 
-test('lineChartElements, axis ticks', () => {
+test('lineChartElements, line styles', () => {
     const data = [
-        {'A': 1, 'B': 5},
-        {'A': 5, 'B': 1}
+        {'A': 1, 'B': 1, 'C': 2, 'D': 3},
+        {'A': 2, 'B': 3, 'C': 1, 'D': 2}
     ];
     const lineChart = {
         'x': 'A',
-        'y': ['B'],
-        'xTicks': {'count': 5, 'skip': 2, 'start': 0, 'end': 10},
-        'yTicks': {'count': 6, 'skip': 2, 'start': -1, 'end': 9}
+        'y': ['B', 'C', 'D'],
+        'colors': {'C': 'green'},
+        'styles': {
+            'B': {'width': 2, 'dash': 'dashed', 'marker': 'circle'},
+            'C': {'dash': 'dotted', 'marker': 'square'},
+            'D': {'marker': 'diamond'}
+        }
     };
     validateLineChart(lineChart);
-    assert.deepEqual(lineChartElements(data, lineChart), {
-        'svg': 'svg',
-        'attr': {
-            'width': 640,
-            'height': 320
-        },
-        'elem': [
+    const elements = lineChartElements(data, lineChart);
+    assert.deepEqual(elements.elem[13], [
+        [
             {
-                'svg': 'rect',
+                'svg': 'path',
                 'attr': {
-                    'width': 640,
-                    'height': 320,
+                    'stroke': '#1f77b4',
+                    'stroke-width': '2.000',
+                    'stroke-dasharray': '6.000 2.000',
+                    'fill': 'none',
+                    'd': 'M 36.350 255.950 L 584.800 17.500'
+                }
+            },
+            [
+                {
+                    'svg': 'circle',
+                    'attr': {
+                        'cx': '36.350',
+                        'cy': '255.950',
+                        'r': '3.000',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#1f77b4'
+                    }
+                },
+                {
+                    'svg': 'circle',
+                    'attr': {
+                        'cx': '584.800',
+                        'cy': '17.500',
+                        'r': '3.000',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#1f77b4'
+                    }
+                }
+            ]
+        ],
+        [
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'green',
+                    'stroke-width': '3.000',
+                    'stroke-dasharray': '3.000',
+                    'fill': 'none',
+                    'd': 'M 36.350 136.725 L 584.800 255.950'
+                }
+            },
+            [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '31.850',
+                        'y': '132.225',
+                        'width': '9.000',
+                        'height': '9.000',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': 'green'
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '580.300',
+                        'y': '251.450',
+                        'width': '9.000',
+                        'height': '9.000',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': 'green'
+                    }
+                }
+            ]
+        ],
+        [
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': '#2ca02c',
+                    'stroke-width': '3.000',
+                    'fill': 'none',
+                    'd': 'M 36.350 17.500 L 584.800 136.725'
+                }
+            },
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'd': 'M 36.350 11.136 L 42.714 17.500 L 36.350 23.864 L 29.986 17.500 Z',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#2ca02c'
+                    }
+                },
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'd': 'M 584.800 130.361 L 591.164 136.725 L 584.800 143.089 L 578.436 136.725 Z',
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#2ca02c'
+                    }
+                }
+            ]
+        ]
+    ]);
+});
+
+
+test('lineChartElements, no data', () => {
+    const data = [];
+    const lineChart = {'x': 'A', 'y': ['B']};
+    validateLineChart(lineChart);
+    assert.throws(
+        () => {
+            lineChartElements(data, lineChart);
+        },
+        {
+            'name': 'Error',
+            'message': 'No data'
+        }
+    );
+});
+
+
+test('lineChartElements, missing field', () => {
+    const data = [
+        {'A': 1, 'B': 5},
+        {'A': 5, 'B': 1}
+    ];
+    const lineChart = {'x': 'A', 'y': ['C']};
+    validateLineChart(lineChart);
+    assert.throws(
+        () => {
+            lineChartElements(data, lineChart);
+        },
+        {
+            'name': 'Error',
+            'message': 'No data'
+        }
+    );
+});
+
+
+test('lineChartElements, axis ticks', () => {
+    const data = [
+        {'A': 1, 'B': 5},
+        {'A': 5, 'B': 1}
+    ];
+    const lineChart = {
+        'x': 'A',
+        'y': ['B'],
+        'xTicks': {'count': 5, 'skip': 2, 'start': 0, 'end': 10},
+        'yTicks': {'count': 6, 'skip': 2, 'start': -1, 'end': 9}
+    };
+    validateLineChart(lineChart);
+    assert.deepEqual(lineChartElements(data, lineChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
+        },
+        'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 to 5. B ranges from 1 to 5 (2 points).'}}
+            ],
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
                     'fill': 'white'
                 }
             },
@@ -2544,6 +3037,7 @@ test('lineChartElements, axis ticks', () => {
                 null,
                 null
             ],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -2665,6 +3159,8 @@ test('lineChartElements, axis ticks', () => {
                 },
                 null
             ],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -2687,6 +3183,11 @@ test('lineChartElements, axis ticks', () => {
             ],
             [],
             [],
+            [],
+            null,
+            null,
+            null,
+            null,
             null
         ]
     });
@@ -2709,9 +3210,15 @@ test('lineChartElements, axis ticks one', () => {
         'svg': 'svg',
         'attr': {
             'width': 640,
-            'height': 320
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
         },
         'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 to 5. B ranges from 1 to 5 (2 points).'}}
+            ],
             {
                 'svg': 'rect',
                 'attr': {
@@ -2769,6 +3276,7 @@ test('lineChartElements, axis ticks one', () => {
                     }
                 }
             ],
+            null,
             {
                 'svg': 'text',
                 'attr': {
@@ -2816,6 +3324,8 @@ test('lineChartElements, axis ticks one', () => {
                     }
                 }
             ],
+            null,
+            null,
             {
                 'svg': 'path',
                 'attr': {
@@ -2838,7 +3348,2847 @@ test('lineChartElements, axis ticks one', () => {
             ],
             [],
             [],
+            [],
+            null,
+            null,
+            null,
+            null,
             null
         ]
     });
 });
+
+
+test('lineChartElements, axis ticks number format', () => {
+    const data = [
+        {'A': 1, 'B': 1500},
+        {'A': 5, 'B': 250000}
+    ];
+    const lineChart = {
+        'x': 'A',
+        'y': ['B'],
+        'xTicks': {'number': {'suffix': ' s'}},
+        'yTicks': {'number': {'style': 'currency', 'compact': true}}
+    };
+    validateLineChart(lineChart);
+    assert.deepEqual(lineChartElements(data, lineChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
+        },
+        'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 s to 5 s. B ranges from $1.5K to $250K (2 points).'}}
+            ],
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '136.725',
+                    'transform': 'rotate(-90 16.000, 136.725)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 130.350 255.950 H 125.350'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 130.350 136.725 H 125.350'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 130.350 136.725 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 130.350 17.500 H 125.350'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '121.600',
+                        'y': '255.950',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '$1.5K'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '121.600',
+                        'y': '136.725',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '$125.75K'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '121.600',
+                        'y': '17.500',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '$250K'
+                    }
+                }
+            ],
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '378.175',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 132.350 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 378.175 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 378.175 257.950 V 17.500'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 624.000 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '132.350',
+                        'y': '266.700',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '1 s'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '378.175',
+                        'y': '266.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '3 s'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '624.000',
+                        'y': '266.700',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '5 s'
+                    }
+                }
+            ],
+            null,
+            null,
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 130.350 17.000 V 257.950 H 624.500'
+                }
+            },
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': '#1f77b4',
+                        'stroke-width': '3.000',
+                        'fill': 'none',
+                        'd': 'M 132.350 255.950 L 624.000 17.500'
+                    }
+                }
+            ],
+            [],
+            [],
+            [],
+            null,
+            null,
+            null,
+            null,
+            null
+        ]
+    });
+});
+
+
+test('lineChartElements, axis ticks auto', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1, 'B': 1.3},
+        {'A': 2.5, 'B': 13.37},
+        {'A': 5, 'B': 7}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'xTicks': {'auto': true}, 'yTicks': {'auto': true}});
+    renderElements(window.document.body, lineChartElements(data, lineChart));
+    const chartText = Array.from(window.document.body.querySelectorAll('text')).map((text) => text.textContent);
+    assert.deepEqual(chartText, ['B', '0', '5', '10', '15', 'A', '1', '2', '3', '4', '5']);
+});
+
+
+test('lineChartElements, axis ticks auto count precision', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 0.013, 'B': 1, 'C': 0.1},
+        {'A': 0.0291, 'B': 2, 'C': 0.3}
+    ];
+    const lineChart = validateLineChart({
+        'x': 'A',
+        'y': ['B'],
+        'y2': ['C'],
+        'xTicks': {'auto': true, 'count': 5},
+        'yTicks': {'auto': true, 'count': 3},
+        'y2Ticks': {'auto': true, 'count': 3, 'skip': 1}
+    });
+    renderElements(window.document.body, lineChartElements(data, lineChart));
+    const chartText = Array.from(window.document.body.querySelectorAll('text')).map((text) => text.textContent);
+    assert.deepEqual(chartText, [
+        'B', '1', '1.5', '2',
+        'C', '0.1', '0.3',
+        'A', '0.010', '0.015', '0.020', '0.025', '0.030',
+        'B', 'C'
+    ]);
+});
+
+
+test('lineChartElements, axis ticks auto datetime', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': new Date('2024-01-03T05:00Z'), 'B': 1},
+        {'A': new Date('2024-02-20T05:00Z'), 'B': 2},
+        {'A': new Date('2024-06-27T05:00Z'), 'B': 3}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'timeZone': 'UTC', 'xTicks': {'auto': true}});
+    renderElements(window.document.body, lineChartElements(data, lineChart));
+    const chartText = Array.from(window.document.body.querySelectorAll('text')).map((text) => text.textContent);
+    assert.deepEqual(chartText, ['B', '1', '2', '3', 'A', '2024-01', '2024-04', '2024-07']);
+});
+
+
+test('lineChartElements, axis ticks auto thinning', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': new Date('2024-01-03T05:00Z'), 'B': 1},
+        {'A': new Date('2024-06-27T05:00Z'), 'B': 3}
+    ];
+    const lineChart = validateLineChart({
+        'x': 'A',
+        'y': ['B'],
+        'width': 300,
+        'height': 150,
+        'timeZone': 'UTC',
+        'xTicks': {'auto': true, 'count': 20},
+        'yTicks': {'auto': true, 'count': 20}
+    });
+    const elements = lineChartElements(data, lineChart);
+    renderElements(window.document.body, elements);
+    const chartText = Array.from(window.document.body.querySelectorAll('text')).map((text) => text.textContent);
+    assert.deepEqual(chartText, ['B', '1', '2', '3', 'A', '2024-01', '2024-06']);
+
+    // The thinned tick marks are still rendered
+    assert.equal(elements.elem[4].length, 11);
+    assert.equal(elements.elem[8].length, 7);
+});
+
+
+test('lineChartElements, axis ticks auto zoom', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 4},
+        {'A': 3, 'B': 2},
+        {'A': 4, 'B': 5}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'xTicks': {'auto': true}, 'zoom': {'start': 1.3, 'end': 3.7}});
+    renderElements(window.document.body, lineChartElements(data, lineChart));
+    const chartText = Array.from(window.document.body.querySelectorAll('text')).map((text) => text.textContent);
+    assert.deepEqual(chartText, ['B', '1', '3', '5', 'A', '1.5', '2', '2.5', '3', '3.5', 'Reset']);
+});
+
+
+test('lineChartElements, axis ticks auto zoom time zone', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': new Date('2024-01-01T00:00Z'), 'B': 1},
+        {'A': new Date('2024-01-10T00:00Z'), 'B': 3}
+    ];
+    const lineChart = validateLineChart({
+        'x': 'A',
+        'y': ['B'],
+        'timeZone': 'Asia/Kolkata',
+        'xTicks': {'auto': true},
+        'zoom': {'start': new Date('2024-01-03T13:00Z'), 'end': new Date('2024-01-03T17:00Z')}
+    });
+    renderElements(window.document.body, lineChartElements(data, lineChart));
+    const chartText = Array.from(window.document.body.querySelectorAll('text')).map((text) => text.textContent);
+    assert.deepEqual(chartText, ['B', '1', '2', '3', 'A', '2024-01-03T19:00', '2024-01-03T21:00', 'Reset']);
+});
+
+
+test('lineChartElements, axis ticks zoom time zone fallback', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': new Date('2024-01-01T00:00Z'), 'B': 1},
+        {'A': new Date('2024-01-10T00:00Z'), 'B': 3}
+    ];
+    const lineChart = validateLineChart({
+        'x': 'A',
+        'y': ['B'],
+        'timeZone': 'Asia/Kolkata',
+        'xTicks': {'auto': true},
+        'zoom': {'start': new Date('2024-01-03T13:00:00.000Z'), 'end': new Date('2024-01-03T13:00:00.001Z')}
+    });
+    renderElements(window.document.body, lineChartElements(data, lineChart));
+    const chartText = Array.from(window.document.body.querySelectorAll('text')).map((text) => text.textContent);
+    assert.deepEqual(chartText, ['B', '1', '2', '3', 'A', '2024-01-03T18:30', '2024-01-03T18:30', 'Reset']);
+});
+
+
+test('lineChartElements, log scale', () => {
+    const data = [
+        {'A': 1, 'B': 0},
+        {'A': 2, 'B': 5},
+        {'A': 3, 'B': 0.5},
+        {'A': 4, 'B': 2000}
+    ];
+    const lineChart = {
+        'x': 'A',
+        'y': ['B'],
+        'yScale': 'log',
+        'yLines': [{'value': 0}, {'value': 100}]
+    };
+    validateLineChart(lineChart);
+    assert.deepEqual(lineChartElements(data, lineChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
+        },
+        'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 2 to 4. B ranges from 0.50 to 2000 (3 points).'}}
+            ],
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '136.725',
+                    'transform': 'rotate(-90 16.000, 136.725)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 255.950 H 96.550'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 208.260 H 96.550'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 208.260 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 160.570 H 96.550'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 160.570 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 112.880 H 96.550'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 112.880 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 65.190 H 96.550'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 65.190 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 17.500 H 96.550'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '92.800',
+                        'y': '255.950',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '0.1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '92.800',
+                        'y': '208.260',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '92.800',
+                        'y': '160.570',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '10'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '92.800',
+                        'y': '112.880',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '100'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '92.800',
+                        'y': '65.190',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '1000'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '92.800',
+                        'y': '17.500',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '10000'
+                    }
+                }
+            ],
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '363.775',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 103.550 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 363.775 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 363.775 257.950 V 17.500'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 624.000 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '103.550',
+                        'y': '266.700',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '2'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '363.775',
+                        'y': '266.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '3'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '624.000',
+                        'y': '266.700',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '4'
+                    }
+                }
+            ],
+            null,
+            null,
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 101.550 17.000 V 257.950 H 624.500'
+                }
+            },
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': '#1f77b4',
+                        'stroke-width': '3.000',
+                        'fill': 'none',
+                        'd': 'M 103.550 174.926 L 363.775 222.616 L 624.000 50.834'
+                    }
+                }
+            ],
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '106.750',
+                            'y': '116.480',
+                            'width': '36.800',
+                            'height': '24.000',
+                            'fill': '#ffffffa0'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '110.750',
+                            'y': '128.480',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '100'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '2.000',
+                            'fill': 'none',
+                            'd': 'M 101.550 112.880 H 624.000'
+                        }
+                    }
+                ]
+            ],
+            [],
+            [],
+            null,
+            null,
+            null,
+            null,
+            null
+        ]
+    });
+});
+
+
+test('lineChartElements, y2', () => {
+    const data = [
+        {'A': 1, 'B': 5, 'C': 0.25},
+        {'A': 5, 'B': 1, 'C': 0.5}
+    ];
+    const lineChart = {
+        'x': 'A',
+        'y': ['B'],
+        'y2': ['C'],
+        'y2Precision': 1,
+        'y2Lines': [{'value': 0.4, 'label': 'Target'}]
+    };
+    validateLineChart(lineChart);
+    assert.deepEqual(lineChartElements(data, lineChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B, C by A'
+        },
+        'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B, C by A'}},
+                {
+                    'svg': 'desc',
+                    'elem': {
+                        'text': 'A ranges from 1 to 5. B ranges from 1 to 5 (2 points). ' +
+                            'C ranges from 0.3 to 0.5 (2 points).'
+                    }
+                }
+            ],
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '136.725',
+                    'transform': 'rotate(-90 16.000, 136.725)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 63.150 255.950 H 58.150'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 63.150 136.725 H 58.150'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 63.150 136.725 H 516.450'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 63.150 17.500 H 58.150'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '54.400',
+                        'y': '255.950',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '54.400',
+                        'y': '136.725',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '3'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '54.400',
+                        'y': '17.500',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '5'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'style': 'font-weight: bold',
+                        'x': '584.800',
+                        'y': '136.725',
+                        'transform': 'rotate(90 584.800, 136.725)',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'C'
+                    }
+                },
+                [
+                    [
+                        {
+                            'svg': 'path',
+                            'attr': {
+                                'stroke': 'black',
+                                'stroke-width': '1.000',
+                                'fill': 'none',
+                                'd': 'M 518.450 255.950 H 523.450'
+                            }
+                        },
+                        {
+                            'svg': 'text',
+                            'attr': {
+                                'font-family': 'Arial, Helvetica, sans-serif',
+                                'font-size': '16.000px',
+                                'fill': 'black',
+                                'x': '527.200',
+                                'y': '255.950',
+                                'text-anchor': 'start',
+                                'dominant-baseline': 'auto'
+                            },
+                            'elem': {
+                                'text': '0.3'
+                            }
+                        }
+                    ],
+                    [
+                        {
+                            'svg': 'path',
+                            'attr': {
+                                'stroke': 'black',
+                                'stroke-width': '1.000',
+                                'fill': 'none',
+                                'd': 'M 518.450 136.725 H 523.450'
+                            }
+                        },
+                        {
+                            'svg': 'text',
+                            'attr': {
+                                'font-family': 'Arial, Helvetica, sans-serif',
+                                'font-size': '16.000px',
+                                'fill': 'black',
+                                'x': '527.200',
+                                'y': '136.725',
+                                'text-anchor': 'start',
+                                'dominant-baseline': 'middle'
+                            },
+                            'elem': {
+                                'text': '0.4'
+                            }
+                        }
+                    ],
+                    [
+                        {
+                            'svg': 'path',
+                            'attr': {
+                                'stroke': 'black',
+                                'stroke-width': '1.000',
+                                'fill': 'none',
+                                'd': 'M 518.450 17.500 H 523.450'
+                            }
+                        },
+                        {
+                            'svg': 'text',
+                            'attr': {
+                                'font-family': 'Arial, Helvetica, sans-serif',
+                                'font-size': '16.000px',
+                                'fill': 'black',
+                                'x': '527.200',
+                                'y': '17.500',
+                                'text-anchor': 'start',
+                                'dominant-baseline': 'hanging'
+                            },
+                            'elem': {
+                                'text': '0.5'
+                            }
+                        }
+                    ]
+                ]
+            ],
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '290.800',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 65.150 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 290.800 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 290.800 257.950 V 17.500'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 516.450 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '65.150',
+                        'y': '266.700',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '290.800',
+                        'y': '266.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '3'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '516.450',
+                        'y': '266.700',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '5'
+                    }
+                }
+            ],
+            null,
+            null,
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 63.150 17.000 V 257.950 H 518.450 V 17.000'
+                }
+            },
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': '#1f77b4',
+                        'stroke-width': '3.000',
+                        'fill': 'none',
+                        'd': 'M 65.150 17.500 L 516.450 255.950'
+                    }
+                },
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': '#ff7f0e',
+                        'stroke-width': '3.000',
+                        'fill': 'none',
+                        'd': 'M 65.150 255.950 L 516.450 17.500'
+                    }
+                }
+            ],
+            [],
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '447.650',
+                            'y': '116.480',
+                            'width': '65.600',
+                            'height': '24.000',
+                            'fill': '#ffffffa0'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '509.250',
+                            'y': '128.480',
+                            'text-anchor': 'end',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'Target'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '2.000',
+                            'fill': 'none',
+                            'd': 'M 63.150 112.880 H 518.450'
+                        }
+                    }
+                ]
+            ],
+            [],
+            null,
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '17.500',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#1f77b4'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '25.500',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'B'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '39.100',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#ff7f0e'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '47.100',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'C'
+                        }
+                    }
+                ]
+            ],
+            null,
+            null,
+            null
+        ]
+    });
+});
+
+
+test('lineChartElements, mode stacked', () => {
+    const data = [
+        {'A': 1, 'B': 'a', 'C': 2},
+        {'A': 2, 'B': 'a', 'C': 3},
+        {'A': 3, 'B': 'a', 'C': 1},
+        {'A': 1, 'B': 'b', 'C': 1},
+        {'A': 3, 'B': 'b', 'C': 2}
+    ];
+    const lineChart = {
+        'x': 'A',
+        'y': ['C'],
+        'color': 'B',
+        'colorOrder': ['b', 'a'],
+        'mode': 'stacked'
+    };
+    validateLineChart(lineChart);
+    assert.deepEqual(lineChartElements(data, lineChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of C by A'
+        },
+        'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of C by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 to 3. b ranges from 1 to 2 (2 points). a ranges from 1 to 3 (3 points).'}}
+            ],
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '136.725',
+                    'transform': 'rotate(-90 16.000, 136.725)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'C'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 255.950 H 86.950'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 136.725 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 136.725 H 584.800'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 17.500 H 86.950'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '255.950',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '0'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '136.725',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '1.50'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '17.500',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '3'
+                    }
+                }
+            ],
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '339.375',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 93.950 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 339.375 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 339.375 257.950 V 17.500'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 584.800 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '93.950',
+                        'y': '266.700',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '339.375',
+                        'y': '266.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '2'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '584.800',
+                        'y': '266.700',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '3'
+                    }
+                }
+            ],
+            null,
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'none',
+                        'fill': '#1f77b4',
+                        'fill-opacity': 0.4,
+                        'd': 'M 93.950 176.467 L 339.375 255.950 L 584.800 96.983 L 584.800 255.950 L 339.375 255.950 L 93.950 255.950 Z'
+                    }
+                },
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'none',
+                        'fill': '#ff7f0e',
+                        'fill-opacity': 0.4,
+                        'd': 'M 93.950 17.500 L 339.375 17.500 L 584.800 17.500 L 584.800 96.983 L 339.375 255.950 L 93.950 176.467 Z'
+                    }
+                }
+            ],
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 91.950 17.000 V 257.950 H 585.300'
+                }
+            },
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': '#1f77b4',
+                        'stroke-width': '3.000',
+                        'fill': 'none',
+                        'd': 'M 93.950 176.467 L 339.375 255.950 L 584.800 96.983'
+                    }
+                },
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': '#ff7f0e',
+                        'stroke-width': '3.000',
+                        'fill': 'none',
+                        'd': 'M 93.950 17.500 L 339.375 17.500 L 584.800 17.500'
+                    }
+                }
+            ],
+            [],
+            [],
+            [],
+            null,
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '17.500',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#1f77b4'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '25.500',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'b'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '592.800',
+                            'y': '39.100',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#ff7f0e'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '47.100',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'a'
+                        }
+                    }
+                ]
+            ],
+            null,
+            null,
+            null
+        ]
+    });
+});
+
+
+test('lineChartElements, mode area curve stepAfter', () => {
+    const data = [
+        {'A': 1, 'B': 3},
+        {'A': 2, 'B': 5},
+        {'A': 3, 'B': 4}
+    ];
+    const lineChart = {
+        'x': 'A',
+        'y': ['B'],
+        'mode': 'area',
+        'curve': 'stepAfter'
+    };
+    validateLineChart(lineChart);
+    assert.deepEqual(lineChartElements(data, lineChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
+        },
+        'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 to 3. B ranges from 3 to 5 (3 points).'}}
+            ],
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '136.725',
+                    'transform': 'rotate(-90 16.000, 136.725)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 255.950 H 86.950'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 136.725 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 136.725 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 17.500 H 86.950'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '255.950',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '0'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '136.725',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '2.50'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '17.500',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '5'
+                    }
+                }
+            ],
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '358.975',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 93.950 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 358.975 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 358.975 257.950 V 17.500'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 624.000 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '93.950',
+                        'y': '266.700',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '358.975',
+                        'y': '266.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '2'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '624.000',
+                        'y': '266.700',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '3'
+                    }
+                }
+            ],
+            null,
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'none',
+                        'fill': '#1f77b4',
+                        'fill-opacity': 0.4,
+                        'd': 'M 93.950 112.880 L 358.975 112.880 L 358.975 17.500 L 624.000 17.500 L 624.000 65.190 ' +
+                            'L 624.000 255.950 L 624.000 255.950 L 358.975 255.950 L 358.975 255.950 L 93.950 255.950 Z'
+                    }
+                }
+            ],
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 91.950 17.000 V 257.950 H 624.500'
+                }
+            },
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': '#1f77b4',
+                        'stroke-width': '3.000',
+                        'fill': 'none',
+                        'd': 'M 93.950 112.880 L 358.975 112.880 L 358.975 17.500 L 624.000 17.500 L 624.000 65.190'
+                    }
+                }
+            ],
+            [],
+            [],
+            [],
+            null,
+            null,
+            null,
+            null,
+            null
+        ]
+    });
+});
+
+
+test('lineChartElements, tooltip', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1, 'B': 5, 'C': 2},
+        {'A': 2, 'B': 3},
+        {'A': 3, 'B': 4, 'C': 1}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B', 'C'], 'tooltip': true});
+    const elements = lineChartElements(data, lineChart);
+    const tooltipElement = elements.elem[elements.elem.length - 1];
+    assert.deepEqual(tooltipElement.attr, {'pointer-events': 'none'});
+    assert.equal(typeof tooltipElement.callback, 'function');
+
+    // Render the chart - the tooltip is initially empty
+    const {body} = window.document;
+    renderElements(body, elements);
+    const svgElement = body.querySelector('svg');
+    const hoverElement = svgElement.lastChild;
+    const tooltipText = () => Array.from(hoverElement.querySelectorAll('text')).map((text) => text.textContent);
+    assert.deepEqual(tooltipText(), []);
+
+    // Hover near the first point
+    svgElement.dispatchEvent(new window.MouseEvent('mousemove', {'clientX': 100}));
+    assert.deepEqual(tooltipText(), ['1', 'B: 5', 'C: 2']);
+    assert.equal(hoverElement.querySelectorAll('circle').length, 2);
+    assert.equal(hoverElement.querySelector('path').getAttribute('d'), 'M 36.350 257.950 V 17.500');
+
+    // Hover near the second point - the "C" line has no value
+    svgElement.dispatchEvent(new window.MouseEvent('mousemove', {'clientX': 330}));
+    assert.deepEqual(tooltipText(), ['2', 'B: 3']);
+    assert.equal(hoverElement.querySelectorAll('circle').length, 1);
+
+    // Hover outside of the chart area
+    svgElement.dispatchEvent(new window.MouseEvent('mousemove', {'clientX': 10}));
+    assert.deepEqual(tooltipText(), []);
+
+    // Hover near the last point, then leave the chart
+    svgElement.dispatchEvent(new window.MouseEvent('mousemove', {'clientX': 500}));
+    assert.deepEqual(tooltipText(), ['3', 'B: 4', 'C: 1']);
+    svgElement.dispatchEvent(new window.MouseEvent('mouseleave'));
+    assert.deepEqual(tooltipText(), []);
+});
+
+
+test('lineChartElements, accessibility', () => {
+    const data = [
+        {'A': 1, 'B': 5},
+        {'A': 2, 'B': 3}
+    ];
+    const lineChart = validateLineChart({
+        'title': 'Hello',
+        'x': 'A',
+        'y': ['B'],
+        'accessibility': {'description': 'B goes down.'}
+    });
+    const elements = lineChartElements(data, lineChart);
+    assert.deepEqual(elements.attr, {'width': 640, 'height': 320, 'role': 'img', 'aria-label': 'Hello'});
+    assert.deepEqual(elements.elem[0], [
+        {'svg': 'title', 'elem': {'text': 'Hello'}},
+        {'svg': 'desc', 'elem': {'text': 'B goes down.'}}
+    ]);
+    assert.equal(elements.elem[elements.elem.length - 2], null);
+});
+
+
+test('lineChartElements, accessibility description', () => {
+    const data = [
+        {'A': 1, 'B': 5, 'C': 0.5},
+        {'A': 2, 'B': 3},
+        {'A': 3, 'B': 4, 'C': 0.25}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'y2': ['C'], 'y2Precision': 3, 'xTicks': {'number': {'prefix': '#'}}});
+    const elements = lineChartElements(data, lineChart);
+    assert.deepEqual(elements.elem[0], [
+        {'svg': 'title', 'elem': {'text': 'Line chart of B, C by A'}},
+        {
+            'svg': 'desc',
+            'elem': {'text': 'A ranges from #1 to #3. B ranges from 3 to 5 (3 points). C ranges from 0.250 to 0.500 (2 points).'}
+        }
+    ]);
+});
+
+
+test('lineChartElements, accessibility points', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1, 'B': 5, 'C': 2},
+        {'A': 2, 'B': 3},
+        {'A': 3, 'B': 4, 'C': 1}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B', 'C'], 'accessibility': {'points': true}});
+    const elements = lineChartElements(data, lineChart);
+    assert.equal(elements.attr.role, 'group');
+    const pointElements = elements.elem[elements.elem.length - 2];
+    assert.equal(pointElements.length, 5);
+    assert.deepEqual(pointElements[0].attr, {
+        'cx': '36.350',
+        'cy': '17.500',
+        'r': '6.000',
+        'stroke': 'none',
+        'stroke-width': '2.000',
+        'fill': 'none',
+        'style': 'outline: none',
+        'tabindex': '0',
+        'role': 'img',
+        'aria-label': 'A: 1, B: 5'
+    });
+
+    // Render the chart
+    const {body} = window.document;
+    renderElements(body, elements);
+    const pointNodes = Array.from(body.querySelectorAll('circle[tabindex]'));
+    assert.deepEqual(pointNodes.map((pointNode) => pointNode.getAttribute('aria-label')), [
+        'A: 1, B: 5',
+        'A: 2, B: 3',
+        'A: 3, B: 4',
+        'A: 1, C: 2',
+        'A: 3, C: 1'
+    ]);
+
+    // Focus and blur a point
+    pointNodes[1].dispatchEvent(new window.FocusEvent('focus'));
+    assert.equal(pointNodes[1].getAttribute('stroke'), 'black');
+    pointNodes[1].dispatchEvent(new window.FocusEvent('blur'));
+    assert.equal(pointNodes[1].getAttribute('stroke'), 'none');
+});
+
+
+test('lineChartElements, accessibility points zoom', () => {
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 4},
+        {'A': 3, 'B': 2},
+        {'A': 4, 'B': 5}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'zoom': {'start': 2, 'end': 3}, 'accessibility': {'points': true}});
+    const elements = lineChartElements(data, lineChart);
+    const pointElements = elements.elem[elements.elem.length - 2];
+    assert.equal(pointElements.svg, 'svg');
+    assert.deepEqual(pointElements.elem.map((pointElement) => pointElement.attr['aria-label']), ['A: 2, B: 4', 'A: 3, B: 2']);
+});
+
+
+test('lineChartElements, zoom', () => {
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 4},
+        {'A': 3, 'B': 2},
+        {'A': 4, 'B': 5},
+        {'A': 5, 'B': 10}
+    ];
+    const lineChart = {
+        'x': 'A',
+        'y': ['B'],
+        'zoom': {'start': 1.5, 'end': 4.5},
+        'xTicks': {'count': 4},
+        'xLines': [
+            {'value': 1},
+            {'value': 3}
+        ]
+    };
+    validateLineChart(lineChart);
+    const elements = lineChartElements(data, lineChart);
+    const [, , , , , , , , , , , , , , , , , , , [resetElement, brushElement]] = elements.elem;
+    assert.equal(typeof resetElement.callback, 'function');
+    assert.equal(typeof brushElement.callback, 'function');
+    delete resetElement.callback;
+    delete brushElement.callback;
+    assert.deepEqual(elements, {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320,
+            'role': 'img',
+            'aria-label': 'Line chart of B by A'
+        },
+        'elem': [
+            [
+                {'svg': 'title', 'elem': {'text': 'Line chart of B by A'}},
+                {'svg': 'desc', 'elem': {'text': 'A ranges from 1 to 5. B ranges from 1 to 10 (5 points).'}}
+            ],
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '136.725',
+                    'transform': 'rotate(-90 16.000, 136.725)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 255.950 H 86.950'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 136.725 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 136.725 H 624.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 17.500 H 86.950'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '255.950',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '136.725',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '5.50'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '17.500',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '10'
+                    }
+                }
+            ],
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '358.975',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 93.950 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 270.633 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 270.633 257.950 V 17.500'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 447.317 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 447.317 257.950 V 17.500'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 624.000 257.950 V 262.950'
+                        }
+                    },
+                    null
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '93.950',
+                        'y': '266.700',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '1.50'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '270.633',
+                        'y': '266.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '2.50'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '447.317',
+                        'y': '266.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '3.50'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '624.000',
+                        'y': '266.700',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '4.50'
+                    }
+                }
+            ],
+            null,
+            null,
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 91.950 17.000 V 257.950 H 624.500'
+                }
+            },
+            {
+                'svg': 'svg',
+                'attr': {
+                    'x': '91.950',
+                    'y': '16.000',
+                    'width': '533.550',
+                    'height': '241.950',
+                    'viewBox': '91.950 16.000 533.550 241.950'
+                },
+                'elem': [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': '#1f77b4',
+                            'stroke-width': '3.000',
+                            'fill': 'none',
+                            'd': 'M 5.608 255.950 L 182.292 176.467 L 358.975 229.456 L 535.658 149.972 L 712.342 17.500'
+                        }
+                    }
+                ]
+            },
+            [],
+            [],
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '363.175',
+                            'y': '230.350',
+                            'width': '17.600',
+                            'height': '24.000',
+                            'fill': '#ffffffa0'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '367.175',
+                            'y': '242.350',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '3'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '2.000',
+                            'fill': 'none',
+                            'd': 'M 358.975 257.950 V 17.500'
+                        }
+                    }
+                ]
+            ],
+            null,
+            null,
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'style': 'cursor: pointer; text-decoration: underline',
+                        'x': '620.000',
+                        'y': '21.500',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': 'Reset'
+                    }
+                },
+                {
+                    'svg': 'g',
+                    'attr': {
+                        'pointer-events': 'none'
+                    }
+                }
+            ],
+            null,
+            null
+        ]
+    });
+});
+
+
+test('lineChartElements, zoom interactive', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 4},
+        {'A': 3, 'B': 2},
+        {'A': 4, 'B': 5},
+        {'A': 5, 'B': 10}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'zoom': {}});
+
+    // Render the chart
+    const {body} = window.document;
+    renderElements(body, lineChartElements(data, lineChart));
+    const chartText = () => Array.from(body.querySelectorAll('text')).map((text) => text.textContent);
+    const chartMouse = (eventType, clientX, shiftKey = false) => {
+        body.querySelector('svg').dispatchEvent(new window.MouseEvent(eventType, {clientX, shiftKey}));
+    };
+    assert.deepEqual(chartText(), ['B', '1', '5.50', '10', 'A', '1', '3', '5']);
+
+    // Drag to zoom
+    chartMouse('mousedown', 180);
+    chartMouse('mousemove', 300);
+    assert.equal(body.querySelector('svg').lastChild.querySelectorAll('rect').length, 1);
+    chartMouse('mouseup', 460);
+    assert.equal(body.querySelector('svg').lastChild.querySelectorAll('rect').length, 0);
+    assert.deepEqual(chartText(), ['B', '1', '3', '5', 'A', '1.65', '2.71', '3.76', 'Reset']);
+
+    // Click without dragging - no zoom
+    chartMouse('mousedown', 300);
+    chartMouse('mouseup', 301);
+    assert.deepEqual(chartText(), ['B', '1', '3', '5', 'A', '1.65', '2.71', '3.76', 'Reset']);
+
+    // Shift-drag to pan
+    chartMouse('mousedown', 300, true);
+    chartMouse('mouseup', 200, true);
+    assert.deepEqual(chartText(), ['B', '2', '6', '10', 'A', '2.03', '3.08', '4.14', 'Reset']);
+
+    // Reset the zoom
+    Array.from(body.querySelectorAll('text')).find((text) => text.textContent === 'Reset').dispatchEvent(new window.Event('click'));
+    assert.deepEqual(chartText(), ['B', '1', '5.50', '10', 'A', '1', '3', '5']);
+    assert.equal(body.querySelectorAll('svg').length, 1);
+});
+
+
+test('lineChartElements, zoom function', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 4},
+        {'A': 3, 'B': 2},
+        {'A': 4, 'B': 5},
+        {'A': 5, 'B': 10}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'zoom': {}});
+    const zooms = [];
+    const options = {'zoomFn': (start, end) => zooms.push([start, end])};
+
+    // Render the chart
+    const {body} = window.document;
+    renderElements(body, lineChartElements(data, lineChart, options));
+    const chartText = () => Array.from(body.querySelectorAll('text')).map((text) => text.textContent);
+    const chartMouse = (eventType, clientX) => {
+        body.querySelector('svg').dispatchEvent(new window.MouseEvent(eventType, {clientX}));
+    };
+    assert.deepEqual(chartText(), ['B', '1', '5.50', '10', 'A', '1', '3', '5']);
+
+    // Drag to zoom - the zoom function is called and the chart is not re-rendered
+    chartMouse('mousedown', 180);
+    chartMouse('mouseup', 460);
+    assert.deepEqual(zooms.map((zoom) => zoom.map((value) => value.toFixed(2))), [['1.65', '3.76']]);
+    assert.deepEqual(chartText(), ['B', '1', '5.50', '10', 'A', '1', '3', '5']);
+});
+
+
+test('lineChartElements, zoom datetime unzoomed', () => {
+    const data = [
+        {'A': new Date(Date.UTC(2024, 0, 1)), 'B': 1},
+        {'A': new Date(Date.UTC(2024, 0, 3)), 'B': 2}
+    ];
+
+    // A zoom range equal to the X-axis range (but not the same objects) is not zoomed
+    const zoom = {'start': new Date(Date.UTC(2024, 0, 1)), 'end': new Date(Date.UTC(2024, 0, 3))};
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'zoom': zoom});
+    const elements = lineChartElements(data, lineChart);
+    assert.equal(JSON.stringify(elements).includes('Reset'), false);
+    assert.equal(JSON.stringify(elements).includes('clipPath'), false);
+});
+
+
+test('lineChartElements, widthPercent', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 4},
+        {'A': 3, 'B': 2}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'width': 400, 'widthPercent': 50});
+
+    // Mock resize observer
+    const observers = [];
+    window.ResizeObserver = class {
+        constructor(callback) {
+            this.callback = callback;
+            this.element = null;
+            observers.push(this);
+        }
+
+        observe(element) {
+            this.element = element;
+        }
+
+        disconnect() {
+            this.element = null;
+        }
+    };
+    const containerResize = (clientWidth) => {
+        Object.defineProperty(window.document.body, 'clientWidth', {'value': clientWidth, 'configurable': true});
+        for (const observer of observers.filter((observerItem) => observerItem.element !== null)) {
+            observer.callback();
+        }
+    };
+    const chartWidths = () => Array.from(window.document.body.querySelectorAll('svg')).map((svg) => svg.getAttribute('width'));
+
+    // Render the chart
+    const elements = lineChartElements(data, lineChart);
+    assert.equal(elements.attr.width, 400);
+    assert.equal(typeof elements.callback, 'function');
+    renderElements(window.document.body, elements);
+    assert.deepEqual(chartWidths(), ['400']);
+    assert.equal(observers.length, 1);
+    assert.equal(observers[0].element, window.document.body);
+
+    // Resize the container
+    containerResize(1000);
+    assert.deepEqual(chartWidths(), ['500']);
+    assert.equal(observers.length, 2);
+    assert.equal(observers[0].element, null);
+    assert.equal(observers[1].element, window.document.body);
+
+    // Resize the container - same width
+    containerResize(1001);
+    assert.deepEqual(chartWidths(), ['500']);
+    assert.equal(observers.length, 2);
+
+    // Resize the container - zero width
+    containerResize(0);
+    assert.deepEqual(chartWidths(), ['500']);
+    assert.equal(observers.length, 2);
+
+    // Remove the chart
+    window.document.body.replaceChildren();
+    containerResize(800);
+    assert.equal(observers.length, 2);
+    assert.equal(observers[1].element, null);
+});
+
+
+test('lineChartElements, widthPercent no ResizeObserver', () => {
+    const {window} = new JSDOM();
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 2, 'B': 4}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'width': 400, 'widthPercent': 100});
+    renderElements(window.document.body, lineChartElements(data, lineChart));
+    assert.equal(window.document.body.querySelector('svg').getAttribute('width'), '400');
+});
+
+
+test('lineChartDataTableElements', () => {
+    const data = [
+        {'A': 2, 'B': 4, 'C': 1},
+        {'A': 1, 'B': 1.5}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['B'], 'y2': ['C'], 'precision': 1, 'accessibility': {'dataTable': 'hidden'}});
+    assert.deepEqual(lineChartDataTableElements(data, lineChart), {
+        'html': 'div',
+        'attr': {
+            'style': 'position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;'
+        },
+        'elem': {
+            'html': 'table',
+            'elem': [
+                {
+                    'html': 'tr',
+                    'elem': [
+                        [],
+                        [
+                            {'html': 'th', 'attr': null, 'elem': {'text': 'A'}},
+                            {'html': 'th', 'attr': null, 'elem': {'text': 'B'}},
+                            {'html': 'th', 'attr': null, 'elem': {'text': 'C'}}
+                        ]
+                    ]
+                },
+                [
+                    {
+                        'html': 'tr',
+                        'elem': [
+                            [],
+                            [
+                                {'html': 'td', 'attr': null, 'elem': {'text': '1'}},
+                                {'html': 'td', 'attr': null, 'elem': {'text': '1.5'}},
+                                {'html': 'td', 'attr': null, 'elem': {'text': 'null'}}
+                            ]
+                        ]
+                    },
+                    {
+                        'html': 'tr',
+                        'elem': [
+                            [],
+                            [
+                                {'html': 'td', 'attr': null, 'elem': {'text': '2'}},
+                                {'html': 'td', 'attr': null, 'elem': {'text': '4'}},
+                                {'html': 'td', 'attr': null, 'elem': {'text': '1'}}
+                            ]
+                        ]
+                    }
+                ]
+            ]
+        }
+    });
+
+    // The data is not modified
+    assert.deepEqual(data, [
+        {'A': 2, 'B': 4, 'C': 1},
+        {'A': 1, 'B': 1.5}
+    ]);
+});
+
+
+test('lineChartDataTableElements, toggle', () => {
+    const data = [
+        {'A': 1, 'B': 'b', 'C': 5}
+    ];
+    const lineChart = validateLineChart({'x': 'A', 'y': ['C'], 'color': 'B', 'accessibility': {'dataTable': 'toggle'}});
+    const elements = lineChartDataTableElements(data, lineChart);
+    assert.equal(elements.html, 'details');
+    assert.deepEqual(elements.elem[0], {'html': 'summary', 'elem': {'text': 'Line chart of C by A data table'}});
+    assert.deepEqual(
+        elements.elem[1].elem[0].elem[1].map((cell) => cell.elem.text),
+        ['A', 'B', 'C']
+    );
+});
+
+
+test('lineChartDataTableElements, none', () => {
+    const data = [
+        {'A': 1, 'B': 5}
+    ];
+    assert.equal(lineChartDataTableElements(data, validateLineChart({'x': 'A', 'y': ['B']})), null);
+    assert.equal(lineChartDataTableElements(data, validateLineChart({'x': 'A', 'y': ['B'], 'accessibility': {}})), null);
+});
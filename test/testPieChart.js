@@ -0,0 +1,386 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {pieChartElements, validatePieChart} from '../lib/pieChart.js';
+import {strict as assert} from 'node:assert';
+import test from 'node:test';
+
+
+test('pieChartElements, label sums', () => {
+    // Each label's values are summed - null labels, non-numeric values, and non-positive sums are not drawn
+    const data = [
+        {'A': 'a', 'B': 1},
+        {'A': 'b', 'B': 3},
+        {'A': 'a', 'B': 1},
+        {'A': 'c', 'B': 0},
+        {'A': 'd', 'B': -1},
+        {'A': null, 'B': 2},
+        {'A': 'e', 'B': 'x'}
+    ];
+    const pieChart = validatePieChart({'label': 'A', 'value': 'B'});
+    const elements = pieChartElements(data, pieChart);
+    assert.deepEqual(elements.elem[2].map((slice) => slice.attr.fill), ['#1f77b4', '#ff7f0e']);
+    assert.deepEqual(elements.elem[4].map(([, text]) => text.elem.text), ['b', 'a']);
+});
+
+
+test('pieChartElements, other', () => {
+    const data = [
+        {'A': 'a', 'B': 60},
+        {'A': 'b', 'B': 34},
+        {'A': 'c', 'B': 4},
+        {'A': 'd', 'B': 2}
+    ];
+    const pieChart = validatePieChart({'label': 'A', 'value': 'B', 'other': 0.05, 'percent': true});
+    const elements = pieChartElements(data, pieChart);
+
+    // The slices smaller than the "other" fraction are combined into the gray "other" slice
+    assert.deepEqual(elements.elem[2].map((slice) => slice.attr.fill), ['#1f77b4', '#ff7f0e', '#c7c7c7']);
+    assert.deepEqual(elements.elem[3].map((text) => text.elem.text), ['60%', '34%', '6%']);
+    assert.deepEqual(elements.elem[4].map(([, text]) => text.elem.text), ['a', 'b', 'Other']);
+});
+
+
+test('pieChartElements, percent precision', () => {
+    const data = [
+        {'A': 'a', 'B': 1},
+        {'A': 'b', 'B': 2}
+    ];
+    const pieChart = validatePieChart({'label': 'A', 'value': 'B', 'percent': true, 'percentPrecision': 1});
+    const elements = pieChartElements(data, pieChart);
+    assert.deepEqual(elements.elem[3].map((text) => text.elem.text), ['66.7%', '33.3%']);
+});
+
+
+test('pieChartElements, donut percent other', () => {
+    const data = [
+        {'A': 'a', 'B': 60},
+        {'A': 'b', 'B': 34},
+        {'A': 'c', 'B': 4},
+        {'A': 'd', 'B': 2}
+    ];
+    const pieChart = {
+        'title': 'Donut',
+        'label': 'A',
+        'value': 'B',
+        'donut': 0.5,
+        'percent': true,
+        'other': 0.05,
+        'otherLabel': 'Rest'
+    };
+    validatePieChart(pieChart);
+    assert.deepEqual(pieChartElements(data, pieChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '17.600px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '286.000',
+                    'y': '16.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'Donut'
+                }
+            },
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#1f77b4',
+                        'fill-rule': 'evenodd',
+                        'd': 'M 286.000 42.400 A 130.800 130.800 0 1 1 209.118 279.019 L 247.559 226.110 A 65.400 65.400 0 1 0 286.000 ' +
+                            '107.800 Z'
+                    }
+                },
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#ff7f0e',
+                        'fill-rule': 'evenodd',
+                        'd': 'M 209.118 279.019 A 130.800 130.800 0 0 1 237.849 51.585 L 261.925 112.393 A 65.400 65.400 0 0 0 247.559 ' +
+                            '226.110 Z'
+                    }
+                },
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#c7c7c7',
+                        'fill-rule': 'evenodd',
+                        'd': 'M 237.849 51.585 A 130.800 130.800 0 0 1 286.000 42.400 L 286.000 107.800 A 65.400 65.400 0 0 0 261.925 ' +
+                            '112.393 Z'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'white',
+                        'style': 'font-weight: bold',
+                        'x': '379.299',
+                        'y': '203.515',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '60%'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'white',
+                        'style': 'font-weight: bold',
+                        'x': '188.674',
+                        'y': '160.905',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '34%'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'white',
+                        'style': 'font-weight: bold',
+                        'x': '267.618',
+                        'y': '76.838',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '6%'
+                    }
+                }
+            ],
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '564.000',
+                            'y': '42.400',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#1f77b4'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '585.600',
+                            'y': '50.400',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'a'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '564.000',
+                            'y': '64.000',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#ff7f0e'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '585.600',
+                            'y': '72.000',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'b'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '564.000',
+                            'y': '85.600',
+                            'width': '16.000',
+                            'height': '16.000',
+                            'stroke': 'none',
+                            'fill': '#c7c7c7'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '585.600',
+                            'y': '93.600',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'Rest'
+                        }
+                    }
+                ]
+            ]
+        ]
+    });
+});
+
+
+test('pieChartElements, single slice', () => {
+    const data = [
+        {'A': 'a', 'B': 1}
+    ];
+    const pieChart = {
+        'label': 'A',
+        'value': 'B',
+        'width': 200,
+        'height': 200,
+        'percent': true,
+        'legend': false
+    };
+    validatePieChart(pieChart);
+    assert.deepEqual(pieChartElements(data, pieChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 200,
+            'height': 200
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 200,
+                    'height': 200,
+                    'fill': 'white'
+                }
+            },
+            null,
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': 'white',
+                        'stroke-width': '1.000',
+                        'fill': '#1f77b4',
+                        'fill-rule': 'evenodd',
+                        'd': 'M 100.000 16.000 A 84.000 84.000 0 1 1 100.000 184.000 A 84.000 84.000 0 1 1 100.000 16.000 Z'
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'white',
+                        'style': 'font-weight: bold',
+                        'x': '100.000',
+                        'y': '100.000',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '100%'
+                    }
+                }
+            ],
+            null
+        ]
+    });
+});
+
+
+test('pieChartElements, sort', () => {
+    const data = [
+        {'A': 'b', 'B': 1},
+        {'A': 'c', 'B': 3},
+        {'A': 'a', 'B': 2}
+    ];
+    const legendLabels = (pieChart) => {
+        validatePieChart(pieChart);
+        const elements = pieChartElements(data, pieChart);
+        return elements.elem[4].map(([, text]) => text.elem.text);
+    };
+    assert.deepEqual(legendLabels({'label': 'A', 'value': 'B'}), ['c', 'a', 'b']);
+    assert.deepEqual(legendLabels({'label': 'A', 'value': 'B', 'sort': 'label'}), ['a', 'b', 'c']);
+    assert.deepEqual(legendLabels({'label': 'A', 'value': 'B', 'sort': 'data'}), ['b', 'c', 'a']);
+});
+
+
+test('pieChartElements, other single slice', () => {
+    const data = [
+        {'A': 'a', 'B': 98},
+        {'A': 'b', 'B': 2}
+    ];
+    const pieChart = {'label': 'A', 'value': 'B', 'other': 0.05};
+    validatePieChart(pieChart);
+    const elements = pieChartElements(data, pieChart);
+    assert.deepEqual(elements.elem[4].map(([, text]) => text.elem.text), ['a', 'b']);
+});
+
+
+test('pieChartElements, no data', () => {
+    const data = [{'A': 'a', 'B': -1}];
+    const pieChart = {'label': 'A', 'value': 'B'};
+    validatePieChart(pieChart);
+    assert.throws(
+        () => {
+            pieChartElements(data, pieChart);
+        },
+        {
+            'name': 'Error',
+            'message': 'No data'
+        }
+    );
+});
@@ -0,0 +1,1048 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {scatterChartElements, validateScatterChart} from '../lib/scatterChart.js';
+import {strict as assert} from 'node:assert';
+import test from 'node:test';
+
+
+test('validateScatterChart, number format error', () => {
+    const scatterChart = {'x': 'A', 'y': 'B', 'xTicks': {'number': {'locale': 'not a locale'}}};
+    assert.throws(
+        () => {
+            validateScatterChart(scatterChart);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value \"not a locale\" (type 'string') for member 'xTicks.number.locale', expected a locale"
+        }
+    );
+});
+
+
+test('scatterChartElements, shape area', () => {
+    const data = [
+        {'A': 1, 'B': 3, 'C': 'a'},
+        {'A': 3, 'B': 1, 'C': 'b'}
+    ];
+    const scatterChart = {'x': 'A', 'y': 'B', 'color': 'C', 'shapes': true};
+    validateScatterChart(scatterChart);
+    const elements = scatterChartElements(data, scatterChart);
+    const [, , , , , , , , , [circle, square]] = elements.elem;
+    assert.equal(circle.svg, 'circle');
+    assert.equal(square.svg, 'rect');
+    assert.equal(
+        (Math.PI * Number(circle.attr.r) ** 2).toFixed(2),
+        (Number(square.attr.width) * Number(square.attr.height)).toFixed(2)
+    );
+});
+
+
+test('scatterChartElements, shapes cycle', () => {
+    const data = [
+        {'A': 1, 'B': 1, 'C': 'a'},
+        {'A': 2, 'B': 2, 'C': 'b'},
+        {'A': 3, 'B': 3, 'C': 'c'},
+        {'A': 4, 'B': 4, 'C': 'd'},
+        {'A': 5, 'B': 5, 'C': 'e'}
+    ];
+    const scatterChart = {'x': 'A', 'y': 'B', 'color': 'C', 'shapes': true};
+    validateScatterChart(scatterChart);
+    const elements = scatterChartElements(data, scatterChart);
+    assert.deepEqual(elements.elem[9].map(({svg}) => svg), ['circle', 'rect', 'path', 'path', 'circle']);
+    assert.deepEqual(elements.elem[9].map(({attr}) => attr.fill), ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd']);
+});
+
+
+test('scatterChartElements, size order', () => {
+    const data = [
+        {'A': 1, 'B': 1, 'C': 1},
+        {'A': 2, 'B': 2, 'C': 10},
+        {'A': 3, 'B': 3, 'C': 5}
+    ];
+    const scatterChart = {'x': 'A', 'y': 'B', 'size': 'C'};
+    validateScatterChart(scatterChart);
+    const elements = scatterChartElements(data, scatterChart);
+    const radii = elements.elem[9].map(({attr}) => Number(attr.r));
+    assert.deepEqual(radii, [...radii].sort((radius1, radius2) => radius2 - radius1));
+    const [cxLarge, cxMedium, cxSmall] = elements.elem[9].map(({attr}) => Number(attr.cx));
+    assert(cxSmall < cxLarge && cxLarge < cxMedium);
+});
+
+
+test('scatterChartElements, size color shapes trend', () => {
+    const data = [
+        {'A': 1, 'B': 1, 'C': 'a', 'D': 1},
+        {'A': 2, 'B': 3, 'C': 'a', 'D': 4},
+        {'A': 1, 'B': 4, 'C': 'b', 'D': 2},
+        {'A': 3, 'B': 2, 'C': 'b', 'D': 3}
+    ];
+    const scatterChart = {
+        'title': 'Scatter',
+        'x': 'A',
+        'y': 'B',
+        'size': 'D',
+        'color': 'C',
+        'shapes': true,
+        'trend': true,
+        'xLines': [{'value': 2, 'label': 'Two'}],
+        'yLines': [{'value': 2}]
+    };
+    validateScatterChart(scatterChart);
+    assert.deepEqual(scatterChartElements(data, scatterChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '17.600px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '338.625',
+                    'y': '16.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'Scatter'
+                }
+            },
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '149.925',
+                    'transform': 'rotate(-90 16.000, 149.925)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 241.450 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 241.450 H 584.800'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 149.925 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 149.925 H 584.800'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 58.400 H 86.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 58.400 H 584.800'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '241.450',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '149.925',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'middle'
+                    },
+                    'elem': {
+                        'text': '2.50'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '83.200',
+                        'y': '58.400',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '4'
+                    }
+                }
+            ],
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '338.625',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 108.450 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 108.450 257.950 V 42.400'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 338.625 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 338.625 257.950 V 42.400'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 568.800 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 568.800 257.950 V 42.400'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '108.450',
+                        'y': '266.700',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '1'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '338.625',
+                        'y': '266.700',
+                        'text-anchor': 'middle',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '2'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '568.800',
+                        'y': '266.700',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '3'
+                    }
+                }
+            ],
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 91.950 41.900 V 257.950 H 585.300'
+                }
+            },
+            [
+                {
+                    'svg': 'circle',
+                    'attr': {
+                        'cx': '338.625',
+                        'cy': '119.417',
+                        'r': '16.000',
+                        'stroke': 'none',
+                        'fill': '#1f77b4',
+                        'fill-opacity': 0.75
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '557.043',
+                        'y': '168.676',
+                        'width': '23.514',
+                        'height': '23.514',
+                        'stroke': 'none',
+                        'fill': '#ff7f0e',
+                        'fill-opacity': 0.75
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '99.767',
+                        'y': '49.717',
+                        'width': '17.366',
+                        'height': '17.366',
+                        'stroke': 'none',
+                        'fill': '#ff7f0e',
+                        'fill-opacity': 0.75
+                    }
+                },
+                {
+                    'svg': 'circle',
+                    'attr': {
+                        'cx': '108.450',
+                        'cy': '241.450',
+                        'r': '4.000',
+                        'stroke': 'none',
+                        'fill': '#1f77b4',
+                        'fill-opacity': 0.75
+                    }
+                }
+            ],
+            [
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': '#1f77b4',
+                        'stroke-width': '2.000',
+                        'stroke-dasharray': '6 4',
+                        'fill': 'none',
+                        'd': 'M 108.450 241.450 L 338.625 119.417'
+                    }
+                },
+                {
+                    'svg': 'path',
+                    'attr': {
+                        'stroke': '#ff7f0e',
+                        'stroke-width': '2.000',
+                        'stroke-dasharray': '6 4',
+                        'fill': 'none',
+                        'd': 'M 108.450 58.400 L 568.800 180.433'
+                    }
+                }
+            ],
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '111.650',
+                            'y': '152.833',
+                            'width': '17.600',
+                            'height': '24.000',
+                            'fill': '#ffffffa0'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '115.650',
+                            'y': '164.833',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '2'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '2.000',
+                            'fill': 'none',
+                            'd': 'M 91.950 180.433 H 584.800'
+                        }
+                    }
+                ]
+            ],
+            [
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '342.825',
+                            'y': '215.850',
+                            'width': '36.800',
+                            'height': '24.000',
+                            'fill': '#ffffffa0'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '346.825',
+                            'y': '227.850',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'Two'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '2.000',
+                            'fill': 'none',
+                            'd': 'M 338.625 257.950 V 42.400'
+                        }
+                    }
+                ]
+            ],
+            [
+                [
+                    {
+                        'svg': 'circle',
+                        'attr': {
+                            'cx': '600.800',
+                            'cy': '50.400',
+                            'r': '8.000',
+                            'stroke': 'none',
+                            'fill': '#1f77b4'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '50.400',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'a'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '593.710',
+                            'y': '64.910',
+                            'width': '14.180',
+                            'height': '14.180',
+                            'stroke': 'none',
+                            'fill': '#ff7f0e'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '614.400',
+                            'y': '72.000',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'b'
+                        }
+                    }
+                ]
+            ]
+        ]
+    });
+});
+
+
+test('scatterChartElements, continuous color', () => {
+    const data = [
+        {'A': 1, 'B': 1, 'C': 10},
+        {'A': 2, 'B': 2, 'C': 20},
+        {'A': 3, 'B': 3, 'C': 'c'}
+    ];
+    const scatterChart = {
+        'x': 'A',
+        'y': 'B',
+        'color': 'C',
+        'colorScale': 'continuous',
+        'shape': 'square',
+        'xTicks': {'count': 2, 'start': 0},
+        'yTicks': {'count': 2, 'end': 4, 'number': {'suffix': '%'}}
+    };
+    validateScatterChart(scatterChart);
+    assert.deepEqual(scatterChartElements(data, scatterChart), {
+        'svg': 'svg',
+        'attr': {
+            'width': 640,
+            'height': 320
+        },
+        'elem': [
+            {
+                'svg': 'rect',
+                'attr': {
+                    'width': 640,
+                    'height': 320,
+                    'fill': 'white'
+                }
+            },
+            null,
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '16.000',
+                    'y': '136.725',
+                    'transform': 'rotate(-90 16.000, 136.725)',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'hanging'
+                },
+                'elem': {
+                    'text': 'B'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 72.750 253.450 H 67.750'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 72.750 253.450 H 546.400'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 72.750 20.000 H 67.750'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 72.750 20.000 H 546.400'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '64.000',
+                        'y': '253.450',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'auto'
+                    },
+                    'elem': {
+                        'text': '1%'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '64.000',
+                        'y': '20.000',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '4%'
+                    }
+                }
+            ],
+            {
+                'svg': 'text',
+                'attr': {
+                    'font-family': 'Arial, Helvetica, sans-serif',
+                    'font-size': '16.000px',
+                    'fill': 'black',
+                    'style': 'font-weight: bold',
+                    'x': '309.825',
+                    'y': '304.000',
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'auto'
+                },
+                'elem': {
+                    'text': 'A'
+                }
+            },
+            [
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 77.250 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 77.250 257.950 V 16.000'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'black',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 542.400 257.950 V 262.950'
+                        }
+                    },
+                    {
+                        'svg': 'path',
+                        'attr': {
+                            'stroke': 'lightgray',
+                            'stroke-width': '1.000',
+                            'fill': 'none',
+                            'd': 'M 542.400 257.950 V 16.000'
+                        }
+                    }
+                ]
+            ],
+            [
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '77.250',
+                        'y': '266.700',
+                        'text-anchor': 'start',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '0'
+                    }
+                },
+                {
+                    'svg': 'text',
+                    'attr': {
+                        'font-family': 'Arial, Helvetica, sans-serif',
+                        'font-size': '16.000px',
+                        'fill': 'black',
+                        'x': '542.400',
+                        'y': '266.700',
+                        'text-anchor': 'end',
+                        'dominant-baseline': 'hanging'
+                    },
+                    'elem': {
+                        'text': '2'
+                    }
+                }
+            ],
+            {
+                'svg': 'path',
+                'attr': {
+                    'stroke': 'black',
+                    'stroke-width': '1.000',
+                    'fill': 'none',
+                    'd': 'M 72.750 15.500 V 257.950 H 546.900'
+                }
+            },
+            [
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '306.280',
+                        'y': '249.905',
+                        'width': '7.090',
+                        'height': '7.090',
+                        'stroke': 'none',
+                        'fill': '#440154',
+                        'fill-opacity': 0.75
+                    }
+                },
+                {
+                    'svg': 'rect',
+                    'attr': {
+                        'x': '538.855',
+                        'y': '172.088',
+                        'width': '7.090',
+                        'height': '7.090',
+                        'stroke': 'none',
+                        'fill': '#fde725',
+                        'fill-opacity': 0.75
+                    }
+                }
+            ],
+            null,
+            [],
+            [],
+            [
+                [
+                    null,
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'style': 'font-weight: bold',
+                            'x': '554.400',
+                            'y': '24.000',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': 'C'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '555.310',
+                            'y': '38.510',
+                            'width': '14.180',
+                            'height': '14.180',
+                            'stroke': 'none',
+                            'fill': '#440154'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '576.000',
+                            'y': '45.600',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '10'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '555.310',
+                            'y': '60.110',
+                            'width': '14.180',
+                            'height': '14.180',
+                            'stroke': 'none',
+                            'fill': '#3b528b'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '576.000',
+                            'y': '67.200',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '12.50'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '555.310',
+                            'y': '81.710',
+                            'width': '14.180',
+                            'height': '14.180',
+                            'stroke': 'none',
+                            'fill': '#21918c'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '576.000',
+                            'y': '88.800',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '15'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '555.310',
+                            'y': '103.310',
+                            'width': '14.180',
+                            'height': '14.180',
+                            'stroke': 'none',
+                            'fill': '#5ec962'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '576.000',
+                            'y': '110.400',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '17.50'
+                        }
+                    }
+                ],
+                [
+                    {
+                        'svg': 'rect',
+                        'attr': {
+                            'x': '555.310',
+                            'y': '124.910',
+                            'width': '14.180',
+                            'height': '14.180',
+                            'stroke': 'none',
+                            'fill': '#fde725'
+                        }
+                    },
+                    {
+                        'svg': 'text',
+                        'attr': {
+                            'font-family': 'Arial, Helvetica, sans-serif',
+                            'font-size': '16.000px',
+                            'fill': 'black',
+                            'x': '576.000',
+                            'y': '132.000',
+                            'text-anchor': 'start',
+                            'dominant-baseline': 'middle'
+                        },
+                        'elem': {
+                            'text': '20'
+                        }
+                    }
+                ]
+            ]
+        ]
+    });
+});
+
+
+test('scatterChartElements, trend', () => {
+    const data = [
+        {'A': 0, 'B': 1},
+        {'A': 1, 'B': 3},
+        {'A': 2, 'B': 5}
+    ];
+    const scatterChart = {'x': 'A', 'y': 'B', 'trend': true, 'width': 200, 'height': 200};
+    validateScatterChart(scatterChart);
+    const elements = scatterChartElements(data, scatterChart);
+    const [, , , , , , , , , points, trendLines] = elements.elem;
+    const pointCoords = points.map(({attr}) => `${attr.cx} ${attr.cy}`);
+    assert.equal(trendLines[0].attr.d, `M ${pointCoords[0]} L ${pointCoords[2]}`);
+});
+
+
+test('scatterChartElements, trend vertical', () => {
+    const data = [
+        {'A': 1, 'B': 1},
+        {'A': 1, 'B': 3}
+    ];
+    const scatterChart = {'x': 'A', 'y': 'B', 'trend': true};
+    validateScatterChart(scatterChart);
+    const elements = scatterChartElements(data, scatterChart);
+    assert.equal(elements.elem[10], null);
+});
+
+
+test('scatterChartElements, no data', () => {
+    const data = [{'A': 1, 'B': 'b'}];
+    const scatterChart = {'x': 'A', 'y': 'B'};
+    validateScatterChart(scatterChart);
+    assert.throws(
+        () => {
+            scatterChartElements(data, scatterChart);
+        },
+        {
+            'name': 'Error',
+            'message': 'No data'
+        }
+    );
+});
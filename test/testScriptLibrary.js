@@ -6,6 +6,7 @@ import {MarkdownScriptRuntime} from '../lib/script.js';
 import {strict as assert} from 'node:assert';
 import {markdownScriptFunctions} from '../lib/scriptLibrary.js';
 import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
+import {renderElements} from 'element-model/lib/elementModel.js';
 import test from 'node:test';
 
 
@@ -35,6 +36,96 @@ const testRuntime = () => {
 //
 
 
+test('script library, dataBarChart', () => {
+    const runtime = testRuntime();
+    const data = [
+        {'a': 'x', 'b': 3},
+        {'a': 'y', 'b': 1}
+    ];
+    const barChart = {'x': 'a', 'y': ['b'], 'width': 400, 'height': 200};
+    assert.equal(markdownScriptFunctions.dataBarChart([data, barChart], runtime.options), undefined);
+    assert.equal(runtime.drawingWidth, 400);
+    assert.equal(runtime.drawingHeight, 200);
+    const elements = runtime.resetElements();
+    assert.equal(elements.length, 1);
+    assert.equal(elements[0].html, 'p');
+    assert.equal(elements[0].elem.svg, 'svg');
+    assert.deepEqual(elements[0].elem.attr, {'width': 400, 'height': 200});
+    assert.deepEqual(elements[0].elem.elem[0], {'svg': 'rect', 'attr': {'width': 400, 'height': 200, 'fill': 'white'}});
+});
+
+
+test('script library, dataBarChart, invalid', () => {
+    const runtime = testRuntime();
+    assert.throws(
+        () => {
+            markdownScriptFunctions.dataBarChart([[], {'x': 'a'}], runtime.options);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Required member 'y' missing"
+        }
+    );
+});
+
+
+test('script library, dataBoxPlot', () => {
+    const runtime = testRuntime();
+    const data = [
+        {'a': 'x', 'b': 3},
+        {'a': 'y', 'b': 1}
+    ];
+    const boxPlot = {'x': 'a', 'y': 'b', 'width': 400, 'height': 200};
+    assert.equal(markdownScriptFunctions.dataBoxPlot([data, boxPlot], runtime.options), undefined);
+    assert.equal(runtime.drawingWidth, 400);
+    assert.equal(runtime.drawingHeight, 200);
+    const elements = runtime.resetElements();
+    assert.equal(elements.length, 1);
+    assert.equal(elements[0].html, 'p');
+    assert.equal(elements[0].elem.svg, 'svg');
+    assert.deepEqual(elements[0].elem.attr, {'width': 400, 'height': 200});
+    assert.equal(elements[0].elem.elem[7].length, 2);
+});
+
+
+test('script library, dataHeatmap', () => {
+    const runtime = testRuntime();
+    const data = [
+        {'a': 'x', 'b': 'u', 'c': 3},
+        {'a': 'y', 'b': 'v', 'c': 1}
+    ];
+    const heatmap = {'x': 'a', 'y': 'b', 'value': 'c', 'width': 400, 'height': 200};
+    assert.equal(markdownScriptFunctions.dataHeatmap([data, heatmap], runtime.options), undefined);
+    assert.equal(runtime.drawingWidth, 400);
+    assert.equal(runtime.drawingHeight, 200);
+    const elements = runtime.resetElements();
+    assert.equal(elements.length, 1);
+    assert.equal(elements[0].html, 'p');
+    assert.equal(elements[0].elem.svg, 'svg');
+    assert.deepEqual(elements[0].elem.attr, {'width': 400, 'height': 200});
+    assert.equal(elements[0].elem.elem[6].length, 4);
+});
+
+
+test('script library, dataHistogram', () => {
+    const runtime = testRuntime();
+    const data = [
+        {'a': 'x', 'b': 3},
+        {'a': 'y', 'b': 1}
+    ];
+    const histogram = {'x': 'b', 'bins': 2, 'width': 400, 'height': 200};
+    assert.equal(markdownScriptFunctions.dataHistogram([data, histogram], runtime.options), undefined);
+    assert.equal(runtime.drawingWidth, 400);
+    assert.equal(runtime.drawingHeight, 200);
+    const elements = runtime.resetElements();
+    assert.equal(elements.length, 1);
+    assert.equal(elements[0].html, 'p');
+    assert.equal(elements[0].elem.svg, 'svg');
+    assert.deepEqual(elements[0].elem.attr, {'width': 400, 'height': 200});
+    assert.equal(elements[0].elem.elem[8][0].length, 2);
+});
+
+
 test('script library, dataLineChart', () => {
     const runtime = testRuntime();
     const data = [
@@ -50,8 +141,12 @@ test('script library, dataLineChart', () => {
             'html': 'p',
             'elem': {
                 'svg': 'svg',
-                'attr': {'width': 640, 'height': 320},
+                'attr': {'width': 640, 'height': 320, 'role': 'img', 'aria-label': 'Line chart of b by a'},
                 'elem': [
+                    [
+                        {'svg': 'title', 'elem': {'text': 'Line chart of b by a'}},
+                        {'svg': 'desc', 'elem': {'text': 'a ranges from 1 to 2. b ranges from 1 to 3 (2 points).'}}
+                    ],
                     {
                         'svg': 'rect',
                         'attr': {'width': 640, 'height': 320, 'fill': 'white'}
@@ -139,6 +234,7 @@ test('script library, dataLineChart', () => {
                             'elem': {'text': '3'}
                         }
                     ],
+                    null,
                     {
                         'svg': 'text',
                         'attr': {
@@ -220,6 +316,8 @@ test('script library, dataLineChart', () => {
                             'elem': {'text': '2'}
                         }
                     ],
+                    null,
+                    null,
                     {
                         'svg': 'path',
                         'attr': {'stroke': 'black', 'stroke-width': '1.000', 'fill': 'none', 'd': 'M 63.150 17.000 V 257.950 H 624.500'}
@@ -232,6 +330,11 @@ test('script library, dataLineChart', () => {
                     ],
                     [],
                     [],
+                    [],
+                    null,
+                    null,
+                    null,
+                    null,
                     null
                 ]
             }
@@ -240,6 +343,106 @@ test('script library, dataLineChart', () => {
 });
 
 
+test('script library, dataLineChart data table', () => {
+    const runtime = testRuntime();
+    const data = [
+        {'a': 2, 'b': 1},
+        {'a': 1, 'b': 3}
+    ];
+    const lineChart = {'x': 'a', 'y': ['b'], 'accessibility': {'dataTable': 'toggle'}};
+    assert.equal(markdownScriptFunctions.dataLineChart([data, lineChart], runtime.options), undefined);
+    assert.equal(runtime.drawingWidth, 640);
+    assert.equal(runtime.drawingHeight, 320);
+    const elements = runtime.resetElements();
+    assert.equal(elements.length, 2);
+    assert.equal(elements[0].html, 'p');
+    assert.equal(elements[0].elem.svg, 'svg');
+    assert.equal(elements[1].html, 'details');
+    assert.deepEqual(elements[1].elem[0], {'html': 'summary', 'elem': {'text': 'Line chart of b by a data table'}});
+    assert.deepEqual(
+        elements[1].elem[1].elem[1].map((row) => row.elem[1].map((cell) => cell.elem.text)),
+        [['1', '3'], ['2', '1']]
+    );
+});
+
+
+test('script library, dataLineChart zoom', () => {
+    const runtime = testRuntime();
+    let runtimeUpdateCount = 0;
+    runtime.options.runtimeUpdateFn = () => ++runtimeUpdateCount;
+    runtime.options.params = {'url': 'README.md', 'var': {'vOther': '1', 'vZoomStart': '2', 'vZoomEnd': '4'}};
+    runtime.options.variables = {'vOther': 1, 'vZoomStart': 2, 'vZoomEnd': 4};
+    const data = [
+        {'a': 1, 'b': 3},
+        {'a': 3, 'b': 1},
+        {'a': 5, 'b': 2}
+    ];
+    const lineChart = {'x': 'a', 'y': ['b'], 'zoom': {'var': 'vZoom'}};
+    assert.equal(markdownScriptFunctions.dataLineChart([data, lineChart], runtime.options), undefined);
+    assert.deepEqual(lineChart, {'x': 'a', 'y': ['b'], 'zoom': {'var': 'vZoom'}});
+
+    // Render the zoomed line chart
+    const {window} = runtime.options;
+    const {body} = window.document;
+    renderElements(body, runtime.resetElements());
+    const chartText = () => Array.from(body.querySelectorAll('text')).map((text) => text.textContent);
+    assert.deepEqual(chartText(), ['b', '1', '2', '3', 'a', '2', '3', '4', 'Reset']);
+
+    // Drag to zoom
+    const svgElement = body.querySelector('svg');
+    svgElement.dispatchEvent(new window.MouseEvent('mousedown', {'clientX': 100}));
+    svgElement.dispatchEvent(new window.MouseEvent('mouseup', {'clientX': 200}));
+    assert.equal(runtimeUpdateCount, 1);
+    assert.match(runtime.windowLocation, /^#url=README.md&var.vOther=1&var.vZoomEnd=2\.\d+&var.vZoomStart=2\.\d+$/);
+
+    assert.deepEqual(chartText(), ['b', '1', '2', '3', 'a', '2', '3', '4', 'Reset']);
+
+    // Reset the zoom - the chart is re-rendered by the runtime update, not in place
+    Array.from(body.querySelectorAll('text')).find((text) => text.textContent === 'Reset').dispatchEvent(new window.Event('click'));
+    assert.equal(runtimeUpdateCount, 2);
+    assert.equal(runtime.windowLocation, '#url=README.md&var.vOther=1');
+    assert.deepEqual(chartText(), ['b', '1', '2', '3', 'a', '2', '3', '4', 'Reset']);
+});
+
+
+test('script library, dataPieChart', () => {
+    const runtime = testRuntime();
+    const data = [
+        {'a': 'x', 'b': 3},
+        {'a': 'y', 'b': 1}
+    ];
+    const pieChart = {'label': 'a', 'value': 'b', 'width': 400, 'height': 200};
+    assert.equal(markdownScriptFunctions.dataPieChart([data, pieChart], runtime.options), undefined);
+    assert.equal(runtime.drawingWidth, 400);
+    assert.equal(runtime.drawingHeight, 200);
+    const elements = runtime.resetElements();
+    assert.equal(elements.length, 1);
+    assert.equal(elements[0].html, 'p');
+    assert.equal(elements[0].elem.svg, 'svg');
+    assert.deepEqual(elements[0].elem.attr, {'width': 400, 'height': 200});
+    assert.equal(elements[0].elem.elem[2].length, 2);
+});
+
+
+test('script library, dataScatterChart', () => {
+    const runtime = testRuntime();
+    const data = [
+        {'a': 1, 'b': 3},
+        {'a': 2, 'b': 1}
+    ];
+    const scatterChart = {'x': 'a', 'y': 'b', 'width': 400, 'height': 200};
+    assert.equal(markdownScriptFunctions.dataScatterChart([data, scatterChart], runtime.options), undefined);
+    assert.equal(runtime.drawingWidth, 400);
+    assert.equal(runtime.drawingHeight, 200);
+    const elements = runtime.resetElements();
+    assert.equal(elements.length, 1);
+    assert.equal(elements[0].html, 'p');
+    assert.equal(elements[0].elem.svg, 'svg');
+    assert.deepEqual(elements[0].elem.attr, {'width': 400, 'height': 200});
+    assert.equal(elements[0].elem.elem[9].length, 2);
+});
+
+
 test('script library, dataTable', () => {
     const runtime = testRuntime();
     const data = [
@@ -336,11 +539,120 @@ test('script library, dataTable model', () => {
 });
 
 
+test('script library, dataTable sortable', () => {
+    const runtime = testRuntime();
+    const data = [
+        {'a': 1, 'b': 3},
+        {'a': 2, 'b': 1}
+    ];
+    const dataTable = {'sortable': true};
+    assert.equal(markdownScriptFunctions.dataTable([data, dataTable], runtime.options), undefined);
+    const elements = runtime.resetElements();
+
+    // Render the table and click the "b" header
+    const {window} = runtime.options;
+    renderElements(window.document.body, elements);
+    window.document.querySelectorAll('th')[1].dispatchEvent(new window.Event('click'));
+    assert.deepEqual(dataTable, {'sortable': true});
+    assert.deepEqual(
+        Array.from(window.document.querySelectorAll('td')).map((td) => td.textContent),
+        ['2', '1', '1', '3']
+    );
+});
+
+
+test('script library, dataTable var', () => {
+    const runtime = testRuntime();
+    let runtimeUpdateCount = 0;
+    runtime.options.runtimeUpdateFn = () => ++runtimeUpdateCount;
+    runtime.options.params = {'url': 'README.md', 'var': {'vOther': '1', 'vTableSort': '"b"', 'vTableDesc': 'true'}};
+    runtime.options.variables = {'vOther': 1, 'vTableSort': 'b', 'vTableDesc': true};
+    const data = [
+        {'a': 1, 'b': 3},
+        {'a': 2, 'b': 1},
+        {'a': 3, 'b': 2}
+    ];
+    const dataTable = {'sortable': true, 'pageSize': 2, 'var': 'vTable'};
+    assert.equal(markdownScriptFunctions.dataTable([data, dataTable], runtime.options), undefined);
+    assert.deepEqual(dataTable, {'sortable': true, 'pageSize': 2, 'var': 'vTable'});
+
+    // Render the table sorted by the hash parameter variables
+    const {window} = runtime.options;
+    const {body} = window.document;
+    renderElements(body, runtime.resetElements());
+    const tableText = () => Array.from(body.querySelectorAll('td')).map((td) => td.textContent);
+    assert.deepEqual(tableText(), ['1', '3', '3', '2']);
+
+    // Click the "a" header - the sort order is persisted and the table is not re-rendered in place
+    body.querySelector('th').dispatchEvent(new window.Event('click'));
+    assert.equal(runtimeUpdateCount, 1);
+    assert.equal(runtime.windowLocation, '#url=README.md&var.vOther=1&var.vTablePage=1&var.vTableSort=%22a%22');
+    assert.deepEqual(tableText(), ['1', '3', '3', '2']);
+
+    // Click "Next" - the page is persisted
+    runtime.options.params = {'url': 'README.md', 'var': {'vTableSort': '"b"', 'vTableDesc': 'true'}};
+    Array.from(body.querySelectorAll('a')).find((link) => link.textContent === 'Next').dispatchEvent(new window.Event('click'));
+    assert.equal(runtimeUpdateCount, 2);
+    assert.equal(runtime.windowLocation, '#url=README.md&var.vTableDesc=true&var.vTablePage=2&var.vTableSort=%22b%22');
+});
+
+
+test('script library, dataTableExport', () => {
+    const runtime = testRuntime();
+    const data = [
+        {'a': 2, 'b': 'x'},
+        {'a': 1, 'b': 'y, z'}
+    ];
+    assert.equal(markdownScriptFunctions.dataTableExport([data], runtime.options), 'a,b\n2,x\n1,"y, z"');
+    const dataTable = {'sort': [{'field': 'a'}], 'formats': {'a': {'header': 'A', 'align': 'right'}}};
+    assert.equal(markdownScriptFunctions.dataTableExport([data, dataTable, 'tsv'], runtime.options), 'A\tb\n1\ty, z\n2\tx');
+    assert.equal(
+        markdownScriptFunctions.dataTableExport([data, dataTable, 'markdown'], runtime.options),
+        '| A | b |\n| ---: | --- |\n| 1 | y, z |\n| 2 | x |'
+    );
+    assert.deepEqual(
+        JSON.parse(markdownScriptFunctions.dataTableExport([data, null, 'json'], runtime.options)),
+        [{'a': 2, 'b': 'x'}, {'a': 1, 'b': 'y, z'}]
+    );
+});
+
+
+test('script library, dataTableExport invalid', () => {
+    const runtime = testRuntime();
+    assert.throws(
+        () => {
+            markdownScriptFunctions.dataTableExport([[], null, 'xlsx'], runtime.options);
+        },
+        {
+            'name': 'ValueArgsError',
+            'message': 'Invalid "format" argument value, "xlsx"'
+        }
+    );
+    assert.throws(
+        () => {
+            markdownScriptFunctions.dataTableExport([[], {'fields': []}], runtime.options);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value [] (type 'object') for member 'fields', expected type 'array' [len > 0]"
+        }
+    );
+});
+
+
 //
 // Document functions
 //
 
 
+test('script library, documentDarkMode', () => {
+    const runtime = testRuntime();
+    assert.equal(markdownScriptFunctions.documentDarkMode([], runtime.options), false);
+    runtime.options.darkMode = true;
+    assert.equal(markdownScriptFunctions.documentDarkMode([], runtime.options), true);
+});
+
+
 test('script library, documentFontSize', () => {
     const runtime = testRuntime();
     assert.equal(markdownScriptFunctions.documentFontSize([], runtime.options), 16);
@@ -373,6 +685,50 @@ test('script library, documentSetReset', () => {
 });
 
 
+test('script library, documentSetTheme', () => {
+    const runtime = testRuntime();
+    runtime.options.darkMode = true;
+    assert.equal(runtime.theme, null);
+    assert.equal(runtime.drawingPathStroke, 'black');
+    assert.equal(runtime.drawingFontFill, 'black');
+
+    // Set the theme
+    assert.equal(markdownScriptFunctions.documentSetTheme([{'text': 'lightgray', 'palette': ['red']}], runtime.options), undefined);
+    assert.deepEqual(runtime.theme, {'text': 'lightgray', 'palette': ['red']});
+    assert.equal(runtime.drawingPathStroke, 'lightgray');
+    assert.equal(runtime.drawingFontFill, 'lightgray');
+
+    // The theme is applied to charts and drawing defaults
+    markdownScriptFunctions.dataBarChart([[{'a': 'x', 'b': 3}], {'x': 'a', 'y': ['b']}], runtime.options);
+    markdownScriptFunctions.drawStyle(['blue'], runtime.options);
+    markdownScriptFunctions.drawStyle([], runtime.options);
+    assert.equal(runtime.drawingPathStroke, 'lightgray');
+    const elements = runtime.resetElements();
+    assert.equal(elements[0].elem.elem[0].attr.fill, 'black');
+    assert.equal(elements[0].elem.elem[7][0].attr.fill, 'red');
+
+    // Reset the theme
+    markdownScriptFunctions.documentSetTheme([], runtime.options);
+    assert.equal(runtime.theme, null);
+    assert.equal(runtime.drawingPathStroke, 'white');
+    assert.equal(runtime.drawingFontFill, 'white');
+});
+
+
+test('script library, documentSetTheme invalid', () => {
+    const runtime = testRuntime();
+    assert.throws(
+        () => {
+            markdownScriptFunctions.documentSetTheme([{'text': 1}], runtime.options);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value 1 (type 'number') for member 'text', expected type 'string'"
+        }
+    );
+});
+
+
 test('script library, documentSetTitle', () => {
     const runtime = testRuntime();
     assert.equal(runtime.documentTitle, null);
@@ -516,6 +872,96 @@ test('script library, drawEllipse', () => {
 });
 
 
+test('script library, drawExport', async () => {
+    const runtime = testRuntime();
+    const {window} = runtime.options;
+    const downloads = [];
+    window.URL.createObjectURL = (blob) => {
+        downloads.push(blob);
+        return 'blob:drawing';
+    };
+    window.URL.revokeObjectURL = (url) => {
+        downloads.push(url);
+    };
+    window.HTMLAnchorElement.prototype.click = function click() {
+        downloads.push(this.download);
+    };
+    markdownScriptFunctions.drawNew([50, 40], runtime.options);
+    markdownScriptFunctions.drawMove([0, 0], runtime.options);
+    markdownScriptFunctions.drawLine([50, 40], runtime.options);
+    assert.equal(await markdownScriptFunctions.drawExport([], runtime.options), undefined);
+    assert.equal(downloads.length, 3);
+    assert.equal(downloads[0].type, 'image/svg+xml');
+    assert.equal(
+        await downloads[0].text(),
+        '<svg xmlns="http://www.w3.org/2000/svg" width="50" height="40">' +
+            '<path fill="none" stroke="black" stroke-width="1" stroke-dasharray="none" ' +
+            'd="M 0.00000000 0.00000000 L 50.00000000 40.00000000"/>' +
+            '</svg>'
+    );
+    assert.equal(downloads[1], 'drawing.svg');
+    assert.equal(downloads[2], 'blob:drawing');
+});
+
+
+test('script library, drawExport no drawing', async () => {
+    const runtime = testRuntime();
+    runtime.options.window.URL.createObjectURL = () => {
+        throw new Error('Unexpected download');
+    };
+    markdownScriptFunctions.markdownPrint(['Hello'], runtime.options);
+    assert.equal(await markdownScriptFunctions.drawExport(['drawing.png'], runtime.options), undefined);
+});
+
+
+test('script library, drawExportButton', async () => {
+    const runtime = testRuntime();
+    const {window} = runtime.options;
+    const downloads = [];
+    window.URL.createObjectURL = (blob) => {
+        downloads.push(blob);
+        return 'blob:drawing';
+    };
+    window.HTMLAnchorElement.prototype.click = function click() {
+        downloads.push(this.download);
+    };
+    markdownScriptFunctions.drawNew([50, 40], runtime.options);
+    markdownScriptFunctions.drawRect([0, 0, 50, 40], runtime.options);
+    assert.equal(markdownScriptFunctions.drawExportButton(['Save', 'rect.svg'], runtime.options), undefined);
+    const elements = runtime.resetElements();
+    assert.equal(elements.length, 2);
+    const {callback} = elements[1].elem;
+    assert.equal(typeof callback, 'function');
+    delete elements[1].elem.callback;
+    assert.deepEqual(elements[1], {
+        'html': 'p',
+        'elem': {
+            'html': 'button',
+            'attr': {'type': 'button'},
+            'elem': {'text': 'Save'}
+        }
+    });
+
+    // Click the download button
+    elements[1].elem.callback = callback;
+    renderElements(window.document.body, elements);
+    window.document.querySelector('button').dispatchEvent(new window.Event('click'));
+    await new Promise((resolve) => {
+        window.setTimeout(resolve, 0);
+    });
+    assert.equal(downloads.length, 2);
+    assert.match(await downloads[0].text(), /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="50" height="40"><rect /);
+    assert.equal(downloads[1], 'rect.svg');
+});
+
+
+test('script library, drawExportButton no drawing', () => {
+    const runtime = testRuntime();
+    assert.equal(markdownScriptFunctions.drawExportButton([], runtime.options), undefined);
+    assert.deepEqual(runtime.resetElements(), []);
+});
+
+
 test('script library, drawHLine', () => {
     const runtime = testRuntime();
     markdownScriptFunctions.drawNew([50, 50], runtime.options);
@@ -703,6 +1149,53 @@ test('script library, drawOnClick', async () => {
 });
 
 
+test('script library, drawOnClick widthPercent', async () => {
+    const runtime = testRuntime();
+    let runtimeUpdateCount = 0;
+    runtime.options.runtimeUpdateFn = () => ++runtimeUpdateCount;
+
+    // Test click handler function
+    const clicks = [];
+    const clickHandler = ([px, py]) => {
+        clicks.push([px, py]);
+    };
+
+    // Mock element
+    const elementEvents = {};
+    const element = {
+        'addEventListener': (eventType, eventCallback) => {
+            elementEvents[eventType] = eventCallback;
+        }
+    };
+
+    // Mock event - the drawing is scaled to twice its size
+    const svgElement = {
+        'getBoundingClientRect': () => ({'left': 10, 'top': 20, 'width': 100, 'height': 80})
+    };
+    const event = {
+        'target': {
+            'ownerSVGElement': svgElement
+        },
+        'clientX': 30,
+        'clientY': 60
+    };
+
+    // Set an on-click event on the drawing
+    markdownScriptFunctions.drawNew([50, 40, 100], runtime.options);
+    markdownScriptFunctions.drawOnClick([clickHandler], runtime.options);
+
+    // Get the runtime elements
+    const elements = runtime.resetElements();
+    assert.equal(elements[0].elem.attr.style, 'width: 100%; height: auto;cursor: pointer;');
+    elements[0].elem.callback(element);
+
+    // Click the drawing
+    await elementEvents.click(event);
+    assert.deepEqual(clicks, [[10, 20]]);
+    assert.equal(runtimeUpdateCount, 1);
+});
+
+
 test('script library, drawOnClick async', async () => {
     const runtime = testRuntime();
     let runtimeUpdateCount = 0;
@@ -958,6 +1451,60 @@ test('script library, drawNew', () => {
 });
 
 
+test('script library, drawNew widthPercent', () => {
+    const runtime = testRuntime();
+    markdownScriptFunctions.drawNew([50, 40, 100], runtime.options);
+    assert.equal(markdownScriptFunctions.drawWidth([], runtime.options), 50);
+    assert.equal(markdownScriptFunctions.drawHeight([], runtime.options), 40);
+    assert.deepEqual(runtime.resetElements(), [
+        {
+            'html': 'p',
+            'elem': {
+                'svg': 'svg',
+                'attr': {'width': 50, 'height': 40, 'viewBox': '0 0 50 40', 'style': 'width: 100%; height: auto;'},
+                'elem': []
+            }
+        }
+    ]);
+
+    // Non-responsive drawing
+    markdownScriptFunctions.drawNew([50, 40, null], runtime.options);
+    assert.deepEqual(runtime.resetElements(), [
+        {
+            'html': 'p',
+            'elem': {
+                'svg': 'svg',
+                'attr': {'width': 50, 'height': 40},
+                'elem': []
+            }
+        }
+    ]);
+});
+
+
+test('script library, drawNew widthPercent invalid', () => {
+    const runtime = testRuntime();
+    assert.throws(
+        () => {
+            markdownScriptFunctions.drawNew([50, 40, 0], runtime.options);
+        },
+        {
+            'name': 'ValueArgsError',
+            'message': 'Invalid "widthPercent" argument value, 0'
+        }
+    );
+    assert.throws(
+        () => {
+            markdownScriptFunctions.drawNew([50, 40, 101], runtime.options);
+        },
+        {
+            'name': 'ValueArgsError',
+            'message': 'Invalid "widthPercent" argument value, 101'
+        }
+    );
+});
+
+
 test('script library, drawStyle', () => {
     const runtime = testRuntime();
 
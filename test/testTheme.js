@@ -0,0 +1,64 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {darkTheme, getTheme, lightTheme, validateTheme} from '../lib/theme.js';
+import {strict as assert} from 'node:assert';
+import {categoricalColors} from '../lib/dataUtil.js';
+import test from 'node:test';
+
+
+test('validateTheme', () => {
+    const theme = {'background': 'black', 'palette': ['red', 'green']};
+    assert.deepEqual(validateTheme(theme), theme);
+});
+
+
+test('validateTheme, error', () => {
+    const theme = {'palette': []};
+    assert.throws(
+        () => {
+            validateTheme(theme);
+        },
+        {
+            'name': 'ValidationError',
+            'message': "Invalid value [] (type 'object') for member 'palette', expected type 'array' [len > 0]"
+        }
+    );
+});
+
+
+test('getTheme', () => {
+    assert.deepEqual(getTheme(), {
+        'background': 'white',
+        'axis': 'black',
+        'grid': 'lightgray',
+        'text': 'black',
+        'annotation': 'black',
+        'annotationBackground': '#ffffffa0',
+        'palette': categoricalColors
+    });
+    assert.deepEqual(getTheme(), lightTheme);
+    assert.deepEqual(getTheme({'fontSize': 12}), lightTheme);
+    assert.deepEqual(getTheme({'darkMode': false, 'theme': null}), lightTheme);
+});
+
+
+test('getTheme, dark mode', () => {
+    assert.deepEqual(getTheme({'darkMode': true}), {
+        'background': 'black',
+        'axis': 'white',
+        'grid': '#505050',
+        'text': 'white',
+        'annotation': 'white',
+        'annotationBackground': '#000000a0',
+        'palette': categoricalColors
+    });
+    assert.deepEqual(getTheme({'darkMode': true}), darkTheme);
+});
+
+
+test('getTheme, custom theme', () => {
+    const theme = {'background': '#202020', 'palette': ['red', 'green']};
+    assert.deepEqual(getTheme({'theme': theme}), {...lightTheme, 'background': '#202020', 'palette': ['red', 'green']});
+    assert.deepEqual(getTheme({'darkMode': true, theme}), {...darkTheme, 'background': '#202020', 'palette': ['red', 'green']});
+});